@@ -178,6 +178,14 @@ function runAnalysis(essentia, payload) {
     loudness = null;
   }
 
+  let structure = null;
+  try {
+    structure = segmentStructure(mono, sampleRate, duration, { bpm, beatTimes, downbeats });
+  } catch (err) {
+    console.warn('[EssentiaWorker] segmentation failed', err);
+    structure = null;
+  }
+
   return {
     bpm,
     confidence,
@@ -185,6 +193,222 @@ function runAnalysis(essentia, payload) {
     beatTimes,
     downbeats,
     loudness,
+    structure,
+  };
+}
+
+// -----------------
+// Song structure
+// -----------------
+//
+// Splits the track into bar-aligned sections and labels them intro / build / drop /
+// breakdown / outro. Per-bar energy, low (<150 Hz) and high (>2.5 kHz) levels are
+// compared over 8-bar windows either side of every bar line; the strongest changes
+// (favouring 4/8-bar phrase boundaries) become section starts. Labels follow from each
+// section's loudness relative to the rest of the track and its trend:
+// loud = drop, quiet before a drop and rising = build, other quiet middle parts =
+// breakdown, quiet ends = intro / outro.
+
+const SEG_HOP = 1024;
+const SEG_WINDOW_BARS = 8;
+const SEG_FLAT_DB = 3; // tracks with less loudness range than this get no structure
+const SEG_DROP_LEVEL = 0.6;
+const SEG_BUILD_TREND = 0.04; // z-score per bar
+
+function onePole(cutoffHz, sampleRate) {
+  return Math.exp((-2 * Math.PI * cutoffHz) / sampleRate);
+}
+
+function hopLevels(mono, sampleRate) {
+  const hops = Math.ceil(mono.length / SEG_HOP);
+  const energy = new Float32Array(hops);
+  const low = new Float32Array(hops);
+  const high = new Float32Array(hops);
+  const aLow = onePole(150, sampleRate);
+  const aHigh = onePole(2500, sampleRate);
+  let yLow = 0;
+  let yMid = 0;
+  for (let h = 0; h < hops; h++) {
+    const end = Math.min(mono.length, (h + 1) * SEG_HOP);
+    let e = 0;
+    let l = 0;
+    let hi = 0;
+    for (let i = h * SEG_HOP; i < end; i++) {
+      const x = mono[i];
+      yLow = (1 - aLow) * x + aLow * yLow;
+      yMid = (1 - aHigh) * x + aHigh * yMid;
+      const xh = x - yMid;
+      e += x * x;
+      l += yLow * yLow;
+      hi += xh * xh;
+    }
+    const n = Math.max(1, end - h * SEG_HOP);
+    energy[h] = e / n;
+    low[h] = l / n;
+    high[h] = hi / n;
+  }
+  return { energy, low, high };
+}
+
+function barStarts(duration, { bpm, beatTimes, downbeats }) {
+  if (Array.isArray(downbeats) && downbeats.length >= 8) return downbeats.slice();
+  if (Array.isArray(beatTimes) && beatTimes.length >= 32) return beatTimes.filter((_, i) => i % 4 === 0);
+  const barSec = bpm > 0 ? (4 * 60) / bpm : 2;
+  const out = [];
+  for (let t = 0; t < duration; t += barSec) out.push(t);
+  return out;
+}
+
+const toDb = (v) => 10 * Math.log10(v + 1e-10);
+
+function meanOf(arr, from = 0, to = arr.length) {
+  let sum = 0;
+  for (let i = from; i < to; i++) sum += arr[i];
+  return to > from ? sum / (to - from) : 0;
+}
+
+function zNormalize(arr) {
+  const mean = meanOf(arr);
+  const std = Math.sqrt(arr.reduce((a, v) => a + (v - mean) * (v - mean), 0) / Math.max(1, arr.length)) || 1;
+  return arr.map((v) => (v - mean) / std);
+}
+
+// Least-squares slope of arr[from..to) per index
+function slopeOf(arr, from, to) {
+  const n = to - from;
+  if (n < 2) return 0;
+  const mx = (n - 1) / 2;
+  const my = meanOf(arr, from, to);
+  let num = 0;
+  let den = 0;
+  for (let i = 0; i < n; i++) {
+    num += (i - mx) * (arr[from + i] - my);
+    den += (i - mx) * (i - mx);
+  }
+  return den > 0 ? num / den : 0;
+}
+
+function segmentStructure(mono, sampleRate, duration, grid) {
+  const starts = barStarts(duration, grid).filter((t) => t >= 0 && t < duration);
+  if (starts.length < 8) return null;
+  const levels = hopLevels(mono, sampleRate);
+  const hopSec = SEG_HOP / sampleRate;
+  const nBars = starts.length;
+  const barDb = { energy: [], low: [], high: [] };
+  for (let b = 0; b < nBars; b++) {
+    const from = Math.floor(starts[b] / hopSec);
+    const to = Math.max(from + 1, Math.floor((b + 1 < nBars ? starts[b + 1] : duration) / hopSec));
+    for (const key of Object.keys(barDb)) barDb[key].push(toDb(meanOf(levels[key], from, Math.min(to, levels[key].length))));
+  }
+
+  // Novelty: distance between the mean feature vectors of the windows either side of a bar line
+  const z = { energy: zNormalize(barDb.energy), low: zNormalize(barDb.low), high: zNormalize(barDb.high) };
+  const minBars = nBars > 64 ? 8 : 4;
+  const novelty = new Array(nBars).fill(0);
+  for (let b = minBars; b <= nBars - minBars; b++) {
+    const w = Math.min(SEG_WINDOW_BARS, b, nBars - b);
+    let dist = 0;
+    for (const key of Object.keys(z)) {
+      const d = meanOf(z[key], b, b + w) - meanOf(z[key], b - w, b);
+      dist += d * d;
+    }
+    novelty[b] = Math.sqrt(dist) * (b % 8 === 0 ? 1 : b % 4 === 0 ? 0.85 : 0.6);
+  }
+  const inner = novelty.slice(minBars, nBars - minBars + 1);
+  const nMean = meanOf(inner);
+  const nStd = Math.sqrt(inner.reduce((a, v) => a + (v - nMean) * (v - nMean), 0) / Math.max(1, inner.length));
+  const candidates = [];
+  for (let b = minBars; b <= nBars - minBars; b++) {
+    const v = novelty[b];
+    if (v > nMean + 0.5 * nStd && v >= (novelty[b - 1] || 0) && v >= (novelty[b + 1] || 0)) candidates.push(b);
+  }
+  candidates.sort((a, b) => novelty[b] - novelty[a]);
+  const maxSections = Math.max(2, Math.round(nBars / 8));
+  const bounds = [0];
+  for (const b of candidates) {
+    if (bounds.length >= maxSections) break;
+    if (bounds.every((x) => Math.abs(x - b) >= minBars)) bounds.push(b);
+  }
+  bounds.sort((a, b) => a - b);
+
+  // Loudness range decides whether there is anything to label
+  let sections = bounds.map((start, i) => {
+    const end = i + 1 < bounds.length ? bounds[i + 1] : nBars;
+    return { start, end, db: meanOf(barDb.energy, start, end) };
+  });
+  const dbs = sections.map((s) => s.db);
+  const lo = Math.min(...dbs);
+  const range = Math.max(...dbs) - lo;
+  // Nothing stands out: labelling every section a drop would leave no drop to enter
+  if (range < SEG_FLAT_DB) return null;
+  const levelOf = (db) => (db - lo) / range;
+  const trendOf = (s, e) => slopeOf(z.energy, s, e) + slopeOf(z.high, s, e);
+
+  // A quiet stretch before a drop often holds a breakdown and its build; split off a rising tail
+  const split = [];
+  sections.forEach((s, i) => {
+    const next = sections[i + 1];
+    const quiet = levelOf(s.db) < SEG_DROP_LEVEL;
+    if (quiet && i > 0 && next && levelOf(next.db) >= SEG_DROP_LEVEL && s.end - s.start >= 16
+      && trendOf(s.end - 8, s.end) > SEG_BUILD_TREND && trendOf(s.start, s.end - 8) <= SEG_BUILD_TREND) {
+      split.push({ start: s.start, end: s.end - 8, db: meanOf(barDb.energy, s.start, s.end - 8) });
+      split.push({ start: s.end - 8, end: s.end, db: meanOf(barDb.energy, s.end - 8, s.end) });
+    } else {
+      split.push(s);
+    }
+  });
+  sections = split;
+
+  sections.forEach((s) => {
+    s.level = levelOf(s.db);
+    s.trend = trendOf(s.start, s.end);
+  });
+  sections.forEach((s, i) => {
+    const next = sections[i + 1];
+    // The first section is never entered, so it can't be a drop that fires
+    if (i === 0) s.label = 'intro';
+    else if (s.level >= SEG_DROP_LEVEL) s.label = 'drop';
+    else if (!next) s.label = 'outro';
+    else if (next.level >= SEG_DROP_LEVEL && s.trend > 0) s.label = 'build';
+    else s.label = 'breakdown';
+  });
+  // Neighbours with the same label are one section
+  const merged = [];
+  for (const s of sections) {
+    const prev = merged[merged.length - 1];
+    if (prev && prev.label === s.label) {
+      const bars = s.end - prev.start;
+      prev.level = (prev.level * (prev.end - prev.start) + s.level * (s.end - s.start)) / bars;
+      prev.trend = trendOf(prev.start, s.end);
+      prev.end = s.end;
+    } else {
+      merged.push({ ...s });
+    }
+  }
+
+  const r3 = (v) => Math.round(v * 1000) / 1000;
+  const norm = (arr) => {
+    const min = Math.min(...arr);
+    const span = Math.max(...arr) - min || 1;
+    return arr.map((v) => r3((v - min) / span));
+  };
+  return {
+    sections: merged.map((s, i) => ({
+      label: s.label,
+      startSec: r3(i === 0 ? 0 : starts[s.start]),
+      endSec: r3(i + 1 < merged.length ? starts[merged[i + 1].start] : duration),
+      startBar: s.start,
+      bars: s.end - s.start,
+      energy: r3(s.level),
+      trend: r3(s.trend),
+    })),
+    // Energy curves, one value per bar (0..1 across the track)
+    bars: {
+      times: starts.map(r3),
+      energy: norm(barDb.energy),
+      low: norm(barDb.low),
+      high: norm(barDb.high),
+    },
   };
 }
 
@@ -0,0 +1,167 @@
+/**
+ * Audio Textures
+ *
+ * The analyser's spectrum and waveform as GPU textures, so a shader can draw the actual
+ * audio (a spectrum ring, a waveform tunnel) instead of a handful of scalar features:
+ *
+ *   uAudioFFT          512×1    spectrum 0..Nyquist, 0..1 in red (analyser bytes / 255)
+ *   uAudioWave         512×1    latest 512 waveform samples, 0.5 = silence
+ *   uAudioSpectrogram  512×128  rolling spectrum history; v = 0 is the newest row
+ *   uAudioTexturesLevel float   1 = all textures live, 0.5 = spectrogram at half rate,
+ *                               0 = off (textures hold silence); Spectrum Displace and
+ *                               Iris Spectrum scale with it
+ *
+ * shaderToyChannel() adds ShaderToy's 512×2 iChannel0 (shadertoy.js) to the same uploads.
+ *
+ * The scene owns one instance and fills it from features.freqData / features.timeData.
+ * `uniforms` is a uniform map that materials share by reference, e.g.
+ *   new THREE.ShaderMaterial({ uniforms: { ...myUniforms, ...audioTextures.uniforms } })
+ * so every shader sees the same upload; declare what you use as `uniform sampler2D uAudioFFT;`.
+ *
+ * The effects profile (Visuals → Effects Profile) sets the cost on slow machines:
+ *   high    everything, every frame
+ *   medium  spectrum and waveform every frame, spectrogram every other frame
+ *   off     no uploads
+ */
+
+import * as THREE from 'three';
+import { SHADERTOY_AUDIO_WIDTH, SHADERTOY_FFT_SPAN } from './shadertoy.js';
+
+export const AUDIO_TEXTURE_WIDTH = 512;
+export const SPECTROGRAM_ROWS = 128;
+
+const PROFILE_LEVELS = { high: 1, medium: 0.5, off: 0 };
+
+function createTexture(data, width, height) {
+  const texture = new THREE.DataTexture(data, width, height, THREE.RedFormat, THREE.UnsignedByteType);
+  texture.minFilter = THREE.LinearFilter;
+  texture.magFilter = THREE.LinearFilter;
+  texture.wrapS = THREE.ClampToEdgeWrapping;
+  texture.wrapT = THREE.ClampToEdgeWrapping;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+/**
+ * Averages analyser bins into `out`, which spans the lower `span` of the spectrum.
+ * @param {Uint8Array} freqData
+ * @param {Uint8Array} out
+ * @param {number} [span=1]
+ */
+export function resampleSpectrum(freqData, out, span = 1) {
+  const scale = (freqData.length * span) / out.length;
+  for (let i = 0; i < out.length; i++) {
+    const lo = Math.floor(i * scale);
+    const hi = Math.max(lo + 1, Math.floor((i + 1) * scale));
+    let sum = 0;
+    for (let j = lo; j < hi; j++) sum += freqData[Math.min(j, freqData.length - 1)];
+    out[i] = sum / (hi - lo);
+  }
+}
+
+/** Latest `out.length` waveform samples into `out`; shorter buffers are stretched */
+export function resampleWave(timeData, out) {
+  const start = Math.max(0, timeData.length - out.length);
+  const span = timeData.length - start;
+  for (let i = 0; i < out.length; i++) out[i] = timeData[start + Math.min(span - 1, Math.floor((i * span) / out.length))];
+}
+
+export class AudioTextures {
+  constructor() {
+    const W = AUDIO_TEXTURE_WIDTH;
+    this.fftData = new Uint8Array(W);
+    this.waveData = new Uint8Array(W).fill(128);
+    this.spectrogramData = new Uint8Array(W * SPECTROGRAM_ROWS);
+    this.fft = createTexture(this.fftData, W, 1);
+    this.wave = createTexture(this.waveData, W, 1);
+    this.spectrogram = createTexture(this.spectrogramData, W, SPECTROGRAM_ROWS);
+    this.uniforms = {
+      uAudioFFT: { value: this.fft },
+      uAudioWave: { value: this.wave },
+      uAudioSpectrogram: { value: this.spectrogram },
+      uAudioTexturesLevel: { value: 1 },
+    };
+    this.shaderToyData = null;
+    this.shaderToy = null;
+    this.profile = 'high';
+    this._frame = 0;
+  }
+
+  /** ShaderToy's iChannel0: FFT on row 0, waveform on row 1; filled from the next update() on */
+  shaderToyChannel() {
+    if (!this.shaderToy) {
+      const W = SHADERTOY_AUDIO_WIDTH;
+      this.shaderToyData = new Uint8Array(W * 2);
+      this.shaderToyData.fill(128, W); // silent waveform sits at the centre line
+      this.shaderToy = createTexture(this.shaderToyData, W, 2);
+    }
+    return this.shaderToy;
+  }
+
+  /** @param {'high'|'medium'|'off'} profile - the scene's effects profile */
+  setProfile(profile) {
+    const next = profile in PROFILE_LEVELS ? profile : 'high';
+    if (next === this.profile) return;
+    this.profile = next;
+    this.uniforms.uAudioTexturesLevel.value = PROFILE_LEVELS[next];
+    if (next === 'off') this.clear();
+  }
+
+  /**
+   * Per frame with the analyser bytes; null arrays (receivers, tapes) leave silence.
+   * @param {Uint8Array|null} freqData - frequencyBinCount bytes
+   * @param {Uint8Array|null} timeData - fftSize bytes
+   */
+  update(freqData, timeData) {
+    if (this.profile === 'off') return;
+    this._frame += 1;
+    const W = AUDIO_TEXTURE_WIDTH;
+    if (freqData?.length) resampleSpectrum(freqData, this.fftData);
+    else this.fftData.fill(0);
+    if (timeData?.length) resampleWave(timeData, this.waveData);
+    else this.waveData.fill(128);
+    this.fft.needsUpdate = true;
+    this.wave.needsUpdate = true;
+    if (this.shaderToy) this._updateShaderToy(freqData, timeData);
+    if (this.profile === 'high' || this._frame % 2 === 0) {
+      // Scroll one row toward the old end and put the newest spectrum in row 0
+      this.spectrogramData.copyWithin(W, 0, W * (SPECTROGRAM_ROWS - 1));
+      this.spectrogramData.set(this.fftData, 0);
+      this.spectrogram.needsUpdate = true;
+    }
+  }
+
+  _updateShaderToy(freqData, timeData) {
+    const W = SHADERTOY_AUDIO_WIDTH;
+    const fftRow = this.shaderToyData.subarray(0, W);
+    const waveRow = this.shaderToyData.subarray(W);
+    if (freqData?.length) resampleSpectrum(freqData, fftRow, SHADERTOY_FFT_SPAN);
+    else fftRow.fill(0);
+    if (timeData?.length) resampleWave(timeData, waveRow);
+    else waveRow.fill(128);
+    this.shaderToy.needsUpdate = true;
+  }
+
+  clear() {
+    this.fftData.fill(0);
+    this.waveData.fill(128);
+    this.spectrogramData.fill(0);
+    this.fft.needsUpdate = true;
+    this.wave.needsUpdate = true;
+    this.spectrogram.needsUpdate = true;
+    if (this.shaderToy) {
+      this.shaderToyData.fill(0, 0, SHADERTOY_AUDIO_WIDTH);
+      this.shaderToyData.fill(128, SHADERTOY_AUDIO_WIDTH);
+      this.shaderToy.needsUpdate = true;
+    }
+  }
+
+  dispose() {
+    this.fft.dispose();
+    this.wave.dispose();
+    this.spectrogram.dispose();
+    this.shaderToy?.dispose();
+  }
+}
+
+export default AudioTextures;
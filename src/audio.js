@@ -28,6 +28,13 @@
 import { AudioContext as StdAudioContext } from 'standardized-audio-context';
 import { loadAubio, loadMeyda } from './lazy.js';
 import { showToast } from './toast.js';
+import { OfflineAnalyser } from './offline-analyser.js';
+import { FileTransport } from './file-transport.js';
+import { ChannelAnalyser, MAX_INPUT_CHANNELS } from './channel-analyser.js';
+import { getBeatDetectors, getBeatDetector, DEFAULT_BEAT_DETECTOR } from './beat-detectors.js';
+import { LiveDownbeatEstimator } from './downbeat-estimator.js';
+import { SongSections } from './song-sections.js';
+import { KeyDetector } from './key-detector.js';
 
 /**
  * Cache for the beat detector function to avoid re-loading from CDN
@@ -123,7 +130,12 @@ export class AudioEngine {
     this.noiseGateEnabled = false; // attenuate low-level noise before extraction
     this.noiseGateThreshold = 0.10; // 0..1 amplitude/energy threshold for gate
     this._noiseGateCalibrating = false; // guard concurrent calibrations
-    this._lastBeatMs = -99999;
+    // Beat detector strategy (beat-detectors.js); compare mode runs every strategy for diagnostics
+    this.beatDetectorId = DEFAULT_BEAT_DETECTOR;
+    this._beatDetectors = new Map(); // id -> instance, created on first use
+    this.beatCompareEnabled = false;
+    this._beatCompareHistory = new Map(); // id -> trigger times (ms)
+    this._beatCompareWindowMs = 8000;
 
     this.levels = { rms: 0, rmsEMA: 0, bands: { bass: 0, mid: 0, treble: 0 }, bandsEMA: { bass: 0, mid: 0, treble: 0 }, centroid: 0, centroidEMA: 0 };
 
@@ -169,10 +181,16 @@ export class AudioEngine {
     this._autoBassOnBeats = [];
     this._autoCentroidNegOnBeats = [];
 
-    // File playback timeline tracking (for downbeat gating)
-    this._fileStartCtxTimeSec = 0;
+    // File playback: play/pause/seek/loop and the beat-grid clock (see file-transport.js)
+    this.transport = new FileTransport(this);
     this._fileDurationSec = 0;
 
+    // Per-channel-group features for multi-channel interfaces (see channel-analyser.js)
+    this.channels = new ChannelAnalyser(this);
+
+    // Intro / build / drop / breakdown / outro sections of the playing file (see song-sections.js)
+    this.sections = new SongSections(this);
+
     this.timeDataFloat = null;
 
     this._meydaPromise = null;
@@ -221,6 +239,9 @@ export class AudioEngine {
     this._essentiaReadyResolver = null;
     this._essentiaCurrentJobId = 0;
     this._essentiaPendingJobId = 0;
+    this._essentiaPrepareSeq = 0;
+    this._essentiaPrepareJobs = new Map(); // analyzeBuffer() job id -> resolve
+    this._trackSwitchSeq = 0; // bumped per playBuffer()/stop(); cancels a pending delayed hand-over
     this.beatGrid = {
       bpm: 0,
       confidence: 0,
@@ -256,6 +277,14 @@ export class AudioEngine {
     this._liveBuffer = null; // Float32Array ring buffer (mono)
     this._liveBufferWrite = 0;
     this._liveBufferFilled = 0;
+    this._liveBufferUpdatedMs = 0; // _now() when the newest sample was appended
+    // Bar phase for live input from bass accents + chroma changes (files use the beat grid)
+    this.downbeatEstimator = new LiveDownbeatEstimator(this);
+    // Key (major/minor) and chord changes from the Meyda chroma (see key-detector.js)
+    this.keyDetector = new KeyDetector();
+
+    // Offline (frame-exact) analysis session, see beginOfflineAnalysis()
+    this._offline = null;
 
     // Webcam feature removed
   }
@@ -363,7 +392,9 @@ export class AudioEngine {
         deviceId: deviceId ? { exact: deviceId } : undefined, // Use specific device or default
         echoCancellation: false,   // Disabled for music analysis
         noiseSuppression: false,    // Disabled for music analysis
-        autoGainControl: false      // Disabled for music analysis
+        autoGainControl: false,     // Disabled for music analysis
+        // Multi-channel mode needs the interface's separate inputs, not a stereo downmix
+        channelCount: this.channels.enabled ? { ideal: MAX_INPUT_CHANNELS } : undefined,
       } 
     };
     
@@ -446,46 +477,235 @@ export class AudioEngine {
   /**
    * Load and play an audio file.
    * 
-   * Decodes the audio file, creates a looping AudioBufferSourceNode,
+   * Decodes the audio file, hands it to the transport (looping playback from the top),
    * and triggers BPM estimation and Essentia analysis in the background.
    * 
    * @param {File} file - The audio file to load
    * @returns {Promise<void>} Resolves when file is loaded and playing
    */
   async loadFile(file) {
+    const audioBuf = await this.decodeFile(file);
+    await this.playBuffer(audioBuf, { name: file?.name || '' });
+  }
+
+  /**
+   * Decodes an audio file without touching playback (the playlist decodes the next track ahead).
+   * @param {File|Blob} file
+   * @returns {Promise<AudioBuffer>}
+   */
+  async decodeFile(file) {
     await this.ensureContext();
-    this.stop(); // Stop any existing audio
-    
-    // Decode the audio file into an AudioBuffer
     const arrayBuf = await file.arrayBuffer();
-    const audioBuf = await this.ctx.decodeAudioData(arrayBuf);
-    
-    // Create a buffer source node and start looping playback
-    const src = this.ctx.createBufferSource();
-    src.buffer = audioBuf;
-    src.loop = true;        // Loop the audio
-    src.start(0);           // Start immediately
-    src.connect(this.gainNode);
+    return this.ctx.decodeAudioData(arrayBuf);
+  }
+
+  /**
+   * Plays a decoded buffer as the file source.
+   *
+   * With crossfadeSec or delaySec and a file already playing, the new track is mixed in on
+   * the audio clock (see FileTransport.crossfadeTo) instead of cutting the old one; with
+   * both 0 that makes a gapless hand-over. Otherwise the current source is stopped first.
+   *
+   * @param {AudioBuffer} audioBuf
+   * @param {Object} [options]
+   * @param {string} [options.name] - File name (timeline markers are stored per name)
+   * @param {Object|null} [options.analysis] - Result of analyzeBuffer() for this buffer; applied
+   *   when the track starts instead of analysing again
+   * @param {number} [options.crossfadeSec=0]
+   * @param {number} [options.delaySec=0] - Start this far ahead on the audio clock; the playing
+   *   track keeps its beat grid and sections until then
+   * @returns {Promise<void>}
+   */
+  async playBuffer(audioBuf, { name = '', analysis = null, crossfadeSec = 0, delaySec = 0 } = {}) {
+    await this.ensureContext();
+    const switchSeq = ++this._trackSwitchSeq;
+    const mixIn = (crossfadeSec > 0 || delaySec > 0) && this.isPlayingFile && this.transport.playing && !this._offline;
+    if (mixIn) {
+      this.transport.crossfadeTo(audioBuf, { name, fadeSec: crossfadeSec, delaySec });
+    } else {
+      this.stop(); // Stop any existing audio
+      // The transport creates the buffer source node and starts looping playback
+      this.transport.load(audioBuf, { name });
+    }
     this._ensureGraph();
-    this.source = src;
     this.isPlayingFile = true;
     this.activeStream = null;
     this._lastAudioBuffer = audioBuf; // Store for BPM recalculation
-    // Track playback timeline for downbeat gating
-    this._fileStartCtxTimeSec = this.ctx.currentTime;
     this._fileDurationSec = audioBuf.duration || 0;
 
-    // Fire-and-forget BPM estimation for tempo assist
-    // This runs in the background and updates bpmEstimate when done
-    this._estimateBpmFromBuffer(audioBuf).catch(() => {});
+    const startAnalysis = () => {
+      if (analysis) {
+        this._essentiaCurrentJobId += 1; // drop any result still pending for the previous track
+        this._applyEssentiaResult(analysis);
+        return;
+      }
+      // The previous track's grid would put the bar lines in the wrong place until analysis lands
+      this.beatGrid = { bpm: 0, confidence: 0, beatTimes: [], downbeats: [], loudness: null, source: null, updatedAt: performance.now() };
+      this.sections.setStructure(null);
+
+      // Fire-and-forget BPM estimation for tempo assist
+      // This runs in the background and updates bpmEstimate when done
+      this._estimateBpmFromBuffer(audioBuf).catch(() => {});
+
+      // Run Essentia analysis for beat grid detection
+      // This provides precise beat tracking and tempo information
+      this._runEssentiaAnalysis(audioBuf).catch((err) => {
+        console.warn('Essentia analysis failed', err);
+      });
+    };
+    // The old track's bars and sections stay in charge until the new one is actually heard
+    const waitSec = mixIn ? Math.max(0, Number(delaySec) || 0) : 0;
+    if (waitSec > 0) {
+      setTimeout(() => { if (switchSeq === this._trackSwitchSeq) startAnalysis(); }, waitSec * 1000);
+    } else {
+      startAnalysis();
+    }
+  }
 
-    // Run Essentia analysis for beat grid detection
-    // This provides precise beat tracking and tempo information
-    this._runEssentiaAnalysis(audioBuf).catch((err) => {
-      console.warn('Essentia analysis failed', err);
+  /**
+   * Runs the Essentia beat-grid analysis on a buffer without applying it, so a track can be
+   * analysed before it plays. Pass the result to playBuffer({ analysis }).
+   * @param {AudioBuffer} buffer
+   * @returns {Promise<Object|null>} Raw analysis ({ bpm, confidence, beatTimes, downbeats, ... }) or null
+   */
+  async analyzeBuffer(buffer) {
+    try {
+      await this._initEssentiaWorker();
+    } catch (_) {
+      return null;
+    }
+    const worker = this._essentiaWorker;
+    const mono = worker ? this._extractMonoBuffer(buffer) : null;
+    if (!mono) return null;
+    const jobId = `prepare-${++this._essentiaPrepareSeq}`;
+    return new Promise((resolve) => {
+      this._essentiaPrepareJobs.set(jobId, resolve);
+      try {
+        worker.postMessage({
+          type: 'analyze',
+          jobId,
+          payload: { sampleRate: buffer.sampleRate, duration: buffer.duration, channelData: mono },
+        }, [mono.buffer]);
+      } catch (err) {
+        console.warn('Failed to post Essentia job', err);
+        this._essentiaPrepareJobs.delete(jobId);
+        resolve(null);
+      }
+    });
+  }
+
+  // Settles analyzeBuffer() calls that can no longer get a result (worker failed or stopped)
+  _settlePrepareJobs(jobId = null) {
+    this._essentiaPrepareJobs.forEach((resolve, id) => {
+      if (jobId != null && id !== jobId) return;
+      this._essentiaPrepareJobs.delete(id);
+      resolve(null);
     });
   }
 
+  /**
+   * Switches analysis to a decoded buffer for frame-exact offline rendering.
+   *
+   * While active, update() reads from an OfflineAnalyser positioned with
+   * setOfflineTime(), and every timing decision (beat refractory, quantize grid,
+   * drops, onsets) follows that clock instead of performance.now(). The audio
+   * context is suspended so live playback doesn't advance underneath the render.
+   * Call endOfflineAnalysis() to restore the live graph.
+   *
+   * @param {AudioBuffer} buffer - Decoded audio (usually this._lastAudioBuffer)
+   * @returns {Promise<void>} Resolves once Meyda/Aubio are ready so the first frames aren't missing features
+   */
+  async beginOfflineAnalysis(buffer) {
+    if (!buffer) throw new Error('No audio buffer to analyze');
+    if (this._offline) this.endOfflineAnalysis();
+    await this.ensureContext();
+    const ctxState = this.ctx.state; // a context the user had suspended stays suspended afterwards
+    try { await this.ctx.suspend(); } catch (_) {}
+    await Promise.all([this._ensureMeydaLoaded(), this._ensureAubioLoaded()]).catch(() => {});
+
+    this._offline = {
+      analyser: new OfflineAnalyser(buffer, {
+        fftSize: this.fftSize,
+        smoothingTimeConstant: this.analyser?.smoothingTimeConstant ?? 0.5,
+        gain: this.gainNode?.gain?.value ?? 1,
+      }),
+      baseMs: performance.now(),
+      timeSec: 0,
+      saved: {
+        analyser: this.analyser,
+        workletEnabled: this.workletEnabled,
+        isPlayingFile: this.isPlayingFile,
+        fileDurationSec: this._fileDurationSec,
+        ctxState,
+      },
+    };
+    this.analyser = this._offline.analyser;
+    this.workletEnabled = false; // worklet frames come from the live graph
+    this.isPlayingFile = true;
+    this._fileDurationSec = buffer.duration || 0;
+    this._resetAnalysisState();
+  }
+
+  /**
+   * Positions the offline analysis window so the next update() sees audio ending at timeSec.
+   * @param {number} timeSec - Position in the buffer, in seconds
+   */
+  setOfflineTime(timeSec) {
+    if (!this._offline) return;
+    this._offline.timeSec = Math.max(0, timeSec || 0);
+    this._offline.analyser.seek(this._offline.timeSec);
+  }
+
+  /** Restores live analysis after beginOfflineAnalysis() */
+  endOfflineAnalysis() {
+    const session = this._offline;
+    if (!session) return;
+    this._offline = null;
+    this.analyser = session.saved.analyser;
+    this.workletEnabled = session.saved.workletEnabled;
+    this.isPlayingFile = session.saved.isPlayingFile;
+    this._fileDurationSec = session.saved.fileDurationSec;
+    this._resetAnalysisState();
+    if (session.saved.ctxState === 'running') {
+      try { this.ctx?.resume().catch(() => {}); } catch (_) {}
+    }
+  }
+
+  /** True while an offline render owns the analyser */
+  isOfflineAnalysisActive() {
+    return !!this._offline;
+  }
+
+  // Clock for feature timing: real time live, the render position offline
+  _now() {
+    const session = this._offline;
+    return session ? session.baseMs + session.timeSec * 1000 : performance.now();
+  }
+
+  // Drop history that would otherwise leak between the live and offline timelines
+  _resetAnalysisState() {
+    this.prevMag = null;
+    this.fluxHistory = [];
+    this._prevMagBass = null;
+    this.bassFluxHistory = [];
+    this._beatDetectors.forEach((detector) => detector.reset());
+    this._beatCompareHistory.clear();
+    this.downbeatEstimator.reset();
+    this.keyDetector.reset();
+    this._lastDropMs = -99999;
+    this._lastQuantizeMs = this._now();
+    this._beatIndexForDrop = -1;
+    this._buildBeats = 0;
+    this._buildLevel = 0;
+    this._meydaLastExtract = 0;
+    this.aubioFeatures.lastOnsetMs = 0;
+    if (this._autoThrStartMs) this._autoThrStartMs = this._now();
+    // Recreate Aubio detectors so their internal history starts clean
+    this._aubio = { onset: null, tempo: null, pitch: null };
+    this._aubioConfiguredSampleRate = null;
+    this._aubioQueue.length = 0;
+  }
+
   /**
    * Stops all audio playback and capture.
    * 
@@ -494,7 +714,9 @@ export class AudioEngine {
    * Does not clear BPM estimate (allows UI to still show last known value).
    */
   stop() {
+    this._trackSwitchSeq += 1;
     // Stop audio file playback if active
+    this.transport.unload();
     try {
       if (this.source && this.source.stop) {
         this.source.stop();
@@ -510,8 +732,9 @@ export class AudioEngine {
     this.source = null;
     this.activeStream = null;
     this.isPlayingFile = false;
-    this._fileStartCtxTimeSec = 0;
     this._fileDurationSec = 0;
+    this.downbeatEstimator.reset(); // the next source starts a new bar count
+    this.keyDetector.reset();
     
     // Reset worklet state
     if (this.workletNode) {
@@ -527,6 +750,7 @@ export class AudioEngine {
       this._essentiaReady = false;
       this._essentiaReadyPromise = null;
       this._essentiaReadyResolver = null;
+      this._settlePrepareJobs();
     }
 
     // Don't clear BPM immediately; allow UI to still show last known value
@@ -598,6 +822,44 @@ export class AudioEngine {
     // Keep legacy field in sync for presets/loaders referring to beatCooldown
     this.beatCooldownMs = v;
   }
+  /**
+   * Selects the beat detector strategy (see beat-detectors.js). Saved per preset.
+   * @param {string} id - e.g. 'combined', 'flux', 'bass', 'aubio', 'comb', 'grid'
+   * @returns {boolean} false for an unknown id
+   */
+  setBeatDetector(id) {
+    if (!getBeatDetector(id)) return false;
+    if (id !== this.beatDetectorId && !this.beatCompareEnabled) {
+      // Its history went stale while another detector was running
+      this._beatDetectors.get(id)?.reset();
+    }
+    this.beatDetectorId = id;
+    return true;
+  }
+  /** Runs every registered detector each frame and records their triggers (getBeatDiagnostics) */
+  setBeatCompareEnabled(enabled) {
+    this.beatCompareEnabled = !!enabled;
+    this._beatCompareHistory.clear();
+    if (this.beatCompareEnabled) this._beatDetectors.forEach((detector) => detector.reset());
+  }
+  /**
+   * Trigger times of every detector over the last few seconds, for the comparison plot.
+   * @returns {{nowMs: number, windowMs: number, selected: string, rows: Array<{id, label, times: number[], bpm: number}>}}
+   */
+  getBeatDiagnostics() {
+    const nowMs = this._now();
+    return {
+      nowMs,
+      windowMs: this._beatCompareWindowMs,
+      selected: this.beatDetectorId,
+      rows: getBeatDetectors().map((def) => ({
+        id: def.id,
+        label: def.label,
+        times: (this._beatCompareHistory.get(def.id) || []).slice(),
+        bpm: this._beatDetectors.get(def.id)?.bpm || 0,
+      })),
+    };
+  }
   /** @deprecated Use setBeatRefractory */
   setBeatCooldown(ms) { this.setBeatRefractory(ms); }
   /**
@@ -635,7 +897,7 @@ export class AudioEngine {
     this._autoThrApplied = false;
     this._autoBassOnBeats = [];
     this._autoCentroidNegOnBeats = [];
-    this._autoThrStartMs = performance.now();
+    this._autoThrStartMs = this._now();
   }
 
   /**
@@ -787,6 +1049,7 @@ export class AudioEngine {
     } else {
       this.gainNode.connect(this.analyser);
     }
+    this.channels.attach(this.gainNode);
   }
 
   async _maybeInitWorklet() {
@@ -1152,6 +1415,36 @@ export class AudioEngine {
     }
     this._liveBufferWrite = w;
     this._liveBufferFilled = Math.min(N, this._liveBufferFilled + samples.length);
+    this._liveBufferUpdatedMs = this._now();
+  }
+
+  /**
+   * Copies the live buffer between two _now() timestamps (the newest sample is taken to be
+   * at the time of the last append).
+   * @returns {Float32Array|null} null when that span is not (or no longer) in the buffer
+   */
+  readLiveSamples(fromMs, toMs) {
+    const ring = this._liveBuffer;
+    if (!ring || !this._liveBufferFilled || !(toMs > fromMs)) return null;
+    const sr = this.sampleRate || 44100;
+    const endAgo = Math.round(((this._liveBufferUpdatedMs - toMs) / 1000) * sr);
+    const len = Math.round(((toMs - fromMs) / 1000) * sr);
+    if (endAgo < 0 || endAgo + len > this._liveBufferFilled) return null;
+    const R = ring.length;
+    const out = new Float32Array(len);
+    let idx = this._liveBufferWrite - endAgo - len;
+    while (idx < 0) idx += R;
+    for (let i = 0; i < len; i++) {
+      out[i] = ring[idx];
+      idx += 1;
+      if (idx >= R) idx = 0;
+    }
+    return out;
+  }
+
+  /** "This is the one": realigns the live bar count so the nearest beat is beat 1 */
+  markDownbeat() {
+    this.downbeatEstimator.markDownbeat(this._now());
   }
 
   _buildLiveAudioBuffer(seconds = 12) {
@@ -1295,7 +1588,7 @@ export class AudioEngine {
       if (this._aubio.onset) {
         const onset = this._aubio.onset.do(buffer);
         if (onset) {
-          this.aubioFeatures.lastOnsetMs = performance.now();
+          this.aubioFeatures.lastOnsetMs = this._now();
         }
       }
     } catch (err) {
@@ -1351,6 +1644,7 @@ export class AudioEngine {
     this._essentiaWorker.onerror = (err) => {
       console.error('Essentia worker error', err);
       this._essentiaReady = false;
+      this._settlePrepareJobs();
     };
     try {
       this._essentiaWorker.postMessage({ type: 'init' });
@@ -1377,6 +1671,10 @@ export class AudioEngine {
     if (data.type === 'error') {
       // Keep console details for developers, but show a concise toast to users
       console.warn('Essentia worker error', data.error);
+      if (this._essentiaPrepareJobs.has(data.jobId)) {
+        this._settlePrepareJobs(data.jobId);
+        return;
+      }
       try {
         showToast('Beat grid unavailable (analysis module failed). Playback continues.');
       } catch(_) {}
@@ -1384,6 +1682,12 @@ export class AudioEngine {
     }
     if (data.type === 'result') {
       const { jobId, result } = data;
+      if (this._essentiaPrepareJobs.has(jobId)) {
+        const resolve = this._essentiaPrepareJobs.get(jobId);
+        this._essentiaPrepareJobs.delete(jobId);
+        resolve(result || null);
+        return;
+      }
       if (jobId && jobId === this._essentiaCurrentJobId) {
         this._applyEssentiaResult(result);
       }
@@ -1446,6 +1750,8 @@ export class AudioEngine {
       updatedAt: performance.now(),
       duration: result.duration || 0,
     };
+    // Sections only mean something for a whole track, not the live analysis buffer
+    if (this.isPlayingFile) this.sections.setStructure(result.structure || null);
 
     // Also propagate BPM estimate from analysis so UI updates even if guess() failed.
     const bpm = typeof result.bpm === 'number' && isFinite(result.bpm) ? Math.round(result.bpm) : 0;
@@ -1551,9 +1857,13 @@ export class AudioEngine {
       this._enqueueAubioFrame(aubioCandidate, frameId);
     }
 
-    // If worklet is unavailable, still accumulate a best-effort live buffer
-    if (!this.workletEnabled && bufferForAnalysis) {
-      this._appendToLiveBuffer(bufferForAnalysis);
+    // If worklet is unavailable, still accumulate a best-effort live buffer. Analyser frames
+    // overlap from one update to the next, so only the samples newer than the last append go in
+    if (!this.workletEnabled && bufferForAnalysis && !this._offline) {
+      const len = bufferForAnalysis.length;
+      const elapsedMs = this._liveBufferFilled ? this._now() - this._liveBufferUpdatedMs : Infinity;
+      const fresh = Math.min(len, Math.round((elapsedMs / 1000) * (this.sampleRate || 44100)));
+      if (fresh > 0) this._appendToLiveBuffer(bufferForAnalysis.subarray(len - fresh));
     }
 
     if (!result) return this.meydaFeatures;
@@ -1702,13 +2012,19 @@ export class AudioEngine {
     return flux;
   }
 
+  /**
+   * Position within the playing file in seconds (wraps when the file or loop region loops).
+   * Frozen while the transport is paused.
+   * @returns {number|null} null when no file is playing
+   */
+  getPlaybackTimeSeconds() {
+    return this._getPlaybackTimeSeconds();
+  }
+
   _getPlaybackTimeSeconds() {
-    if (!this.isPlayingFile || !this.ctx) return null;
-    const dur = this._fileDurationSec || 0;
-    if (!(dur > 0)) return null;
-    const t = (this.ctx.currentTime - (this._fileStartCtxTimeSec || 0));
-    if (!(t >= 0)) return null;
-    return t % dur;
+    if (this._offline) return this._offline.timeSec;
+    if (!this.isPlayingFile) return null;
+    return this.transport.getTime();
   }
 
   _isNearDownbeat(nowSec, toleranceMs = 80) {
@@ -1735,21 +2051,35 @@ export class AudioEngine {
     return arr[idx];
   }
 
-  _detectBeat(flux, bands) {
-    if (this.fluxHistory.length < 5) return false;
-    const now = performance.now();
-    const refractory = Number.isFinite(this.beatRefractoryMs) && this.beatRefractoryMs > 0 ? this.beatRefractoryMs : this.beatCooldownMs;
-    if (now - this._lastBeatMs < refractory) return false;
-    // Energy gate: require sufficient bass envelope to accept any beat.
-    const bassEnv = bands && bands.env ? (bands.env.bass ?? 0) : 0;
-    if (bassEnv < (this.beatEnergyFloor ?? 0)) return false;
-    // Adaptive threshold: mean + k*std
-    const mean = this.fluxHistory.reduce((a,b)=>a+b,0) / this.fluxHistory.length;
-    const variance = this.fluxHistory.reduce((a,b)=>a+(b-mean)*(b-mean),0) / this.fluxHistory.length;
-    const std = Math.sqrt(variance);
-    const threshold = mean + std * (0.8 + 0.8 * this.sensitivity); // sensitivity 0..2
-    if (flux > threshold) { this._lastBeatMs = now; return true; }
-    return false;
+  _getBeatDetectorInstance(id) {
+    let detector = this._beatDetectors.get(id);
+    if (!detector) {
+      const def = getBeatDetector(id) || getBeatDetector(DEFAULT_BEAT_DETECTOR);
+      detector = def.create();
+      this._beatDetectors.set(id, detector);
+    }
+    return detector;
+  }
+
+  // Asks the selected detector (compare mode: all of them) whether this frame is a beat
+  _detectBeat(frame) {
+    const selected = this._getBeatDetectorInstance(this.beatDetectorId);
+    if (!this.beatCompareEnabled) {
+      const beat = !!selected.detect(frame);
+      return { beat, onset: beat && !!selected.onset };
+    }
+    let result = { beat: false, onset: false };
+    const cutoff = frame.nowMs - this._beatCompareWindowMs;
+    for (const def of getBeatDetectors()) {
+      const detector = this._getBeatDetectorInstance(def.id);
+      const beat = !!detector.detect(frame);
+      const times = this._beatCompareHistory.get(def.id) || [];
+      if (beat) times.push(frame.nowMs);
+      while (times.length && times[0] < cutoff) times.shift();
+      this._beatCompareHistory.set(def.id, times);
+      if (detector === selected) result = { beat, onset: beat && !!detector.onset };
+    }
+    return result;
   }
 
   /**
@@ -1804,10 +2134,9 @@ export class AudioEngine {
     const fluxFromWorklet = this._consumeWorkletFlux();
     const flux = fluxFromWorklet ?? this._computeFlux(this.freqData);
     const bassFlux = this._computeBassFlux(this.freqData);
-    let beat = this._detectBeat(flux, bands);
 
     // Live tempo assist: prefer file BPM; else use Aubio tempo for live sources
-    const now = performance.now();
+    const now = this._now();
     if (this.tempoAssistEnabled) {
       if (this.isPlayingFile) {
         // keep bpmEstimate from file analysis if available
@@ -1838,7 +2167,8 @@ export class AudioEngine {
     const gridInterval = (this.tapQuantizeEnabled && this.tapTempoIntervalMs > 0)
       ? this.tapTempoIntervalMs
       : (this.tempoAssistEnabled && this.tempoIntervalMs > 0 ? this.tempoIntervalMs : 0);
-    if (gridInterval > 0) {
+    const filePaused = this.isPlayingFile && !this._offline && !this.transport.playing;
+    if (gridInterval > 0 && !filePaused) {
       if (now - this._lastQuantizeMs >= gridInterval) {
         const steps = Math.floor((now - this._lastQuantizeMs) / gridInterval);
         this._lastQuantizeMs += steps * gridInterval;
@@ -1846,15 +2176,31 @@ export class AudioEngine {
       }
     }
 
+    const aubioOnsetPulse = this.aubioFeatures.lastOnsetMs > 0 && (now - this.aubioFeatures.lastOnsetMs) < 150;
+    const transportPosition = this.isPlayingFile ? this.transport.getPosition() : null;
+    const detection = this._detectBeat({
+      nowMs: now,
+      flux,
+      fluxHistory: this.fluxHistory,
+      bassFlux,
+      bassFluxHistory: this.bassFluxHistory,
+      bands,
+      rms,
+      sensitivity: this.sensitivity,
+      refractoryMs: Number.isFinite(this.beatRefractoryMs) && this.beatRefractoryMs > 0 ? this.beatRefractoryMs : this.beatCooldownMs,
+      energyFloor: this.beatEnergyFloor ?? 0,
+      gridBeat: quantBeat,
+      aubioOnsetMs: this.aubioFeatures.lastOnsetMs,
+      transport: transportPosition,
+    });
+    const beat = detection.beat;
+
     // Align detected onsets to grid by resetting phase on real beat
-    if (beat && gridInterval > 0) {
+    if (detection.onset && gridInterval > 0) {
       this._lastQuantizeMs = now;
       // Reset bar phase so the next quantized beat is treated as downbeat for gating
       if (this.dropBarGatingEnabled) this._beatIndexForDrop = -1;
     }
-    const aubioOnsetPulse = this.aubioFeatures.lastOnsetMs > 0 && (now - this.aubioFeatures.lastOnsetMs) < 150;
-
-    beat = beat || quantBeat || aubioOnsetPulse;
 
     // Smooth
     const a = this.smoothing; const inv = 1 - a;
@@ -1866,6 +2212,17 @@ export class AudioEngine {
 
     const meyda = this._maybeRunMeyda(now);
 
+    // Live bar phase; a file with a beat grid has true downbeats already
+    const liveBar = transportPosition?.source === 'grid'
+      ? null
+      : this.downbeatEstimator.update({ nowMs: now, beat, chroma: meyda.chroma, bpm: this.tapBpm || this.bpmEstimate || 0 });
+
+    const harmony = this.keyDetector.update({ nowMs: now, chroma: meyda.chroma });
+
+    // Song sections of the playing file; a known drop replaces the live drop detector
+    const song = transportPosition ? this.sections.update(transportPosition) : null;
+    const structuredDrops = !!song && this.sections.hasDrops();
+
     // Build/Drop detection (beat-aware)
     let drop = false;
     let isBuilding = false;
@@ -1913,7 +2270,7 @@ export class AudioEngine {
           isBuilding = this._buildBeats > 0;
         }
 
-        const nowMs = performance.now();
+        const nowMs = this._now();
         const canDrop = (nowMs - this._lastDropMs) > this.dropCooldownMs;
         let passesGating = true;
         if (this.dropBarGatingEnabled) {
@@ -1921,20 +2278,26 @@ export class AudioEngine {
             const nowSec = this._getPlaybackTimeSeconds();
             passesGating = nowSec !== null && nowSec !== undefined ? this._isNearDownbeat(nowSec, this.dropDownbeatGateToleranceMs) : false;
           } else {
-            passesGating = (this._beatIndexForDrop === 0);
+            passesGating = liveBar?.reliable ? liveBar.beatInBar === 0 : (this._beatIndexForDrop === 0);
           }
         }
-        if (canDrop && this._buildBeats >= this.dropMinBeats && passesGating) {
+        if (!structuredDrops && canDrop && this._buildBeats >= this.dropMinBeats && passesGating) {
           if (centroidSlope < -this.dropCentroidSlopeThresh && (bands.env?.bass ?? 0) > this.dropBassThresh) {
             drop = true; this._lastDropMs = nowMs; this._buildBeats = 0; isBuilding = false;
           }
         }
       }
+      if (structuredDrops) {
+        isBuilding = song.section.label === 'build';
+        if (song.entered && song.section.label === 'drop') {
+          drop = true; this._lastDropMs = this._now(); this._buildBeats = 0;
+        }
+      }
       this._buildLevel = buildLevel; this._centroidSlopeEma = centroidSlope;
       // Apply adaptive thresholds once warmup window passes
       if (this.autoDropThresholdsEnabled && !this._autoThrApplied) {
-        const started = this._autoThrStartMs || (this._autoThrStartMs = performance.now());
-        if (performance.now() - started >= this.autoDropCalDurationMs) {
+        const started = this._autoThrStartMs || (this._autoThrStartMs = this._now());
+        if (this._now() - started >= this.autoDropCalDurationMs) {
           if (this._autoBassOnBeats.length >= 6) {
             const p70 = this._percentile(this._autoBassOnBeats, 0.70);
             this.dropBassThresh = this._clamp(p70, 0.35, 0.85);
@@ -1979,6 +2342,23 @@ export class AudioEngine {
       aubioTempoConf: this.aubioFeatures.tempoConf,
       aubioOnset: aubioOnsetPulse,
       beatGrid: this.beatGrid,
+      // Bar / beat / phase from the file transport; null for live sources
+      transport: transportPosition,
+      // Estimated bar position for live input (null while a file's beat grid is in charge)
+      liveBar,
+      // Detected key and chord ({ name, fifths, confidence, ... }; null until recognised)
+      key: harmony.key,
+      chord: harmony.chord,
+      chordChange: harmony.chordChange,
+      // Current song section of the playing file (null without a structure or for live sources)
+      section: song ? song.section : null,
+      sectionProgress: song ? song.sectionProgress : 0,
+      nextSectionInBars: song ? song.nextSectionInBars : null,
+      // Per-group rms / bands / onset in multi-channel mode (null when off or rendering offline)
+      channels: this._offline ? null : this.channels.update(this._now()),
+      // Raw analyser bytes (the engine's own arrays, refilled every frame; not sent to receivers or tapes)
+      freqData: this.freqData,
+      timeData: this.timeData,
     };
   }
 }
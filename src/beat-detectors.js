@@ -0,0 +1,339 @@
+/**
+ * Beat Detector Strategies
+ *
+ * AudioEngine.update() asks one detector per frame whether this frame is a beat. Each
+ * strategy is registered here; the engine picks one by id (setBeatDetector, saved per
+ * preset) and in compare mode runs all of them side by side for the diagnostics plot.
+ *
+ *   registerBeatDetector({ id, label, description, create })
+ *
+ * create() returns an instance with:
+ *
+ *   detect(frame) -> boolean   called once per analysis frame
+ *   reset()                    history is stale (source change, offline render, re-selected)
+ *   onset                      true when the last beat came from the audio itself rather than
+ *                              a grid; the engine re-phases the tap / tempo grid on those
+ *   bpm                        optional tempo estimate, shown in the diagnostics
+ *
+ * frame: { nowMs, flux, fluxHistory, bassFlux, bassFluxHistory, bands, rms, sensitivity,
+ *          refractoryMs, energyFloor, gridBeat, aubioOnsetMs, transport }
+ *
+ * - gridBeat      the tap / tempo-assist grid ticked this frame
+ * - aubioOnsetMs  time of Aubio's latest onset (0 = none yet)
+ * - transport     file transport position (FileTransport.getPosition()) or null
+ *
+ * 'combined' is the original behaviour (flux OR grid OR Aubio onset) and stays the default
+ * so existing presets keep their feel; its OR-ing double-triggers on busy material.
+ */
+
+const detectors = new Map();
+
+export const DEFAULT_BEAT_DETECTOR = 'combined';
+
+/**
+ * @param {{id: string, label?: string, description?: string, create: () => Object}} definition
+ * @returns {Object} the normalized definition
+ */
+export function registerBeatDetector(definition) {
+  const id = String(definition?.id || '').trim();
+  if (!id) throw new Error('Beat detector needs an id');
+  if (typeof definition.create !== 'function') throw new Error(`Beat detector "${id}" must provide create()`);
+  const normalized = {
+    id,
+    label: String(definition.label || id),
+    description: String(definition.description || ''),
+    create: definition.create,
+  };
+  detectors.set(id, normalized);
+  return normalized;
+}
+
+export function getBeatDetectors() {
+  return Array.from(detectors.values());
+}
+
+export function getBeatDetector(id) {
+  return detectors.get(id) || null;
+}
+
+function meanStd(values) {
+  if (!values.length) return { mean: 0, std: 0 };
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.reduce((a, b) => a + (b - mean) * (b - mean), 0) / values.length;
+  return { mean, std: Math.sqrt(variance) };
+}
+
+// -----------------
+// Built-in strategies
+// -----------------
+
+/** Full-spectrum flux above an adaptive mean + k·std threshold (the original _detectBeat) */
+class FluxDetector {
+  constructor() { this.reset(); }
+
+  reset() {
+    this._lastBeatMs = -99999;
+    this.onset = false;
+  }
+
+  detect(f) {
+    this.onset = false;
+    if (f.fluxHistory.length < 5) return false;
+    if (f.nowMs - this._lastBeatMs < f.refractoryMs) return false;
+    // Energy gate: require sufficient bass envelope to accept any beat
+    const bassEnv = f.bands?.env?.bass ?? 0;
+    if (bassEnv < (f.energyFloor ?? 0)) return false;
+    const { mean, std } = meanStd(f.fluxHistory);
+    const threshold = mean + std * (0.8 + 0.8 * f.sensitivity); // sensitivity 0..2
+    if (f.flux <= threshold) return false;
+    this._lastBeatMs = f.nowMs;
+    this.onset = true;
+    return true;
+  }
+}
+
+/** Flux of the bass band only, on a rising bass envelope: kicks, not hats and snares */
+class BassDetector {
+  constructor() { this.reset(); }
+
+  reset() {
+    this._lastBeatMs = -99999;
+    this._prevBass = 0;
+    this.onset = false;
+  }
+
+  detect(f) {
+    this.onset = false;
+    const bassEnv = f.bands?.env?.bass ?? 0;
+    const rising = bassEnv > this._prevBass;
+    this._prevBass = bassEnv;
+    if (f.bassFluxHistory.length < 8) return false;
+    if (f.nowMs - this._lastBeatMs < f.refractoryMs) return false;
+    if (!rising || bassEnv < Math.max(0.1, f.energyFloor ?? 0)) return false;
+    const { mean, std } = meanStd(f.bassFluxHistory);
+    const k = 2.2 - 0.6 * f.sensitivity;
+    if (f.bassFlux <= mean + k * Math.max(std, 1e-4)) return false;
+    this._lastBeatMs = f.nowMs;
+    this.onset = true;
+    return true;
+  }
+}
+
+/** Aubio's onset detector, one beat per onset (the combined mode holds it for 150 ms) */
+class AubioDetector {
+  constructor() { this.reset(); }
+
+  reset() {
+    this._seenOnsetMs = null;
+    this._lastBeatMs = -99999;
+    this.onset = false;
+  }
+
+  detect(f) {
+    this.onset = false;
+    const onsetMs = f.aubioOnsetMs || 0;
+    if (this._seenOnsetMs === null) {
+      this._seenOnsetMs = onsetMs; // don't fire for an onset from before the reset
+      return false;
+    }
+    if (onsetMs <= this._seenOnsetMs) return false;
+    this._seenOnsetMs = onsetMs;
+    if (f.nowMs - this._lastBeatMs < f.refractoryMs) return false;
+    this._lastBeatMs = f.nowMs;
+    this.onset = true;
+    return true;
+  }
+}
+
+const COMB_BIN_MS = 10;
+const COMB_WINDOW_BINS = 600; // 6 s of onset strength
+const COMB_MIN_BPM = 70;
+const COMB_MAX_BPM = 180;
+const COMB_REESTIMATE_MS = 250;
+const COMB_HARMONICS = 3;
+const COMB_LATE_MS = 40;
+
+/**
+ * Comb-filter tempo tracker. Onset strength (flux above its running mean) is binned at
+ * 100 Hz; every 250 ms a comb of 3 pulses scores each period between 70 and 180 BPM
+ * (weighted towards 120 against octave errors) and then each phase of the winner. Beats are
+ * predicted from that period and phase, so it keeps time through breakdowns and never
+ * fires twice for one beat.
+ */
+class CombDetector {
+  constructor() { this.reset(); }
+
+  reset() {
+    this._env = new Float32Array(COMB_WINDOW_BINS);
+    this._lastBin = -1;
+    this._filled = 0;
+    this._periodBins = 0;
+    this._nextBeatMs = 0;
+    this._lastFireMs = -99999;
+    this._lastEstimateMs = 0;
+    this.bpm = 0;
+    this.onset = false;
+  }
+
+  detect(f) {
+    this.onset = false;
+    const { mean } = meanStd(f.fluxHistory);
+    this._push(f.nowMs, Math.max(0, (f.flux || 0) - mean));
+    if (f.nowMs - this._lastEstimateMs >= COMB_REESTIMATE_MS && this._filled >= COMB_WINDOW_BINS / 2) {
+      this._lastEstimateMs = f.nowMs;
+      this._estimate(f.nowMs);
+    }
+    if (!this._periodBins || !this._nextBeatMs) return false;
+    const periodMs = this._periodBins * COMB_BIN_MS;
+    // Drop predictions that are already too late to fire (re-estimate, tab hidden)
+    while (f.nowMs - this._nextBeatMs > COMB_LATE_MS) this._nextBeatMs += periodMs;
+    if (f.nowMs < this._nextBeatMs - COMB_BIN_MS) return false;
+    this._nextBeatMs += periodMs;
+    if (f.nowMs - this._lastFireMs < periodMs * 0.6) return false;
+    this._lastFireMs = f.nowMs;
+    return true;
+  }
+
+  // Writes into the 10 ms bin for nowMs; bins skipped between frames are zeroed
+  _push(nowMs, value) {
+    const bin = Math.floor(nowMs / COMB_BIN_MS);
+    if (this._lastBin < 0 || bin - this._lastBin > COMB_WINDOW_BINS || bin < this._lastBin) {
+      this._env.fill(0);
+      this._filled = 0;
+      this._lastBin = bin - 1;
+    }
+    for (let b = this._lastBin + 1; b <= bin; b++) {
+      this._env[b % COMB_WINDOW_BINS] = 0;
+      this._filled = Math.min(COMB_WINDOW_BINS, this._filled + 1);
+    }
+    const slot = bin % COMB_WINDOW_BINS;
+    this._env[slot] = Math.max(this._env[slot], value);
+    this._lastBin = bin;
+  }
+
+  // Value `ago` bins before the newest one (0 outside the window)
+  _at(ago) {
+    if (ago < 0 || ago >= this._filled) return 0;
+    return this._env[(this._lastBin - ago + COMB_WINDOW_BINS * 2) % COMB_WINDOW_BINS];
+  }
+
+  _estimate(nowMs) {
+    const minLag = Math.round(60000 / COMB_MAX_BPM / COMB_BIN_MS);
+    const maxLag = Math.round(60000 / COMB_MIN_BPM / COMB_BIN_MS);
+    const n = this._filled;
+    let bestLag = 0;
+    let bestScore = 0;
+    let total = 0;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      let score = 0;
+      for (let k = 1; k <= COMB_HARMONICS; k++) {
+        const shift = lag * k;
+        for (let t = 0; t + shift < n; t++) score += this._at(t) * this._at(t + shift);
+      }
+      const bpm = 60000 / (lag * COMB_BIN_MS);
+      const prior = Math.exp(-0.5 * Math.pow(Math.log2(bpm / 120) / 0.9, 2));
+      score *= prior;
+      total += score;
+      if (score > bestScore) { bestScore = score; bestLag = lag; }
+    }
+    const lags = maxLag - minLag + 1;
+    // A flat comb response means no periodicity (silence, ambient); keep the old estimate
+    if (!bestLag || bestScore <= (total / lags) * 1.15) return;
+
+    let bestPhase = 0;
+    let bestPhaseScore = -1;
+    for (let phase = 0; phase < bestLag; phase++) {
+      let score = 0;
+      for (let k = 0; k <= COMB_HARMONICS; k++) {
+        const ago = phase + k * bestLag;
+        score += Math.max(this._at(ago - 1), this._at(ago), this._at(ago + 1));
+      }
+      if (score > bestPhaseScore) { bestPhaseScore = score; bestPhase = phase; }
+    }
+    this._periodBins = bestLag;
+    this.bpm = Math.round(60000 / (bestLag * COMB_BIN_MS));
+    // The latest beat itself if it is recent enough to still fire (detect() skips it otherwise)
+    this._nextBeatMs = nowMs - bestPhase * COMB_BIN_MS;
+  }
+}
+
+/** Beats from the file beat grid while a file plays, else the tap / tempo-assist grid only */
+class GridDetector {
+  constructor() { this.reset(); }
+
+  reset() {
+    this._lastBeat = null;
+    this.onset = false;
+  }
+
+  detect(f) {
+    const pos = f.transport;
+    if (pos && pos.playing && pos.source !== 'none') {
+      const beat = Math.floor(pos.beatPosition);
+      const changed = this._lastBeat !== null && beat !== this._lastBeat;
+      this._lastBeat = beat;
+      this.bpm = pos.bpm || 0;
+      return changed;
+    }
+    this._lastBeat = null;
+    this.bpm = 0;
+    return !!f.gridBeat;
+  }
+}
+
+/** The original OR of flux, grid ticks and a 150 ms Aubio onset window */
+class CombinedDetector {
+  constructor() {
+    this._flux = new FluxDetector();
+    this.reset();
+  }
+
+  reset() {
+    this._flux.reset();
+    this.onset = false;
+  }
+
+  detect(f) {
+    const fluxBeat = this._flux.detect(f);
+    this.onset = fluxBeat;
+    const aubioPulse = f.aubioOnsetMs > 0 && (f.nowMs - f.aubioOnsetMs) < 150;
+    return fluxBeat || !!f.gridBeat || aubioPulse;
+  }
+}
+
+registerBeatDetector({
+  id: 'combined',
+  label: 'Combined (legacy)',
+  description: 'Flux OR tempo grid OR Aubio onset. Busy, can double-trigger.',
+  create: () => new CombinedDetector(),
+});
+registerBeatDetector({
+  id: 'flux',
+  label: 'Spectral Flux',
+  description: 'Full-spectrum flux over an adaptive threshold. All-rounder.',
+  create: () => new FluxDetector(),
+});
+registerBeatDetector({
+  id: 'bass',
+  label: 'Bass Energy',
+  description: 'Bass-band flux on a rising bass envelope. Four-on-the-floor, techno, house.',
+  create: () => new BassDetector(),
+});
+registerBeatDetector({
+  id: 'aubio',
+  label: 'Aubio Onsets',
+  description: 'One beat per Aubio onset. Percussive, sparse material.',
+  create: () => new AubioDetector(),
+});
+registerBeatDetector({
+  id: 'comb',
+  label: 'Comb-filter Tempo',
+  description: 'Tracks tempo and phase and predicts beats. Steady tempos, keeps time through breaks.',
+  create: () => new CombDetector(),
+});
+registerBeatDetector({
+  id: 'grid',
+  label: 'Grid Only',
+  description: 'File beat grid, else tap / tempo grid. No audio detection.',
+  create: () => new GridDetector(),
+});
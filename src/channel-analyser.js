@@ -0,0 +1,277 @@
+/**
+ * Channel Analyser
+ *
+ * Multi-channel mode for audio interfaces that send stems on separate inputs (e.g. ch1 kick
+ * mic, ch2 bass DI, ch3/4 the master). The main analysis still runs on the mixed signal;
+ * this splits the input after the gain node and gives every channel group its own
+ * AnalyserNode and feature set, published as `features.channels[n]`:
+ *
+ *   { index, name, channels, rms, rmsNorm, bands, bandEnv, flux, onset, pulse }
+ *
+ * - channels  0-based input channels summed into the group (one, or a pair)
+ * - bands     sub / bass / mid / treble (0..1, band split shared with the main analysis)
+ * - bandEnv   the same after per-group AGC and the attack / release envelope
+ * - onset     true on the frame a spectral-flux onset fires (adaptive threshold)
+ * - pulse     1 on an onset, decaying; what the mod matrix and the shockwave use
+ *
+ * Groups are stored in localStorage. Off by default: it costs an FFT per group per frame,
+ * and the mic is only opened with more than two channels while it is on.
+ */
+
+export const MAX_INPUT_CHANNELS = 8;
+export const MAX_CHANNEL_GROUPS = 4;
+
+const STORAGE_KEY = 'cosmic_channel_analysis';
+const FFT_SIZE = 1024;
+const FLUX_HISTORY = 43; // ~0.7 s of frames
+const ONSET_REFRACTORY_MS = 90;
+const PULSE_HALF_LIFE_MS = 110;
+const MIN_ONSET_RMS = 0.01;
+const DEFAULT_GROUPS = [
+  { name: 'Ch 1', channels: [0], onsetThreshold: 1.8 },
+  { name: 'Ch 2', channels: [1], onsetThreshold: 1.8 },
+  { name: 'Ch 3/4', channels: [2, 3], onsetThreshold: 1.8 },
+];
+
+function normalizeGroup(raw, index) {
+  const channels = (Array.isArray(raw?.channels) ? raw.channels : [index])
+    .map((c) => Math.floor(Number(c)))
+    .filter((c) => Number.isFinite(c) && c >= 0 && c < MAX_INPUT_CHANNELS)
+    .slice(0, 2);
+  const threshold = Number(raw?.onsetThreshold);
+  return {
+    name: typeof raw?.name === 'string' && raw.name.trim() ? raw.name.trim().slice(0, 24) : `Ch ${index + 1}`,
+    channels: channels.length ? [...new Set(channels)] : [0],
+    onsetThreshold: Number.isFinite(threshold) ? Math.min(5, Math.max(0.5, threshold)) : 1.8,
+  };
+}
+
+function loadSettings() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    if (raw && Array.isArray(raw.groups)) {
+      return { enabled: !!raw.enabled, groups: raw.groups.slice(0, MAX_CHANNEL_GROUPS).map(normalizeGroup) };
+    }
+  } catch (_) {}
+  return { enabled: false, groups: DEFAULT_GROUPS.map(normalizeGroup) };
+}
+
+export class ChannelAnalyser {
+  /** @param {import('./audio.js').AudioEngine} engine */
+  constructor(engine) {
+    this.engine = engine;
+    const saved = loadSettings();
+    this.enabled = saved.enabled;
+    this.groups = saved.groups;
+    this._splitter = null;
+    this._input = null;
+    this._taps = [];
+    this.latest = null; // last update() result, for meters
+  }
+
+  setEnabled(enabled) {
+    this.enabled = !!enabled;
+    this._save();
+    if (this.enabled) this.attach(this.engine.gainNode);
+    else this.detach();
+  }
+
+  /** Replaces a group's settings (name, channels, onsetThreshold) */
+  updateGroup(index, patch) {
+    const prev = this.groups[index];
+    if (!prev) return;
+    this.groups[index] = normalizeGroup({ ...prev, ...patch }, index);
+    this._save();
+    // Name and threshold apply on the next frame; only new routing needs new analysers
+    if (this.groups[index].channels.join() !== prev.channels.join()) this._rebuild();
+  }
+
+  addGroup() {
+    if (this.groups.length >= MAX_CHANNEL_GROUPS) return false;
+    const used = this.groups.flatMap((g) => g.channels);
+    const next = Math.min(MAX_INPUT_CHANNELS - 1, used.length ? Math.max(...used) + 1 : 0);
+    this.groups.push(normalizeGroup({ channels: [next] }, this.groups.length));
+    this._save();
+    this._rebuild();
+    return true;
+  }
+
+  removeGroup(index) {
+    if (!this.groups[index]) return;
+    this.groups.splice(index, 1);
+    this._save();
+    this._rebuild();
+  }
+
+  /** Channels on the current source (file buffer or capture track), 0 when unknown */
+  getInputChannelCount() {
+    const engine = this.engine;
+    if (engine.isPlayingFile) return engine.transport?.buffer?.numberOfChannels || 0;
+    try {
+      const track = engine.activeStream?.getAudioTracks?.()[0];
+      return track?.getSettings?.().channelCount || 0;
+    } catch (_) {
+      return 0;
+    }
+  }
+
+  /**
+   * Taps `input` (the engine's gain node). Called from AudioEngine._ensureGraph(), which
+   * disconnects the gain node's outputs, so the split is always re-attached.
+   * @param {AudioNode} input
+   */
+  attach(input) {
+    if (!this.enabled || !input) return;
+    const ctx = this.engine.ctx;
+    if (!ctx) return;
+    if (!this._splitter) {
+      this._splitter = ctx.createChannelSplitter(MAX_INPUT_CHANNELS);
+    }
+    this._input = input;
+    try { input.connect(this._splitter); } catch (_) {}
+    if (!this._taps.length) this._buildTaps();
+  }
+
+  detach() {
+    try { this._input?.disconnect(this._splitter); } catch (_) {}
+    this._input = null;
+    this._taps.forEach((tap) => { try { tap.analyser.disconnect(); } catch (_) {} });
+    this._taps = [];
+    try { this._splitter?.disconnect(); } catch (_) {}
+    this._splitter = null;
+  }
+
+  /**
+   * Per-frame analysis of every group.
+   * @returns {Array<Object>|null} null when the mode is off or not attached
+   */
+  update(nowMs = performance.now()) {
+    if (!this.enabled || !this._taps.length) {
+      this.latest = null;
+      return null;
+    }
+    this.latest = this._taps.map((tap, index) => this._analyse(tap, index, nowMs));
+    return this.latest;
+  }
+
+  // -----------------
+  // Internals
+  // -----------------
+
+  _rebuild() {
+    if (!this._splitter) return;
+    this._taps.forEach((tap) => { try { tap.analyser.disconnect(); } catch (_) {} });
+    try { this._splitter.disconnect(); } catch (_) {}
+    this._taps = [];
+    this._buildTaps();
+  }
+
+  // Two mono splitter outputs into one analyser input sum to the pair
+  _buildTaps() {
+    const ctx = this.engine.ctx;
+    this._taps = this.groups.map((group) => {
+      const analyser = ctx.createAnalyser();
+      analyser.fftSize = FFT_SIZE;
+      analyser.smoothingTimeConstant = 0.3;
+      group.channels.forEach((ch) => {
+        try { this._splitter.connect(analyser, ch, 0); } catch (_) {}
+      });
+      return {
+        analyser,
+        freq: new Uint8Array(analyser.frequencyBinCount),
+        time: new Float32Array(analyser.fftSize),
+        prevMag: new Float32Array(analyser.frequencyBinCount),
+        fluxHistory: [],
+        peak: { sub: 0, bass: 0, mid: 0, treble: 0 },
+        env: { sub: 0, bass: 0, mid: 0, treble: 0 },
+        lastOnsetMs: -Infinity,
+        pulse: 0,
+        lastMs: 0,
+      };
+    });
+  }
+
+  _analyse(tap, index, nowMs) {
+    const engine = this.engine;
+    const group = this.groups[index];
+    tap.analyser.getFloatTimeDomainData(tap.time);
+    tap.analyser.getByteFrequencyData(tap.freq);
+
+    let sumSq = 0;
+    for (let i = 0; i < tap.time.length; i++) sumSq += tap.time[i] * tap.time[i];
+    const rms = Math.sqrt(sumSq / tap.time.length);
+
+    // Band averages (same split as the main analysis) and positive spectral flux
+    const binHz = (engine.sampleRate || 48000) / 2 / tap.freq.length;
+    const split = engine.bandSplit || { sub: 90, low: 180, mid: 2000 };
+    const subHz = Math.max(20, Math.min(split.sub || 90, (split.low || 180) - 5));
+    const sums = { sub: 0, bass: 0, mid: 0, treble: 0 };
+    const counts = { sub: 0, bass: 0, mid: 0, treble: 0 };
+    let flux = 0;
+    for (let i = 0; i < tap.freq.length; i++) {
+      const v = tap.freq[i] / 255;
+      const f = i * binHz;
+      const band = f < subHz ? 'sub' : f < split.low ? 'bass' : f < split.mid ? 'mid' : 'treble';
+      sums[band] += v;
+      counts[band] += 1;
+      const diff = v - tap.prevMag[i];
+      if (diff > 0) flux += diff;
+      tap.prevMag[i] = v;
+    }
+    flux /= tap.freq.length;
+    const bands = {};
+    const bandEnv = {};
+    const decay = engine.bandAGCDecay ?? 0.995;
+    const attack = engine.envAttack ?? 0.6;
+    const release = engine.envRelease ?? 0.15;
+    for (const key of Object.keys(sums)) {
+      const raw = counts[key] ? sums[key] / counts[key] : 0;
+      bands[key] = raw;
+      tap.peak[key] = Math.max(tap.peak[key] * decay, raw);
+      const norm = tap.peak[key] > 1e-6 ? Math.min(1, raw / tap.peak[key]) : 0;
+      const env = tap.env[key];
+      tap.env[key] = env + (norm - env) * (norm > env ? attack : release);
+      bandEnv[key] = tap.env[key];
+    }
+
+    // Onset: flux above mean + k·std of the recent history
+    const hist = tap.fluxHistory;
+    let onset = false;
+    if (hist.length >= 8) {
+      const mean = hist.reduce((a, b) => a + b, 0) / hist.length;
+      const std = Math.sqrt(hist.reduce((a, b) => a + (b - mean) * (b - mean), 0) / hist.length);
+      onset = flux > mean + group.onsetThreshold * Math.max(std, 1e-4)
+        && rms > MIN_ONSET_RMS
+        && nowMs - tap.lastOnsetMs > ONSET_REFRACTORY_MS;
+    }
+    hist.push(flux);
+    if (hist.length > FLUX_HISTORY) hist.shift();
+
+    const dt = tap.lastMs ? Math.max(0, nowMs - tap.lastMs) : 0;
+    tap.lastMs = nowMs;
+    tap.pulse *= Math.pow(0.5, dt / PULSE_HALF_LIFE_MS);
+    if (onset) {
+      tap.lastOnsetMs = nowMs;
+      tap.pulse = 1;
+    }
+
+    return {
+      index,
+      name: group.name,
+      channels: group.channels.slice(),
+      rms,
+      rmsNorm: Math.min(1, rms * 2.0),
+      bands,
+      bandEnv,
+      flux,
+      onset,
+      pulse: tap.pulse,
+    };
+  }
+
+  _save() {
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify({ enabled: this.enabled, groups: this.groups })); } catch (_) {}
+  }
+}
+
+export default ChannelAnalyser;
@@ -0,0 +1,405 @@
+/**
+ * Cue List (show control)
+ *
+ * An ordered list of cues that change the look during a set without clicking
+ * through the preset library. Each cue has an action and a trigger:
+ *
+ * Actions
+ * - preset      Load a PresetManager preset (by id or name)
+ * - shader      Apply a shader preset: saved shader presets, built-in BPM presets, or a style id
+ * - visualMode  Switch visual mode (classic / overlay / shader-only / milkdrop)
+ * - pad         Engage or release a performance pad (performance mode must be on)
+ *
+ * Triggers (evaluated for the armed cue only, counted from when the previous cue fired)
+ * - bars    After `bars` bars + `beats` beats. With beats = 0 the cue lands on a downbeat.
+ * - drop    On the next detected drop
+ * - manual  Only on GO
+ *
+ * Beats come from the AudioEngine's beat grid while a file is playing (exact, no missed
+ * beats), otherwise from live beat detection with the bar phase the scene tracks
+ * (state.metrics.beatIndex / beatsPerBar).
+ *
+ * Keys: G = GO (fire the armed cue now), Shift+G = step back one cue.
+ * The list persists in localStorage (cosmic_cue_list).
+ */
+
+import { DISPERSION_STORAGE_KEYS, DISPERSION_STYLES, applyStyle, withDispersionDefaults } from './dispersion-config.js';
+
+const STORAGE_KEY = 'cosmic_cue_list';
+export const CUE_ACTION_TYPES = ['preset', 'shader', 'visualMode', 'pad'];
+export const CUE_TRIGGER_TYPES = ['bars', 'drop', 'manual'];
+export const CUE_VISUAL_MODES = ['classic', 'overlay', 'shader-only', 'milkdrop'];
+// Beat grid times closer than this count as the same beat (seconds)
+const GRID_EPSILON = 0.03;
+
+function readJson(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (_) {
+    return fallback;
+  }
+}
+
+function writeJson(key, value) {
+  try { localStorage.setItem(key, JSON.stringify(value)); } catch (_) {}
+}
+
+function generateId() {
+  return `cue-${Math.random().toString(36).slice(2, 8)}${Date.now().toString(36).slice(-4)}`;
+}
+
+function normalizeCue(raw = {}) {
+  const action = raw.action || {};
+  const trigger = raw.trigger || {};
+  return {
+    id: raw.id || generateId(),
+    label: typeof raw.label === 'string' ? raw.label : '',
+    action: {
+      type: CUE_ACTION_TYPES.includes(action.type) ? action.type : 'preset',
+      value: action.value != null ? String(action.value) : '',
+      padAction: action.padAction === 'release' ? 'release' : 'engage',
+    },
+    trigger: {
+      type: CUE_TRIGGER_TYPES.includes(trigger.type) ? trigger.type : 'manual',
+      bars: Math.max(0, Math.floor(Number(trigger.bars) || 0)),
+      beats: Math.max(0, Math.floor(Number(trigger.beats) || 0)),
+    },
+  };
+}
+
+export class CueList {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.sceneApi
+   * @param {Object} [deps.presetManager]
+   * @param {Object} [deps.audioEngine]
+   * @param {Object} [deps.performancePads]
+   * @param {boolean} [deps.installKeys=true] - Bind G / Shift+G
+   */
+  constructor({ sceneApi, presetManager = null, audioEngine = null, performancePads = null, installKeys = true } = {}) {
+    this.sceneApi = sceneApi;
+    this.presetManager = presetManager;
+    this.audioEngine = audioEngine;
+    this.performancePads = performancePads;
+    this.cues = (readJson(STORAGE_KEY, []) || []).map(normalizeCue);
+    this.running = false;
+    this.armedIndex = 0;
+    this.lastFiredIndex = -1;
+    this._beatsSinceFire = 0;
+    this._awaitingDownbeat = false;
+    this._lastGridTime = null;
+    this._listeners = new Set();
+    this._builtinShaderPresets = null;
+    import('./shader-presets.js')
+      .then((mod) => { this._builtinShaderPresets = mod?.SHADER_PRESETS || {}; })
+      .catch(() => { this._builtinShaderPresets = {}; });
+    if (installKeys) this._installKeyHandlers();
+  }
+
+  on(event, handler) {
+    if (typeof handler !== 'function') return () => {};
+    const wrapped = { event, handler };
+    this._listeners.add(wrapped);
+    return () => this._listeners.delete(wrapped);
+  }
+
+  // -----------------
+  // Editing
+  // -----------------
+
+  addCue(partial = {}) {
+    const cue = normalizeCue(partial);
+    this.cues.push(cue);
+    this._persist();
+    return cue;
+  }
+
+  updateCue(id, patch = {}) {
+    const idx = this.cues.findIndex((c) => c.id === id);
+    if (idx < 0) return null;
+    const current = this.cues[idx];
+    this.cues[idx] = normalizeCue({
+      ...current,
+      ...patch,
+      id: current.id,
+      action: { ...current.action, ...(patch.action || {}) },
+      trigger: { ...current.trigger, ...(patch.trigger || {}) },
+    });
+    this._persist();
+    return this.cues[idx];
+  }
+
+  removeCue(id) {
+    const idx = this.cues.findIndex((c) => c.id === id);
+    if (idx < 0) return false;
+    this.cues.splice(idx, 1);
+    if (this.armedIndex > idx) this.armedIndex -= 1;
+    this.armedIndex = Math.min(this.armedIndex, this.cues.length);
+    this._persist();
+    return true;
+  }
+
+  moveCue(id, delta) {
+    const idx = this.cues.findIndex((c) => c.id === id);
+    const next = idx + delta;
+    if (idx < 0 || next < 0 || next >= this.cues.length) return false;
+    const [cue] = this.cues.splice(idx, 1);
+    this.cues.splice(next, 0, cue);
+    this._persist();
+    return true;
+  }
+
+  clear() {
+    this.cues = [];
+    this.armedIndex = 0;
+    this.lastFiredIndex = -1;
+    this.running = false;
+    this._persist();
+  }
+
+  // -----------------
+  // Transport
+  // -----------------
+
+  /** Start auto-triggering from the armed cue */
+  start() {
+    if (!this.cues.length) return false;
+    this.running = true;
+    this._rearmCounters();
+    this._notify('state', this.getStatus());
+    return true;
+  }
+
+  stop() {
+    this.running = false;
+    this._notify('state', this.getStatus());
+  }
+
+  /** Rewind to the first cue without firing anything */
+  reset() {
+    this.armedIndex = 0;
+    this.lastFiredIndex = -1;
+    this._rearmCounters();
+    this._notify('state', this.getStatus());
+  }
+
+  /** Fire the armed cue now (manual override for any trigger) and arm the next */
+  go() {
+    if (this.armedIndex >= this.cues.length) return false;
+    if (!this.running) this.running = true;
+    return this._fire(this.armedIndex);
+  }
+
+  /** Step the armed cue back by one without firing */
+  back() {
+    if (this.armedIndex <= 0) return false;
+    this.armedIndex -= 1;
+    this._rearmCounters();
+    this._notify('state', this.getStatus());
+    return true;
+  }
+
+  /** Arm a specific cue (e.g. clicked in the list) */
+  arm(index) {
+    if (index < 0 || index >= this.cues.length) return false;
+    this.armedIndex = index;
+    this._rearmCounters();
+    this._notify('state', this.getStatus());
+    return true;
+  }
+
+  /** Run a cue's action without touching the show position (preview) */
+  fireCue(id) {
+    const cue = this.cues.find((c) => c.id === id);
+    return cue ? this._runAction(cue) : false;
+  }
+
+  /**
+   * Advance the show. Call once per frame after sceneApi.update(features) so the
+   * scene's bar phase (metrics.beatIndex) already reflects this frame's beat.
+   * @param {Object|null} features
+   */
+  update(features) {
+    const tick = this._readBeat(features);
+    if (!this.running || this.armedIndex >= this.cues.length) return;
+    const cue = this.cues[this.armedIndex];
+    const trigger = cue.trigger;
+    if (trigger.type === 'drop') {
+      if (features?.drop) this._fire(this.armedIndex);
+      return;
+    }
+    if (trigger.type !== 'bars' || !tick.beat) return;
+
+    this._beatsSinceFire += 1;
+    const target = trigger.bars * tick.beatsPerBar + trigger.beats;
+    if (this._awaitingDownbeat) {
+      if (tick.downbeat) this._fire(this.armedIndex);
+      return;
+    }
+    if (this._beatsSinceFire >= target) {
+      // Whole-bar waits land on the downbeat even if the count drifted
+      if (trigger.beats === 0 && trigger.bars > 0 && !tick.downbeat) {
+        this._awaitingDownbeat = true;
+        return;
+      }
+      this._fire(this.armedIndex);
+    }
+  }
+
+  /** Beats left before the armed cue fires (null for drop/manual triggers) */
+  getBeatsRemaining() {
+    const cue = this.cues[this.armedIndex];
+    if (!cue || cue.trigger.type !== 'bars') return null;
+    if (this._awaitingDownbeat) return 0;
+    const beatsPerBar = Math.max(1, this.sceneApi?.state?.metrics?.beatsPerBar || 4);
+    return Math.max(0, cue.trigger.bars * beatsPerBar + cue.trigger.beats - this._beatsSinceFire);
+  }
+
+  getStatus() {
+    const armed = this.cues[this.armedIndex] || null;
+    return {
+      running: this.running,
+      armedIndex: this.armedIndex,
+      armedCue: armed,
+      lastFiredIndex: this.lastFiredIndex,
+      beatsRemaining: this.getBeatsRemaining(),
+      count: this.cues.length,
+    };
+  }
+
+  /** Shader preset names a cue can target, grouped by source */
+  getShaderPresetNames() {
+    const saved = Object.keys(readJson(DISPERSION_STORAGE_KEYS.shaderPresets, {}) || {});
+    const builtIn = Object.keys(this._builtinShaderPresets || {});
+    const styles = DISPERSION_STYLES.map((s) => s.id);
+    return { saved, builtIn, styles };
+  }
+
+  // -----------------
+  // Internals
+  // -----------------
+
+  _fire(index) {
+    const cue = this.cues[index];
+    if (!cue) return false;
+    const ok = this._runAction(cue);
+    this.lastFiredIndex = index;
+    this.armedIndex = index + 1;
+    this._rearmCounters();
+    if (this.armedIndex >= this.cues.length) this.running = false;
+    this._notify('fired', { cue, index, ok });
+    this._notify('state', this.getStatus());
+    return ok;
+  }
+
+  _rearmCounters() {
+    this._beatsSinceFire = 0;
+    this._awaitingDownbeat = false;
+  }
+
+  _runAction(cue) {
+    const { type, value, padAction } = cue.action;
+    try {
+      if (type === 'preset') {
+        if (!this.presetManager || !value) return false;
+        this.presetManager.load(value);
+        return true;
+      }
+      if (type === 'shader') return this._applyShaderPreset(value);
+      if (type === 'visualMode') {
+        if (!CUE_VISUAL_MODES.includes(value)) return false;
+        this.sceneApi.state.params.visualMode = value;
+        this.sceneApi.setVisualMode?.(value);
+        return true;
+      }
+      if (type === 'pad') {
+        const pads = this.performancePads;
+        if (!pads || !value) return false;
+        const ok = padAction === 'release' ? pads.releasePad?.(value) : pads.engagePad?.(value);
+        if (!ok && !pads.enabled) this._notify('warning', { cue, message: 'Performance mode is off (press P)' });
+        return !!ok;
+      }
+    } catch (err) {
+      console.warn('[CueList] cue failed', cue, err);
+      this._notify('warning', { cue, message: err?.message || String(err) });
+    }
+    return false;
+  }
+
+  _applyShaderPreset(name) {
+    if (!name) return false;
+    const params = withDispersionDefaults(this.sceneApi.state.params.dispersion || {});
+    const saved = readJson(DISPERSION_STORAGE_KEYS.shaderPresets, {}) || {};
+    if (saved[name]) {
+      Object.assign(params, withDispersionDefaults(saved[name]));
+    } else if (this._builtinShaderPresets?.[name]) {
+      Object.assign(params, withDispersionDefaults({ ...params, ...this._builtinShaderPresets[name] }));
+    } else if (DISPERSION_STYLES.some((s) => s.id === name)) {
+      applyStyle(params, name);
+    } else {
+      return false;
+    }
+    this.sceneApi.state.params.dispersion = params;
+    return true;
+  }
+
+  // One beat tick per frame at most; grid beats crossed since last frame collapse into one
+  _readBeat(features) {
+    const metrics = this.sceneApi?.state?.metrics || {};
+    const beatsPerBar = Math.max(1, metrics.beatsPerBar || 4);
+    const engine = this.audioEngine;
+    const grid = engine?.beatGrid;
+    const t = features && !features.fromTape && engine?.isPlayingFile ? engine.getPlaybackTimeSeconds?.() : null;
+    if (t != null && grid && Array.isArray(grid.beatTimes) && grid.beatTimes.length >= 4) {
+      const prev = this._lastGridTime;
+      this._lastGridTime = t;
+      if (prev == null) return { beat: false, downbeat: false, beatsPerBar };
+      let crossed = null;
+      const inWindow = (bt) => (t >= prev ? bt > prev && bt <= t : bt > prev || bt <= t); // wraps when the file loops
+      if (t >= prev && t - prev > 2) return { beat: false, downbeat: false, beatsPerBar }; // seek / stall
+      for (const bt of grid.beatTimes) {
+        if (inWindow(bt)) crossed = bt;
+      }
+      if (crossed == null) return { beat: false, downbeat: false, beatsPerBar };
+      const downbeats = Array.isArray(grid.downbeats) ? grid.downbeats : [];
+      const downbeat = downbeats.length
+        ? downbeats.some((d) => Math.abs(d - crossed) <= GRID_EPSILON)
+        : metrics.beatIndex === 0;
+      return { beat: true, downbeat, beatsPerBar };
+    }
+    this._lastGridTime = null;
+    const beat = !!features?.beat;
+    return { beat, downbeat: beat && metrics.beatIndex === 0, beatsPerBar };
+  }
+
+  _installKeyHandlers() {
+    window.addEventListener('keydown', (ev) => {
+      if (ev.defaultPrevented || ev.repeat) return;
+      if (ev.metaKey || ev.ctrlKey || ev.altKey) return;
+      const tag = (ev.target?.tagName ?? '').toLowerCase();
+      if (['input', 'textarea', 'select', 'button'].includes(tag) || ev.isComposing) return;
+      if ((ev.key || '').toLowerCase() !== 'g') return;
+      if (!this.cues.length) return;
+      ev.preventDefault();
+      if (ev.shiftKey) this.back(); else this.go();
+    });
+  }
+
+  _persist() {
+    writeJson(STORAGE_KEY, this.cues);
+    if (this.armedIndex > this.cues.length) this.armedIndex = this.cues.length;
+    this._notify('cues', { cues: this.cues });
+    this._notify('state', this.getStatus());
+  }
+
+  _notify(event, detail) {
+    for (const listener of this._listeners) {
+      if (listener.event === event || listener.event === '*') {
+        try { listener.handler({ event, detail }); } catch (err) { console.error('CueList listener error', err); }
+      }
+    }
+  }
+}
+
+export default CueList;
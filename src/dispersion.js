@@ -1,9 +1,28 @@
 import * as THREE from 'three';
 import { RenderPass } from 'postprocessing';
 
+// Built-in fragment shader variants
+export const DISPERSION_VARIANTS = Object.freeze(['classic', 'vortexDrill']);
+
+// Uniforms the layer feeds every frame. A custom shader may declare any of them; every
+// other uniform it declares is a custom uniform (see shader-library.js).
+export const DISPERSION_UNIFORM_NAMES = Object.freeze([
+  'r', 't', 'zoom', 'offset', 'uOpacity', 'uWarp', 'uTint', 'uTintMix', 'uBrightness', 'uContrast',
+  'uTwist', 'uTwistFalloff', 'uTravel', 'uDrillBox', 'uDrillRadius', 'uRepPeriod', 'uRotDepth', 'uSteps',
+  // Audio textures (audio-textures.js)
+  'uAudioFFT', 'uAudioWave', 'uAudioSpectrogram', 'uAudioTexturesLevel',
+  // ShaderToy inputs (shadertoy.js)
+  'iTime', 'iTimeDelta', 'iResolution', 'iFrame', 'iMouse', 'iChannel0',
+]);
+
+const SHADER_LOG_RE = /^(ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/;
+
 // Builds a full-screen overlay scene using the provided dispersion fragment shader.
 // Exposes a RenderPass for the existing composer and an update() method to feed uniforms.
-export function createDispersionLayer(initialVariant = 'classic') {
+// setCustomShader() swaps in a user fragment shader; checkShader() compiles it right away
+// and reports errors with line numbers in the user's source. `sharedUniforms` (the scene's
+// audio textures) are added to the material as-is.
+export function createDispersionLayer(initialVariant = 'classic', { sharedUniforms = {} } = {}) {
   const overlayScene = new THREE.Scene();
   const camera = new THREE.OrthographicCamera(-1, 1, 1, -1, -1, 1);
 
@@ -309,6 +328,11 @@ export function createDispersionLayer(initialVariant = 'classic') {
     return FRAGMENT_SHADERS[variant] || FRAGMENT_SHADERS.classic;
   }
 
+  // Built-in variant name or custom shader key the material currently uses
+  let activeShader = FRAGMENT_SHADERS[initialVariant] ? initialVariant : 'classic';
+  let customUniforms = [];
+  let customLineOffset = 0; // wrapper lines in front of the user's source (ShaderToy import)
+
   const geometry = new THREE.PlaneGeometry(2, 2);
   const material = new THREE.ShaderMaterial({
     uniforms: {
@@ -330,6 +354,13 @@ export function createDispersionLayer(initialVariant = 'classic') {
       uRepPeriod: { value: 4.0 },
       uRotDepth: { value: 0.10 },
       uSteps: { value: 300.0 },
+      iTime: { value: 0 },
+      iTimeDelta: { value: 0 },
+      iResolution: { value: new THREE.Vector3(1, 1, 1) },
+      iFrame: { value: 0 },
+      iMouse: { value: new THREE.Vector4() },
+      iChannel0: { value: null },
+      ...sharedUniforms,
     },
     vertexShader,
     fragmentShader: getFragmentShader(initialVariant),
@@ -350,6 +381,7 @@ export function createDispersionLayer(initialVariant = 'classic') {
   function setSize(width, height) {
     if (material?.uniforms?.r?.value) {
       material.uniforms.r.value.set(width, height);
+      material.uniforms.iResolution.value.set(width, height, 1);
     }
   }
 
@@ -366,11 +398,14 @@ export function createDispersionLayer(initialVariant = 'classic') {
     material.uniforms.uTwist.value = twist;
     material.uniforms.uTwistFalloff.value = twistFalloff;
     material.uniforms.uTravel.value = travel;
+    // ShaderToy time; an imported shader's "Travel → iTime" (uTimeBend) adds the travel
+    material.uniforms.iTime.value = (time || 0) + (material.uniforms.uTimeBend?.value || 0) * travel;
     if (tint && material.uniforms.uTint?.value?.set) {
       material.uniforms.uTint.value.set(tint.r, tint.g, tint.b);
     }
     if (typeof width === 'number' && typeof height === 'number' && isFinite(width) && isFinite(height)) {
       material.uniforms.r.value.set(width, height);
+      material.uniforms.iResolution.value.set(width, height, 1);
     }
   }
 
@@ -378,16 +413,112 @@ export function createDispersionLayer(initialVariant = 'classic') {
     pass.enabled = !!enabled;
   }
 
+  function useFragmentShader(key, src) {
+    if (key === activeShader || !src || !material) return false;
+    activeShader = key;
+    material.fragmentShader = src;
+    material.needsUpdate = true;
+    return true;
+  }
+
+  function setCustomUniformDeclarations(declarations) {
+    customUniforms.forEach(({ name }) => { delete material.uniforms[name]; });
+    customUniforms = Array.isArray(declarations) ? declarations.filter((u) => !DISPERSION_UNIFORM_NAMES.includes(u.name)) : [];
+    customUniforms.forEach((u) => {
+      material.uniforms[u.name] = { value: u.type === 'vec3' ? new THREE.Color(u.default) : u.default };
+    });
+  }
+
+  /** @returns {boolean} true when the variant changed */
   function setVariant(variant) {
-    const next = String(variant || 'classic');
-    const src = getFragmentShader(next);
-    if (src && material) {
-      material.fragmentShader = src;
-      material.needsUpdate = true;
+    const next = FRAGMENT_SHADERS[variant] ? String(variant) : 'classic';
+    if (next === activeShader) return false;
+    setCustomUniformDeclarations([]);
+    customLineOffset = 0;
+    return useFragmentShader(next, getFragmentShader(next));
+  }
+
+  /**
+   * Uses a user fragment shader. `key` identifies it (a changed source needs a new key);
+   * `uniforms` are its custom uniform declarations from parseCustomUniforms(); `lineOffset`
+   * is how many lines of generated code precede the user's code, for error line numbers.
+   * @returns {boolean} true when the shader changed
+   */
+  function setCustomShader(key, source, uniforms = [], { lineOffset = 0 } = {}) {
+    if (key === activeShader) return false;
+    setCustomUniformDeclarations(uniforms);
+    customLineOffset = lineOffset;
+    return useFragmentShader(key, source);
+  }
+
+  /** Values for the custom uniforms by name; missing ones get their declared default */
+  function setCustomUniforms(values = {}) {
+    for (const u of customUniforms) {
+      const uniform = material.uniforms[u.name];
+      if (!uniform) continue;
+      const v = values[u.name] ?? u.default;
+      if (u.type === 'vec3') {
+        try { uniform.value.set(v); } catch (_) {}
+      } else if (u.type === 'bool') {
+        uniform.value = !!v;
+      } else {
+        const n = THREE.MathUtils.clamp(Number(v), u.min, u.max);
+        uniform.value = Number.isFinite(n) ? (u.type === 'int' ? Math.round(n) : n) : u.default;
+      }
     }
   }
 
-  return { scene: overlayScene, camera, mesh, material, pass, setSize, update, setEnabled, setVariant };
-}
+  /** Per-frame ShaderToy inputs; iChannel0 is a texture (audio-textures.js shaderToyChannel) */
+  function setShaderToyInputs({ timeDelta = 0, frame = 0, mouse = null, channel0 = null } = {}) {
+    material.uniforms.iTimeDelta.value = timeDelta;
+    material.uniforms.iFrame.value = frame;
+    if (mouse) material.uniforms.iMouse.value.copy(mouse);
+    material.uniforms.iChannel0.value = channel0;
+  }
 
+  /**
+   * Compiles the current shader now instead of on the next frame, so errors can be
+   * reported before the pass goes dark.
+   * @param {THREE.WebGLRenderer} renderer
+   * @returns {{ok: boolean, errors: Array<{line: number|null, severity: string, message: string}>, log: string}}
+   */
+  function checkShader(renderer) {
+    if (!renderer?.compile || !renderer.properties) return { ok: true, errors: [], log: '' };
+    renderer.compile(overlayScene, camera);
+    const program = renderer.properties.get(material).currentProgram;
+    if (!program) return { ok: true, errors: [], log: '' };
+    program.getUniforms(); // runs three's first-use error check
+    const diagnostics = program.diagnostics;
+    if (!diagnostics || diagnostics.runnable !== false) return { ok: true, errors: [], log: '' };
+    // Log lines count from the top of the assembled source: #version (WebGL2) + three's prefix
+    const prefix = diagnostics.fragmentShader?.prefix || '';
+    const offset = (renderer.capabilities?.isWebGL2 ? 1 : 0) + (prefix.match(/\n/g) || []).length + customLineOffset;
+    const log = [diagnostics.fragmentShader?.log, diagnostics.vertexShader?.log, diagnostics.programLog].filter(Boolean).join('\n').trim();
+    const errors = [];
+    log.split('\n').forEach((text) => {
+      const m = SHADER_LOG_RE.exec(text.trim());
+      if (!m) return;
+      const line = Number(m[2]) - offset;
+      errors.push({ line: line >= 1 ? line : null, severity: m[1].toLowerCase(), message: m[3].trim() });
+    });
+    if (!errors.length) errors.push({ line: null, severity: 'error', message: log || 'Shader failed to compile' });
+    return { ok: false, errors, log };
+  }
 
+  return {
+    scene: overlayScene,
+    camera,
+    mesh,
+    material,
+    pass,
+    setSize,
+    update,
+    setEnabled,
+    setVariant,
+    setCustomShader,
+    setCustomUniforms,
+    setShaderToyInputs,
+    checkShader,
+    get activeShader() { return activeShader; },
+  };
+}
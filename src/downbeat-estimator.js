@@ -0,0 +1,238 @@
+/**
+ * Live Downbeat Estimator
+ *
+ * Files get true downbeats from the Essentia beat grid; live input used to assume the first
+ * beat after a reset was beat 1. This estimates where "the one" is from the last ~8 bars of
+ * beats, using two cues that mark bar starts in most dance music:
+ *
+ * - bass accent: low-passed energy around each beat, read from the engine's rolling live
+ *   buffer (kick + bass note land together on the downbeat)
+ * - harmonic change: chroma distance between the beat before and the beat after (chords
+ *   change on bar lines)
+ *
+ * Every beat position in the bar is scored by the mean z-score of both cues over the beats
+ * it would make downbeats; the winner must lead twice in a row before the bar line moves.
+ * Confidence combines the winning margin and how much history there is.
+ *
+ * markDownbeat() ("this is the one", key O) realigns the count by hand: the beat nearest the
+ * press becomes beat 1 and automatic re-phasing is held off for MANUAL_HOLD_BARS bars.
+ *
+ * update() returns features.liveBar:
+ *   { beatInBar, beatsPerBar, bar, downbeat, confidence, manual, reliable }
+ * `reliable` (manual, or confidence >= MIN_CONFIDENCE) is what the scene and the drop bar
+ * gate check before trusting the estimate over plain beat counting.
+ */
+
+const HISTORY_BEATS = 32;
+const MIN_BEATS = 8;
+const MIN_CONFIDENCE = 0.35;
+const MANUAL_HOLD_BARS = 16;
+const ACCENT_PRE_MS = 30;
+const ACCENT_POST_MS = 120;
+const BASS_CUTOFF_HZ = 150;
+const CHROMA_WEIGHT = 0.7;
+
+function zScores(values) {
+  const present = values.filter((v) => v != null);
+  if (present.length < 2) return values.map(() => 0);
+  const mean = present.reduce((a, b) => a + b, 0) / present.length;
+  const std = Math.sqrt(present.reduce((a, b) => a + (b - mean) * (b - mean), 0) / present.length) || 1;
+  return values.map((v) => (v == null ? 0 : (v - mean) / std));
+}
+
+function chromaDistance(a, b) {
+  if (!a || !b) return null;
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (let i = 0; i < 12; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  if (na < 1e-9 || nb < 1e-9) return null;
+  return 1 - dot / Math.sqrt(na * nb);
+}
+
+export class LiveDownbeatEstimator {
+  /** @param {import('./audio.js').AudioEngine} engine */
+  constructor(engine) {
+    this.engine = engine;
+    this.reset();
+  }
+
+  reset() {
+    this._beats = []; // { n, tMs, accent, measured, chroma: Float32Array(12) sum, chromaFrames }
+    this._count = -1; // running beat number
+    this._lastBeatMs = 0;
+    this._phase = 0; // beat number mod beatsPerBar that is a downbeat
+    this._candidate = null; // { phase, wins }
+    this._confidence = 0;
+    this._manualUntilBeat = -1;
+    this._pendingManual = false;
+    this._lastResult = null;
+  }
+
+  get beatsPerBar() {
+    return Math.max(1, Math.floor(this.engine.dropGateBeatsPerBar || 4));
+  }
+
+  /**
+   * Marks the beat nearest to now as the downbeat. Pressed just after a beat, that beat
+   * becomes beat 1; pressed closer to the next beat, the next one does.
+   */
+  markDownbeat(nowMs = performance.now()) {
+    const interval = this._beatIntervalMs();
+    const B = this.beatsPerBar;
+    if (this._count >= 0 && interval > 0 && nowMs - this._lastBeatMs < interval / 2) {
+      this._phase = ((this._count % B) + B) % B;
+    } else {
+      this._pendingManual = true;
+    }
+    this._candidate = null;
+    this._manualUntilBeat = Math.max(0, this._count) + MANUAL_HOLD_BARS * B;
+  }
+
+  /**
+   * Per frame. Counts beats, collects cues and re-scores the bar phase on each beat.
+   * @param {{nowMs: number, beat: boolean, chroma?: number[], bpm?: number}} frame
+   * @returns {Object|null} liveBar, null before the first beat
+   */
+  update({ nowMs, beat, chroma, bpm }) {
+    const B = this.beatsPerBar;
+    this._bpm = bpm || 0;
+    let downbeat = false;
+    if (beat && this._acceptBeat(nowMs)) {
+      // Fill beats the detector missed so the count keeps its phase through gaps
+      const interval = this._beatIntervalMs();
+      let steps = 1;
+      if (this._count >= 0 && interval > 0) {
+        steps = Math.max(1, Math.min(B * 2, Math.round((nowMs - this._lastBeatMs) / interval)));
+      }
+      this._count += this._count < 0 ? 1 : steps;
+      this._lastBeatMs = nowMs;
+      if (this._pendingManual) {
+        this._phase = this._count % B;
+        this._pendingManual = false;
+      }
+      this._beats.push({ n: this._count, tMs: nowMs, accent: null, measured: false, chroma: new Float32Array(12), chromaFrames: 0 });
+      if (this._beats.length > HISTORY_BEATS) this._beats.shift();
+      this._evaluate();
+      downbeat = this._beatInBar() === 0;
+    }
+    // Chroma accumulates into the span of the latest beat
+    const current = this._beats[this._beats.length - 1];
+    if (current && Array.isArray(chroma) && chroma.length >= 12) {
+      for (let i = 0; i < 12; i++) current.chroma[i] += chroma[i] || 0;
+      current.chromaFrames += 1;
+    }
+    this._measureAccents(nowMs);
+    if (this._count < 0) return null;
+    const manual = this._count < this._manualUntilBeat;
+    this._lastResult = {
+      beatInBar: this._beatInBar(),
+      beatsPerBar: B,
+      bar: Math.floor((this._count - this._phase) / B),
+      downbeat,
+      confidence: manual ? 1 : this._confidence,
+      manual,
+      reliable: manual || this._confidence >= MIN_CONFIDENCE,
+    };
+    return this._lastResult;
+  }
+
+  getStatus() {
+    return this._lastResult ? { ...this._lastResult } : null;
+  }
+
+  // -----------------
+  // Internals
+  // -----------------
+
+  _beatInBar() {
+    const B = this.beatsPerBar;
+    return (((this._count - this._phase) % B) + B) % B;
+  }
+
+  _beatIntervalMs() {
+    if (this._bpm > 0) return 60000 / this._bpm;
+    const b = this._beats;
+    if (b.length < 2) return 0;
+    const last = b[b.length - 1];
+    const prev = b[b.length - 2];
+    return (last.tMs - prev.tMs) / Math.max(1, last.n - prev.n);
+  }
+
+  // Double triggers (a second beat within half a beat) would shift the bar by one
+  _acceptBeat(nowMs) {
+    if (this._count < 0) return true;
+    const interval = this._beatIntervalMs();
+    return !(interval > 0 && nowMs - this._lastBeatMs < interval * 0.5);
+  }
+
+  // Bass energy around each beat once the live buffer holds ACCENT_POST_MS after it
+  _measureAccents(nowMs) {
+    const engine = this.engine;
+    for (const beat of this._beats) {
+      if (beat.measured || nowMs - beat.tMs < ACCENT_POST_MS + 40) continue;
+      beat.measured = true;
+      const samples = engine.readLiveSamples?.(beat.tMs - ACCENT_PRE_MS, beat.tMs + ACCENT_POST_MS);
+      if (!samples || !samples.length) continue; // no live audio for this beat; chroma only
+      const sr = engine.sampleRate || 48000;
+      const a = Math.exp((-2 * Math.PI * BASS_CUTOFF_HZ) / sr);
+      let y = 0;
+      let energy = 0;
+      for (let i = 0; i < samples.length; i++) {
+        y = (1 - a) * samples[i] + a * y;
+        energy += y * y;
+      }
+      beat.accent = Math.log10(energy / samples.length + 1e-9);
+    }
+  }
+
+  _evaluate() {
+    const B = this.beatsPerBar;
+    const beats = this._beats;
+    if (beats.length < MIN_BEATS || B < 2) {
+      this._confidence = 0;
+      return;
+    }
+    const accents = zScores(beats.map((b) => (typeof b.accent === 'number' ? b.accent : null)));
+    const changes = zScores(beats.map((b, i) => {
+      if (i === 0 || !b.chromaFrames || !beats[i - 1].chromaFrames) return null;
+      return chromaDistance(beats[i - 1].chroma, b.chroma);
+    }));
+    const sums = new Array(B).fill(0);
+    const counts = new Array(B).fill(0);
+    beats.forEach((b, i) => {
+      const phase = b.n % B;
+      sums[phase] += accents[i] + CHROMA_WEIGHT * changes[i];
+      counts[phase] += 1;
+    });
+    const scores = sums.map((s, p) => (counts[p] ? s / counts[p] : -Infinity));
+    let best = 0;
+    for (let p = 1; p < B; p++) if (scores[p] > scores[best]) best = p;
+    const second = Math.max(...scores.filter((_, p) => p !== best));
+    const margin = Number.isFinite(second) ? scores[best] - second : 0;
+    const history = Math.min(1, beats.length / (B * 4));
+    this._confidence = Math.max(0, Math.min(1, (1 - Math.exp(-margin * 1.5)) * history));
+
+    if (this._count < this._manualUntilBeat || best === this._phase) {
+      this._candidate = null;
+      return;
+    }
+    if (this._confidence < MIN_CONFIDENCE) return;
+    // Only move the bar line once the new phase has led on two consecutive beats
+    if (this._candidate?.phase === best) {
+      this._candidate.wins += 1;
+    } else {
+      this._candidate = { phase: best, wins: 1 };
+    }
+    if (this._candidate.wins >= 2) {
+      this._phase = best;
+      this._candidate = null;
+    }
+  }
+}
+
+export default LiveDownbeatEstimator;
@@ -28,6 +28,9 @@ const eyeFragmentShader = `
   uniform float uGlintSize;
   uniform float uGlintIntensity;
   uniform float uAlpha;
+  uniform sampler2D uAudioFFT;
+  uniform float uIrisSpectrum;
+  uniform float uAudioTexturesLevel;
 
   float hash(float n) { return fract(sin(n) * 43758.5453); }
   float noise(vec2 x) {
@@ -83,6 +86,12 @@ const eyeFragmentShader = `
 
     float baseNoise = fbm(vec2(angle * 1.2, len * uFiberNoiseScale) + uTime * 0.03);
     float fiber = pow(clamp(baseNoise * 1.35, 0.0, 1.0), mix(1.2, 2.2, clamp(uFiberContrast, 0.0, 2.0)));
+    float irisSpectrum = uIrisSpectrum * uAudioTexturesLevel; // faded by the effects profile
+    if (irisSpectrum > 0.0) {
+      // Spectrum rays: each angle lights up with its FFT bin, mirrored top/bottom
+      float spectrum = texture2D(uAudioFFT, vec2(abs(angle) / 3.14159265 * 0.5, 0.5)).r;
+      fiber += spectrum * irisSpectrum * smoothstep(pupilRadius, 1.0, len);
+    }
 
     float irisGain = clamp(uIrisGain, 0.0, 2.5);
     float limb = smoothstep(0.65, 1.2, len);
@@ -137,7 +146,11 @@ const corneaFragmentShader = `
   }
 `;
 
-export function createEyeLayer() {
+/**
+ * @param {{sharedUniforms?: Object}} [options] - sharedUniforms (the scene's audio textures)
+ *   are added to the eye material, so the iris shader can sample uAudioFFT etc.
+ */
+export function createEyeLayer({ sharedUniforms = {} } = {}) {
   const geometry = new THREE.PlaneGeometry(1, 1, 1, 1);
   const uniforms = {
     uTime: { value: 0 },
@@ -154,6 +167,10 @@ export function createEyeLayer() {
     uGlintSize: { value: 0.04 },
     uGlintIntensity: { value: 1.0 },
     uAlpha: { value: 1.0 },
+    uAudioFFT: { value: null },
+    uIrisSpectrum: { value: 0.0 },
+    uAudioTexturesLevel: { value: 1.0 },
+    ...sharedUniforms,
   };
   const material = new THREE.ShaderMaterial({
     uniforms,
@@ -217,6 +234,7 @@ export function updateEyeUniforms(mesh, values = {}) {
     if (typeof values.glintSize === 'number') uniforms.uGlintSize.value = values.glintSize;
     if (typeof values.glintIntensity === 'number') uniforms.uGlintIntensity.value = values.glintIntensity;
     if (typeof values.alpha === 'number') uniforms.uAlpha.value = values.alpha;
+    if (typeof values.irisSpectrum === 'number') uniforms.uIrisSpectrum.value = values.irisSpectrum;
   } catch (e) {
     mesh.visible = false;
     console.error('Eye shader uniform update failed; hiding eye mesh.', e);
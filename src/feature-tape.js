@@ -0,0 +1,355 @@
+/**
+ * Feature Tape
+ *
+ * Records the feature objects AudioEngine.update() returns into a timestamped JSON
+ * "tape" and replays it later in place of live audio. Useful for rehearsing looks,
+ * reproducing visual bugs and tuning mappings without the original track or a mic.
+ *
+ * - Recording: capture(features, nowMs) once per frame; download() saves the tape
+ * - Playback: read(nowMs) returns the feature frame for the current tape position.
+ *   One-shot events (beat, drop, aubioOnset, chordChange, channel onsets) are OR-ed across every recorded frame
+ *   passed since the previous read, so replaying at a lower frame rate never loses a beat
+ * - Beat grids are stored only when they change and carried forward on replay
+ *
+ * Tape format (version 1):
+ *   { format: 'cosmic-feature-tape', version: 1, createdAt, durationMs, frames: [{ t, f, g? }] }
+ *   t = ms since recording start, f = features, g = beat grid (only on frames where it changed)
+ */
+
+const TAPE_FORMAT = 'cosmic-feature-tape';
+const TAPE_VERSION = 1;
+// ~20 minutes at 60 fps; keeps a forgotten recording from eating all memory
+const MAX_FRAMES = 72000;
+const EVENT_KEYS = ['beat', 'drop', 'aubioOnset', 'chordChange'];
+
+const round = (v) => (typeof v === 'number' && Number.isFinite(v) ? Math.round(v * 10000) / 10000 : v);
+
+function roundObject(obj) {
+  if (!obj || typeof obj !== 'object') return undefined;
+  const out = {};
+  for (const key of Object.keys(obj)) out[key] = round(obj[key]);
+  return out;
+}
+
+function roundArray(arr) {
+  return Array.isArray(arr) || ArrayBuffer.isView(arr) ? Array.from(arr, round) : undefined;
+}
+
+function encodeFeatures(features, startMs) {
+  return {
+    rms: round(features.rms),
+    rmsNorm: round(features.rmsNorm),
+    bands: roundObject(features.bands && { bass: features.bands.bass, mid: features.bands.mid, treble: features.bands.treble, sub: features.bands.sub }),
+    bandsEMA: roundObject(features.bandsEMA),
+    bandEnv: roundObject(features.bandEnv),
+    bandNorm: roundObject(features.bandNorm),
+    centroidHz: round(features.centroidHz),
+    centroidNorm: round(features.centroidNorm),
+    flux: round(features.flux),
+    fluxMean: round(features.fluxMean),
+    fluxStd: round(features.fluxStd),
+    beat: !!features.beat,
+    drop: !!features.drop,
+    isBuilding: !!features.isBuilding,
+    buildLevel: round(features.buildLevel),
+    // Stored relative to the tape so replay can rebase it onto the playback clock
+    lastDropMs: Number.isFinite(features.lastDropMs) && features.lastDropMs > 0 ? Math.round(features.lastDropMs - startMs) : null,
+    bpm: round(features.bpm),
+    bpmConfidence: round(features.bpmConfidence),
+    bpmSource: features.bpmSource || '',
+    tapBpm: round(features.tapBpm),
+    mfcc: roundArray(features.mfcc),
+    chroma: roundArray(features.chroma),
+    flatness: round(features.flatness),
+    rolloff: round(features.rolloff),
+    pitchHz: round(features.pitchHz),
+    pitchConf: round(features.pitchConf),
+    aubioTempoBpm: round(features.aubioTempoBpm),
+    aubioTempoConf: round(features.aubioTempoConf),
+    aubioOnset: !!features.aubioOnset,
+    liveBar: roundObject(features.liveBar),
+    key: roundObject(features.key),
+    chord: roundObject(features.chord),
+    chordChange: !!features.chordChange,
+    section: roundObject(features.section),
+    sectionProgress: round(features.sectionProgress),
+    nextSectionInBars: round(features.nextSectionInBars),
+    channels: Array.isArray(features.channels) ? features.channels.map(encodeChannel) : undefined,
+  };
+}
+
+function encodeChannel(ch) {
+  return {
+    index: ch.index,
+    name: ch.name,
+    channels: ch.channels,
+    rms: round(ch.rms),
+    rmsNorm: round(ch.rmsNorm),
+    bands: roundObject(ch.bands),
+    bandEnv: roundObject(ch.bandEnv),
+    flux: round(ch.flux),
+    onset: !!ch.onset,
+    pulse: round(ch.pulse),
+  };
+}
+
+function encodeBeatGrid(grid) {
+  if (!grid) return null;
+  return {
+    bpm: round(grid.bpm),
+    confidence: round(grid.confidence),
+    beatTimes: roundArray(grid.beatTimes) || [],
+    downbeats: roundArray(grid.downbeats) || [],
+    source: grid.source || null,
+  };
+}
+
+export class FeatureTape {
+  constructor() {
+    this.recording = false;
+    this.playing = false;
+    this.loop = true;
+    this.tape = null; // last recorded or loaded tape
+    this.name = '';
+    this._listeners = new Set();
+    this._rec = null;
+    this._play = null;
+  }
+
+  on(event, handler) {
+    if (typeof handler !== 'function') return () => {};
+    const wrapped = { event, handler };
+    this._listeners.add(wrapped);
+    return () => this._listeners.delete(wrapped);
+  }
+
+  /** Length of the current tape in milliseconds */
+  get durationMs() {
+    return this.tape?.durationMs || 0;
+  }
+
+  get frameCount() {
+    if (this.recording && this._rec) return this._rec.frames.length;
+    return this.tape?.frames?.length || 0;
+  }
+
+  // -----------------
+  // Recording
+  // -----------------
+
+  startRecording(nowMs = performance.now()) {
+    if (this.playing) this.stop();
+    this.recording = true;
+    this._rec = { startMs: nowMs, frames: [], lastGrid: null };
+    this._notify('state', this.getStatus());
+  }
+
+  /**
+   * Appends one frame. Call once per animate() tick with the live features.
+   * @param {Object} features - AudioEngine.update() result
+   * @param {number} [nowMs]
+   */
+  capture(features, nowMs = performance.now()) {
+    if (!this.recording || !features || !this._rec) return;
+    const rec = this._rec;
+    const frame = { t: Math.round((nowMs - rec.startMs) * 10) / 10, f: encodeFeatures(features, rec.startMs) };
+    const grid = features.beatGrid || null;
+    const gridKey = grid ? `${grid.updatedAt || 0}:${grid.bpm || 0}:${grid.beatTimes?.length || 0}` : '';
+    if (rec.frames.length === 0 || gridKey !== rec.lastGrid) {
+      frame.g = encodeBeatGrid(grid);
+      rec.lastGrid = gridKey;
+    }
+    rec.frames.push(frame);
+    if (rec.frames.length >= MAX_FRAMES) {
+      this.stopRecording();
+      this._notify('limit', { frames: MAX_FRAMES });
+    }
+  }
+
+  /** Ends recording and makes the result the current tape */
+  stopRecording() {
+    if (!this.recording) return this.tape;
+    const rec = this._rec;
+    this.recording = false;
+    this._rec = null;
+    if (rec && rec.frames.length) {
+      this.tape = {
+        format: TAPE_FORMAT,
+        version: TAPE_VERSION,
+        createdAt: new Date().toISOString(),
+        durationMs: rec.frames[rec.frames.length - 1].t,
+        frames: rec.frames,
+      };
+      this.name = `Recording (${(this.tape.durationMs / 1000).toFixed(1)}s)`;
+    }
+    this._notify('state', this.getStatus());
+    return this.tape;
+  }
+
+  /** Serialises the current tape and triggers a browser download */
+  download(filename) {
+    if (!this.tape) return false;
+    const blob = new Blob([JSON.stringify(this.tape)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename || `cosmic-features-${this.tape.createdAt.replace(/[:.]/g, '-')}.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+    return true;
+  }
+
+  // -----------------
+  // Loading
+  // -----------------
+
+  /**
+   * Loads a tape from a parsed object; throws on anything that isn't a feature tape.
+   * @param {Object} data
+   * @param {string} [name]
+   */
+  load(data, name = '') {
+    if (!data || data.format !== TAPE_FORMAT || !Array.isArray(data.frames)) {
+      throw new Error('Not a feature tape');
+    }
+    if (data.version > TAPE_VERSION) throw new Error(`Unsupported feature tape version ${data.version}`);
+    const frames = data.frames
+      .filter((fr) => fr && Number.isFinite(fr.t) && fr.f && typeof fr.f === 'object')
+      .sort((a, b) => a.t - b.t);
+    if (!frames.length) throw new Error('Feature tape is empty');
+    if (this.playing) this.stop();
+    this.tape = { ...data, frames, durationMs: frames[frames.length - 1].t };
+    this.name = name || 'Tape';
+    this._notify('state', this.getStatus());
+    return this.tape;
+  }
+
+  /** @param {File} file */
+  async loadFile(file) {
+    const text = await file.text();
+    return this.load(JSON.parse(text), file.name);
+  }
+
+  // -----------------
+  // Playback
+  // -----------------
+
+  play(nowMs = performance.now()) {
+    if (!this.tape?.frames?.length) return false;
+    if (this.recording) this.stopRecording();
+    this.playing = true;
+    this._play = { startMs: nowMs, index: -1, grid: null };
+    this._notify('state', this.getStatus());
+    return true;
+  }
+
+  stop() {
+    if (!this.playing) return;
+    this.playing = false;
+    this._play = null;
+    this._notify('state', this.getStatus());
+  }
+
+  setLoop(loop) {
+    this.loop = !!loop;
+    this._notify('state', this.getStatus());
+  }
+
+  /** Current playback position in ms (0 when stopped) */
+  getPosition(nowMs = performance.now()) {
+    if (!this.playing || !this._play) return 0;
+    const dur = Math.max(1, this.durationMs);
+    const elapsed = nowMs - this._play.startMs;
+    return this.loop ? elapsed % dur : Math.min(elapsed, dur);
+  }
+
+  /**
+   * Returns the replayed feature frame for nowMs, shaped like AudioEngine.update() output.
+   * @param {number} [nowMs]
+   * @returns {Object|null} null when not playing
+   */
+  read(nowMs = performance.now()) {
+    if (!this.playing || !this._play || !this.tape) return null;
+    const frames = this.tape.frames;
+    const play = this._play;
+    const dur = this.durationMs;
+    let elapsed = nowMs - play.startMs;
+
+    if (elapsed > dur) {
+      if (!this.loop || dur <= 0) {
+        this.stop();
+        this._notify('ended', {});
+        return null;
+      }
+      // Wrap: rewind the cursor and shift the start so the next lap lines up
+      const laps = Math.floor(elapsed / dur);
+      play.startMs += laps * dur;
+      elapsed -= laps * dur;
+      play.index = -1;
+    }
+
+    // Consume every recorded frame up to the playhead, keeping one-shot events
+    const events = {};
+    let i = play.index;
+    while (i + 1 < frames.length && frames[i + 1].t <= elapsed) {
+      i += 1;
+      const fr = frames[i];
+      if (fr.g !== undefined) play.grid = fr.g;
+      for (const key of EVENT_KEYS) if (fr.f[key]) events[key] = true;
+      fr.f.channels?.forEach((ch, n) => {
+        if (!ch.onset) return;
+        if (!events.channelOnsets) events.channelOnsets = new Set();
+        events.channelOnsets.add(n);
+      });
+    }
+    play.index = i;
+    return this._decode(frames[Math.max(0, i)], play, events);
+  }
+
+  _decode(frame, play, events) {
+    const f = frame.f;
+    const grid = play.grid || {};
+    return {
+      ...f,
+      bands: { bass: 0, mid: 0, treble: 0, ...f.bands, env: f.bandEnv, norm: f.bandNorm },
+      beat: !!events.beat,
+      drop: !!events.drop,
+      aubioOnset: !!events.aubioOnset,
+      chordChange: !!events.chordChange,
+      channels: f.channels?.map((ch, n) => ({ ...ch, onset: !!events.channelOnsets?.has(n) })),
+      lastDropMs: f.lastDropMs == null ? -99999 : play.startMs + f.lastDropMs,
+      beatGrid: {
+        bpm: grid.bpm || 0,
+        confidence: grid.confidence || 0,
+        beatTimes: grid.beatTimes || [],
+        downbeats: grid.downbeats || [],
+        loudness: null,
+        source: grid.source || null,
+        updatedAt: 0,
+      },
+      fromTape: true,
+    };
+  }
+
+  getStatus(nowMs = performance.now()) {
+    return {
+      recording: this.recording,
+      playing: this.playing,
+      loop: this.loop,
+      name: this.name,
+      frames: this.frameCount,
+      durationMs: this.recording && this._rec ? nowMs - this._rec.startMs : this.durationMs,
+      positionMs: this.getPosition(nowMs),
+    };
+  }
+
+  _notify(event, detail) {
+    for (const listener of this._listeners) {
+      if (listener.event === event || listener.event === '*') {
+        try { listener.handler({ event, detail }); } catch (err) { console.error('FeatureTape listener error', err); }
+      }
+    }
+  }
+}
+
+export default FeatureTape;
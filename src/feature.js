@@ -13,7 +13,7 @@
  * - AudioWorklet: Can we do audio processing in the background? (for better performance)
  * - WebGL2: Can we do advanced 3D graphics? (required for the visualizations)
  * - WebCodecs: Can we decode video/audio efficiently? (for future features)
- * - MIDI: Can we connect to MIDI devices? (for future features)
+ * - MIDI: Can we connect to MIDI devices? (controller mapping)
  * - OffscreenCanvas: Can we do graphics processing off-screen? (for future features)
  */
 
@@ -72,7 +72,7 @@ function detectSupport() {
   const webcodecs = typeof window.VideoDecoder === 'function' || typeof window.AudioDecoder === 'function';
   
   // Check if MIDI API is available (for connecting to MIDI keyboards/devices)
-  // Reserved for future features
+  // Used by midi.js for controller mapping
   const midi = typeof navigator.requestMIDIAccess === 'function';
   
   // Check if OffscreenCanvas is available (for doing graphics work off-screen)
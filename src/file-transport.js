@@ -0,0 +1,480 @@
+/**
+ * File Transport
+ *
+ * Playback clock and controls for the file source. Owns the AudioBufferSourceNode that
+ * AudioEngine.loadFile() used to start directly, so the file can be paused, seeked,
+ * looped over a region and crossfaded into the next track. It also reads the musical
+ * position off the Essentia beat grid:
+ *
+ *   const pos = audio.transport.getPosition();
+ *   pos.bar, pos.beatInBar, pos.phase, pos.timeToNextDownbeatSec
+ *
+ *   audio.transport.pause(); audio.transport.play();
+ *   audio.transport.seekToBar(16);
+ *   audio.transport.setLoopBars(16, 4);   // loop bars 16..19
+ *
+ * Bars and beats are counted from the grid (downbeats where Essentia found them), so a
+ * missed or doubled beat in the live detector can't shift the bar line. Without a grid yet,
+ * the position falls back to the file's BPM estimate from t = 0.
+ *
+ * AudioEngine.update() publishes getPosition() as features.transport every frame.
+ */
+
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+const MIN_LOOP_SEC = 0.05;
+
+/**
+ * Fractional index of t within sorted event times, extrapolating past both ends
+ * @param {number[]} times - Ascending times (at least two)
+ * @param {number} t
+ * @returns {number}
+ */
+export function positionIn(times, t) {
+  const n = times.length;
+  if (t <= times[0]) return (t - times[0]) / Math.max(1e-3, times[1] - times[0]);
+  if (t >= times[n - 1]) return n - 1 + (t - times[n - 1]) / Math.max(1e-3, times[n - 1] - times[n - 2]);
+  let lo = 0;
+  let hi = n - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (times[mid] <= t) lo = mid; else hi = mid;
+  }
+  return lo + (t - times[lo]) / Math.max(1e-3, times[hi] - times[lo]);
+}
+
+// Time of fractional index `pos` within event times (inverse of positionIn)
+function timeAt(times, pos) {
+  const n = times.length;
+  if (pos <= 0) return times[0] + pos * (times[1] - times[0]);
+  if (pos >= n - 1) return times[n - 1] + (pos - (n - 1)) * (times[n - 1] - times[n - 2]);
+  const i = Math.floor(pos);
+  return times[i] + (pos - i) * (times[i + 1] - times[i]);
+}
+
+/** Beats per bar implied by a grid's downbeat spacing (same rule as the scene) */
+export function gridBeatsPerBar(grid, fallback = 4) {
+  if (!grid || !(grid.bpm > 0) || !Array.isArray(grid.downbeats)) return fallback;
+  const beatSec = 60 / grid.bpm;
+  for (let i = 1; i < grid.downbeats.length; i++) {
+    const diff = grid.downbeats[i] - grid.downbeats[i - 1];
+    if (diff > 1e-3) {
+      const beats = Math.round(diff / beatSec);
+      if (beats >= 1 && beats <= 16) return beats;
+    }
+  }
+  return fallback;
+}
+
+export class FileTransport {
+  /**
+   * @param {Object} audioEngine - Provides ctx, gainNode, beatGrid, bpmEstimate and the offline session
+   */
+  constructor(audioEngine) {
+    this.engine = audioEngine;
+    this.buffer = null;
+    this.fileName = '';
+    this.playing = false;
+    this.loop = null; // { startSec, endSec } or null for the whole file
+    this._node = null;
+    this._nodeGain = null;
+    this._fading = new Set(); // { node, gain } fading out after a crossfade
+    this._offsetSec = 0; // file position when _node started
+    this._startCtxSec = 0; // ctx.currentTime when _node started
+    this._listeners = new Set();
+  }
+
+  on(event, handler) {
+    if (typeof handler !== 'function') return () => {};
+    const wrapped = { event, handler };
+    this._listeners.add(wrapped);
+    return () => this._listeners.delete(wrapped);
+  }
+
+  /** True once a file is loaded (playing or paused) */
+  hasFile() {
+    return !!this.buffer;
+  }
+
+  getDuration() {
+    return this.buffer?.duration || 0;
+  }
+
+  // -----------------
+  // Controls
+  // -----------------
+
+  /**
+   * Called by AudioEngine.loadFile(): takes over the buffer and starts it from the top
+   * @param {AudioBuffer} buffer
+   * @param {{name?: string}} [info]
+   */
+  load(buffer, { name = '' } = {}) {
+    this.unload();
+    this.buffer = buffer;
+    this.fileName = name;
+    this.loop = null;
+    this._startNode(0);
+    this._notify('load', { name, durationSec: this.getDuration() });
+  }
+
+  /**
+   * Switches to another track on the audio clock: the new buffer starts `delaySec` from now
+   * and the two overlap for `fadeSec` with equal-power curves (fadeSec 0 = gapless cut).
+   * The clock, loop region and position follow the new track from the call on.
+   * Falls back to load() when nothing is playing.
+   * @param {AudioBuffer} buffer
+   * @param {{name?: string, fadeSec?: number, delaySec?: number}} [options]
+   */
+  crossfadeTo(buffer, { name = '', fadeSec = 0, delaySec = 0 } = {}) {
+    if (!this._node || !this.engine?.ctx) {
+      this.load(buffer, { name });
+      return;
+    }
+    const fade = Math.max(0, Number(fadeSec) || 0);
+    const delay = Math.max(0, Number(delaySec) || 0);
+    this._releaseNode(this.engine.ctx.currentTime + delay, fade);
+    this.buffer = buffer;
+    this.fileName = name;
+    this.loop = null;
+    this._startNode(0, { delaySec: delay, fadeInSec: fade });
+    this._notify('load', { name, durationSec: this.getDuration(), crossfadeSec: fade });
+  }
+
+  /** Called by AudioEngine.stop() */
+  unload() {
+    this._stopNode();
+    this._stopFading();
+    const had = !!this.buffer;
+    this.buffer = null;
+    this.fileName = '';
+    this.playing = false;
+    this.loop = null;
+    this._offsetSec = 0;
+    if (had) this._notify('unload', {});
+  }
+
+  play() {
+    if (!this.buffer || this.playing) return false;
+    this._startNode(this._offsetSec);
+    this._notify('play', { timeSec: this._offsetSec });
+    return true;
+  }
+
+  pause() {
+    if (!this.buffer || !this.playing) return false;
+    this._offsetSec = this.getTime();
+    this._stopNode();
+    this._stopFading();
+    this.playing = false;
+    this._notify('pause', { timeSec: this._offsetSec });
+    return true;
+  }
+
+  toggle() {
+    return this.playing ? this.pause() : this.play();
+  }
+
+  /**
+   * Moves the playhead. Seeking outside the loop region clears the region.
+   * @param {number} timeSec - Position in the file
+   */
+  seek(timeSec) {
+    if (!this.buffer) return false;
+    const duration = this.getDuration();
+    const t = clamp(Number(timeSec) || 0, 0, Math.max(0, duration - 1e-3));
+    if (this.loop && (t < this.loop.startSec || t >= this.loop.endSec)) {
+      this.loop = null;
+      this._notify('loop', { loop: null });
+    }
+    if (this.playing) this._startNode(t);
+    else this._offsetSec = t;
+    this._notify('seek', { timeSec: t });
+    return true;
+  }
+
+  /** Seeks to the downbeat of `bar` (0 = first bar of the grid) */
+  seekToBar(bar) {
+    return this.seek(this.timeOfBar(bar));
+  }
+
+  /** Jumps by whole bars from the current bar line, keeping the position within the bar */
+  seekBars(delta) {
+    const pos = this.getPosition();
+    return this.seek(this.timeOfBar(pos.bar + (Math.round(delta) || 0)) + pos.barPhase * this._barSeconds(pos));
+  }
+
+  /**
+   * Loops playback between two file positions.
+   * @param {number} startSec
+   * @param {number} endSec
+   */
+  setLoopRegion(startSec, endSec) {
+    if (!this.buffer) return false;
+    const duration = this.getDuration();
+    const start = clamp(Number(startSec) || 0, 0, duration);
+    const end = clamp(Number(endSec) || 0, 0, duration);
+    if (end - start < MIN_LOOP_SEC) return false;
+    const current = this.getTime();
+    this.loop = { startSec: start, endSec: end };
+    if (this.playing) {
+      if (current >= start && current < end) this._rebase(current);
+      else this._startNode(start);
+    } else if (this._offsetSec < start || this._offsetSec >= end) {
+      this._offsetSec = start;
+    }
+    this._notify('loop', { loop: { ...this.loop } });
+    return true;
+  }
+
+  /** Loops `bars` bars starting at the downbeat of `startBar` */
+  setLoopBars(startBar, bars) {
+    const count = Math.max(1, Math.round(bars) || 1);
+    return this.setLoopRegion(this.timeOfBar(startBar), this.timeOfBar(startBar + count));
+  }
+
+  clearLoopRegion() {
+    if (!this.loop) return false;
+    const current = this.getTime();
+    this.loop = null;
+    if (this.playing) this._rebase(current);
+    this._notify('loop', { loop: null });
+    return true;
+  }
+
+  getLoopRegion() {
+    return this.loop ? { ...this.loop } : null;
+  }
+
+  // -----------------
+  // Clock
+  // -----------------
+
+  /** Playhead in file seconds (the render position during offline export), or null without a file */
+  getTime() {
+    const offline = this.engine?._offline;
+    if (offline) return offline.timeSec;
+    if (!this.buffer) return null;
+    if (!this.playing || !this.engine?.ctx) return this._offsetSec;
+    const raw = this._offsetSec + Math.max(0, this.engine.ctx.currentTime - this._startCtxSec);
+    const loop = this.loop;
+    if (loop && this._offsetSec < loop.endSec) {
+      return raw < loop.endSec ? raw : loop.startSec + ((raw - loop.startSec) % (loop.endSec - loop.startSec));
+    }
+    const duration = this.getDuration();
+    return duration > 0 ? raw % duration : raw;
+  }
+
+  /** File time of the downbeat of `bar` (extrapolated past either end of the grid) */
+  timeOfBar(bar) {
+    const grid = this.engine?.beatGrid;
+    const b = Math.round(Number(bar) || 0);
+    if (hasTimes(grid?.downbeats)) return Math.max(0, timeAt(grid.downbeats, b));
+    const beatsPerBar = this._fallbackBeatsPerBar();
+    if (hasTimes(grid?.beatTimes)) return Math.max(0, timeAt(grid.beatTimes, b * beatsPerBar));
+    const bpm = this.engine?.bpmEstimate || 0;
+    return bpm > 0 ? Math.max(0, (b * beatsPerBar * 60) / bpm) : 0;
+  }
+
+  /**
+   * Musical position of the playhead.
+   * @returns {{playing:boolean, timeSec:number|null, durationSec:number, loop:Object|null, source:string,
+   *   bpm:number, beatsPerBar:number, bar:number, beat:number, beatInBar:number, phase:number,
+   *   barPhase:number, beatPosition:number, barPosition:number, timeToNextDownbeatSec:number|null}}
+   *   source is 'grid' (Essentia beat grid), 'bpm' (BPM estimate from t = 0) or 'none'
+   */
+  getPosition() {
+    const t = this.getTime();
+    const grid = this.engine?.beatGrid;
+    const pos = {
+      playing: !!this.engine?._offline || this.playing,
+      timeSec: t,
+      durationSec: this.getDuration(),
+      loop: this.getLoopRegion(),
+      source: 'none',
+      bpm: 0,
+      beatsPerBar: this._fallbackBeatsPerBar(),
+      bar: 0,
+      beat: 0,
+      beatInBar: 0,
+      phase: 0,
+      barPhase: 0,
+      beatPosition: 0,
+      barPosition: 0,
+      timeToNextDownbeatSec: null,
+    };
+    if (t == null) return pos;
+
+    if (hasTimes(grid?.beatTimes)) {
+      pos.source = 'grid';
+      pos.beatsPerBar = gridBeatsPerBar(grid, pos.beatsPerBar);
+      pos.bpm = grid.bpm || 60 / Math.max(1e-3, (grid.beatTimes[grid.beatTimes.length - 1] - grid.beatTimes[0]) / (grid.beatTimes.length - 1));
+      pos.beatPosition = positionIn(grid.beatTimes, t);
+      if (hasTimes(grid.downbeats)) {
+        pos.barPosition = positionIn(grid.downbeats, t);
+        const bar = Math.floor(pos.barPosition);
+        const barStartBeat = Math.round(positionIn(grid.beatTimes, timeAt(grid.downbeats, bar)));
+        pos.beatInBar = mod(Math.floor(pos.beatPosition) - barStartBeat, pos.beatsPerBar);
+      } else {
+        pos.barPosition = pos.beatPosition / pos.beatsPerBar;
+        pos.beatInBar = mod(Math.floor(pos.beatPosition), pos.beatsPerBar);
+      }
+    } else if (this.engine?.bpmEstimate > 0) {
+      pos.source = 'bpm';
+      pos.bpm = this.engine.bpmEstimate;
+      pos.beatPosition = (t * pos.bpm) / 60;
+      pos.barPosition = pos.beatPosition / pos.beatsPerBar;
+      pos.beatInBar = mod(Math.floor(pos.beatPosition), pos.beatsPerBar);
+    } else {
+      return pos;
+    }
+
+    pos.beat = Math.floor(pos.beatPosition);
+    pos.bar = Math.floor(pos.barPosition);
+    pos.phase = pos.beatPosition - pos.beat;
+    pos.barPhase = pos.barPosition - pos.bar;
+    pos.timeToNextDownbeatSec = this._timeToNextDownbeat(t, pos);
+    return pos;
+  }
+
+  _timeToNextDownbeat(t, pos) {
+    const next = this.timeOfBar(pos.bar + 1);
+    const wrapEnd = this.loop ? this.loop.endSec : this.getDuration();
+    const wrapStart = this.loop ? this.loop.startSec : 0;
+    if (!(wrapEnd > 0) || next < wrapEnd) return Math.max(0, next - t);
+    // The next bar line is past the loop point: count through the wrap
+    const bar = Math.floor(this._barAt(wrapStart));
+    let firstAfterWrap = this.timeOfBar(bar);
+    if (firstAfterWrap < wrapStart - 1e-3) firstAfterWrap = this.timeOfBar(bar + 1);
+    return Math.max(0, wrapEnd - t) + Math.max(0, firstAfterWrap - wrapStart);
+  }
+
+  _barAt(t) {
+    const grid = this.engine?.beatGrid;
+    if (hasTimes(grid?.downbeats)) return positionIn(grid.downbeats, t);
+    const beatsPerBar = this._fallbackBeatsPerBar();
+    if (hasTimes(grid?.beatTimes)) return positionIn(grid.beatTimes, t) / beatsPerBar;
+    const bpm = this.engine?.bpmEstimate || 0;
+    return bpm > 0 ? (t * bpm) / 60 / beatsPerBar : 0;
+  }
+
+  _barSeconds(pos) {
+    return this.timeOfBar(pos.bar + 1) - this.timeOfBar(pos.bar);
+  }
+
+  _fallbackBeatsPerBar() {
+    return Math.max(1, Math.floor(this.engine?.dropGateBeatsPerBar || 4));
+  }
+
+  // -----------------
+  // Source node
+  // -----------------
+
+  // Each node gets its own gain so two tracks can overlap during a crossfade
+  _startNode(offsetSec, { delaySec = 0, fadeInSec = 0 } = {}) {
+    const engine = this.engine;
+    if (!this.buffer || !engine?.ctx) return;
+    this._stopNode();
+    const ctx = engine.ctx;
+    const startAt = ctx.currentTime + Math.max(0, delaySec);
+    const node = ctx.createBufferSource();
+    node.buffer = this.buffer;
+    node.loop = true;
+    this._applyLoopPoints(node);
+    const gain = ctx.createGain();
+    if (fadeInSec > 0) {
+      try { gain.gain.setValueCurveAtTime(fadeCurve(true), startAt, fadeInSec); } catch (_) {}
+    }
+    node.connect(gain);
+    gain.connect(engine.gainNode);
+    node.start(startAt, clamp(offsetSec, 0, Math.max(0, this.getDuration() - 1e-3)));
+    this._node = node;
+    this._nodeGain = gain;
+    this._offsetSec = offsetSec;
+    this._startCtxSec = startAt;
+    this.playing = true;
+    engine.source = node;
+  }
+
+  _stopNode() {
+    const node = this._node;
+    const gain = this._nodeGain;
+    this._node = null;
+    this._nodeGain = null;
+    if (!node) return;
+    try { node.stop(); } catch (_) {}
+    try { node.disconnect(); } catch (_) {}
+    try { gain?.disconnect(); } catch (_) {}
+    if (this.engine?.source === node) this.engine.source = null;
+  }
+
+  // Hands the current node over to a fade-out that stops it at startAt + fadeSec
+  _releaseNode(startAt, fadeSec) {
+    const node = this._node;
+    const gain = this._nodeGain;
+    this._node = null;
+    this._nodeGain = null;
+    if (!node) return;
+    const entry = { node, gain };
+    this._fading.add(entry);
+    try {
+      gain.gain.cancelScheduledValues(startAt);
+      if (fadeSec > 0) gain.gain.setValueCurveAtTime(fadeCurve(false), startAt, fadeSec);
+    } catch (_) {}
+    node.onended = () => {
+      try { node.disconnect(); } catch (_) {}
+      try { gain.disconnect(); } catch (_) {}
+      this._fading.delete(entry);
+    };
+    try { node.stop(startAt + Math.max(0, fadeSec)); } catch (_) {}
+  }
+
+  _stopFading() {
+    this._fading.forEach(({ node, gain }) => {
+      try { node.stop(); } catch (_) {}
+      try { node.disconnect(); } catch (_) {}
+      try { gain.disconnect(); } catch (_) {}
+    });
+    this._fading.clear();
+  }
+
+  // Keeps the running node and re-anchors the clock (loop points changed under it)
+  _rebase(currentSec) {
+    if (!this._node || !this.engine?.ctx) return;
+    this._applyLoopPoints(this._node);
+    this._offsetSec = currentSec;
+    this._startCtxSec = this.engine.ctx.currentTime;
+  }
+
+  _applyLoopPoints(node) {
+    node.loopStart = this.loop ? this.loop.startSec : 0;
+    node.loopEnd = this.loop ? this.loop.endSec : 0;
+  }
+
+  _notify(event, detail) {
+    for (const listener of this._listeners) {
+      if (listener.event === event || listener.event === '*') {
+        try { listener.handler({ event, detail }); } catch (err) { console.error('FileTransport listener error', err); }
+      }
+    }
+  }
+}
+
+// Equal-power fade shape for setValueCurveAtTime
+function fadeCurve(fadeIn, steps = 32) {
+  const curve = new Float32Array(steps);
+  for (let i = 0; i < steps; i++) {
+    const x = (i / (steps - 1)) * Math.PI * 0.5;
+    curve[i] = fadeIn ? Math.sin(x) : Math.cos(x);
+  }
+  return curve;
+}
+
+function hasTimes(arr) {
+  return Array.isArray(arr) && arr.length >= 2;
+}
+
+function mod(n, m) {
+  return ((n % m) + m) % m;
+}
+
+export default FileTransport;
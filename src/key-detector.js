@@ -0,0 +1,234 @@
+/**
+ * Key Detector
+ *
+ * Musical key and chords from Meyda's 12-bin chroma (C = 0 … B = 11).
+ *
+ * - Key: chroma averaged over ~12 s is correlated with the Krumhansl-Kessler major and
+ *   minor profiles in all 12 rotations. A different key has to stay on top for
+ *   KEY_HOLD_MS before it replaces the current one, so a borrowed chord can't flip it.
+ *   Confidence is the lead over the runner-up, smoothed over a few seconds.
+ * - Chords: chroma averaged over ~250 ms is matched against the 24 major / minor triads.
+ *   A new chord must hold for CHORD_HOLD_MS; the frame it takes over has chordChange = true.
+ *
+ * update() publishes:
+ *   features.key          { tonic, mode, name, fifths, confidence } or null
+ *   features.chord        { root, quality, name, fifths, confidence } or null
+ *   features.chordChange  true on the frame a new chord is recognised
+ *
+ * `fifths` is the position on the circle of fifths (C = 0, G = 1, D = 2 …); minor keys and
+ * chords sit with their relative major (A minor = 0), which is what the harmonic palette
+ * uses as its colour wheel.
+ */
+
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+const KEY_WINDOW_MS = 12000;
+const KEY_EVAL_MS = 250;
+const KEY_HOLD_MS = 3000;
+const CONFIDENCE_SMOOTH_MS = 3000;
+const CHORD_WINDOW_MS = 250;
+const CHORD_HOLD_MS = 200;
+const MIN_CHORD_MATCH = 0.75;
+const MIN_CHROMA_ENERGY = 0.05;
+
+/** Circle-of-fifths position of a key or chord; minor sits with its relative major */
+export function fifthsOf(tonic, mode) {
+  const major = mode === 'minor' ? (tonic + 3) % 12 : tonic;
+  return (major * 7) % 12;
+}
+
+function correlate(a, b) {
+  let ma = 0;
+  let mb = 0;
+  for (let i = 0; i < 12; i++) { ma += a[i]; mb += b[i]; }
+  ma /= 12;
+  mb /= 12;
+  let num = 0;
+  let da = 0;
+  let db = 0;
+  for (let i = 0; i < 12; i++) {
+    const x = a[i] - ma;
+    const y = b[i] - mb;
+    num += x * y;
+    da += x * x;
+    db += y * y;
+  }
+  return da > 0 && db > 0 ? num / Math.sqrt(da * db) : 0;
+}
+
+function rotate(profile, tonic) {
+  return Array.from({ length: 12 }, (_, i) => profile[(i - tonic + 12) % 12]);
+}
+
+const KEY_TEMPLATES = [];
+const CHORD_TEMPLATES = [];
+for (let tonic = 0; tonic < 12; tonic++) {
+  KEY_TEMPLATES.push({ tonic, mode: 'major', profile: rotate(MAJOR_PROFILE, tonic) });
+  KEY_TEMPLATES.push({ tonic, mode: 'minor', profile: rotate(MINOR_PROFILE, tonic) });
+  for (const [quality, third] of [['major', 4], ['minor', 3]]) {
+    const notes = new Array(12).fill(0);
+    notes[tonic] = 1;
+    notes[(tonic + third) % 12] = 1;
+    notes[(tonic + 7) % 12] = 1;
+    CHORD_TEMPLATES.push({ root: tonic, quality, notes });
+  }
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (let i = 0; i < 12; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na > 0 && nb > 0 ? dot / Math.sqrt(na * nb) : 0;
+}
+
+export class KeyDetector {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this._keyChroma = new Float32Array(12);
+    this._chordChroma = new Float32Array(12);
+    this._lastMs = 0;
+    this._lastEvalMs = 0;
+    this._key = null; // { tonic, mode }
+    this._keyCandidate = null; // { tonic, mode, sinceMs }
+    this._confidence = 0;
+    this._chord = null; // { root, quality, confidence }
+    this._chordCandidate = null; // { root, quality, sinceMs }
+    this.latest = null;
+  }
+
+  /**
+   * Per frame.
+   * @param {{nowMs: number, chroma?: number[]}} frame
+   * @returns {{key: Object|null, chord: Object|null, chordChange: boolean}}
+   */
+  update({ nowMs, chroma }) {
+    const dt = this._lastMs ? Math.max(0, Math.min(250, nowMs - this._lastMs)) : 0;
+    this._lastMs = nowMs;
+    let chordChange = false;
+    // Averages are time-weighted: Meyda holds its (smoothed) chroma between extractions
+    if (Array.isArray(chroma) && chroma.length >= 12 && dt > 0) {
+      let energy = 0;
+      for (let i = 0; i < 12; i++) energy += chroma[i] || 0;
+      if (energy / 12 >= MIN_CHROMA_ENERGY) {
+        const aKey = 1 - Math.exp(-dt / KEY_WINDOW_MS);
+        const aChord = 1 - Math.exp(-dt / CHORD_WINDOW_MS);
+        for (let i = 0; i < 12; i++) {
+          const v = chroma[i] || 0;
+          this._keyChroma[i] += (v - this._keyChroma[i]) * aKey;
+          this._chordChroma[i] += (v - this._chordChroma[i]) * aChord;
+        }
+        chordChange = this._updateChord(nowMs);
+      }
+    }
+    if (nowMs - this._lastEvalMs >= KEY_EVAL_MS) {
+      const elapsed = this._lastEvalMs ? nowMs - this._lastEvalMs : KEY_EVAL_MS;
+      this._lastEvalMs = nowMs;
+      this._updateKey(nowMs, elapsed);
+    }
+
+    const key = this._key
+      ? {
+        tonic: this._key.tonic,
+        mode: this._key.mode,
+        name: `${NOTE_NAMES[this._key.tonic]} ${this._key.mode}`,
+        fifths: fifthsOf(this._key.tonic, this._key.mode),
+        confidence: this._confidence,
+      }
+      : null;
+    const chord = this._chord
+      ? {
+        root: this._chord.root,
+        quality: this._chord.quality,
+        name: `${NOTE_NAMES[this._chord.root]}${this._chord.quality === 'minor' ? 'm' : ''}`,
+        fifths: fifthsOf(this._chord.root, this._chord.quality),
+        confidence: this._chord.confidence,
+      }
+      : null;
+    this.latest = { key, chord, chordChange };
+    return this.latest;
+  }
+
+  // -----------------
+  // Internals
+  // -----------------
+
+  _updateKey(nowMs, elapsedMs) {
+    let total = 0;
+    for (let i = 0; i < 12; i++) total += this._keyChroma[i];
+    if (total <= 1e-6) return;
+    let best = null;
+    let bestR = -Infinity;
+    let secondR = -Infinity;
+    for (const t of KEY_TEMPLATES) {
+      const r = correlate(this._keyChroma, t.profile);
+      if (r > bestR) {
+        secondR = bestR;
+        bestR = r;
+        best = t;
+      } else if (r > secondR) {
+        secondR = r;
+      }
+    }
+    const raw = Math.min(1, Math.max(0, (bestR - secondR) / 0.15)) * Math.min(1, Math.max(0, bestR / 0.6));
+    this._confidence += (raw - this._confidence) * (1 - Math.exp(-elapsedMs / CONFIDENCE_SMOOTH_MS));
+
+    const same = (k) => k && k.tonic === best.tonic && k.mode === best.mode;
+    if (same(this._key)) {
+      this._keyCandidate = null;
+      return;
+    }
+    if (!this._key) {
+      this._key = { tonic: best.tonic, mode: best.mode };
+      return;
+    }
+    if (!same(this._keyCandidate)) {
+      this._keyCandidate = { tonic: best.tonic, mode: best.mode, sinceMs: nowMs };
+    } else if (nowMs - this._keyCandidate.sinceMs >= KEY_HOLD_MS) {
+      this._key = { tonic: best.tonic, mode: best.mode };
+      this._keyCandidate = null;
+    }
+  }
+
+  _updateChord(nowMs) {
+    let best = null;
+    let bestScore = 0;
+    for (const t of CHORD_TEMPLATES) {
+      const score = cosine(this._chordChroma, t.notes);
+      if (score > bestScore) {
+        bestScore = score;
+        best = t;
+      }
+    }
+    if (!best || bestScore < MIN_CHORD_MATCH) {
+      this._chordCandidate = null;
+      return false;
+    }
+    const same = (c) => c && c.root === best.root && c.quality === best.quality;
+    if (same(this._chord)) {
+      this._chord.confidence = bestScore;
+      this._chordCandidate = null;
+      return false;
+    }
+    if (!same(this._chordCandidate)) {
+      this._chordCandidate = { root: best.root, quality: best.quality, sinceMs: nowMs };
+      return false;
+    }
+    if (nowMs - this._chordCandidate.sinceMs < CHORD_HOLD_MS) return false;
+    const changed = !!this._chord;
+    this._chord = { root: best.root, quality: best.quality, confidence: bestScore };
+    this._chordCandidate = null;
+    return changed;
+  }
+}
+
+export default KeyDetector;
@@ -0,0 +1,144 @@
+/**
+ * Visual Layer Registry
+ *
+ * Lets a look live in its own module instead of inside scene.js. A layer module exports:
+ *
+ *   export const id = 'scanlines';            // stable key, used for params and presets
+ *   export const label = 'Scanlines';         // shown in the Layers tab
+ *   export const PARAM_SCHEMA = [ ... ];      // same shape as DISPERSION_PARAM_SCHEMA
+ *   export function create({ THREE, renderer, scene, camera, width, height }) { return pass; }
+ *   export function setSize(width, height) {}
+ *   export function update(features, params, frame) {}   // frame: { time, dt, nowMs, width, height }
+ *   export function dispose() {}
+ *
+ * create() returns a postprocessing Pass; the scene appends it to the EffectComposer after
+ * the dispersion overlay and keeps renderToScreen on whichever pass ends up last. It is
+ * only called once the layer is first enabled, and again after dispose().
+ *
+ * Schema entries support type 'range' (min, max, step), 'boolean' and 'select' (options),
+ * plus optional section / section labels via `export const SECTIONS`. Every layer also gets
+ * an implicit `enabled` boolean (default false unless the module exports `enabledByDefault`).
+ * Params live in sceneApi.state.params.layers[id], travel with presets and sync, and the
+ * settings drawer builds controls for them automatically.
+ *
+ * Modules in src/layers/ are registered at startup; anything else can call registerLayer().
+ */
+
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+
+const layers = new Map();
+const listeners = new Set();
+
+function notify(event, id) {
+  listeners.forEach((fn) => {
+    try { fn(event, id); } catch (err) { console.error('[Layers] listener error', err); }
+  });
+}
+
+/**
+ * @param {Object} definition - A layer module namespace or an object of the same shape
+ * @returns {Object} the normalized definition
+ */
+export function registerLayer(definition) {
+  const def = definition?.default && !definition.create ? definition.default : definition;
+  const id = String(def?.id || '').trim();
+  if (!id) throw new Error('Layer definition needs an id');
+  if (typeof def.create !== 'function') throw new Error(`Layer "${id}" must export create()`);
+  const schema = Array.isArray(def.PARAM_SCHEMA) ? def.PARAM_SCHEMA : (Array.isArray(def.schema) ? def.schema : []);
+  const normalized = {
+    id,
+    label: String(def.label || id),
+    schema: schema.filter((item) => item && item.key && item.key !== 'enabled'),
+    sections: Array.isArray(def.SECTIONS) ? def.SECTIONS : [],
+    enabledByDefault: !!def.enabledByDefault,
+    create: def.create,
+    setSize: typeof def.setSize === 'function' ? def.setSize : null,
+    update: typeof def.update === 'function' ? def.update : null,
+    dispose: typeof def.dispose === 'function' ? def.dispose : null,
+  };
+  const replaced = layers.has(id);
+  layers.set(id, normalized);
+  notify(replaced ? 'replaced' : 'registered', id);
+  return normalized;
+}
+
+export function unregisterLayer(id) {
+  if (!layers.delete(id)) return false;
+  notify('unregistered', id);
+  return true;
+}
+
+export function getRegisteredLayers() {
+  return Array.from(layers.values());
+}
+
+export function getRegisteredLayer(id) {
+  return layers.get(id) || null;
+}
+
+/**
+ * Subscribe to registry changes: fn(event, id) with event 'registered' | 'replaced' | 'unregistered'.
+ * @returns {() => void} unsubscribe
+ */
+export function onLayerRegistryChange(fn) {
+  if (typeof fn !== 'function') return () => {};
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+export function clampLayerValue(schemaItem, value) {
+  if (!schemaItem) return value;
+  if (schemaItem.type === 'range') {
+    const num = Number(value);
+    return clamp(Number.isFinite(num) ? num : schemaItem.default, schemaItem.min, schemaItem.max);
+  }
+  if (schemaItem.type === 'boolean') return !!value;
+  if (schemaItem.type === 'select') {
+    return (schemaItem.options || []).some((opt) => opt.value === value) ? value : schemaItem.default;
+  }
+  return value === undefined ? schemaItem.default : value;
+}
+
+/** Fills in defaults and clamps every schema key; unknown keys are dropped. */
+export function withLayerDefaults(definition, input = {}) {
+  const src = input && typeof input === 'object' ? input : {};
+  const result = {
+    enabled: src.enabled === undefined ? !!definition?.enabledByDefault : !!src.enabled,
+  };
+  (definition?.schema || []).forEach((item) => {
+    result[item.key] = clampLayerValue(item, src[item.key] === undefined ? item.default : src[item.key]);
+  });
+  return result;
+}
+
+/**
+ * Ensures sceneApi.state.params.layers holds normalized params for every registered layer,
+ * keeping entries for layers that aren't registered (yet) so presets round-trip.
+ */
+export function ensureLayerParams(params) {
+  if (!params) return {};
+  if (!params.layers || typeof params.layers !== 'object') params.layers = {};
+  // Normalize in place so UI controls holding a layer's params object stay bound to it
+  layers.forEach((def, id) => {
+    if (!params.layers[id] || typeof params.layers[id] !== 'object') params.layers[id] = {};
+    Object.assign(params.layers[id], withLayerDefaults(def, params.layers[id]));
+  });
+  return params.layers;
+}
+
+let bundledLoaded = false;
+
+/** Registers every module in src/layers/ (bundled by Vite). Safe to call more than once. */
+export function registerBundledLayers() {
+  if (bundledLoaded) return getRegisteredLayers();
+  bundledLoaded = true;
+  const modules = import.meta.glob('./layers/*.js', { eager: true });
+  Object.keys(modules).sort().forEach((path) => {
+    try {
+      registerLayer(modules[path]);
+    } catch (err) {
+      console.warn(`[Layers] skipped ${path}:`, err?.message || err);
+    }
+  });
+  return getRegisteredLayers();
+}
@@ -0,0 +1,114 @@
+import * as THREE from 'three';
+import { ShaderPass } from 'postprocessing';
+
+// Example plugin layer (see layer-registry.js): CRT-style scanlines and a vignette that
+// tighten on beats. Off by default; enable it from Settings → Layers.
+
+export const id = 'scanlines';
+export const label = 'Scanlines';
+
+export const SECTIONS = [
+  { id: 'lines', label: 'Lines' },
+  { id: 'vignette', label: 'Vignette' },
+];
+
+export const PARAM_SCHEMA = [
+  { key: 'lineAmount', label: 'Line Amount', section: 'lines', type: 'range', min: 0.0, max: 1.0, step: 0.01, default: 0.35 },
+  { key: 'lineDensity', label: 'Line Density', section: 'lines', type: 'range', min: 0.1, max: 1.0, step: 0.01, default: 0.5 },
+  { key: 'scrollSpeed', label: 'Scroll Speed', section: 'lines', type: 'range', min: -4.0, max: 4.0, step: 0.05, default: 0.6 },
+  { key: 'drive', label: 'Audio Drive', section: 'lines', type: 'select', options: [{ label: 'Bass', value: 'bass' }, { label: 'Treble', value: 'treble' }, { label: 'RMS', value: 'rms' }, { label: 'None', value: 'none' }], default: 'bass' },
+  { key: 'vignette', label: 'Vignette', section: 'vignette', type: 'range', min: 0.0, max: 1.5, step: 0.01, default: 0.5 },
+  { key: 'beatPulse', label: 'Beat Pulse', section: 'vignette', type: 'range', min: 0.0, max: 1.0, step: 0.01, default: 0.35 },
+  { key: 'pulseOnDrop', label: 'Flash on Drop', section: 'vignette', type: 'boolean', default: true },
+];
+
+const vertexShader = `
+  varying vec2 vUv;
+  void main() {
+    vUv = position.xy * 0.5 + 0.5;
+    gl_Position = vec4(position.xy, 1.0, 1.0);
+  }
+`;
+
+const fragmentShader = `
+  uniform sampler2D inputBuffer;
+  uniform vec2 uResolution;
+  uniform float uTime;
+  uniform float uLineAmount;
+  uniform float uLineDensity;
+  uniform float uVignette;
+  uniform float uPulse;
+  uniform float uFlash;
+  varying vec2 vUv;
+
+  void main() {
+    vec4 color = texture2D(inputBuffer, vUv);
+    float rows = uResolution.y * uLineDensity * 0.5;
+    float line = 0.5 + 0.5 * sin((vUv.y * rows + uTime) * 6.2831853);
+    color.rgb *= 1.0 - uLineAmount * line;
+    vec2 centered = vUv - 0.5;
+    float vig = smoothstep(0.8, 0.2, length(centered) * (1.0 + uVignette + uPulse));
+    color.rgb *= mix(1.0, vig, clamp(uVignette + uPulse, 0.0, 1.0));
+    color.rgb += uFlash;
+    gl_FragColor = color;
+  }
+`;
+
+let material = null;
+let pass = null;
+let pulse = 0;
+let flash = 0;
+let scroll = 0;
+
+export function create({ width, height }) {
+  material = new THREE.ShaderMaterial({
+    uniforms: {
+      inputBuffer: { value: null },
+      uResolution: { value: new THREE.Vector2(width || 1, height || 1) },
+      uTime: { value: 0 },
+      uLineAmount: { value: 0 },
+      uLineDensity: { value: 0.5 },
+      uVignette: { value: 0 },
+      uPulse: { value: 0 },
+      uFlash: { value: 0 },
+    },
+    vertexShader,
+    fragmentShader,
+    depthWrite: false,
+    depthTest: false,
+  });
+  pass = new ShaderPass(material, 'inputBuffer');
+  return pass;
+}
+
+export function setSize(width, height) {
+  material?.uniforms.uResolution.value.set(width, height);
+}
+
+export function update(features, params, { dt }) {
+  if (!material) return;
+  const u = material.uniforms;
+  let drive = 0;
+  if (params.drive === 'rms') drive = features?.rmsNorm ?? 0;
+  else if (params.drive !== 'none') drive = features?.bandEnv?.[params.drive] ?? features?.bands?.[params.drive] ?? 0;
+  if (features?.beat) pulse = 1;
+  if (features?.drop && params.pulseOnDrop) flash = 1;
+  pulse *= Math.pow(0.5, dt / 0.12);
+  flash *= Math.pow(0.5, dt / 0.08);
+  scroll += dt * params.scrollSpeed;
+  u.uTime.value = scroll;
+  u.uLineAmount.value = params.lineAmount * (0.6 + 0.4 * THREE.MathUtils.clamp(Number(drive) || 0, 0, 1));
+  u.uLineDensity.value = params.lineDensity;
+  u.uVignette.value = params.vignette;
+  u.uPulse.value = pulse * params.beatPulse;
+  u.uFlash.value = flash * 0.25;
+}
+
+export function dispose() {
+  try { pass?.dispose(); } catch (_) {}
+  try { material?.dispose(); } catch (_) {}
+  material = null;
+  pass = null;
+  pulse = 0;
+  flash = 0;
+}
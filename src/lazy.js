@@ -184,7 +184,7 @@ export function loadMl5() {
  * Load the Butterchurn music visualizer library.
  * 
  * Butterchurn is a WebGL-based music visualizer (like Milkdrop).
- * Currently reserved for future features (not actively used).
+ * Used by the 'milkdrop' visual mode (see milkdrop.js).
  * 
  * @returns {Promise} A promise that resolves to the Butterchurn module
  */
@@ -206,11 +206,39 @@ export function loadButterchurn() {
   });
 }
 
+/**
+ * Load the Milkdrop preset converter.
+ * 
+ * Turns Milkdrop's .milk text presets into Butterchurn's JSON format, including the
+ * HLSL → GLSL shader translation. It is a large download, so it is only fetched
+ * the first time someone loads a .milk file.
+ * 
+ * @returns {Promise} A promise that resolves to the converter module ({ convertPreset })
+ */
+export function loadMilkdropConverter() {
+  return loadOnce('milkdrop-converter', async () => {
+    const remoteCandidates = [
+      'https://esm.sh/milkdrop-preset-converter@0.0.1?bundle',
+      'https://cdn.jsdelivr.net/npm/milkdrop-preset-converter@0.0.1/+esm',
+    ];
+    for (const href of remoteCandidates) {
+      try {
+        const mod = await import(/* @vite-ignore */ href);
+        const converter = mod?.convertPreset ? mod : (mod?.default ?? mod);
+        if (typeof converter?.convertPreset === 'function') return converter;
+      } catch (_) {
+        // try next
+      }
+    }
+    throw new Error('Milkdrop preset converter could not be loaded from CDN');
+  });
+}
+
 /**
  * Load the Wavesurfer audio waveform visualization library.
  * 
  * Wavesurfer can display audio waveforms and provides audio analysis features.
- * Currently reserved for future features (not actively used).
+ * Used by the timeline panel (see timeline-panel.js).
  * 
  * @returns {Promise} A promise that resolves to the Wavesurfer module
  */
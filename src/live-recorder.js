@@ -0,0 +1,224 @@
+/**
+ * Live Recorder
+ *
+ * Records the visualizer canvas plus the AudioEngine's gain-node output to WebM
+ * with MediaRecorder, for grabbing short clips of a live moment without running OBS.
+ *
+ * - Native resolution records the WebGL canvas' own captureStream()
+ * - Other resolutions draw each rendered frame into a 2D canvas (cover-cropped to the
+ *   target aspect) right after sceneApi.update(), so it never reads a cleared buffer
+ * - Audio is tapped from gainNode (post-gain, pre-analyser), i.e. whatever the app is
+ *   analysing: mic, system audio or the loaded file
+ * - Optional auto-stop after a fixed length (e.g. 30 s clips for social media)
+ */
+
+const MIME_CANDIDATES = [
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm',
+];
+
+export const LIVE_RECORD_RESOLUTIONS = {
+  native: null,
+  '720p': { width: 1280, height: 720 },
+  '1080p': { width: 1920, height: 1080 },
+  square: { width: 1080, height: 1080 },
+  vertical: { width: 1080, height: 1920 },
+};
+
+function pickMimeType() {
+  if (typeof MediaRecorder === 'undefined') return null;
+  for (const type of MIME_CANDIDATES) {
+    try { if (MediaRecorder.isTypeSupported(type)) return type; } catch (_) {}
+  }
+  return '';
+}
+
+export class LiveRecorder {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.sceneApi - Scene API from initScene()
+   * @param {AudioEngine} deps.audioEngine
+   */
+  constructor({ sceneApi, audioEngine }) {
+    this.sceneApi = sceneApi;
+    this.audioEngine = audioEngine;
+    this.recording = false;
+    this.startedAt = 0;
+    this._recorder = null;
+    this._chunks = [];
+    this._scaler = null; // { canvas, ctx, width, height }
+    this._audioDest = null;
+    this._stream = null;
+    this._autoStopTimer = null;
+    this._stopPromise = null;
+    this._listeners = new Set();
+  }
+
+  get supported() {
+    const canvas = this.sceneApi?.state?.renderer?.domElement;
+    return typeof MediaRecorder !== 'undefined' && !!canvas && typeof canvas.captureStream === 'function';
+  }
+
+  /** Seconds recorded so far (0 when idle) */
+  get elapsedSec() {
+    return this.recording ? (performance.now() - this.startedAt) / 1000 : 0;
+  }
+
+  on(event, handler) {
+    if (typeof handler !== 'function') return () => {};
+    const wrapped = { event, handler };
+    this._listeners.add(wrapped);
+    return () => this._listeners.delete(wrapped);
+  }
+
+  /**
+   * Starts recording.
+   * @param {Object} [opts]
+   * @param {string} [opts.resolution='native'] - Key of LIVE_RECORD_RESOLUTIONS
+   * @param {number} [opts.fps=60]
+   * @param {number} [opts.videoBitrate=8000000]
+   * @param {number} [opts.maxSeconds=0] - Auto-stop after this many seconds (0 = manual stop)
+   * @param {boolean} [opts.includeAudio=true]
+   */
+  start({ resolution = 'native', fps = 60, videoBitrate = 8000000, maxSeconds = 0, includeAudio = true } = {}) {
+    if (this.recording) return false;
+    if (!this.supported) throw new Error('Canvas recording is not supported in this browser');
+    const mimeType = pickMimeType();
+
+    const source = this.sceneApi.state.renderer.domElement;
+    const size = LIVE_RECORD_RESOLUTIONS[resolution] || null;
+    let videoStream;
+    if (size) {
+      const canvas = document.createElement('canvas');
+      canvas.width = size.width;
+      canvas.height = size.height;
+      this._scaler = { canvas, ctx: canvas.getContext('2d', { alpha: false }), width: size.width, height: size.height };
+      videoStream = canvas.captureStream(fps);
+    } else {
+      this._scaler = null;
+      videoStream = source.captureStream(fps);
+    }
+
+    const tracks = [...videoStream.getVideoTracks()];
+    const engine = this.audioEngine;
+    if (includeAudio && engine?.ctx && engine.gainNode && typeof engine.ctx.createMediaStreamDestination === 'function') {
+      try {
+        this._audioDest = engine.ctx.createMediaStreamDestination();
+        engine.gainNode.connect(this._audioDest);
+        tracks.push(...this._audioDest.stream.getAudioTracks());
+      } catch (err) {
+        console.warn('[LiveRecorder] audio tap unavailable, recording video only', err);
+        this._audioDest = null;
+      }
+    }
+    this._stream = new MediaStream(tracks);
+
+    const options = { videoBitsPerSecond: videoBitrate, audioBitsPerSecond: 192000 };
+    if (mimeType) options.mimeType = mimeType;
+    let recorder;
+    try {
+      recorder = new MediaRecorder(this._stream, options);
+    } catch (err) {
+      // Unsupported options: release the capture stream and the audio tap before reporting
+      this._teardown();
+      throw err;
+    }
+    this._chunks = [];
+    recorder.ondataavailable = (e) => { if (e.data && e.data.size) this._chunks.push(e.data); };
+    this._stopPromise = new Promise((resolve) => {
+      recorder.onstop = () => {
+        const blob = new Blob(this._chunks, { type: recorder.mimeType || 'video/webm' });
+        this._chunks = [];
+        this._teardown();
+        resolve(blob);
+      };
+    });
+    try {
+      recorder.start(1000); // flush every second so a crash mid-show loses little
+    } catch (err) {
+      this._chunks = [];
+      this._stopPromise = null;
+      this._teardown();
+      throw err;
+    }
+    this._recorder = recorder;
+    this.recording = true;
+    this.startedAt = performance.now();
+    if (maxSeconds > 0) {
+      this._autoStopTimer = setTimeout(() => { this.stop(); }, maxSeconds * 1000);
+    }
+    this._drawScaled();
+    this._notify('state', { recording: true });
+    return true;
+  }
+
+  /**
+   * Stops recording and downloads the clip.
+   * @param {Object} [opts]
+   * @param {boolean} [opts.download=true]
+   * @returns {Promise<Blob|null>}
+   */
+  async stop({ download = true } = {}) {
+    if (!this.recording || !this._recorder) return null;
+    this.recording = false;
+    if (this._autoStopTimer) { clearTimeout(this._autoStopTimer); this._autoStopTimer = null; }
+    const pending = this._stopPromise;
+    try { this._recorder.stop(); } catch (_) {}
+    const blob = await pending;
+    this._notify('state', { recording: false });
+    if (download && blob && blob.size) {
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `cosmic-anomaly-live-${new Date().toISOString().replace(/[:.]/g, '-')}.webm`;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 10000);
+    }
+    this._notify('saved', { size: blob?.size || 0 });
+    return blob;
+  }
+
+  /** Call right after the scene renders so scaled recordings copy a fresh frame */
+  captureFrame() {
+    if (this.recording && this._scaler) this._drawScaled();
+  }
+
+  _drawScaled() {
+    const scaler = this._scaler;
+    if (!scaler) return;
+    const src = this.sceneApi.state.renderer.domElement;
+    const sw = src.width;
+    const sh = src.height;
+    if (!sw || !sh) return;
+    // Cover-crop the source to the target aspect
+    const targetAspect = scaler.width / scaler.height;
+    let cw = sw;
+    let ch = sw / targetAspect;
+    if (ch > sh) { ch = sh; cw = sh * targetAspect; }
+    const sx = (sw - cw) / 2;
+    const sy = (sh - ch) / 2;
+    try { scaler.ctx.drawImage(src, sx, sy, cw, ch, 0, 0, scaler.width, scaler.height); } catch (_) {}
+  }
+
+  _teardown() {
+    try { this._stream?.getTracks().forEach((t) => t.stop()); } catch (_) {}
+    if (this._audioDest) {
+      try { this.audioEngine.gainNode.disconnect(this._audioDest); } catch (_) {}
+    }
+    this._audioDest = null;
+    this._stream = null;
+    this._scaler = null;
+    this._recorder = null;
+  }
+
+  _notify(event, detail) {
+    for (const listener of this._listeners) {
+      if (listener.event === event || listener.event === '*') {
+        try { listener.handler({ event, detail }); } catch (err) { console.error('LiveRecorder listener error', err); }
+      }
+    }
+  }
+}
+
+export default LiveRecorder;
@@ -10,7 +10,16 @@
  * 2. Sets up event handlers (window resize, mouse movement, drag-and-drop)
  * 3. Runs the main animation loop that updates everything every frame
  * 4. Handles WebSocket connection for sending audio features to TouchDesigner
+ *    and receiving OSC control messages back from it
  * 5. Manages pause/resume behavior when the browser tab is hidden/shown
+ * 6. Hands the scene to the offline video exporter (Session → Video Export)
+ * 7. Records/replays feature tapes (Source → Feature Tape) in place of live audio
+ * 8. Records live canvas + audio clips to WebM (Session → Record)
+ * 9. Runs the show cue list (Presets → Cue List, G = GO)
+ * 10. Applies the modulation matrix to scene params each frame (Settings → Mod Matrix)
+ * 11. Shows the waveform / beat grid timeline for a loaded file (click to seek, drag to loop)
+ * 12. Plays dropped files as a playlist with crossfades (Source → Playlist)
+ * 13. Switches presets on song sections of the playing file (Source → Song Sections)
  *
  * Data Flow:
  * - AudioEngine analyzes audio and produces features (beats, frequencies, etc.)
@@ -23,12 +32,21 @@
 import { initScene } from './scene.js';           // 3D scene and rendering
 import { AudioEngine } from './audio.js';          // Audio analysis and processing
 import { initSettingsUI } from './settings-ui.js'; // Settings panel UI
-import { SyncCoordinator } from './sync.js';      // Multi-window synchronization
+import { SyncCoordinator, resolveRoleFromUrl } from './sync.js'; // Multi-window synchronization
 import { printFeatureMatrix } from './feature.js'; // Browser capability detection
 import { showToast } from './toast.js';           // Temporary notification messages
 import { PresetManager } from './preset-manager.js';
 import { openPresetLibraryWindow } from './preset-library-window.js';
 import { PerformanceController } from './performance-pads.js';
+import { createOscControlHandler } from './osc-control.js';
+import { MidiController } from './midi.js';
+import { renderFileToVideo, isVideoExportSupported } from './video-export.js';
+import { FeatureTape } from './feature-tape.js';
+import { LiveRecorder } from './live-recorder.js';
+import { CueList } from './cue-list.js';
+import { ModMatrix } from './mod-matrix.js';
+import { TimelinePanel } from './timeline-panel.js';
+import { Playlist } from './playlist.js';
 
 // Debug mode: print browser feature support matrix when ?debug is in the URL
 // This helps developers understand what capabilities are available
@@ -45,11 +63,29 @@ const audio = new AudioEngine();
 
 // Create the sync coordinator for multi-window synchronization
 // This allows multiple browser windows to stay in sync (control + projector mode)
-const sync = new SyncCoordinator({ role: 'control', sceneApi });
+// Projector windows are opened with ?receiver=1&projector=<id>; everything else controls
+const sync = new SyncCoordinator({ role: resolveRoleFromUrl() === 'receiver' ? 'receiver' : 'control', sceneApi });
+// Receivers on other machines join through the LAN relay: ?relay=ws://<host>:8091&room=<name>&token=<secret>&delay=<ms>
+const syncUrlParams = new URLSearchParams(location.search);
+if (syncUrlParams.get('relay')) {
+  try {
+    sync.setPlayoutDelay(syncUrlParams.get('delay'));
+    sync.connectNetwork(syncUrlParams.get('relay'), { room: syncUrlParams.get('room') || 'default', token: syncUrlParams.get('token') || '' });
+  } catch (err) {
+    console.warn('Network sync unavailable', err);
+  }
+}
 // Webcam feature removed; no global exposure needed
 
+// Modulation matrix: routes any audio feature / LFO to any numeric param (Settings → Mod Matrix)
+const modMatrix = new ModMatrix({ sceneApi, audioEngine: audio });
+sceneApi.setParamModulator(modMatrix);
+// Milkdrop mode taps the engine's analyser; the offline analyser (video export) has no
+// audio context, so exports fall back to the features' waveform
+sceneApi.setAudioSourceProvider(() => audio.analyser || null);
+
 // Preset manager orchestrates capture, persistence, and live preset operations
-const presetManager = new PresetManager({ sceneApi, audioEngine: audio });
+const presetManager = new PresetManager({ sceneApi, audioEngine: audio, modMatrix });
 
 let presetLibraryUI = null;
 const openPresetLibrary = () => {
@@ -77,6 +113,60 @@ try {
   performancePads = { update: () => {}, getDeltas: () => null };
 }
 
+// MIDI controller mapping (learn + bindings live in Settings → Session)
+let midi = null;
+try {
+  midi = new MidiController({ performancePads });
+} catch (err) {
+  console.warn('MIDI unavailable', err);
+}
+
+// Feature tape: record live features to a file, replay them in place of audio
+const featureTape = new FeatureTape();
+
+// Live clip recorder (canvas + gain-node audio → WebM via MediaRecorder)
+const liveRecorder = new LiveRecorder({ sceneApi, audioEngine: audio });
+
+// Show cue list: presets / shader looks / pads fired on bar counts, drops or GO
+const cueList = new CueList({ sceneApi, presetManager, audioEngine: audio, performancePads });
+
+// Waveform + beat grid timeline for loaded files (control window only)
+let timeline = null;
+if (sync.role !== 'receiver') {
+  try {
+    timeline = new TimelinePanel({ audioEngine: audio });
+  } catch (err) {
+    console.warn('Timeline unavailable', err);
+  }
+}
+
+// File playlist: queue, auto-advance, crossfades, per-track presets
+const playlist = new Playlist({ audioEngine: audio, presetManager });
+playlist.on('error', ({ detail }) => {
+  try { showToast(`Playlist: could not load track (${detail.error})`, 2800); } catch(_) {}
+});
+
+// Section presets: load the preset set for a label when the file enters such a section
+audio.sections.on('section', ({ detail }) => {
+  if (detail.initial) return;
+  const presetId = audio.sections.presetFor(detail.section.label);
+  if (!presetId) return;
+  const bpm = audio.beatGrid?.bpm || audio.bpmEstimate || 120;
+  try {
+    presetManager.load(presetId, { transitionMs: 60000 / bpm });
+  } catch (err) {
+    console.warn('Section preset failed to load', err);
+  }
+});
+
+// OSC control (TouchDesigner → bridge → WebSocket → here)
+const oscControl = createOscControlHandler({
+  sceneApi,
+  presetManager,
+  performancePads,
+  notify: (msg) => showToast(msg),
+});
+
 
 window.addEventListener('keydown', (event) => {
   if (event.defaultPrevented) return;
@@ -90,6 +180,22 @@ window.addEventListener('keydown', (event) => {
   openPresetLibrary();
 });
 
+// O = "this is the one": realign the live bar count so the nearest beat is beat 1
+window.addEventListener('keydown', (event) => {
+  if (event.defaultPrevented || event.repeat) return;
+  if ((event.key || '').toLowerCase() !== 'o') return;
+  if (event.metaKey || event.ctrlKey || event.altKey) return;
+  const tag = (event.target && event.target.tagName || '').toLowerCase();
+  if (['input', 'textarea', 'select', 'button'].includes(tag)) return;
+  event.preventDefault();
+  if (audio.transport?.getPosition().source === 'grid') {
+    showToast('This file\'s bars come from its beat grid');
+    return;
+  }
+  audio.markDownbeat();
+  showToast('Downbeat set', 900);
+});
+
 // Initialize the settings UI
 // This creates the settings panel that slides in from the right side
 // We wrap it in a try-catch so the app continues working even if UI fails to load
@@ -101,6 +207,12 @@ try {
     syncCoordinator: sync, // Pass sync coordinator so UI can control synchronization
     presetManager,
     openPresetLibrary,
+    midiController: midi,
+    featureTape,
+    liveRecorder,
+    cueList,
+    modMatrix,
+    playlist,
     
     // Callback: User clicked "Start System Audio" button
     // This attempts to capture system audio (what's playing on the computer)
@@ -170,6 +282,10 @@ try {
         a.click(); // Trigger download
       } catch (e) { console.error(e); }
     },
+
+    // Callback: User clicked "Render Video" in Session → Video Export
+    // Renders the loaded file offline, frame by frame, and downloads a .webm
+    onRenderVideo: (options, callbacks) => renderVideo(options, callbacks),
   });
 } catch (e) {
   // If UI initialization fails, create a minimal stub so the app doesn't break
@@ -182,6 +298,13 @@ try {
   };
 }
 
+// Projector / network status in Session: push link changes immediately, refresh the
+// "last seen" ages once a second
+if (typeof ui.updateSyncStatus === 'function') {
+  sync.onStatusChange((status) => ui.updateSyncStatus(status));
+  setInterval(() => ui.updateSyncStatus(sync.getStatus()), 1000);
+}
+
 // Theme is initialized inside scene init; avoid duplicate initial set
 
 // WebSocket Feature Broadcaster
@@ -197,6 +320,10 @@ try {
 // - MFCC (audio characteristics)
 // - Chroma (musical notes)
 // - Pitch information
+//
+// The same socket carries control messages the other way: the bridge forwards
+// incoming OSC (/reactive/param/..., /reactive/preset/..., /reactive/pad/...)
+// as { type: 'control', address, args } and oscControl applies them.
 
 // WebSocket connection state tracking
 let featureWs = null;                    // The WebSocket connection object
@@ -247,6 +374,14 @@ function ensureFeatureWs(nowMs) {
       featureWsBackoffMs = Math.min(20000, Math.max(2500, featureWsBackoffMs * 1.6));
     };
     
+    // Control messages forwarded from the bridge's OSC input
+    ws.onmessage = (event) => {
+      let msg;
+      try { msg = JSON.parse(event.data); } catch (_) { return; }
+      if (!msg || msg.type !== 'control') return;
+      try { oscControl.handle(msg.address, msg.args); } catch (err) { console.warn('[OSC] control failed', msg.address, err); }
+    };
+    
     // Connection error - close it cleanly and reset state
     ws.onerror = () => {
       featureWsConnected = false;
@@ -320,6 +455,54 @@ function sendFeaturesOverWs(features, nowMs) {
   }
 }
 
+// Offline Video Export
+// ====================
+// Renders the loaded audio file to WebM at a fixed frame rate. While it runs, the
+// exporter owns audio.update() and sceneApi.update(), so the animation loop idles
+// and the resume watchdogs leave the (deliberately suspended) audio context alone.
+
+let videoExportActive = false;
+
+/**
+ * @param {{ fps?: number, width?: number, height?: number, videoBitrate?: number }} options
+ * @param {{ onProgress?: Function, isCancelled?: Function }} [callbacks]
+ * @returns {Promise<boolean>} True when a file was downloaded
+ */
+async function renderVideo(options = {}, { onProgress, isCancelled } = {}) {
+  if (videoExportActive) return false;
+  if (!audio._lastAudioBuffer) {
+    showToast('Load an audio file first, then render.', 2600);
+    return false;
+  }
+  if (!isVideoExportSupported()) {
+    showToast('Video export needs WebCodecs (Chrome or Edge).', 3200);
+    return false;
+  }
+  videoExportActive = true;
+  try {
+    const blob = await renderFileToVideo({ audio, sceneApi, performancePads, ...options, onProgress, isCancelled });
+    if (!blob) {
+      showToast('Video export cancelled');
+      return false;
+    }
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'cosmic-anomaly.webm';
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+    showToast('Video exported');
+    return true;
+  } catch (e) {
+    console.error(e);
+    showToast(`Video export failed: ${e?.message || e}`, 3200);
+    return false;
+  } finally {
+    videoExportActive = false;
+    lastTime = performance.now();
+  }
+}
+
 // Window Event Handlers
 // =====================
 
@@ -347,6 +530,7 @@ document.addEventListener('visibilitychange', async () => {
     // Tab became visible - resume everything
     isPaused = false;
     lastTime = performance.now(); // Reset time tracking
+    if (videoExportActive) return; // the exporter keeps the context suspended
     try { await audio.ctx?.resume?.(); } catch (_) {} // Resume audio context
   }
 });
@@ -358,11 +542,13 @@ document.addEventListener('visibilitychange', async () => {
 
 // Resume on window focus (user clicks back into the tab)
 window.addEventListener('focus', async () => {
+  if (videoExportActive) return;
   try { await audio.ctx?.resume?.(); } catch (_) {}
 });
 
 // Resume on pointer down (user clicks/taps anywhere)
 window.addEventListener('pointerdown', async () => {
+  if (videoExportActive) return;
   try { await audio.ctx?.resume?.(); } catch (_) {}
 });
 
@@ -403,8 +589,8 @@ function animate() {
   
   const now = performance.now();
   
-  // If paused, skip updating and reset timers
-  if (isPaused) {
+  // If paused (or the offline exporter is driving audio + scene), skip updating and reset timers
+  if (isPaused || videoExportActive) {
     lastTime = now;
     fpsLast = now;
     autoLast = now;
@@ -426,7 +612,10 @@ function animate() {
   
   // Update audio engine and get features
   // This analyzes the audio and extracts beat, frequency, tempo, etc.
-  let features = audio.update();
+  // A playing feature tape stands in for live audio entirely.
+  let features = featureTape.playing ? featureTape.read(now) : null;
+  if (!features) features = audio.update();
+  if (features && featureTape.recording && !features.fromTape) featureTape.capture(features, now);
   if (!features) {
     // Receiver windows can render using remote features from sync
     try { features = sync.getRemoteFeatures(now); } catch (_) {}
@@ -436,6 +625,11 @@ function animate() {
   // Update 3D scene with audio features
   // This animates the particles and visuals based on the audio
   sceneApi.update(features);
+  liveRecorder.captureFrame(); // scaled recordings copy the frame while it's still in the buffer
+  try { cueList.update(features); } catch (_) {}
+  try { timeline?.update(features); } catch (_) {}
+  try { playlist.update(); } catch (_) {}
+  try { presetManager.update(now, features); } catch (_) {}
   
   // Update synchronization coordinator
   // This handles syncing between multiple windows (control + projector mode)
@@ -584,18 +778,22 @@ const dropOverlay = document.getElementById('drop-overlay');
 });
 
 // Handle file drop
+// Several files (or one while the playlist has tracks) go to the playlist; a single file
+// replaces the current source as before
 window.addEventListener('drop', async (e) => {
   e.preventDefault();
-  const file = e.dataTransfer?.files?.[0]; // Get first dropped file
-  
-  // Only process audio files
-  if (file && file.type.startsWith('audio/')) {
-    try {
-      await audio.loadFile(file);
-    } catch (err) {
-      console.error('Drop load failed', err);
-      try { showToast('Audio file load failed.', 2600); } catch(_) {}
-    }
+  const files = Array.from(e.dataTransfer?.files || []).filter((f) => f.type.startsWith('audio/'));
+  if (!files.length) return;
+  if (files.length > 1 || playlist.items.length) {
+    const added = playlist.addFiles(files);
+    try { showToast(`Added ${added} track${added === 1 ? '' : 's'} to the playlist`, 1800); } catch(_) {}
+    return;
+  }
+  try {
+    await audio.loadFile(files[0]);
+  } catch (err) {
+    console.error('Drop load failed', err);
+    try { showToast('Audio file load failed.', 2600); } catch(_) {}
   }
 });
 
@@ -0,0 +1,416 @@
+/**
+ * MIDI Controller Mapping
+ *
+ * Web MIDI input with a MIDI-learn workflow so any Settings slider, shader param
+ * or performance pad can be driven from a hardware controller.
+ *
+ * - Targets register themselves by stable id (e.g. 'audio:Gain', 'dispersion:zoom', 'pad:1')
+ * - Learn: arm a target, then move a knob or hit a pad to bind it
+ * - CC scaling: each binding maps 0..127 onto a sub-range of the target (min/max as 0..1) with optional invert
+ * - Soft takeover: a knob only grabs a range target once it passes the current value,
+ *   so switching presets or touching the mouse never causes jumps
+ * - Notes: note-on/off engage/release pads; on range targets note-on jumps to the binding max
+ *   and note-off returns to min; on toggles note-on flips the value
+ * - Bindings persist in localStorage (cosmic_midi_bindings)
+ */
+
+const STORAGE_KEYS = {
+  bindings: 'cosmic_midi_bindings',
+  enabled: 'cosmic_midi_enabled',
+  input: 'cosmic_midi_input',
+};
+
+// How close (as a 0..1 fraction of the range) a knob must come before soft takeover grabs
+const PICKUP_WINDOW = 0.04;
+// Delay before firing a slider's onchange after a burst of CC moves
+const COMMIT_DELAY_MS = 150;
+
+const clamp = (v, a, b) => Math.min(b, Math.max(a, v));
+
+function readJson(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (_) {
+    return fallback;
+  }
+}
+
+function writeJson(key, value) {
+  try { localStorage.setItem(key, JSON.stringify(value)); } catch (_) {}
+}
+
+function normalizeBinding(raw) {
+  if (!raw || typeof raw !== 'object' || !raw.target) return null;
+  const kind = raw.kind === 'note' ? 'note' : 'cc';
+  const channel = clamp(parseInt(raw.channel, 10) || 0, 0, 15);
+  const number = clamp(parseInt(raw.number, 10) || 0, 0, 127);
+  const min = Number.isFinite(raw.min) ? clamp(raw.min, 0, 1) : 0;
+  const max = Number.isFinite(raw.max) ? clamp(raw.max, 0, 1) : 1;
+  return {
+    target: String(raw.target),
+    kind,
+    channel,
+    number,
+    min,
+    max,
+    invert: !!raw.invert,
+    takeover: raw.takeover !== false,
+  };
+}
+
+/** Human readable source, e.g. "CC 21 · ch 1" */
+export function describeMidiSource(binding) {
+  if (!binding) return '';
+  const type = binding.kind === 'note' ? 'Note' : 'CC';
+  return `${type} ${binding.number} · ch ${binding.channel + 1}`;
+}
+
+export class MidiController {
+  constructor({ performancePads } = {}) {
+    this.performancePads = performancePads || null;
+    this.supported = typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+    this.access = null;
+    this.enabled = false;
+    this.inputId = localStorage.getItem(STORAGE_KEYS.input) || '';
+    this.learnMode = false;
+    this.learnTarget = null;
+    this.lastMessage = null;
+    this._targets = new Map();
+    this._runtime = new Map(); // per-binding soft takeover state
+    this._listeners = new Set();
+    this._boundInputs = new Set();
+    this.bindings = (readJson(STORAGE_KEYS.bindings, []) || []).map(normalizeBinding).filter(Boolean);
+
+    this._registerPadTargets();
+
+    let wasEnabled = false;
+    try { wasEnabled = !!JSON.parse(localStorage.getItem(STORAGE_KEYS.enabled) || 'false'); } catch (_) {}
+    if (wasEnabled) this.enable().catch(() => {});
+  }
+
+  on(event, handler) {
+    if (typeof handler !== 'function') return () => {};
+    const wrapped = { event, handler };
+    this._listeners.add(wrapped);
+    return () => this._listeners.delete(wrapped);
+  }
+
+  // -----------------
+  // Access / devices
+  // -----------------
+
+  async enable() {
+    if (!this.supported) throw new Error('Web MIDI not supported in this browser');
+    if (!this.access) {
+      this.access = await navigator.requestMIDIAccess({ sysex: false });
+      this.access.onstatechange = () => {
+        this._attachInputs();
+        this._notify('devices', { inputs: this.getInputs() });
+      };
+    }
+    this.enabled = true;
+    writeJson(STORAGE_KEYS.enabled, true);
+    this._attachInputs();
+    this._notify('status', { enabled: true });
+    return true;
+  }
+
+  disable() {
+    this.enabled = false;
+    writeJson(STORAGE_KEYS.enabled, false);
+    this.setLearnMode(false);
+    this._detachInputs();
+    this._notify('status', { enabled: false });
+  }
+
+  getInputs() {
+    if (!this.access) return [];
+    const out = [];
+    this.access.inputs.forEach((input) => {
+      out.push({ id: input.id, name: input.name || input.id, state: input.state });
+    });
+    return out;
+  }
+
+  /** Listen to a single input by id, or '' for all inputs */
+  setInput(id) {
+    this.inputId = id || '';
+    try { localStorage.setItem(STORAGE_KEYS.input, this.inputId); } catch (_) {}
+    if (this.enabled) this._attachInputs();
+  }
+
+  // -----------------
+  // Targets
+  // -----------------
+
+  /**
+   * Register (or replace) a MIDI target.
+   * @param {string} id - Stable id used in stored bindings
+   * @param {Object} def
+   * @param {'range'|'toggle'|'pad'} def.type
+   * @param {string} [def.label]
+   * @param {number} [def.min] - Range targets only
+   * @param {number} [def.max]
+   * @param {number} [def.step]
+   * @param {Function} [def.get] - Current value, used for soft takeover and toggles
+   * @param {Function} [def.set] - Apply a value
+   * @param {Function} [def.commit] - Optional, called once a burst of moves settles
+   * @param {Function} [def.engage] - Pad targets
+   * @param {Function} [def.release]
+   */
+  registerTarget(id, def) {
+    if (!id || !def) return;
+    this._targets.set(id, { type: 'range', label: id, ...def, id });
+  }
+
+  unregisterTarget(id) {
+    this._targets.delete(id);
+  }
+
+  getTarget(id) {
+    return this._targets.get(id) || null;
+  }
+
+  // -----------------
+  // Learn
+  // -----------------
+
+  setLearnMode(on) {
+    this.learnMode = !!on;
+    if (!this.learnMode) this.learnTarget = null;
+    this._notify('learn', { active: this.learnMode, target: this.learnTarget });
+  }
+
+  /** Arm a target; the next CC or note-on binds to it */
+  selectLearnTarget(id) {
+    if (!this.learnMode) return;
+    this.learnTarget = id || null;
+    this._notify('learn', { active: true, target: this.learnTarget });
+  }
+
+  // -----------------
+  // Bindings
+  // -----------------
+
+  getBinding(targetId) {
+    return this.bindings.find((b) => b.target === targetId) || null;
+  }
+
+  hasBinding(targetId) {
+    return !!this.getBinding(targetId);
+  }
+
+  updateBinding(targetId, patch = {}) {
+    const binding = this.getBinding(targetId);
+    if (!binding) return;
+    Object.assign(binding, normalizeBinding({ ...binding, ...patch }));
+    this._runtime.delete(targetId);
+    this._persist();
+  }
+
+  removeBinding(targetId) {
+    this.bindings = this.bindings.filter((b) => b.target !== targetId);
+    this._runtime.delete(targetId);
+    this._persist();
+  }
+
+  clearBindings() {
+    this.bindings = [];
+    this._runtime.clear();
+    this._persist();
+  }
+
+  // -----------------
+  // Internal helpers
+  // -----------------
+
+  _registerPadTargets() {
+    for (let i = 1; i <= 5; i += 1) {
+      const key = String(i);
+      this.registerTarget(`pad:${key}`, {
+        type: 'pad',
+        label: `Pad ${key}`,
+        engage: () => this.performancePads?.engagePad?.(key),
+        release: () => this.performancePads?.releasePad?.(key),
+      });
+    }
+  }
+
+  _attachInputs() {
+    this._detachInputs();
+    if (!this.access || !this.enabled) return;
+    this.access.inputs.forEach((input) => {
+      if (this.inputId && input.id !== this.inputId) return;
+      input.onmidimessage = (event) => this._handleMessage(event);
+      this._boundInputs.add(input);
+    });
+  }
+
+  _detachInputs() {
+    for (const input of this._boundInputs) {
+      try { input.onmidimessage = null; } catch (_) {}
+    }
+    this._boundInputs.clear();
+  }
+
+  _handleMessage(event) {
+    const data = event?.data;
+    if (!data || data.length < 3) return;
+    const status = data[0] & 0xf0;
+    const channel = data[0] & 0x0f;
+    const number = data[1];
+    const value = data[2];
+    let kind = null;
+    let on = false;
+    if (status === 0xb0) {
+      kind = 'cc';
+    } else if (status === 0x90) {
+      kind = 'note';
+      on = value > 0; // note-on with velocity 0 is a note-off
+    } else if (status === 0x80) {
+      kind = 'note';
+      on = false;
+    }
+    if (!kind) return;
+    this.lastMessage = { kind, channel, number, value, on };
+    this._notify('message', this.lastMessage);
+
+    if (this.learnMode && this.learnTarget && (kind === 'cc' || on)) {
+      this._learn(kind, channel, number);
+      return;
+    }
+
+    for (const binding of this.bindings) {
+      if (binding.kind !== kind || binding.channel !== channel || binding.number !== number) continue;
+      const target = this._targets.get(binding.target);
+      if (!target) continue;
+      try {
+        if (kind === 'cc') this._applyCc(binding, target, value);
+        else this._applyNote(binding, target, on);
+      } catch (err) {
+        console.warn('[MIDI] target failed', binding.target, err);
+      }
+    }
+  }
+
+  _learn(kind, channel, number) {
+    const targetId = this.learnTarget;
+    // One source drives one target, and each target has one source
+    this.bindings = this.bindings.filter((b) => b.target !== targetId
+      && !(b.kind === kind && b.channel === channel && b.number === number));
+    const binding = normalizeBinding({ target: targetId, kind, channel, number });
+    this.bindings.push(binding);
+    this._runtime.delete(targetId);
+    this.learnTarget = null;
+    this._persist();
+    const label = this._targets.get(targetId)?.label || targetId;
+    this._notify('learned', { binding, label });
+    this._notify('learn', { active: this.learnMode, target: null });
+  }
+
+  _applyCc(binding, target, value) {
+    if (target.type === 'pad') {
+      if (value >= 64) target.engage?.(); else target.release?.();
+      return;
+    }
+    if (target.type === 'toggle') {
+      target.set?.(value >= 64);
+      return;
+    }
+    const norm = binding.invert ? 1 - value / 127 : value / 127;
+    const scaled = binding.min + (binding.max - binding.min) * norm;
+    const next = this._valueFromScaled(target, scaled);
+    const rt = this._runtime.get(binding.target) || { picked: !binding.takeover, lastScaled: null, lastSent: null };
+    this._runtime.set(binding.target, rt);
+
+    if (binding.takeover) {
+      const current = typeof target.get === 'function' ? Number(target.get()) : NaN;
+      if (Number.isFinite(current)) {
+        // Value changed elsewhere (mouse, preset, OSC) since we last set it → pick up again
+        if (rt.picked && rt.lastSent !== null && Math.abs(current - rt.lastSent) > this._tolerance(target)) {
+          rt.picked = false;
+        }
+        if (!rt.picked) {
+          const currentScaled = this._scaledFromValue(target, current);
+          const near = Math.abs(currentScaled - scaled) <= PICKUP_WINDOW;
+          const crossed = rt.lastScaled !== null && (rt.lastScaled - currentScaled) * (scaled - currentScaled) <= 0;
+          rt.lastScaled = scaled;
+          if (!near && !crossed) {
+            this._notify('pickup', { target: binding.target, knob: scaled, value: currentScaled });
+            return;
+          }
+          rt.picked = true;
+        }
+      }
+    }
+    rt.lastScaled = scaled;
+    rt.lastSent = next;
+    target.set?.(next);
+    this._scheduleCommit(target, next);
+  }
+
+  _applyNote(binding, target, on) {
+    if (target.type === 'pad') {
+      if (on) target.engage?.(); else target.release?.();
+      return;
+    }
+    if (target.type === 'toggle') {
+      if (on) target.set?.(!target.get?.());
+      return;
+    }
+    const next = this._valueFromScaled(target, on ? binding.max : binding.min);
+    const rt = this._runtime.get(binding.target) || {};
+    rt.lastSent = next;
+    rt.picked = true;
+    this._runtime.set(binding.target, rt);
+    target.set?.(next);
+    this._scheduleCommit(target, next);
+  }
+
+  _valueFromScaled(target, scaled) {
+    const min = Number(target.min) || 0;
+    const max = Number.isFinite(target.max) ? Number(target.max) : 1;
+    let v = min + (max - min) * clamp(scaled, 0, 1);
+    const step = Number(target.step);
+    if (step > 0) v = min + Math.round((v - min) / step) * step;
+    // Trim float noise from the step rounding
+    return clamp(parseFloat(v.toPrecision(10)), Math.min(min, max), Math.max(min, max));
+  }
+
+  _scaledFromValue(target, value) {
+    const min = Number(target.min) || 0;
+    const max = Number.isFinite(target.max) ? Number(target.max) : 1;
+    if (max === min) return 0;
+    return clamp((value - min) / (max - min), 0, 1);
+  }
+
+  _tolerance(target) {
+    const step = Number(target.step);
+    const span = Math.abs((Number(target.max) || 1) - (Number(target.min) || 0));
+    return Math.max(step > 0 ? step * 1.5 : 0, span * 0.005);
+  }
+
+  _scheduleCommit(target, value) {
+    if (typeof target.commit !== 'function') return;
+    clearTimeout(target._commitTimer);
+    target._commitTimer = setTimeout(() => {
+      try { target.commit(value); } catch (_) {}
+    }, COMMIT_DELAY_MS);
+  }
+
+  _persist() {
+    writeJson(STORAGE_KEYS.bindings, this.bindings);
+    this._notify('bindings', { bindings: this.bindings });
+  }
+
+  _notify(event, detail) {
+    for (const listener of this._listeners) {
+      if (listener.event === event || listener.event === '*') {
+        try { listener.handler({ event, detail }); } catch (err) { console.error('MidiController listener error', err); }
+      }
+    }
+  }
+}
+
+export default MidiController;
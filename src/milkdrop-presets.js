@@ -0,0 +1,105 @@
+/**
+ * Milkdrop Presets
+ *
+ * Presets for the 'milkdrop' visual mode (milkdrop.js), loaded from local files:
+ *
+ *   .json  Butterchurn preset ({ baseVals, shapes, waves, init_eqs_str, ..., warp, comp }),
+ *          or a pack mapping names to presets (the butterchurn-presets layout)
+ *   .milk  Milkdrop's own text format, converted in the browser by milkdrop-preset-converter
+ *          (lazy.js fetches it with the first .milk file)
+ *
+ * The list lives for the session only: a preset pack easily runs to megabytes, more than
+ * localStorage holds. Scene presets keep the selected preset's name (visuals.milkdrop.preset),
+ * which is picked again once a file with that preset is loaded.
+ */
+
+import { loadMilkdropConverter } from './lazy.js';
+
+const presets = new Map();
+const listeners = new Set();
+
+function notify(event, name) {
+  listeners.forEach((fn) => {
+    try { fn(event, name); } catch (err) { console.error('[Milkdrop] listener error', err); }
+  });
+}
+
+/** True for an object Butterchurn's loadPreset() accepts */
+export function isButterchurnPreset(value) {
+  return !!value && typeof value === 'object' && !!value.baseVals && typeof value.baseVals === 'object'
+    && Array.isArray(value.shapes) && Array.isArray(value.waves);
+}
+
+function baseName(fileName) {
+  return String(fileName || 'Preset').replace(/\.[^.]+$/, '').trim() || 'Preset';
+}
+
+/**
+ * Presets in one file.
+ * @param {File} file
+ * @returns {Promise<Array<{name: string, preset: Object}>>}
+ */
+async function readFile(file) {
+  const text = await file.text();
+  if (/\.milk$/i.test(file.name || '') || /^\s*\[preset00\]/m.test(text)) {
+    const converter = await loadMilkdropConverter();
+    const preset = converter.convertPreset(text);
+    if (!isButterchurnPreset(preset)) throw new Error('Conversion produced no preset');
+    return [{ name: baseName(file.name), preset }];
+  }
+  const data = JSON.parse(text);
+  if (isButterchurnPreset(data)) return [{ name: baseName(file.name), preset: data }];
+  if (!data || typeof data !== 'object') throw new Error('Not a Butterchurn preset');
+  const list = Object.entries(data).filter(([, preset]) => isButterchurnPreset(preset)).map(([name, preset]) => ({ name, preset }));
+  if (!list.length) throw new Error('No Butterchurn presets in file');
+  return list;
+}
+
+/**
+ * Adds every preset in the given files. A name that is already loaded is replaced.
+ * @param {FileList|File[]} files
+ * @returns {Promise<{added: string[], failed: Array<{file: string, error: string}>}>}
+ */
+export async function loadMilkdropFiles(files) {
+  const added = [];
+  const failed = [];
+  for (const file of Array.from(files || [])) {
+    try {
+      (await readFile(file)).forEach(({ name, preset }) => {
+        presets.set(name, preset);
+        added.push(name);
+      });
+    } catch (err) {
+      failed.push({ file: file.name, error: err?.message || String(err) });
+    }
+  }
+  if (added.length) notify('add', added[0]);
+  return { added, failed };
+}
+
+/** Preset names in load order */
+export function getMilkdropPresetNames() {
+  return Array.from(presets.keys());
+}
+
+export function getMilkdropPreset(name) {
+  return presets.get(name) || null;
+}
+
+export function removeMilkdropPreset(name) {
+  if (!presets.delete(name)) return false;
+  notify('remove', name);
+  return true;
+}
+
+export function clearMilkdropPresets() {
+  if (!presets.size) return;
+  presets.clear();
+  notify('clear', null);
+}
+
+export function onMilkdropPresetsChange(listener) {
+  if (typeof listener !== 'function') return () => {};
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
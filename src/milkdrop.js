@@ -0,0 +1,318 @@
+/**
+ * Milkdrop Layer
+ *
+ * Butterchurn (a WebGL port of Milkdrop) for the 'milkdrop' visual mode. Butterchurn draws
+ * into its own offscreen canvas; the layer puts that canvas on a full-screen quad in an
+ * overlay RenderPass, the slot the dispersion overlay uses, so it blends over the 3D scene:
+ *
+ *   add     adds its light to the scene; black leaves the scene untouched
+ *   screen  like add, but bright areas don't clip to white
+ *   normal  covers the scene; opacity sets how much shows through
+ *
+ * Audio comes from the AudioEngine's graph: a stereo tap behind the engine's analyser gives
+ * Butterchurn its waveforms. Without a running graph (projector windows, offline export,
+ * feature tapes) the features' waveform (features.timeData) feeds both channels.
+ *
+ * Presets come from milkdrop-presets.js; the scene picks them and handles auto-cycling.
+ */
+
+import * as THREE from 'three';
+import { RenderPass } from 'postprocessing';
+import { loadButterchurn } from './lazy.js';
+
+export const MILKDROP_BLEND_MODES = Object.freeze(['add', 'screen', 'normal']);
+export const MILKDROP_CYCLE_MODES = Object.freeze(['off', 'drop', 'bars', 'dropOrBars']);
+
+export const MILKDROP_DEFAULTS = Object.freeze({
+  preset: '',          // selected preset name (milkdrop-presets.js)
+  blend: 'screen',
+  opacity: 0.85,
+  show3D: true,        // false: Butterchurn alone, the 3D render is skipped
+  cycle: 'dropOrBars',
+  cycleBars: 16,
+  shuffle: true,
+  blendSec: 2.5,       // Butterchurn's preset transition
+  resolution: 0.75,    // render scale relative to the drawing buffer
+});
+
+export function withMilkdropDefaults(raw = {}) {
+  const p = { ...MILKDROP_DEFAULTS, ...(raw && typeof raw === 'object' ? raw : {}) };
+  if (!MILKDROP_BLEND_MODES.includes(p.blend)) p.blend = MILKDROP_DEFAULTS.blend;
+  if (!MILKDROP_CYCLE_MODES.includes(p.cycle)) p.cycle = MILKDROP_DEFAULTS.cycle;
+  p.preset = typeof p.preset === 'string' ? p.preset : '';
+  p.opacity = THREE.MathUtils.clamp(Number(p.opacity) || 0, 0, 1);
+  p.cycleBars = Math.max(1, Math.round(Number(p.cycleBars) || MILKDROP_DEFAULTS.cycleBars));
+  p.blendSec = THREE.MathUtils.clamp(Number(p.blendSec) || 0, 0, 10);
+  p.resolution = THREE.MathUtils.clamp(Number(p.resolution) || MILKDROP_DEFAULTS.resolution, 0.25, 1);
+  p.show3D = p.show3D !== false;
+  p.shuffle = p.shuffle !== false;
+  return p;
+}
+
+const SAMPLES = 1024; // Butterchurn's waveform length
+
+function isFlat(bytes) {
+  for (let i = 0; i < bytes.length; i += 16) if (bytes[i] !== 128) return false;
+  return true;
+}
+
+/** Latest SAMPLES values of `src` into `dst`, stretched when `src` is shorter */
+function copyLatest(src, dst) {
+  const start = Math.max(0, src.length - dst.length);
+  const span = src.length - start;
+  for (let i = 0; i < dst.length; i++) dst[i] = src[start + Math.min(span - 1, Math.floor((i * span) / dst.length))];
+}
+
+// Stereo waveform tap on an AudioNode. Hooked behind the engine's analyser (which passes
+// audio through), so the engine rewiring its gain stage on a source change doesn't drop it.
+class AudioTap {
+  constructor() {
+    this.source = null;
+    this.nodes = null;
+    this.levels = {
+      timeByteArray: new Uint8Array(SAMPLES).fill(128),
+      timeByteArrayL: new Uint8Array(SAMPLES).fill(128),
+      timeByteArrayR: new Uint8Array(SAMPLES).fill(128),
+    };
+  }
+
+  connect(source) {
+    if (source === this.source) return;
+    this.disconnect();
+    const ctx = source?.context;
+    if (!ctx || typeof source.connect !== 'function') return;
+    try {
+      const analyser = () => {
+        const a = ctx.createAnalyser();
+        a.fftSize = SAMPLES;
+        a.smoothingTimeConstant = 0;
+        return a;
+      };
+      const nodes = { mono: analyser(), left: analyser(), right: analyser(), splitter: ctx.createChannelSplitter(2) };
+      source.connect(nodes.mono);
+      source.connect(nodes.splitter);
+      nodes.splitter.connect(nodes.left, 0);
+      nodes.splitter.connect(nodes.right, 1);
+      this.source = source;
+      this.nodes = nodes;
+    } catch (err) {
+      console.warn('Milkdrop audio tap unavailable', err);
+      this.disconnect();
+    }
+  }
+
+  disconnect() {
+    if (this.source && this.nodes) {
+      try { this.source.disconnect(this.nodes.mono); } catch (_) {}
+      try { this.source.disconnect(this.nodes.splitter); } catch (_) {}
+    }
+    this.source = null;
+    this.nodes = null;
+  }
+
+  /** Waveforms for this frame, in the shape of Butterchurn's render({ audioLevels }) */
+  read(features) {
+    const { timeByteArray: mono, timeByteArrayL: left, timeByteArrayR: right } = this.levels;
+    if (this.nodes && this.source.context.state === 'running') {
+      this.nodes.mono.getByteTimeDomainData(mono);
+      this.nodes.left.getByteTimeDomainData(left);
+      this.nodes.right.getByteTimeDomainData(right);
+      // A mono source leaves the splitter's second output silent
+      if (isFlat(right) && !isFlat(left)) right.set(left);
+    } else if (features?.timeData?.length) {
+      copyLatest(features.timeData, mono);
+      left.set(mono);
+      right.set(mono);
+    } else {
+      mono.fill(128);
+      left.fill(128);
+      right.fill(128);
+    }
+    return this.levels;
+  }
+}
+
+const BLEND_FACTORS = {
+  add: [THREE.OneFactor, THREE.OneFactor],
+  screen: [THREE.OneFactor, THREE.OneMinusSrcColorFactor],
+  normal: [THREE.OneFactor, THREE.OneMinusSrcAlphaFactor],
+};
+
+// Builds the overlay scene and starts Butterchurn on start(). Exposes a RenderPass for the
+// composer; update() renders Butterchurn and uploads its frame.
+export function createMilkdropLayer() {
+  const overlayScene = new THREE.Scene();
+  const camera = new THREE.OrthographicCamera(-1, 1, 1, -1, -1, 1);
+  const canvas = document.createElement('canvas');
+  canvas.width = 2;
+  canvas.height = 2;
+
+  const createTexture = () => {
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.minFilter = THREE.LinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    texture.generateMipmaps = false;
+    return texture;
+  };
+
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      tMilkdrop: { value: createTexture() },
+      uOpacity: { value: 1.0 },
+    },
+    vertexShader: `
+      varying vec2 vUv;
+      void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      }
+    `,
+    // Premultiplied output; the blend factors pick add / screen / normal
+    fragmentShader: `
+      precision highp float;
+      uniform sampler2D tMilkdrop;
+      uniform float uOpacity;
+      varying vec2 vUv;
+      void main() {
+        gl_FragColor = vec4(texture2D(tMilkdrop, vUv).rgb * uOpacity, uOpacity);
+      }
+    `,
+    transparent: true,
+    depthWrite: false,
+    depthTest: false,
+    blending: THREE.CustomBlending,
+    blendEquation: THREE.AddEquation,
+  });
+  let blend = '';
+  const setBlend = (mode) => {
+    const next = BLEND_FACTORS[mode] ? mode : 'screen';
+    if (next === blend) return;
+    blend = next;
+    [material.blendSrc, material.blendDst] = BLEND_FACTORS[next];
+    [material.blendSrcAlpha, material.blendDstAlpha] = [THREE.OneFactor, THREE.OneMinusSrcAlphaFactor];
+    material.needsUpdate = true;
+  };
+  setBlend('screen');
+
+  const mesh = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+  mesh.frustumCulled = false;
+  overlayScene.add(mesh);
+
+  const pass = new RenderPass(overlayScene, camera);
+  pass.clear = false; // overlay
+  pass.renderToScreen = true;
+
+  const tap = new AudioTap();
+  let visualizer = null;
+  let starting = null;
+  let status = 'idle'; // idle | loading | ready | failed
+  let error = null;
+  let presetName = '';
+  let size = { width: 1, height: 1 };
+  let renderWidth = 0;
+  let renderHeight = 0;
+
+  /** Loads Butterchurn (once) and creates the visualizer */
+  function start() {
+    if (starting) return starting;
+    status = 'loading';
+    starting = loadButterchurn().then((mod) => {
+      const api = typeof mod?.createVisualizer === 'function' ? mod : mod?.default;
+      if (typeof api?.createVisualizer !== 'function') throw new Error('Unsupported Butterchurn export format');
+      // No audio context: the layer hands Butterchurn its waveforms every frame
+      visualizer = api.createVisualizer(null, canvas, { width: canvas.width, height: canvas.height, pixelRatio: 1, textureRatio: 1 });
+      status = 'ready';
+    }).catch((err) => {
+      console.warn('Butterchurn unavailable:', err);
+      status = 'failed';
+      error = err?.message || String(err);
+    });
+    return starting;
+  }
+
+  function setSize(width, height) {
+    size = { width: Math.max(1, width || 1), height: Math.max(1, height || 1) };
+  }
+
+  function resizeRenderer(scale) {
+    const width = Math.max(2, Math.round(size.width * scale));
+    const height = Math.max(2, Math.round(size.height * scale));
+    if (width === renderWidth && height === renderHeight) return;
+    renderWidth = width;
+    renderHeight = height;
+    canvas.width = width;
+    canvas.height = height;
+    visualizer.setRendererSize(width, height, { pixelRatio: 1, textureRatio: 1 });
+    // WebGL2 textures are allocated once at their first size; a new size needs a new texture
+    material.uniforms.tMilkdrop.value.dispose();
+    material.uniforms.tMilkdrop.value = createTexture();
+  }
+
+  /**
+   * Switches to a Butterchurn preset object, blending over `blendSec` seconds.
+   * @returns {boolean} false until Butterchurn has started, or when the preset fails
+   */
+  function loadPreset(name, preset, blendSec = 0) {
+    if (!visualizer || !preset) return false;
+    try {
+      visualizer.loadPreset(preset, Math.max(0, blendSec));
+      presetName = name;
+      return true;
+    } catch (err) {
+      console.warn(`Milkdrop preset "${name}" failed:`, err);
+      return false;
+    }
+  }
+
+  /**
+   * Per frame while the mode is on.
+   * @param {Object|null} features
+   * @param {{dt?: number, audioSource?: AudioNode|null, opacity?: number, blend?: string, resolution?: number}} frame
+   */
+  function update(features, { dt = 0, audioSource = null, opacity = 1, blend: mode = 'screen', resolution = 0.75 } = {}) {
+    material.uniforms.uOpacity.value = THREE.MathUtils.clamp(opacity, 0, 1);
+    setBlend(mode);
+    if (!visualizer) return;
+    resizeRenderer(resolution);
+    tap.connect(audioSource);
+    try {
+      visualizer.render({ audioLevels: tap.read(features), elapsedTime: dt > 0 ? dt : undefined });
+      material.uniforms.tMilkdrop.value.needsUpdate = true;
+    } catch (err) {
+      // A broken context fails every frame after; stop once and let the scene fall back to 3D
+      console.warn('Butterchurn render failed:', err);
+      visualizer = null;
+      status = 'failed';
+      error = err?.message || String(err);
+    }
+  }
+
+  function setEnabled(enabled) {
+    pass.enabled = !!enabled;
+  }
+
+  function dispose() {
+    tap.disconnect();
+    material.uniforms.tMilkdrop.value.dispose();
+    material.dispose();
+    mesh.geometry.dispose();
+  }
+
+  return {
+    scene: overlayScene,
+    camera,
+    mesh,
+    material,
+    pass,
+    canvas,
+    start,
+    setSize,
+    loadPreset,
+    update,
+    setEnabled,
+    dispose,
+    get status() { return status; },
+    get error() { return error; },
+    get presetName() { return presetName; },
+  };
+}
@@ -0,0 +1,473 @@
+/**
+ * Modulation Matrix
+ *
+ * Routes any analysed audio feature (or an LFO) to any numeric scene, mapping, dispersion
+ * or layer param, on top of the hard-wired reactions in params.map.
+ *
+ * Routes live in sceneApi.state.params.modMatrix = { routes: [...], lfos: [...] }, so they
+ * are saved in presets (snapshot.modulation) and reach receiver windows with the scene
+ * snapshot. Each route:
+ *
+ *   { id, enabled, source, target, amount, curve, offset, smoothingMs, min, max }
+ *
+ * - source    Id from MOD_SOURCES, read as 0..1 (e.g. 'band.sub', 'fluxZ', 'chroma.4', 'lfo.1',
+ *             'channel.1.onset')
+ * - target    Path under params (e.g. 'dispersion.zoomGain', 'map.sizeFromRms', 'bloomStrengthBase')
+ * - curve     Shapes the source: linear | exp | log | smooth | invert
+ * - offset    Added to the shaped source (-1..1), e.g. -0.5 makes it swing both ways
+ * - amount    Target units per unit of (shaped source + offset)
+ * - smoothingMs  One-pole smoothing of the shaped source (0 = none)
+ * - min / max Optional clamp for the final value; defaults to the target's schema range
+ *
+ * value = clamp(base + Σ amount × (smooth(curve(source)) + offset), min, max)
+ *
+ * LFOs run free in Hz or lock to the tempo: `sync: 'beats' | 'bars'` with `length` beats or
+ * bars per cycle, phased against the TempoClock (file beat grid, else the tap / tempo grid).
+ *
+ * The scene calls apply() right before drawing a frame and the returned restore() right
+ * after, so sliders, presets and saved settings always hold the unmodulated base values.
+ * A target guard (PresetManager) can veto routes into locked params.
+ */
+
+import { DISPERSION_PARAM_SCHEMA } from './dispersion-config.js';
+import { getRegisteredLayers } from './layer-registry.js';
+import { TempoClock } from './tempo-clock.js';
+import { MAX_CHANNEL_GROUPS } from './channel-analyser.js';
+import { dropApproach } from './song-sections.js';
+import { NOTE_NAMES } from './key-detector.js';
+
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+const clamp01 = (v) => clamp(Number.isFinite(v) ? v : 0, 0, 1);
+
+// Half-lives of the event envelopes (ms)
+const BEAT_ENV_HALF_LIFE_MS = 140;
+const DROP_ENV_HALF_LIFE_MS = 1200;
+const ONSET_ENV_HALF_LIFE_MS = 90;
+const MAX_DT_SEC = 0.25;
+
+export const MOD_CURVES = {
+  linear: (x) => x,
+  exp: (x) => x * x,
+  log: (x) => Math.sqrt(x),
+  smooth: (x) => x * x * (3 - 2 * x),
+  invert: (x) => 1 - x,
+};
+
+// Deterministic 0..1 per cycle, so every window (and a re-run export) steps through the same values
+function cycleRandom(cycle, seed) {
+  const x = Math.sin((cycle + 1) * 12.9898 + seed * 78.233) * 43758.5453;
+  return x - Math.floor(x);
+}
+
+/** shape(phase 0..1, cycle index, seed) -> 0..1 */
+export const LFO_SHAPES = {
+  sine: (p) => 0.5 - 0.5 * Math.cos(p * Math.PI * 2),
+  triangle: (p) => 1 - Math.abs(2 * p - 1),
+  saw: (p) => p,
+  square: (p) => (p < 0.5 ? 1 : 0),
+  random: (p, n, seed) => cycleRandom(n, seed),
+  smoothRandom: (p, n, seed) => {
+    const a = cycleRandom(n, seed);
+    return a + (cycleRandom(n + 1, seed) - a) * p * p * (3 - 2 * p);
+  },
+};
+
+export const LFO_SYNC_MODES = ['hz', 'beats', 'bars'];
+export const LFO_SYNC_LENGTHS = [0.25, 0.5, 1, 2, 4, 8, 16, 32];
+
+const LFO_COUNT = 4;
+const DEFAULT_LFOS = [
+  { shape: 'sine', sync: 'hz', rateHz: 0.25, length: 4 },
+  { shape: 'triangle', sync: 'hz', rateHz: 1, length: 1 },
+  { shape: 'saw', sync: 'beats', rateHz: 1, length: 1 },
+  { shape: 'smoothRandom', sync: 'bars', rateHz: 0.5, length: 1 },
+];
+
+/** Every source reads as 0..1. `ctx` carries the envelopes and LFO outputs. */
+export const MOD_SOURCES = [
+  { id: 'rms', label: 'RMS', read: (f) => f.rmsNorm },
+  { id: 'band.sub', label: 'Sub', read: (f) => f.bandEnv?.sub ?? f.bands?.sub },
+  { id: 'band.bass', label: 'Bass', read: (f) => f.bandEnv?.bass ?? f.bands?.bass },
+  { id: 'band.mid', label: 'Mid', read: (f) => f.bandEnv?.mid ?? f.bands?.mid },
+  { id: 'band.treble', label: 'Treble', read: (f) => f.bandEnv?.treble ?? f.bands?.treble },
+  { id: 'centroid', label: 'Centroid', read: (f) => f.centroidNorm },
+  {
+    id: 'fluxZ',
+    label: 'Flux (z-score)',
+    read: (f) => (f.fluxStd > 0 ? ((f.flux || 0) - (f.fluxMean || 0)) / f.fluxStd / 3 : 0),
+  },
+  { id: 'buildLevel', label: 'Build Level', read: (f) => (f.buildLevel || 0) / 2 },
+  // Song sections of the playing file (0 for live input)
+  { id: 'section.progress', label: 'Section Progress', read: (f) => f.sectionProgress },
+  { id: 'section.energy', label: 'Section Energy', read: (f) => f.section?.energy },
+  { id: 'section.dropApproach', label: 'Drop Approach (8 bars)', read: (f) => dropApproach(f, 8) },
+  { id: 'flatness', label: 'Flatness', read: (f) => f.flatness },
+  { id: 'pitchConf', label: 'Pitch Confidence', read: (f) => f.pitchConf },
+  { id: 'beatEnv', label: 'Beat Envelope', read: (f, ctx) => ctx.beatEnv },
+  { id: 'dropEnv', label: 'Drop Envelope', read: (f, ctx) => ctx.dropEnv },
+  { id: 'onsetEnv', label: 'Onset Envelope', read: (f, ctx) => ctx.onsetEnv },
+  // Envelopes on the tempo grid: ramps across each beat / bar, and decays from its start
+  { id: 'tempo.beatPhase', label: 'Beat Phase', read: (f, ctx) => ctx.beatPhase },
+  { id: 'tempo.barPhase', label: 'Bar Phase', read: (f, ctx) => ctx.barPhase },
+  { id: 'tempo.beatPulse', label: 'Beat Pulse (grid)', read: (f, ctx) => Math.exp(-ctx.beatPhase * 5) },
+  { id: 'tempo.barPulse', label: 'Bar Pulse (grid)', read: (f, ctx) => Math.exp(-ctx.barPhase * 4) },
+  // Multi-channel mode: each channel group's own level, bands and onset pulse (0 while off)
+  ...Array.from({ length: MAX_CHANNEL_GROUPS }, (_, i) => [
+    { id: `channel.${i + 1}.rms`, label: `Channel ${i + 1} RMS`, read: (f) => f.channels?.[i]?.rmsNorm },
+    { id: `channel.${i + 1}.sub`, label: `Channel ${i + 1} Sub`, read: (f) => f.channels?.[i]?.bandEnv?.sub },
+    { id: `channel.${i + 1}.bass`, label: `Channel ${i + 1} Bass`, read: (f) => f.channels?.[i]?.bandEnv?.bass },
+    { id: `channel.${i + 1}.mid`, label: `Channel ${i + 1} Mid`, read: (f) => f.channels?.[i]?.bandEnv?.mid },
+    { id: `channel.${i + 1}.treble`, label: `Channel ${i + 1} Treble`, read: (f) => f.channels?.[i]?.bandEnv?.treble },
+    { id: `channel.${i + 1}.onset`, label: `Channel ${i + 1} Onset Pulse`, read: (f) => f.channels?.[i]?.pulse },
+  ]).flat(),
+  // Detected key: position on the circle of fifths (C = 0) and how sure the detector is
+  { id: 'key.fifths', label: 'Key (circle of fifths)', read: (f) => (f.key ? f.key.fifths / 12 : 0) },
+  { id: 'key.confidence', label: 'Key Confidence', read: (f) => f.key?.confidence },
+  { id: 'chroma.max', label: 'Chroma (strongest)', read: (f) => (Array.isArray(f.chroma) ? Math.max(0, ...f.chroma) : 0) },
+  ...NOTE_NAMES.map((name, i) => ({ id: `chroma.${i}`, label: `Chroma ${name}`, read: (f) => f.chroma?.[i] })),
+  ...Array.from({ length: 13 }, (_, i) => ({ id: `mfcc.${i}`, label: `MFCC ${i}`, read: (f) => f.mfcc?.[i] })),
+  ...Array.from({ length: LFO_COUNT }, (_, i) => ({ id: `lfo.${i + 1}`, label: `LFO ${i + 1}`, read: (f, ctx) => ctx.lfo[i] })),
+];
+
+const sourceMap = new Map(MOD_SOURCES.map((s) => [s.id, s]));
+
+const SCENE_TARGETS = [
+  { id: 'bloomStrengthBase', label: 'Bloom Strength (Base)', min: 0, max: 3 },
+  { id: 'bloomReactiveGain', label: 'Bloom Strength (Reactive)', min: 0, max: 2.5 },
+  { id: 'autoRotate', label: 'Auto Rotate', min: 0, max: 0.01 },
+];
+
+// Preset snapshot paths for targets (PresetManager locks are keyed by these)
+const PRESET_PATH_PREFIXES = [
+  ['dispersion.', 'visuals.dispersion.'],
+  ['layers.', 'visuals.layers.'],
+  ['map.', 'mapping.'],
+];
+const PRESET_PATH_ALIASES = {
+  bloomStrengthBase: 'visuals.bloomBase',
+  bloomReactiveGain: 'visuals.bloomReactive',
+  autoRotate: 'visuals.autoRotate',
+};
+
+export function presetPathForTarget(target) {
+  if (PRESET_PATH_ALIASES[target]) return PRESET_PATH_ALIASES[target];
+  const hit = PRESET_PATH_PREFIXES.find(([prefix]) => target.startsWith(prefix));
+  return hit ? hit[1] + target.slice(hit[0].length) : target;
+}
+
+export function targetForPresetPath(path) {
+  const alias = Object.keys(PRESET_PATH_ALIASES).find((key) => PRESET_PATH_ALIASES[key] === path);
+  if (alias) return alias;
+  const hit = PRESET_PATH_PREFIXES.find(([, prefix]) => path.startsWith(prefix));
+  return hit ? hit[0] + path.slice(hit[1].length) : path;
+}
+
+function getByPath(obj, path) {
+  return path.split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+}
+
+function setByPath(obj, path, value) {
+  const keys = path.split('.');
+  let cursor = obj;
+  for (let i = 0; i < keys.length - 1; i += 1) {
+    if (cursor[keys[i]] == null || typeof cursor[keys[i]] !== 'object') return;
+    cursor = cursor[keys[i]];
+  }
+  cursor[keys[keys.length - 1]] = value;
+}
+
+function collectNumericLeaves(obj, prefix, out) {
+  if (!obj || typeof obj !== 'object') return;
+  Object.keys(obj).forEach((key) => {
+    const value = obj[key];
+    const path = `${prefix}.${key}`;
+    if (typeof value === 'number') out.push({ id: path, label: path.slice(prefix.length + 1) });
+    else if (value && typeof value === 'object' && !Array.isArray(value)) collectNumericLeaves(value, path, out);
+  });
+}
+
+/**
+ * Numeric params a route can drive, grouped for the UI.
+ * @param {Object} params - sceneApi.state.params
+ * @returns {Array<{id:string,label:string,group:string,min?:number,max?:number}>}
+ */
+export function listModTargets(params = {}) {
+  const targets = SCENE_TARGETS.map((t) => ({ ...t, group: 'Scene' }));
+  const mapLeaves = [];
+  collectNumericLeaves(params.map, 'map', mapLeaves);
+  mapLeaves.forEach((t) => targets.push({ ...t, group: 'Mapping' }));
+  DISPERSION_PARAM_SCHEMA.filter((s) => s.type === 'range').forEach((s) => {
+    targets.push({ id: `dispersion.${s.key}`, label: s.label, group: 'Dispersion', min: s.min, max: s.max });
+  });
+  getRegisteredLayers().forEach((def) => {
+    def.schema.filter((s) => s.type === 'range').forEach((s) => {
+      targets.push({ id: `layers.${def.id}.${s.key}`, label: s.label || s.key, group: def.label, min: s.min, max: s.max });
+    });
+  });
+  return targets;
+}
+
+function targetRange(target) {
+  if (target.startsWith('dispersion.')) {
+    const schema = DISPERSION_PARAM_SCHEMA.find((s) => s.key === target.slice('dispersion.'.length));
+    return schema && schema.type === 'range' ? schema : null;
+  }
+  if (target.startsWith('layers.')) {
+    const [, id, key] = target.split('.');
+    const def = getRegisteredLayers().find((d) => d.id === id);
+    const schema = def?.schema.find((s) => s.key === key);
+    return schema && schema.type === 'range' ? schema : null;
+  }
+  return SCENE_TARGETS.find((t) => t.id === target) || null;
+}
+
+function generateId() {
+  return `mod-${Math.random().toString(36).slice(2, 8)}${Date.now().toString(36).slice(-4)}`;
+}
+
+const finiteOr = (v, fallback) => (v === null || v === '' || v === undefined || !Number.isFinite(Number(v)) ? fallback : Number(v));
+
+export function normalizeModRoute(raw = {}) {
+  return {
+    id: raw.id || generateId(),
+    enabled: raw.enabled !== false,
+    source: sourceMap.has(raw.source) ? raw.source : 'rms',
+    target: typeof raw.target === 'string' && raw.target ? raw.target : 'dispersion.zoomGain',
+    amount: finiteOr(raw.amount, 0),
+    curve: MOD_CURVES[raw.curve] ? raw.curve : 'linear',
+    offset: clamp(finiteOr(raw.offset, 0), -1, 1),
+    smoothingMs: clamp(finiteOr(raw.smoothingMs, 0), 0, 5000),
+    min: finiteOr(raw.min, null),
+    max: finiteOr(raw.max, null),
+  };
+}
+
+export function normalizeLfo(raw = {}, index = 0) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  const fallback = DEFAULT_LFOS[index] || DEFAULT_LFOS[0];
+  return {
+    shape: LFO_SHAPES[src.shape] ? src.shape : fallback.shape,
+    sync: LFO_SYNC_MODES.includes(src.sync) ? src.sync : fallback.sync,
+    rateHz: clamp(finiteOr(src.rateHz, fallback.rateHz), 0.01, 20),
+    length: clamp(finiteOr(src.length, fallback.length), 0.0625, 64),
+    phase: clamp(finiteOr(src.phase, 0), 0, 1),
+  };
+}
+
+export function normalizeModMatrix(raw = {}) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  const lfos = Array.isArray(src.lfos) ? src.lfos : [];
+  return {
+    routes: Array.isArray(src.routes) ? src.routes.map(normalizeModRoute) : [],
+    lfos: Array.from({ length: LFO_COUNT }, (_, i) => normalizeLfo(lfos[i], i)),
+  };
+}
+
+export class ModMatrix {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.sceneApi
+   * @param {Object} [deps.audioEngine] - Tempo source for beat / bar synced LFOs
+   */
+  constructor({ sceneApi, audioEngine = null } = {}) {
+    this.sceneApi = sceneApi;
+    this.tempoClock = new TempoClock({ audioEngine, sceneApi });
+    this._listeners = new Set();
+    this._guard = null;
+    this._smoothed = new Map(); // route id -> smoothed shaped source
+    this._lastValues = new Map(); // route id -> last shaped source (for meters)
+    this._lfoCycles = new Array(LFO_COUNT).fill(0); // free-running (Hz) LFOs, in cycles
+    this._ctx = { beatEnv: 0, dropEnv: 0, onsetEnv: 0, beatPhase: 0, barPhase: 0, lfo: new Array(LFO_COUNT).fill(0) };
+    this._lastNow = null;
+    this._config();
+  }
+
+  on(event, handler) {
+    if (typeof handler !== 'function') return () => {};
+    const wrapped = { event, handler };
+    this._listeners.add(wrapped);
+    return () => this._listeners.delete(wrapped);
+  }
+
+  /**
+   * Lets the owner veto routes into specific targets (e.g. params locked by PresetManager).
+   * @param {((target: string) => boolean)|null} fn - Return false to skip the target
+   */
+  setTargetGuard(fn) {
+    this._guard = typeof fn === 'function' ? fn : null;
+  }
+
+  isTargetAllowed(target) {
+    if (!this._guard) return true;
+    try { return this._guard(target) !== false; } catch (_) { return true; }
+  }
+
+  // -----------------
+  // Editing
+  // -----------------
+
+  getRoutes() {
+    return this._config().routes.map((r) => ({ ...r }));
+  }
+
+  getLfos() {
+    return this._config().lfos.map((l) => ({ ...l }));
+  }
+
+  addRoute(partial = {}) {
+    const route = normalizeModRoute(partial);
+    this._config().routes.push(route);
+    this._notify('routeAdded', { route: { ...route } });
+    return route.id;
+  }
+
+  updateRoute(id, patch = {}) {
+    const config = this._config();
+    const idx = config.routes.findIndex((r) => r.id === id);
+    if (idx < 0) return false;
+    config.routes[idx] = normalizeModRoute({ ...config.routes[idx], ...patch, id });
+    if ('source' in patch || 'curve' in patch) this._smoothed.delete(id);
+    this._notify('routeUpdated', { route: { ...config.routes[idx] } });
+    return true;
+  }
+
+  removeRoute(id) {
+    const config = this._config();
+    const before = config.routes.length;
+    config.routes = config.routes.filter((r) => r.id !== id);
+    if (config.routes.length === before) return false;
+    this._smoothed.delete(id);
+    this._lastValues.delete(id);
+    this._notify('routeRemoved', { id });
+    return true;
+  }
+
+  /** Enables or mutes every route into `target`. Returns the number of routes touched. */
+  setTargetEnabled(target, enabled) {
+    let count = 0;
+    this._config().routes.forEach((route) => {
+      if (route.target !== target) return;
+      route.enabled = !!enabled;
+      count += 1;
+    });
+    if (count) this._notify('targetToggled', { target, enabled: !!enabled });
+    return count;
+  }
+
+  updateLfo(index, patch = {}) {
+    const config = this._config();
+    if (!config.lfos[index]) return false;
+    config.lfos[index] = normalizeLfo({ ...config.lfos[index], ...patch }, index);
+    this._notify('lfoUpdated', { index, lfo: { ...config.lfos[index] } });
+    return true;
+  }
+
+  /** Last shaped, smoothed source value (0..1) per route id, for meters */
+  getRouteLevel(id) {
+    return this._lastValues.get(id) || 0;
+  }
+
+  // -----------------
+  // Per-frame
+  // -----------------
+
+  /**
+   * Writes modulated values into the scene params for one frame.
+   * @param {Object|null} features - AudioEngine features
+   * @param {number} nowMs - Frame time (the scene's clock, so offline export stays deterministic)
+   * @returns {(() => void)|null} restore - Puts the base values back; null when nothing changed
+   */
+  apply(features, nowMs) {
+    const params = this.sceneApi?.state?.params;
+    if (!params) return null;
+    const config = this._config();
+    const dt = this._lastNow == null ? 0 : clamp((nowMs - this._lastNow) / 1000, 0, MAX_DT_SEC);
+    this._lastNow = nowMs;
+    this._advance(features, dt, config, nowMs);
+    if (!config.routes.length) return null;
+
+    const f = features || {};
+    const deltas = new Map(); // target -> { delta, min, max }
+    config.routes.forEach((route) => {
+      if (!route.enabled || !this.isTargetAllowed(route.target)) return;
+      const source = sourceMap.get(route.source);
+      let value = 0;
+      try { value = clamp01(Number(source.read(f, this._ctx))); } catch (_) {}
+      value = MOD_CURVES[route.curve](value);
+      if (route.smoothingMs > 0 && this._smoothed.has(route.id)) {
+        const prev = this._smoothed.get(route.id);
+        value = prev + (value - prev) * (1 - Math.exp(-(dt * 1000) / route.smoothingMs));
+      }
+      this._smoothed.set(route.id, value);
+      this._lastValues.set(route.id, value);
+      const entry = deltas.get(route.target) || { delta: 0, min: -Infinity, max: Infinity };
+      entry.delta += route.amount * (value + route.offset);
+      if (route.min != null) entry.min = Math.max(entry.min, route.min);
+      if (route.max != null) entry.max = Math.min(entry.max, route.max);
+      deltas.set(route.target, entry);
+    });
+    if (!deltas.size) return null;
+
+    const bases = [];
+    deltas.forEach(({ delta, min, max }, target) => {
+      const base = getByPath(params, target);
+      if (typeof base !== 'number' || !Number.isFinite(base)) return;
+      const range = targetRange(target);
+      const lo = Number.isFinite(min) ? min : (range ? range.min : -Infinity);
+      const hi = Number.isFinite(max) ? max : (range ? range.max : Infinity);
+      bases.push([target, base]);
+      setByPath(params, target, clamp(base + delta, lo, hi));
+    });
+    if (!bases.length) return null;
+    // Paths are resolved again on restore: the frame may swap objects such as params.dispersion
+    return () => bases.forEach(([target, base]) => setByPath(params, target, base));
+  }
+
+  /** Current tempo position: { beats, bars, bpm, beatsPerBar, source } */
+  getTempoPosition() {
+    return { ...this.tempoClock.position };
+  }
+
+  _advance(features, dt, config, nowMs) {
+    const ctx = this._ctx;
+    const decay = (halfLifeMs) => Math.pow(0.5, (dt * 1000) / halfLifeMs);
+    ctx.beatEnv = features?.beat ? 1 : ctx.beatEnv * decay(BEAT_ENV_HALF_LIFE_MS);
+    ctx.dropEnv = features?.drop ? 1 : ctx.dropEnv * decay(DROP_ENV_HALF_LIFE_MS);
+    ctx.onsetEnv = features?.aubioOnset ? 1 : ctx.onsetEnv * decay(ONSET_ENV_HALF_LIFE_MS);
+    const tempo = this.tempoClock.update(nowMs, features);
+    ctx.beatPhase = tempo.beats - Math.floor(tempo.beats);
+    ctx.barPhase = tempo.bars - Math.floor(tempo.bars);
+    config.lfos.forEach((lfo, i) => {
+      this._lfoCycles[i] += dt * lfo.rateHz;
+      let cycles = this._lfoCycles[i];
+      if (lfo.sync === 'beats') cycles = tempo.beats / lfo.length;
+      else if (lfo.sync === 'bars') cycles = tempo.bars / lfo.length;
+      cycles += lfo.phase;
+      const n = Math.floor(cycles);
+      ctx.lfo[i] = clamp01(LFO_SHAPES[lfo.shape](cycles - n, n, i + 1));
+    });
+  }
+
+  _config() {
+    const params = this.sceneApi?.state?.params;
+    if (!params) return normalizeModMatrix();
+    const current = params.modMatrix;
+    // Presets and sync replace params.modMatrix wholesale; normalize whatever arrived
+    if (!current || current.__normalized !== true) {
+      const next = normalizeModMatrix(current);
+      Object.defineProperty(next, '__normalized', { value: true, enumerable: false });
+      params.modMatrix = next;
+    }
+    return params.modMatrix;
+  }
+
+  _notify(event, detail) {
+    for (const listener of this._listeners) {
+      if (listener.event === event || listener.event === '*') {
+        try { listener.handler({ event, detail }); } catch (err) { console.error('ModMatrix listener error', err); }
+      }
+    }
+  }
+}
+
+export default ModMatrix;
@@ -0,0 +1,219 @@
+/**
+ * OfflineAnalyser
+ *
+ * A drop-in stand-in for Web Audio's AnalyserNode that reads from a decoded AudioBuffer
+ * at a caller-chosen position instead of the live graph. Used by the offline video
+ * exporter so every frame sees exactly the audio at its timestamp, however long the
+ * frame takes to render.
+ *
+ * Output follows the AnalyserNode spec (Blackman window, magnitude / N, temporal
+ * smoothing, dB mapping between minDecibels and maxDecibels) so AudioEngine.update()
+ * produces the same kind of features it does live.
+ */
+
+export class OfflineAnalyser {
+  /**
+   * @param {AudioBuffer} buffer - Decoded audio to analyze
+   * @param {Object} [opts]
+   * @param {number} [opts.fftSize=2048]
+   * @param {number} [opts.smoothingTimeConstant=0.5]
+   * @param {number} [opts.gain=1] - Input gain (the live graph analyses post-gain audio)
+   */
+  constructor(buffer, { fftSize = 2048, smoothingTimeConstant = 0.5, gain = 1 } = {}) {
+    this.sampleRate = buffer.sampleRate;
+    this.minDecibels = -100;
+    this.maxDecibels = -30;
+    this.smoothingTimeConstant = smoothingTimeConstant;
+    this.gain = gain;
+    this._mono = mixToMono(buffer);
+    this._position = 0; // sample index of the newest sample in the window
+    this._dirty = true;
+    this.fftSize = fftSize;
+  }
+
+  get fftSize() {
+    return this._fftSize;
+  }
+
+  set fftSize(size) {
+    const n = Math.max(32, Math.min(32768, 1 << Math.round(Math.log2(size || 2048))));
+    this._fftSize = n;
+    this._window = blackman(n);
+    this._frame = new Float32Array(n);
+    this._re = new Float64Array(n);
+    this._im = new Float64Array(n);
+    this._smoothed = new Float64Array(n / 2);
+    this._fft = getFftTables(n);
+    this._dirty = true;
+  }
+
+  get frequencyBinCount() {
+    return this._fftSize / 2;
+  }
+
+  get duration() {
+    return this._mono.length / this.sampleRate;
+  }
+
+  /** Move the analysis window so it ends at timeSec */
+  seek(timeSec) {
+    const pos = Math.max(0, Math.round(timeSec * this.sampleRate));
+    if (pos === this._position && !this._dirty) return;
+    this._position = pos;
+    this._fillFrame();
+    this._dirty = false;
+    this._spectrumReady = false;
+  }
+
+  getFloatTimeDomainData(out) {
+    if (this._dirty) this.seek(this._position / this.sampleRate);
+    const n = Math.min(out.length, this._fftSize);
+    for (let i = 0; i < n; i++) out[i] = this._frame[i];
+  }
+
+  getByteTimeDomainData(out) {
+    if (this._dirty) this.seek(this._position / this.sampleRate);
+    const n = Math.min(out.length, this._fftSize);
+    for (let i = 0; i < n; i++) {
+      const v = Math.floor(128 * (1 + this._frame[i]));
+      out[i] = v < 0 ? 0 : (v > 255 ? 255 : v);
+    }
+  }
+
+  getByteFrequencyData(out) {
+    this._computeSpectrum();
+    const range = this.maxDecibels - this.minDecibels;
+    const n = Math.min(out.length, this.frequencyBinCount);
+    for (let i = 0; i < n; i++) {
+      const mag = this._smoothed[i];
+      const db = mag > 0 ? 20 * Math.log10(mag) : -Infinity;
+      const v = Math.floor((255 / range) * (db - this.minDecibels));
+      out[i] = v < 0 ? 0 : (v > 255 ? 255 : v);
+    }
+  }
+
+  getFloatFrequencyData(out) {
+    this._computeSpectrum();
+    const n = Math.min(out.length, this.frequencyBinCount);
+    for (let i = 0; i < n; i++) {
+      const mag = this._smoothed[i];
+      out[i] = mag > 0 ? 20 * Math.log10(mag) : -Infinity;
+    }
+  }
+
+  // AnalyserNode compatibility; nothing to wire up offline
+  connect() {}
+  disconnect() {}
+
+  _fillFrame() {
+    const n = this._fftSize;
+    const src = this._mono;
+    const start = this._position - n;
+    const g = this.gain;
+    for (let i = 0; i < n; i++) {
+      const idx = start + i;
+      this._frame[i] = idx >= 0 && idx < src.length ? src[idx] * g : 0;
+    }
+  }
+
+  _computeSpectrum() {
+    if (this._dirty) this.seek(this._position / this.sampleRate);
+    // Smoothing runs once per new window, like the live node does once per render quantum read
+    if (this._spectrumReady) return;
+    const n = this._fftSize;
+    const re = this._re;
+    const im = this._im;
+    for (let i = 0; i < n; i++) {
+      re[i] = this._frame[i] * this._window[i];
+      im[i] = 0;
+    }
+    fft(re, im, this._fft);
+    const tau = Math.min(1, Math.max(0, this.smoothingTimeConstant));
+    const half = n / 2;
+    for (let k = 0; k < half; k++) {
+      const mag = Math.sqrt(re[k] * re[k] + im[k] * im[k]) / n;
+      const prev = this._smoothed[k];
+      const next = tau * (Number.isFinite(prev) ? prev : 0) + (1 - tau) * mag;
+      this._smoothed[k] = Number.isFinite(next) ? next : 0;
+    }
+    this._spectrumReady = true;
+  }
+}
+
+function mixToMono(buffer) {
+  const channels = buffer.numberOfChannels || 1;
+  if (channels === 1) return buffer.getChannelData(0);
+  const length = buffer.length;
+  const out = new Float32Array(length);
+  for (let c = 0; c < channels; c++) {
+    const data = buffer.getChannelData(c);
+    for (let i = 0; i < length; i++) out[i] += data[i];
+  }
+  const inv = 1 / channels;
+  for (let i = 0; i < length; i++) out[i] *= inv;
+  return out;
+}
+
+function blackman(n) {
+  const w = new Float32Array(n);
+  const a = 0.16;
+  const a0 = (1 - a) / 2;
+  const a1 = 0.5;
+  const a2 = a / 2;
+  for (let i = 0; i < n; i++) {
+    const x = (2 * Math.PI * i) / n;
+    w[i] = a0 - a1 * Math.cos(x) + a2 * Math.cos(2 * x);
+  }
+  return w;
+}
+
+const fftTableCache = new Map();
+
+function getFftTables(n) {
+  if (fftTableCache.has(n)) return fftTableCache.get(n);
+  const bits = Math.round(Math.log2(n));
+  const rev = new Uint32Array(n);
+  for (let i = 0; i < n; i++) {
+    let r = 0;
+    for (let b = 0; b < bits; b++) r |= ((i >> b) & 1) << (bits - 1 - b);
+    rev[i] = r;
+  }
+  const cos = new Float64Array(n / 2);
+  const sin = new Float64Array(n / 2);
+  for (let i = 0; i < n / 2; i++) {
+    cos[i] = Math.cos((2 * Math.PI * i) / n);
+    sin[i] = -Math.sin((2 * Math.PI * i) / n);
+  }
+  const tables = { n, rev, cos, sin };
+  fftTableCache.set(n, tables);
+  return tables;
+}
+
+// In-place iterative radix-2 FFT
+function fft(re, im, { n, rev, cos, sin }) {
+  for (let i = 0; i < n; i++) {
+    const j = rev[i];
+    if (j > i) {
+      let t = re[i]; re[i] = re[j]; re[j] = t;
+      t = im[i]; im[i] = im[j]; im[j] = t;
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const step = n / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const wr = cos[k * step];
+        const wi = sin[k * step];
+        const a = start + k;
+        const b = a + half;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * OSC Control Router
+ *
+ * Applies control messages that arrive from the OSC bridge (tools/osc-bridge.js).
+ * The bridge listens for OSC from TouchDesigner (or any OSC controller) and forwards
+ * each message over the feature WebSocket as `{ type: 'control', address, args }`.
+ *
+ * Supported addresses:
+ * - /reactive/param/<path> <value>        Set a scene param, e.g. /reactive/param/map/sizeFromRms 0.7
+ *                                         or /reactive/param/dispersion/zoom 12 (clamped to the schema)
+ * - /reactive/preset/load <name|id> [ms]  Load a PresetManager preset, crossfading over ms if given
+ * - /reactive/preset/rollback             Restore the state before the last preset load
+ * - /reactive/pad/<n> <0|1>               Engage (1) or release (0) performance pad n
+ * - /reactive/perf <0|1>                  Toggle performance mode (pads only respond while on)
+ */
+
+import { clampValueForKey, getParamSchema } from './dispersion-config.js';
+
+const PARAM_PREFIX = '/reactive/param/';
+const PRESET_PREFIX = '/reactive/preset/';
+const PAD_PREFIX = '/reactive/pad/';
+
+// Params that need a scene API call instead of a plain assignment
+const PARAM_SETTERS = {
+  theme: (sceneApi, v) => sceneApi.changeTheme(String(v)),
+  visualMode: (sceneApi, v) => sceneApi.setVisualMode(String(v)),
+  pixelRatioCap: (sceneApi, v) => sceneApi.setPixelRatioCap(Number(v)),
+  effectsProfile: (sceneApi, v) => sceneApi.setEffectsProfile(String(v)),
+  particleDensity: (sceneApi, v) => {
+    sceneApi.state.params.particleDensity = Number(v);
+    sceneApi.rebuildParticles();
+  },
+};
+
+function toBool(v) {
+  if (typeof v === 'string') return v === 'true' || v === 'on' || parseFloat(v) >= 0.5;
+  return Number(v) >= 0.5;
+}
+
+// Coerce an incoming OSC value to the type of the param it replaces
+function coerceLike(current, v) {
+  if (typeof current === 'number') {
+    const num = Number(v);
+    return Number.isFinite(num) ? num : undefined;
+  }
+  if (typeof current === 'boolean') return toBool(v);
+  if (typeof current === 'string') return String(v);
+  return undefined;
+}
+
+/**
+ * Creates a handler for bridge control messages.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.sceneApi - Scene API from initScene()
+ * @param {Object} [deps.presetManager] - PresetManager instance
+ * @param {Object} [deps.performancePads] - PerformanceController instance
+ * @param {Function} [deps.notify] - Optional toast callback for user-visible feedback
+ * @returns {{ handle: (address: string, args?: Array) => boolean, setParam: (path: string, value: *) => boolean }}
+ */
+export function createOscControlHandler({ sceneApi, presetManager, performancePads, notify } = {}) {
+  const say = (msg) => { try { notify?.(msg); } catch (_) {} };
+
+  function setParam(path, value) {
+    const params = sceneApi?.state?.params;
+    if (!params || !path) return false;
+    const keys = path.split('/').filter(Boolean);
+    if (!keys.length) return false;
+
+    if (keys.length === 1 && PARAM_SETTERS[keys[0]]) {
+      try { PARAM_SETTERS[keys[0]](sceneApi, value); return true; } catch (_) { return false; }
+    }
+
+    // Dispersion params go through the schema so OSC can't push them out of range
+    if (keys.length === 2 && keys[0] === 'dispersion' && getParamSchema(keys[1])) {
+      const schema = getParamSchema(keys[1]);
+      const raw = schema.type === 'boolean' ? toBool(value) : (schema.type === 'range' ? Number(value) : value);
+      if (schema.type === 'range' && !Number.isFinite(raw)) return false;
+      params.dispersion[keys[1]] = clampValueForKey(keys[1], raw);
+      return true;
+    }
+
+    // Generic path: only overwrite existing leaves, keeping their type
+    let cursor = params;
+    for (let i = 0; i < keys.length - 1; i += 1) {
+      cursor = cursor[keys[i]];
+      if (!cursor || typeof cursor !== 'object') return false;
+    }
+    const leaf = keys[keys.length - 1];
+    if (!Object.prototype.hasOwnProperty.call(cursor, leaf)) return false;
+    const next = coerceLike(cursor[leaf], value);
+    if (next === undefined) return false;
+    cursor[leaf] = next;
+    return true;
+  }
+
+  function handlePreset(action, args) {
+    if (!presetManager) return false;
+    try {
+      if (action === 'load') {
+        const id = args[0] != null ? String(args[0]) : '';
+        if (!id) return false;
+        const transitionMs = Number(args[1]);
+        presetManager.load(id, Number.isFinite(transitionMs) && transitionMs > 0 ? { transitionMs } : {});
+        return true;
+      }
+      if (action === 'rollback') {
+        return presetManager.rollback();
+      }
+    } catch (err) {
+      console.warn('[OSC] preset control failed', action, err);
+      say(`OSC preset not found: ${args[0] ?? ''}`);
+    }
+    return false;
+  }
+
+  function handlePad(key, args) {
+    if (!performancePads) return false;
+    const pressed = args.length ? toBool(args[0]) : true;
+    try {
+      return pressed ? !!performancePads.engagePad?.(key) : !!performancePads.releasePad?.(key);
+    } catch (_) {
+      return false;
+    }
+  }
+
+  function handle(address, args = []) {
+    if (typeof address !== 'string') return false;
+    const list = Array.isArray(args) ? args : [args];
+    if (address.startsWith(PARAM_PREFIX)) {
+      if (!list.length) return false;
+      return setParam(address.slice(PARAM_PREFIX.length), list[0]);
+    }
+    if (address.startsWith(PRESET_PREFIX)) {
+      return handlePreset(address.slice(PRESET_PREFIX.length), list);
+    }
+    if (address.startsWith(PAD_PREFIX)) {
+      return handlePad(address.slice(PAD_PREFIX.length), list);
+    }
+    if (address === '/reactive/perf') {
+      try { performancePads?.setEnabled?.(list.length ? toBool(list[0]) : !performancePads.enabled); } catch (_) {}
+      return true;
+    }
+    return false;
+  }
+
+  return { handle, setParam };
+}
@@ -14,6 +14,9 @@
 
 const clamp = (v, a, b) => Math.min(b, Math.max(a, v));
 
+// Pad quantize divisions in beats; '1' is a whole bar
+const QUANTIZE_BEATS = { '1/8': 0.5, '1/4': 1, '1/2': 2 };
+
 export class PerformanceController {
   constructor({ sceneApi, sync } = {}) {
     this.sceneApi = sceneApi;
@@ -23,6 +26,9 @@ export class PerformanceController {
     // Global musical context snapshot
     this._lastBpm = 120;
     this._beatMs = 500;
+    // File transport position this frame and last frame (quantize on the beat grid)
+    this._transport = null;
+    this._prevTransport = null;
 
     // Pad 1 — Manual tunnel zoom (geometry only)
     this.pad1 = {
@@ -124,11 +130,17 @@ export class PerformanceController {
       this._lastBpm = features.bpm;
       this._beatMs = 60000 / this._lastBpm;
     }
+    this._prevTransport = this._transport;
+    this._transport = features?.transport?.source === 'grid' && features.transport.playing ? features.transport : null;
+    if (this._transport?.bpm > 0) {
+      this._lastBpm = this._transport.bpm;
+      this._beatMs = 60000 / this._lastBpm;
+    }
     const p = this.pad1;
     // Quantize start/stop if requested
     if (this.enabled && p.quantize) {
-      if (p._pendingEngage && features?.beat) { p.isDown = true; p._pendingEngage = false; }
-      if (p._pendingRelease && features?.beat) { p.isDown = false; p._pendingRelease = false; }
+      if (p._pendingEngage && this._quantizeHit(p.quantize, features)) { p.isDown = true; p._pendingEngage = false; }
+      if (p._pendingRelease && this._quantizeHit(p.quantize, features)) { p.isDown = false; p._pendingRelease = false; }
     }
     const target = (this.enabled && (p.isDown || p.latched)) ? 1 : 0;
     const att = p.attackMs > 0 ? clamp(dt * 1000 / p.attackMs, 0, 1) : 1;
@@ -140,12 +152,12 @@ export class PerformanceController {
     if (p._bounceRemainMs > 0) p._bounceRemainMs = Math.max(0, p._bounceRemainMs - dt * 1000);
 
     // Pad 2 quantize scheduling
-    if (this.enabled && this.pad2 && this.pad2.quantize && this.pad2._pending && features?.beat) {
+    if (this.enabled && this.pad2 && this.pad2.quantize && this.pad2._pending && this._quantizeHit(this.pad2.quantize, features)) {
       this.pad2._active = true; this.pad2._t0 = this.nowMs; this.pad2._pending = false;
       this._broadcast({ key: '2', action: 'shot', t: this.nowMs });
     }
     // Pad 4 quantize scheduling
-    if (this.enabled && this.pad4 && this.pad4.quantize && this.pad4._pending && features?.beat) {
+    if (this.enabled && this.pad4 && this.pad4.quantize && this.pad4._pending && this._quantizeHit(this.pad4.quantize, features)) {
       this.pad4._active = true; this.pad4._t0 = this.nowMs; this.pad4._pending = false;
       this._broadcast({ key: '4', action: 'shot', t: this.nowMs });
     }
@@ -159,6 +171,18 @@ export class PerformanceController {
     }
   }
 
+  // True on the frame a quantized pad should fire. With a file transport this is the frame
+  // that crosses the next grid line of the pad's division; otherwise any detected beat.
+  _quantizeHit(quantize, features) {
+    const cur = this._transport;
+    const prev = this._prevTransport;
+    if (!cur) return !!features?.beat;
+    if (!prev) return false;
+    if (quantize === '1') return cur.bar !== prev.bar;
+    const div = QUANTIZE_BEATS[quantize] || 1;
+    return Math.floor(cur.beatPosition / div) !== Math.floor(prev.beatPosition / div);
+  }
+
   // Scene pulls deltas each frame via sceneApi.setUniformDeltasProvider
   getDeltas() {
     if (!this.enabled) return null;
@@ -271,6 +295,73 @@ export class PerformanceController {
     return Object.keys(out).length ? out : null;
   }
 
+  setEnabled(on) {
+    this.enabled = !!on;
+    if (this._hud) this._hud.classList.toggle('on', this.enabled);
+  }
+
+  /**
+   * Press a pad as if its key went down. Shared by the keyboard, OSC and
+   * other external controllers. Shot pads (2, 4) fire on engage.
+   * @param {string|number} key - Pad number '1'..'5'
+   * @returns {boolean} true when the pad exists and performance mode is on
+   */
+  engagePad(key) {
+    if (!this.enabled) return false;
+    const k = String(key);
+    if (k === '1') {
+      const p = this.pad1;
+      if (p.quantize) { p._pendingEngage = true; } else { p.isDown = true; }
+      this._broadcast({ key: '1', action: 'engage', t: this.nowMs });
+      const now = this.nowMs || performance.now();
+      // Double-tap within 250ms toggles latch
+      if (now - (p.lastTapMs || 0) < 250) {
+        p.latched = !p.latched;
+      }
+      p.lastTapMs = now;
+      return true;
+    }
+    if (k === '2' || k === '4') {
+      const p = k === '2' ? this.pad2 : this.pad4;
+      if (p.quantize) { p._pending = true; } else { p._active = true; p._t0 = this.nowMs; }
+      this._broadcast({ key: k, action: 'shot', t: this.nowMs });
+      return true;
+    }
+    if (k === '3' || k === '5') {
+      (k === '3' ? this.pad3 : this.pad5).isDown = true;
+      this._broadcast({ key: k, action: 'engage', t: this.nowMs });
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Release a momentary pad. Shot pads ignore release.
+   * @param {string|number} key - Pad number '1'..'5'
+   * @returns {boolean} true when a held pad was released
+   */
+  releasePad(key) {
+    if (!this.enabled) return false;
+    const k = String(key);
+    if (k === '1') {
+      // Release only ends momentary; latched keeps running
+      if (this.pad1.quantize) { this.pad1._pendingRelease = true; } else { this.pad1.isDown = false; }
+      // Trigger snap-back pulse if not latched
+      if (!this.pad1.latched) {
+        this.pad1._snapRemainMs = this.pad1.releaseSnapMs;
+        this.pad1._bounceRemainMs = this.pad1.releaseBounceMs;
+      }
+      this._broadcast({ key: '1', action: 'release', t: this.nowMs });
+      return true;
+    }
+    if (k === '3' || k === '5') {
+      (k === '3' ? this.pad3 : this.pad5).isDown = false;
+      this._broadcast({ key: k, action: 'release', t: this.nowMs });
+      return true;
+    }
+    return false;
+  }
+
   panic() {
     const p = this.pad1;
     p.isDown = false;
@@ -299,8 +390,7 @@ export class PerformanceController {
 
       if (k === 'p') {
         ev.preventDefault();
-        this.enabled = !this.enabled;
-        if (this._hud) this._hud.classList.toggle('on', this.enabled);
+        this.setEnabled(!this.enabled);
         return;
       }
       if (!this.enabled) return;
@@ -311,45 +401,9 @@ export class PerformanceController {
         return;
       }
 
-      if (k === '1') {
-        ev.preventDefault();
-        const p = this.pad1;
-        if (p.quantize) { p._pendingEngage = true; } else { p.isDown = true; }
-        this._broadcast({ key: '1', action: 'engage', t: this.nowMs });
-        const now = this.nowMs || performance.now();
-        // Double-tap within 250ms toggles latch
-        if (now - (p.lastTapMs || 0) < 250) {
-          p.latched = !p.latched;
-        }
-        p.lastTapMs = now;
-      }
-
-      if (k === '2') {
-        ev.preventDefault();
-        const p2 = this.pad2;
-        if (p2.quantize) { p2._pending = true; } else { p2._active = true; p2._t0 = this.nowMs; }
-        this._broadcast({ key: '2', action: 'shot', t: this.nowMs });
-      }
-
-      if (k === '3') {
-        ev.preventDefault();
-        const p3 = this.pad3;
-        p3.isDown = true;
-        this._broadcast({ key: '3', action: 'engage', t: this.nowMs });
-      }
-
-      if (k === '4') {
+      if (['1', '2', '3', '4', '5'].includes(k)) {
         ev.preventDefault();
-        const p4 = this.pad4;
-        if (p4.quantize) { p4._pending = true; } else { p4._active = true; p4._t0 = this.nowMs; }
-        this._broadcast({ key: '4', action: 'shot', t: this.nowMs });
-      }
-
-      if (k === '5') {
-        ev.preventDefault();
-        const p5 = this.pad5;
-        p5.isDown = true;
-        this._broadcast({ key: '5', action: 'engage', t: this.nowMs });
+        this.engagePad(k);
       }
 
       // Live intensity control while holding the pad key
@@ -370,26 +424,7 @@ export class PerformanceController {
       const k = (ev.key || '').toLowerCase();
       this._lastShiftHeld = !!ev.shiftKey;
       if (!this.enabled) return;
-      if (k === '1') {
-        // Release only ends momentary; latched keeps running
-        if (this.pad1.quantize) { this.pad1._pendingRelease = true; } else { this.pad1.isDown = false; }
-        // Trigger snap-back pulse if not latched
-        if (!this.pad1.latched) {
-          this.pad1._snapRemainMs = this.pad1.releaseSnapMs;
-          this.pad1._bounceRemainMs = this.pad1.releaseBounceMs;
-        }
-        this._broadcast({ key: '1', action: 'release', t: this.nowMs });
-      }
-
-      if (k === '3') {
-        this.pad3.isDown = false;
-        this._broadcast({ key: '3', action: 'release', t: this.nowMs });
-      }
-
-      if (k === '5') {
-        this.pad5.isDown = false;
-        this._broadcast({ key: '5', action: 'release', t: this.nowMs });
-      }
+      if (['1', '3', '5'].includes(k)) this.releasePad(k);
     });
 
     // Global wheel → live intensity adjust for the last held pad (1 or 3)
@@ -0,0 +1,383 @@
+/**
+ * Playlist
+ *
+ * Queue of audio files for the file source. Tracks can be reordered and advance on their
+ * own: the next track is decoded and run through the Essentia beat-grid analysis while the
+ * current one plays, so the hand-over is a gapless cut or an N-second equal-power crossfade
+ * on the audio clock (AudioEngine.playBuffer / FileTransport.crossfadeTo) and the new track
+ * has its bar grid from the first beat.
+ *
+ * Each track can name a preset that loads when it starts (blended over the crossfade).
+ * The association is stored per file name, so re-adding the same file keeps it.
+ *
+ * Auto-advance waits while the transport is paused or looping a region. Loading a file
+ * outside the playlist (drop, mic, system audio) detaches it until a track is played again.
+ */
+
+const SETTINGS_KEY = 'cosmic_playlist_settings';
+const TRACK_PRESETS_KEY = 'cosmic_playlist_track_presets';
+const MAX_CROSSFADE_SEC = 30;
+// Start the hand-over this far before it is due; frames arrive late, the audio clock does not
+const LOOKAHEAD_SEC = 0.25;
+
+function readJson(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (_) {
+    return fallback;
+  }
+}
+
+function writeJson(key, value) {
+  try { localStorage.setItem(key, JSON.stringify(value)); } catch (_) {}
+}
+
+function isAudioFile(file) {
+  if (!file) return false;
+  if (file.type) return file.type.startsWith('audio/');
+  return /\.(mp3|wav|ogg|oga|flac|m4a|aac|opus|webm)$/i.test(file.name || '');
+}
+
+export class Playlist {
+  /**
+   * @param {Object} options
+   * @param {import('./audio.js').AudioEngine} options.audioEngine
+   * @param {import('./preset-manager.js').PresetManager} [options.presetManager]
+   */
+  constructor({ audioEngine, presetManager = null } = {}) {
+    this.audioEngine = audioEngine;
+    this.presetManager = presetManager;
+    this.items = [];
+    this.currentIndex = -1;
+    const saved = readJson(SETTINGS_KEY, {}) || {};
+    this.autoAdvance = saved.autoAdvance !== false;
+    this.crossfadeSec = Math.min(MAX_CROSSFADE_SEC, Math.max(0, Number.isFinite(saved.crossfadeSec) ? saved.crossfadeSec : 4));
+    this.repeat = !!saved.repeat;
+    this._trackPresets = readJson(TRACK_PRESETS_KEY, {}) || {};
+    this._seq = 0;
+    this._switching = false; // our own playBuffer() is running; its transport events are expected
+    this._advancing = false;
+    this._listeners = new Set();
+
+    const transport = audioEngine?.transport;
+    transport?.on('load', () => this._onForeignChange());
+    transport?.on('unload', () => this._onForeignChange());
+  }
+
+  on(event, handler) {
+    if (typeof handler !== 'function') return () => {};
+    const wrapped = { event, handler };
+    this._listeners.add(wrapped);
+    return () => this._listeners.delete(wrapped);
+  }
+
+  // -----------------
+  // Queue
+  // -----------------
+
+  /**
+   * Appends audio files (non-audio entries are skipped). Starts the first added track when
+   * nothing is playing from the playlist and `play` is not false.
+   * @param {FileList|File[]} files
+   * @param {{play?: boolean}} [options]
+   * @returns {number} Number of tracks added
+   */
+  addFiles(files, { play = true } = {}) {
+    const added = Array.from(files || []).filter(isAudioFile).map((file) => ({
+      id: `track-${++this._seq}`,
+      name: file.name || 'Untitled',
+      file,
+      presetId: this._trackPresets[file.name] || null,
+      status: 'queued', // queued | decoding | analyzing | ready | error
+      error: '',
+      bpm: 0,
+      durationSec: 0,
+      buffer: null,
+      analysis: null,
+      _preparing: null,
+    }));
+    if (!added.length) return 0;
+    const firstIndex = this.items.length;
+    this.items.push(...added);
+    this._notify('change', { added: added.length });
+    if (play && this.currentIndex < 0) {
+      this.playIndex(firstIndex).catch(() => {});
+    } else {
+      this._prepareNext();
+    }
+    return added.length;
+  }
+
+  remove(id) {
+    const index = this._indexOf(id);
+    if (index < 0) return false;
+    const [item] = this.items.splice(index, 1);
+    item.buffer = null;
+    if (index === this.currentIndex) this.currentIndex = -1; // keeps playing, but is no longer ours
+    else if (index < this.currentIndex) this.currentIndex -= 1;
+    this._notify('change', { removed: id });
+    this._prepareNext();
+    return true;
+  }
+
+  /** Moves a track by `delta` places (clamped to the list) */
+  move(id, delta) {
+    const from = this._indexOf(id);
+    if (from < 0) return false;
+    const to = Math.max(0, Math.min(this.items.length - 1, from + Math.round(delta || 0)));
+    if (to === from) return false;
+    const current = this.items[this.currentIndex] || null;
+    const [item] = this.items.splice(from, 1);
+    this.items.splice(to, 0, item);
+    this.currentIndex = current ? this.items.indexOf(current) : -1;
+    this._notify('change', { moved: id, index: to });
+    this._prepareNext();
+    return true;
+  }
+
+  clear() {
+    this.items.forEach((item) => { item.buffer = null; });
+    this.items = [];
+    this.currentIndex = -1;
+    this._notify('change', { cleared: true });
+  }
+
+  /**
+   * Associates a preset with a track; it loads whenever the track starts.
+   * @param {string} id - Track id
+   * @param {string|null} presetId - null removes the association
+   */
+  setTrackPreset(id, presetId) {
+    const item = this.items[this._indexOf(id)];
+    if (!item) return;
+    item.presetId = presetId || null;
+    if (item.presetId) this._trackPresets[item.name] = item.presetId;
+    else delete this._trackPresets[item.name];
+    writeJson(TRACK_PRESETS_KEY, this._trackPresets);
+    this._notify('change', { preset: id });
+  }
+
+  // -----------------
+  // Settings
+  // -----------------
+
+  setAutoAdvance(enabled) {
+    this.autoAdvance = !!enabled;
+    this._saveSettings();
+  }
+
+  setCrossfadeSec(sec) {
+    this.crossfadeSec = Math.min(MAX_CROSSFADE_SEC, Math.max(0, Number(sec) || 0));
+    this._saveSettings();
+  }
+
+  setRepeat(enabled) {
+    this.repeat = !!enabled;
+    this._saveSettings();
+    this._prepareNext();
+  }
+
+  // -----------------
+  // Playback
+  // -----------------
+
+  /**
+   * Starts a track. With `crossfade`, it is mixed in over the playlist crossfade instead of
+   * cutting the current file.
+   * @param {number} index
+   * @param {{crossfade?: boolean}} [options]
+   * @returns {Promise<boolean>} false when the track could not be decoded
+   */
+  async playIndex(index, { crossfade = false } = {}) {
+    const item = this.items[index];
+    if (!item) return false;
+    const fadeSec = crossfade ? this._fadeFor(item) : 0;
+    return this._start(item, { fadeSec, delaySec: 0 });
+  }
+
+  /** Next track (crossfaded when a crossfade is set) */
+  next() {
+    const index = this._nextIndex();
+    if (index < 0) return Promise.resolve(false);
+    return this.playIndex(index, { crossfade: true });
+  }
+
+  /** Previous track, or the first one when nothing is current */
+  previous() {
+    if (!this.items.length) return Promise.resolve(false);
+    let index = this.currentIndex - 1;
+    if (index < 0) index = this.repeat && this.currentIndex === 0 ? this.items.length - 1 : 0;
+    return this.playIndex(index, { crossfade: true });
+  }
+
+  /** Per-frame: schedules the hand-over to the next track when the current one is ending */
+  update() {
+    if (!this.autoAdvance || this._advancing || this._switching || this.currentIndex < 0) return;
+    const engine = this.audioEngine;
+    const transport = engine?.transport;
+    if (!transport?.playing || transport.getLoopRegion() || engine.isOfflineAnalysisActive?.()) return;
+    const nextIndex = this._nextIndex();
+    const next = this.items[nextIndex];
+    if (!next) return;
+    if (!next.buffer) {
+      // Not decoded yet (or it failed): the current track loops until it is ready
+      this._prepare(next);
+      return;
+    }
+    const remaining = transport.getDuration() - transport.getTime();
+    const fadeSec = Math.min(this._fadeFor(next), transport.getDuration() / 2);
+    if (remaining > fadeSec + LOOKAHEAD_SEC) return;
+    this._advancing = true;
+    this._start(next, { fadeSec, delaySec: Math.max(0, remaining - fadeSec) })
+      .finally(() => { this._advancing = false; });
+  }
+
+  getStatus() {
+    return {
+      currentIndex: this.currentIndex,
+      autoAdvance: this.autoAdvance,
+      crossfadeSec: this.crossfadeSec,
+      repeat: this.repeat,
+      items: this.items.map((item, index) => ({
+        id: item.id,
+        name: item.name,
+        presetId: item.presetId,
+        status: item.status,
+        error: item.error,
+        bpm: item.bpm,
+        durationSec: item.durationSec,
+        current: index === this.currentIndex,
+      })),
+    };
+  }
+
+  // -----------------
+  // Internals
+  // -----------------
+
+  async _start(item, { fadeSec, delaySec }) {
+    const engine = this.audioEngine;
+    this._switching = true;
+    try {
+      if (!item.buffer) {
+        // Played before it was prepared: decode now and let the engine analyse as usual
+        item.status = 'decoding';
+        this._notify('change', { status: item.id });
+        item.buffer = await engine.decodeFile(item.file);
+        item.durationSec = item.buffer.duration || 0;
+        if (!item.analysis) item.status = 'ready';
+      }
+      if (!this.items.includes(item)) return false; // removed while decoding
+      await engine.playBuffer(item.buffer, {
+        name: item.name,
+        analysis: item.analysis,
+        crossfadeSec: fadeSec,
+        delaySec,
+      });
+      this.currentIndex = this.items.indexOf(item);
+    } catch (err) {
+      item.status = 'error';
+      item.error = err?.message || String(err);
+      this._notify('error', { id: item.id, error: item.error });
+      return false;
+    } finally {
+      this._switching = false;
+    }
+    if (item.presetId && this.presetManager) {
+      try {
+        this.presetManager.load(item.presetId, { transitionMs: fadeSec * 1000 });
+      } catch (err) {
+        console.warn('Playlist: track preset failed to load', err);
+      }
+    }
+    this._notify('track', { id: item.id, index: this.currentIndex, name: item.name, crossfadeSec: fadeSec });
+    this._notify('change', { current: item.id });
+    this._releaseBuffers();
+    this._prepareNext();
+    return true;
+  }
+
+  // Decodes and analyses a track ahead of time; shared promise while in flight
+  _prepare(item) {
+    if (!item || item.status === 'error') return Promise.resolve();
+    if (item._preparing) return item._preparing;
+    if (item.buffer && item.analysis) return Promise.resolve();
+    const engine = this.audioEngine;
+    item._preparing = (async () => {
+      try {
+        if (!item.buffer) {
+          item.status = 'decoding';
+          this._notify('change', { status: item.id });
+          item.buffer = await engine.decodeFile(item.file);
+          item.durationSec = item.buffer.duration || 0;
+        }
+        if (!item.analysis && engine.analyzeBuffer) {
+          item.status = 'analyzing';
+          this._notify('change', { status: item.id });
+          item.analysis = await engine.analyzeBuffer(item.buffer);
+        }
+        item.bpm = Math.round(item.analysis?.bpm || 0);
+        item.status = 'ready';
+      } catch (err) {
+        item.status = 'error';
+        item.error = err?.message || String(err);
+        this._notify('error', { id: item.id, error: item.error });
+      } finally {
+        item._preparing = null;
+        this._notify('change', { status: item.id });
+      }
+    })();
+    return item._preparing;
+  }
+
+  _prepareNext() {
+    const next = this.items[this._nextIndex()];
+    if (next && next !== this.items[this.currentIndex]) this._prepare(next);
+  }
+
+  // Decoded audio is large; only the current and next tracks keep theirs
+  _releaseBuffers() {
+    const keep = new Set([this.items[this.currentIndex], this.items[this._nextIndex()]]);
+    this.items.forEach((item) => {
+      if (!keep.has(item) && !item._preparing) item.buffer = null;
+    });
+  }
+
+  _nextIndex() {
+    if (this.currentIndex < 0) return this.items.length ? 0 : -1;
+    if (this.currentIndex + 1 < this.items.length) return this.currentIndex + 1;
+    // A single track already loops on its own
+    return this.repeat && this.items.length > 1 ? 0 : -1;
+  }
+
+  _fadeFor(item) {
+    const half = item?.durationSec ? item.durationSec / 2 : Infinity;
+    return Math.min(this.crossfadeSec, half);
+  }
+
+  _indexOf(id) {
+    return this.items.findIndex((item) => item.id === id);
+  }
+
+  _onForeignChange() {
+    if (this._switching || this.currentIndex < 0) return;
+    this.currentIndex = -1;
+    this._notify('change', { detached: true });
+  }
+
+  _saveSettings() {
+    writeJson(SETTINGS_KEY, { autoAdvance: this.autoAdvance, crossfadeSec: this.crossfadeSec, repeat: this.repeat });
+    this._notify('settings', { autoAdvance: this.autoAdvance, crossfadeSec: this.crossfadeSec, repeat: this.repeat });
+  }
+
+  _notify(event, detail) {
+    for (const listener of this._listeners) {
+      if (listener.event === event || listener.event === '*') {
+        try { listener.handler({ event, detail }); } catch (err) { console.error('Playlist listener error', err); }
+      }
+    }
+  }
+}
+
+export default Playlist;
@@ -2,6 +2,9 @@ import {
   withDispersionDefaults,
   serializeDispersion,
 } from './dispersion-config.js';
+import { ensureLayerParams, getRegisteredLayer, withLayerDefaults } from './layer-registry.js';
+import { normalizeModMatrix } from './mod-matrix.js';
+import { withMilkdropDefaults } from './milkdrop.js';
 
 function ensureDispersionParams(sceneApi) {
   if (!sceneApi?.state) return {};
@@ -34,6 +37,7 @@ export function capturePresetSnapshot({ sceneApi, audioEngine }) {
       midHz: audioEngine.bandSplit?.mid,
       subHz: audioEngine.bandSplit?.sub,
       beatCooldown: audioEngine.beatCooldownMs || audioEngine.beatRefractoryMs,
+      beatDetector: audioEngine.beatDetectorId,
       envAttack: audioEngine.envAttack,
       envRelease: audioEngine.envRelease,
       agcEnabled: !!audioEngine.bandAGCEnabled,
@@ -54,6 +58,7 @@ export function capturePresetSnapshot({ sceneApi, audioEngine }) {
     },
     visuals: {
       theme: params.theme,
+      colorMode: params.colorMode || 'theme',
       fogDensity: params.fogDensity,
       bloomBase: params.bloomStrengthBase,
       bloomReactive: params.bloomReactiveGain,
@@ -64,9 +69,14 @@ export function capturePresetSnapshot({ sceneApi, audioEngine }) {
       useHdrBackground: params.useHdrBackground,
       visualMode: params.visualMode,
       enableDispersion: params.enableDispersion,
+      dispersionShader: params.dispersionShaderVariant || 'classic',
+      dispersionShaderUniforms: { ...(params.dispersionShaderUniforms?.[params.dispersionShaderVariant] || {}) },
       dispersion: serializeDispersion(ensureDispersionParams(sceneApi)),
+      milkdrop: withMilkdropDefaults(params.milkdrop),
+      layers: JSON.parse(JSON.stringify(ensureLayerParams(params))),
     },
     mapping: { ...(params.map || {}) },
+    modulation: normalizeModMatrix(params.modMatrix),
     explosion: {
       onBeat: params.explosion?.onBeat,
       cooldownMs: params.explosion?.cooldownMs,
@@ -75,6 +85,16 @@ export function capturePresetSnapshot({ sceneApi, audioEngine }) {
   };
 }
 
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+function assignDeep(target, source) {
+  Object.entries(source).forEach(([key, value]) => {
+    if (isPlainObject(value) && isPlainObject(target[key])) assignDeep(target[key], value);
+    else target[key] = value;
+  });
+  return target;
+}
+
 export function applyPresetSnapshot(snapshot, { sceneApi, audioEngine, silent = false, notify } = {}) {
   if (!snapshot) return;
   if (!sceneApi || !audioEngine) {
@@ -84,6 +104,7 @@ export function applyPresetSnapshot(snapshot, { sceneApi, audioEngine, silent =
   const toast = (!silent && notify) || (!silent && typeof window !== 'undefined' && typeof window.showToast === 'function' && window.showToast);
 
   try {
+    if (typeof snapshot.visuals?.colorMode === 'string' && typeof sceneApi.setColorMode === 'function') sceneApi.setColorMode(snapshot.visuals.colorMode);
     if (snapshot.visuals?.theme) sceneApi.changeTheme(snapshot.visuals.theme);
     if (typeof snapshot.visuals?.fogDensity === 'number') sceneApi.state.scene.fog.density = snapshot.visuals.fogDensity;
     if (typeof snapshot.visuals?.bloomBase === 'number') sceneApi.state.params.bloomStrengthBase = snapshot.visuals.bloomBase;
@@ -103,6 +124,16 @@ export function applyPresetSnapshot(snapshot, { sceneApi, audioEngine, silent =
       if (typeof sceneApi.setVisualMode === 'function') sceneApi.setVisualMode(snapshot.visuals.visualMode);
     }
     if (typeof snapshot.visuals?.enableDispersion === 'boolean') sceneApi.state.params.enableDispersion = snapshot.visuals.enableDispersion;
+    if (typeof snapshot.visuals?.dispersionShader === 'string') {
+      if (typeof sceneApi.setDispersionShader === 'function') sceneApi.setDispersionShader(snapshot.visuals.dispersionShader);
+      else sceneApi.state.params.dispersionShaderVariant = snapshot.visuals.dispersionShader;
+    }
+    if (snapshot.visuals?.dispersionShaderUniforms && typeof snapshot.visuals.dispersionShaderUniforms === 'object') {
+      // Custom uniform values belong to the shader the snapshot selects (or the current one mid-transition)
+      const id = snapshot.visuals.dispersionShader || sceneApi.state.params.dispersionShaderVariant;
+      const all = sceneApi.state.params.dispersionShaderUniforms || (sceneApi.state.params.dispersionShaderUniforms = {});
+      all[id] = { ...(all[id] || {}), ...snapshot.visuals.dispersionShaderUniforms };
+    }
     if (snapshot.visuals?.dispersion && typeof snapshot.visuals.dispersion === 'object') {
       const merged = withDispersionDefaults({
         ...sceneApi.state.params.dispersion,
@@ -110,6 +141,22 @@ export function applyPresetSnapshot(snapshot, { sceneApi, audioEngine, silent =
       });
       sceneApi.state.params.dispersion = merged;
     }
+    if (snapshot.visuals?.milkdrop && typeof snapshot.visuals.milkdrop === 'object') {
+      // Only the preset name is stored; the scene switches to it once it is loaded
+      sceneApi.state.params.milkdrop = withMilkdropDefaults({
+        ...sceneApi.state.params.milkdrop,
+        ...snapshot.visuals.milkdrop,
+      });
+    }
+    if (snapshot.visuals?.layers && typeof snapshot.visuals.layers === 'object') {
+      const current = ensureLayerParams(sceneApi.state.params);
+      Object.entries(snapshot.visuals.layers).forEach(([id, values]) => {
+        if (!values || typeof values !== 'object') return;
+        const def = getRegisteredLayer(id);
+        const merged = { ...(current[id] || {}), ...values };
+        current[id] = Object.assign(current[id] || {}, def ? withLayerDefaults(def, merged) : merged);
+      });
+    }
 
     if (snapshot.audio) {
       if (typeof snapshot.audio.gain === 'number') audioEngine.setGain(snapshot.audio.gain);
@@ -119,6 +166,7 @@ export function applyPresetSnapshot(snapshot, { sceneApi, audioEngine, silent =
       if (typeof snapshot.audio.lowHz === 'number' && typeof snapshot.audio.midHz === 'number') audioEngine.setBandSplit(snapshot.audio.lowHz, snapshot.audio.midHz);
       if (typeof snapshot.audio.subHz === 'number') audioEngine.setSubHz(snapshot.audio.subHz);
       if (typeof snapshot.audio.beatCooldown === 'number') audioEngine.setBeatCooldown(snapshot.audio.beatCooldown);
+      if (typeof snapshot.audio.beatDetector === 'string') audioEngine.setBeatDetector(snapshot.audio.beatDetector);
       if (typeof snapshot.audio.envAttack === 'number') audioEngine.setEnvAttack(snapshot.audio.envAttack);
       if (typeof snapshot.audio.envRelease === 'number') audioEngine.setEnvRelease(snapshot.audio.envRelease);
       if (typeof snapshot.audio.noiseGateEnabled === 'boolean') audioEngine.setNoiseGateEnabled(snapshot.audio.noiseGateEnabled);
@@ -140,7 +188,12 @@ export function applyPresetSnapshot(snapshot, { sceneApi, audioEngine, silent =
       }
     }
 
-    if (snapshot.mapping) Object.assign(sceneApi.state.params.map, snapshot.mapping);
+    // Merged in place: mid-transition frames carry only some leaves, and the scene holds
+    // references to the nested objects
+    if (snapshot.mapping) assignDeep(sceneApi.state.params.map, snapshot.mapping);
+    if (snapshot.modulation && typeof snapshot.modulation === 'object') {
+      sceneApi.state.params.modMatrix = normalizeModMatrix(snapshot.modulation);
+    }
     if (snapshot.explosion) {
       if (typeof snapshot.explosion.onBeat === 'boolean') sceneApi.state.params.explosion.onBeat = snapshot.explosion.onBeat;
       if (typeof snapshot.explosion.cooldownMs === 'number') sceneApi.state.params.explosion.cooldownMs = snapshot.explosion.cooldownMs;
@@ -158,3 +211,99 @@ export function applyPresetSnapshot(snapshot, { sceneApi, audioEngine, silent =
   }
 }
 
+
+// Numeric visual leaves that are costly or meaningless to tween (particle rebuilds,
+// renderer resizes, Milkdrop canvas resizes and cycle lengths); they switch once at the
+// midpoint with the non-numeric ones (theme, visual mode, toggles).
+const STEP_PATHS = new Set([
+  'visuals.theme',
+  'visuals.colorMode',
+  'visuals.visualMode',
+  'visuals.dispersionShader',
+  'visuals.useHdrBackground',
+  'visuals.particleDensity',
+  'visuals.pixelRatio',
+  'visuals.milkdrop.resolution',
+  'visuals.milkdrop.cycleBars',
+]);
+
+// Snapshot sections whose numeric leaves are tweened every frame of a transition.
+// Audio settings and the modulation matrix are applied once instead.
+const TWEEN_SECTIONS = ['visuals', 'mapping', 'explosion'];
+
+export const PRESET_TRANSITION_CURVES = {
+  linear: (t) => t,
+  easeIn: (t) => t * t,
+  easeOut: (t) => 1 - (1 - t) * (1 - t),
+  easeInOut: (t) => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t)),
+};
+
+/**
+ * Blends two snapshots for one frame of a preset transition: only the numeric leaves of
+ * the visual sections (visuals, mapping, explosion) that exist on both ends, minus step
+ * paths. Everything else switches once (see presetStepSnapshot).
+ * @param {Object} from - Snapshot at the start of the transition
+ * @param {Object} to - Target snapshot
+ * @param {number} t - Eased progress 0..1
+ * @returns {Object} Partial snapshot for applyPresetSnapshot
+ */
+export function blendPresetSnapshots(from, to, t) {
+  const walk = (a, b, path) => {
+    const out = {};
+    for (const key of Object.keys(b)) {
+      const keyPath = `${path}.${key}`;
+      if (STEP_PATHS.has(keyPath)) continue;
+      const target = b[key];
+      const start = a ? a[key] : undefined;
+      if (isPlainObject(target)) {
+        const inner = walk(isPlainObject(start) ? start : null, target, keyPath);
+        if (Object.keys(inner).length) out[key] = inner;
+      } else if (typeof target === 'number' && typeof start === 'number' && Number.isFinite(start)) {
+        out[key] = start + (target - start) * t;
+      }
+    }
+    return out;
+  };
+  const out = {};
+  TWEEN_SECTIONS.forEach((section) => {
+    if (!isPlainObject(to?.[section])) return;
+    const blended = walk(isPlainObject(from?.[section]) ? from[section] : null, to[section], section);
+    if (Object.keys(blended).length) out[section] = blended;
+  });
+  return out;
+}
+
+/**
+ * The visual part of a snapshot that isn't tweened (theme, visual mode, toggles, particle
+ * density, the modulation matrix...), applied once at a transition's midpoint. Numeric
+ * leaves with no start value to tween from are included too.
+ * @param {Object} snapshot - Target snapshot
+ * @param {Object} [from] - Snapshot at the start of the transition
+ * @returns {Object}
+ */
+export function presetStepSnapshot(snapshot, from = null) {
+  const walk = (a, b, path) => {
+    const out = {};
+    for (const key of Object.keys(b)) {
+      const keyPath = `${path}.${key}`;
+      const target = b[key];
+      const start = a ? a[key] : undefined;
+      if (target === undefined || target === null) continue;
+      if (isPlainObject(target) && !STEP_PATHS.has(keyPath)) {
+        const inner = walk(isPlainObject(start) ? start : null, target, keyPath);
+        if (Object.keys(inner).length) out[key] = inner;
+      } else if (STEP_PATHS.has(keyPath) || typeof target !== 'number' || typeof start !== 'number' || !Number.isFinite(start)) {
+        out[key] = target;
+      }
+    }
+    return out;
+  };
+  const out = {};
+  TWEEN_SECTIONS.forEach((section) => {
+    if (!isPlainObject(snapshot?.[section])) return;
+    const step = walk(isPlainObject(from?.[section]) ? from[section] : null, snapshot[section], section);
+    if (Object.keys(step).length) out[section] = step;
+  });
+  if (snapshot?.modulation) out.modulation = snapshot.modulation;
+  return out;
+}
@@ -4,12 +4,21 @@
  * Responsibilities
  * - CRUD operations with version history and duplication
  * - Atomic persistence with rolling backup + recent/favorite tracking
- * - Guard rails for sensitive parameters (opacity/color) and audio modulation toggles
+ * - Guard rails for sensitive parameters (opacity/color) and audio modulation toggles;
+ *   locked params are skipped by the modulation matrix until modulation is enabled for them
  * - Fast rollback to the previously active preset for show safety
+ * - Timed crossfades between presets, optionally starting on the next bar
  * - Event notifications for UI layers
  */
 
-import { capturePresetSnapshot, applyPresetSnapshot } from './preset-io.js';
+import {
+  capturePresetSnapshot,
+  applyPresetSnapshot,
+  blendPresetSnapshots,
+  presetStepSnapshot,
+  PRESET_TRANSITION_CURVES,
+} from './preset-io.js';
+import { presetPathForTarget, targetForPresetPath } from './mod-matrix.js';
 
 const STORAGE_KEYS = {
   primary: 'cosmicPresetLibrary.v1',
@@ -19,6 +28,8 @@ const STORAGE_KEYS = {
 
 const VERSION_LIMIT = 15;
 const RECENT_LIMIT = 12;
+// A bar-quantized load starts anyway if no downbeat arrives (silence, no beat lock)
+const QUANTIZE_TIMEOUT_MS = 4000;
 
 const DEFAULT_LOCK_PARAMS = [
   'visuals.dispersion.opacityBase',
@@ -231,14 +242,16 @@ function createPresetRecord({ id, name, tags = [], snapshot, blurb }) {
 }
 
 export class PresetManager {
-  constructor({ sceneApi, audioEngine, storage = window.localStorage } = {}) {
+  constructor({ sceneApi, audioEngine, modMatrix = null, storage = window.localStorage } = {}) {
     this.sceneApi = sceneApi;
     this.audioEngine = audioEngine;
+    this.modMatrix = modMatrix;
     this.storage = storage;
     this._listeners = new Set();
     this._previousSnapshot = null;
     this._activePresetId = null;
     this._compareSnapshot = null;
+    this._transition = null;
 
     this._state = this._loadState();
     if (!this._state || typeof this._state !== 'object') {
@@ -256,6 +269,7 @@ export class PresetManager {
     }
 
     this._ensureDefaultLocks();
+    this.modMatrix?.setTargetGuard((target) => !this.isParamLocked(presetPathForTarget(target)));
 
     window.__presetManager = this;
     this._log('ready', { presetCount: Object.keys(this._state.presets).length });
@@ -422,6 +436,18 @@ export class PresetManager {
     return target.id;
   }
 
+  /**
+   * Loads a preset, either as a hard cut or as a crossfade driven by update().
+   * @param {string} identifier - Preset id or name
+   * @param {Object} [options]
+   * @param {boolean} [options.silent]
+   * @param {boolean} [options.skipRollbackCapture]
+   * @param {number} [options.transitionMs=0] - Crossfade length; numeric visual params
+   *   interpolate, the rest (theme, visual mode, toggles) switch at the midpoint and the
+   *   audio settings are applied when the fade ends
+   * @param {string} [options.curve='easeInOut'] - Key of PRESET_TRANSITION_CURVES
+   * @param {boolean} [options.quantizeToBar=false] - Hold the change until the next downbeat
+   */
   load(identifier, options = {}) {
     const target = this._resolvePreset(identifier || this.activePresetId);
     if (!target) throw new Error('Preset not found for load');
@@ -429,15 +455,77 @@ export class PresetManager {
     if (!options.skipRollbackCapture) {
       this._previousSnapshot = capturePresetSnapshot({ sceneApi: this.sceneApi, audioEngine: this.audioEngine });
     }
-    applyPresetSnapshot(snapshot, { sceneApi: this.sceneApi, audioEngine: this.audioEngine, silent: !!options.silent });
+    const transitionMs = Math.max(0, Number(options.transitionMs) || 0);
+    if (transitionMs > 0 || options.quantizeToBar) {
+      this._transition = {
+        presetId: target.id,
+        to: snapshot,
+        from: null,
+        durationMs: transitionMs,
+        ease: PRESET_TRANSITION_CURVES[options.curve] || PRESET_TRANSITION_CURVES.easeInOut,
+        quantize: !!options.quantizeToBar,
+        silent: !!options.silent,
+        requestedAt: performance.now(),
+        startMs: null,
+        stepped: false,
+      };
+    } else {
+      this._cancelTransition();
+      applyPresetSnapshot(snapshot, { sceneApi: this.sceneApi, audioEngine: this.audioEngine, silent: !!options.silent });
+    }
     this._setActive(target.id, { snapshot });
     this._recordRecent(target.id);
     this._persist();
-    this._notify('loaded', { preset: this._toPublicPreset(target) });
-    this._log('load', { id: target.id, name: target.name });
+    this._notify('loaded', { preset: this._toPublicPreset(target), transitionMs, quantizeToBar: !!options.quantizeToBar });
+    this._log('load', { id: target.id, name: target.name, transitionMs });
     return target.id;
   }
 
+  /**
+   * Advances a running preset transition. Call once per frame after sceneApi.update()
+   * so a bar-quantized load sees this frame's beat and bar phase.
+   * @param {number} [nowMs]
+   * @param {Object} [features] - AudioEngine.update() result
+   */
+  update(nowMs = performance.now(), features = null) {
+    const tr = this._transition;
+    if (!tr) return;
+    const apply = (snapshot, silent = true) => applyPresetSnapshot(snapshot, { sceneApi: this.sceneApi, audioEngine: this.audioEngine, silent });
+
+    if (tr.startMs === null) {
+      const downbeat = !!features?.beat && this.sceneApi?.state?.metrics?.beatIndex === 0;
+      if (tr.quantize && !downbeat && nowMs - tr.requestedAt < QUANTIZE_TIMEOUT_MS) return;
+      tr.startMs = nowMs;
+      // Locked params are pinned on both ends, so they never move mid-fade
+      tr.from = this._applyGuards(deepClone(capturePresetSnapshot({ sceneApi: this.sceneApi, audioEngine: this.audioEngine })));
+      this._notify('transitionStart', { id: tr.presetId, durationMs: tr.durationMs });
+    }
+
+    const progress = tr.durationMs > 0 ? Math.min(1, Math.max(0, (nowMs - tr.startMs) / tr.durationMs)) : 1;
+    if (!tr.stepped && progress >= 0.5) {
+      apply(presetStepSnapshot(tr.to, tr.from));
+      tr.stepped = true;
+    }
+    const done = progress >= 1;
+    // Per frame only the numeric visual params move; audio settings land once, at the end
+    const frame = blendPresetSnapshots(tr.from, tr.to, tr.ease(progress));
+    if (done && tr.to.audio) frame.audio = tr.to.audio;
+    apply(frame, done ? tr.silent : true);
+    if (done) {
+      this._transition = null;
+      this._notify('transitionEnd', { id: tr.presetId });
+    }
+  }
+
+  isTransitioning() {
+    return !!this._transition;
+  }
+
+  /** Drops a running transition, leaving parameters wherever the fade had reached */
+  cancelTransition() {
+    this._cancelTransition();
+  }
+
   quickCompare(identifier) {
     const target = this._resolvePreset(identifier || this.activePresetId);
     if (!target) throw new Error('Preset not found for quick compare');
@@ -445,6 +533,7 @@ export class PresetManager {
       this._compareSnapshot = capturePresetSnapshot({ sceneApi: this.sceneApi, audioEngine: this.audioEngine });
       this.load(target.id, { silent: true, skipRollbackCapture: true });
     } else {
+      this._cancelTransition();
       applyPresetSnapshot(this._compareSnapshot, { sceneApi: this.sceneApi, audioEngine: this.audioEngine, silent: true });
       this._compareSnapshot = null;
       this._notify('compareRestored', { id: target.id });
@@ -461,12 +550,17 @@ export class PresetManager {
     this._log('favorite', { id: target.id, favorite: target.favorite });
   }
 
+  /**
+   * Lets a guarded param follow the audio (or pins it again). Mod matrix routes into the
+   * param are switched on/off with it; the matrix skips locked params either way.
+   */
   enableAudioModulation(param, enabled) {
     if (!param) return;
     this._state.audioModulation[param] = !!enabled;
     if (enabled) this.unlockParam(param, { silent: true });
     else this.lockParam(param, { silent: true });
-    this._notify('modulationChanged', { param, enabled: !!enabled });
+    const routes = this.modMatrix ? this.modMatrix.setTargetEnabled(targetForPresetPath(param), !!enabled) : 0;
+    this._notify('modulationChanged', { param, enabled: !!enabled, routes });
     this._log('modulation', { param, enabled: !!enabled });
   }
 
@@ -504,6 +598,7 @@ export class PresetManager {
 
   rollback() {
     if (!this._previousSnapshot) return false;
+    this._cancelTransition();
     applyPresetSnapshot(this._previousSnapshot, { sceneApi: this.sceneApi, audioEngine: this.audioEngine, silent: true });
     this._notify('rollback', {});
     this._log('rollback', { restored: true });
@@ -580,6 +675,13 @@ export class PresetManager {
     this._state.favorites = Array.from(set);
   }
 
+  _cancelTransition() {
+    if (!this._transition) return;
+    const { presetId } = this._transition;
+    this._transition = null;
+    this._notify('transitionEnd', { id: presetId, cancelled: true });
+  }
+
   _applyGuards(snapshot) {
     const locks = this._state.lockedParams || {};
     Object.entries(locks).forEach(([path, meta]) => {
@@ -0,0 +1,142 @@
+/**
+ * Projector Layout
+ *
+ * Per-receiver output config for multi-projector shows. The control window owns the
+ * layout (persisted under `cosmic_projectors`) and SyncCoordinator sends each receiver
+ * window its own entry, matched by the `?projector=<id>` URL param.
+ *
+ * Viewports
+ * - full          The whole frame (default)
+ * - left / right  One half of a frame twice as wide as the receiver window
+ * - custom        A rectangle (x, y, width, height) of a wider virtual canvas
+ *                 (virtualWidth × virtualHeight, in pixels). Overlap neighbouring
+ *                 rectangles for edge-blended rigs and feather the seams with
+ *                 blendLeft / blendRight (overlap width in virtual pixels)
+ *
+ * visualMode ('' = follow the control window) lets e.g. a side projector run
+ * 'classic' while the centre runs 'overlay'.
+ */
+
+export const PROJECTOR_VIEWPORTS = ['full', 'left', 'right', 'custom'];
+export const PROJECTOR_VISUAL_MODES = ['', 'classic', 'overlay', 'shader-only'];
+export const DEFAULT_PROJECTOR_ID = 'p1';
+
+const STORAGE_KEY = 'cosmic_projectors';
+const BLEND_OVERLAY_ID = 'projector-edge-blend';
+// Projectors are roughly gamma 2.2, so a linear alpha ramp leaves a bright band in the overlap
+const BLEND_GAMMA = 2.2;
+
+const DEFAULT_CUSTOM = { virtualWidth: 3840, virtualHeight: 1080, x: 0, y: 0, width: 1920, height: 1080 };
+
+const toNumber = (v, fallback, min = 0) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.max(min, n) : fallback;
+};
+
+export function normalizeProjectorConfig(raw = {}) {
+  const id = String(raw.id || DEFAULT_PROJECTOR_ID);
+  const custom = { ...DEFAULT_CUSTOM, ...(raw.custom || {}) };
+  return {
+    id,
+    label: String(raw.label || id),
+    viewport: PROJECTOR_VIEWPORTS.includes(raw.viewport) ? raw.viewport : 'full',
+    visualMode: PROJECTOR_VISUAL_MODES.includes(raw.visualMode) ? raw.visualMode : '',
+    custom: {
+      virtualWidth: toNumber(custom.virtualWidth, DEFAULT_CUSTOM.virtualWidth, 1),
+      virtualHeight: toNumber(custom.virtualHeight, DEFAULT_CUSTOM.virtualHeight, 1),
+      x: toNumber(custom.x, 0),
+      y: toNumber(custom.y, 0),
+      width: toNumber(custom.width, DEFAULT_CUSTOM.width, 1),
+      height: toNumber(custom.height, DEFAULT_CUSTOM.height, 1),
+    },
+    blendLeft: toNumber(raw.blendLeft, 0),
+    blendRight: toNumber(raw.blendRight, 0),
+  };
+}
+
+export function createProjectorConfig(existing = []) {
+  const taken = new Set(existing.map((p) => p.id));
+  let n = existing.length + 1;
+  while (taken.has(`p${n}`)) n += 1;
+  return normalizeProjectorConfig({ id: `p${n}`, label: `Projector ${n}` });
+}
+
+export function loadProjectorLayout(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+  let list = null;
+  try { list = JSON.parse(storage?.getItem(STORAGE_KEY) || 'null'); } catch (_) {}
+  if (!Array.isArray(list) || !list.length) list = [{ id: DEFAULT_PROJECTOR_ID, label: 'Projector 1' }];
+  return list.map(normalizeProjectorConfig);
+}
+
+export function saveProjectorLayout(list, storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+  try { storage?.setItem(STORAGE_KEY, JSON.stringify(list)); } catch (_) {}
+}
+
+export function resolveProjectorIdFromUrl(searchString) {
+  try {
+    const params = new URLSearchParams(searchString || (typeof location !== 'undefined' ? location.search : ''));
+    return params.get('projector') || DEFAULT_PROJECTOR_ID;
+  } catch (_) {
+    return DEFAULT_PROJECTOR_ID;
+  }
+}
+
+/**
+ * Camera view offset for a config, in the form sceneApi.setViewOffset() takes.
+ * @returns {{fullWidth:number, fullHeight:number, x:number, y:number, width:number, height:number}|null}
+ *   null for a full frame
+ */
+export function resolveProjectorViewport(config, windowWidth, windowHeight) {
+  if (!config || config.viewport === 'full') return null;
+  const w = Math.max(1, windowWidth || 1);
+  const h = Math.max(1, windowHeight || 1);
+  if (config.viewport === 'left' || config.viewport === 'right') {
+    return { fullWidth: w * 2, fullHeight: h, x: config.viewport === 'left' ? 0 : w, y: 0, width: w, height: h };
+  }
+  const c = config.custom;
+  return {
+    fullWidth: c.virtualWidth,
+    fullHeight: c.virtualHeight,
+    x: Math.min(c.x, c.virtualWidth - 1),
+    y: Math.min(c.y, c.virtualHeight - 1),
+    width: Math.min(c.width, c.virtualWidth - c.x),
+    height: Math.min(c.height, c.virtualHeight - c.y),
+  };
+}
+
+function blendStops(fromPct, toPct, fadeIn) {
+  const stops = [];
+  for (let i = 0; i <= 4; i += 1) {
+    const t = i / 4;
+    const gain = Math.pow(fadeIn ? t : 1 - t, 1 / BLEND_GAMMA);
+    stops.push(`rgba(0,0,0,${(1 - gain).toFixed(3)}) ${(fromPct + (toPct - fromPct) * t).toFixed(2)}%`);
+  }
+  return stops;
+}
+
+/**
+ * Feathers the left/right edges of a custom viewport with a black gradient overlay
+ * so overlapping projectors sum to even brightness. Removes the overlay otherwise.
+ */
+export function applyEdgeBlendOverlay(config) {
+  if (typeof document === 'undefined') return;
+  let node = document.getElementById(BLEND_OVERLAY_ID);
+  const width = config?.viewport === 'custom' ? config.custom.width : 0;
+  const left = width ? Math.min(50, (config.blendLeft / width) * 100) : 0;
+  const right = width ? Math.min(50, (config.blendRight / width) * 100) : 0;
+  if (!left && !right) {
+    if (node) node.remove();
+    return;
+  }
+  if (!node) {
+    node = document.createElement('div');
+    node.id = BLEND_OVERLAY_ID;
+    node.style.cssText = 'position:fixed;inset:0;pointer-events:none;z-index:5;';
+    document.body.appendChild(node);
+  }
+  const stops = [
+    ...(left ? blendStops(0, left, true) : ['rgba(0,0,0,0) 0%']),
+    ...(right ? blendStops(100 - right, 100, false) : ['rgba(0,0,0,0) 100%']),
+  ];
+  node.style.background = `linear-gradient(to right, ${stops.join(', ')})`;
+}
@@ -32,8 +32,15 @@ import CameraControls from 'camera-controls';
 import { EffectComposer, RenderPass, EffectPass, BloomEffect, ChromaticAberrationEffect } from 'postprocessing';
 import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
 import { createEyeLayer, createCornea, updateEyeUniforms } from './eye.js';
-import { createDispersionLayer } from './dispersion.js';
+import { createDispersionLayer, DISPERSION_VARIANTS } from './dispersion.js';
 import { withDispersionDefaults } from './dispersion-config.js';
+import { dropApproach } from './song-sections.js';
+import { getCustomTheme, normalizeTheme, onThemeLibraryChange, THEME_DEFAULTS } from './theme-library.js';
+import { getCustomShader, parseCustomUniforms, shaderProgramSource, onShaderLibraryChange } from './shader-library.js';
+import { AudioTextures } from './audio-textures.js';
+import { createMilkdropLayer, withMilkdropDefaults } from './milkdrop.js';
+import { getMilkdropPreset, getMilkdropPresetNames } from './milkdrop-presets.js';
+import { registerBundledLayers, getRegisteredLayers, ensureLayerParams, onLayerRegistryChange } from './layer-registry.js';
 
 // Install CameraControls plugin for Three.js
 // This provides smooth, interactive camera controls
@@ -57,6 +64,15 @@ const EYE_FEATURE_ENABLED = false;
  * - sunset: Warm orange/purple sunset theme
  * - forest: Green nature theme
  * - aurora: Cyan/purple aurora theme
+ *
+ * Optional keys: star (starfield tint), light (central light base colour, otherwise an
+ * audio-driven hue), glow (core glow sprite, otherwise the light colour) and fog (fog and,
+ * without HDR, the background). User themes from theme-library.js are compiled into the same
+ * shape by compileTheme() and selected by id like the built-ins.
+ *
+ * With params.colorMode = 'harmonic' the theme only supplies the HDR background and the
+ * optional colours; the palette comes from harmonicTheme() for the detected key instead
+ * (see updateHarmonicPalette).
  */
 export const themes = {
   nebula: {
@@ -82,6 +98,78 @@ export const themes = {
   }
 };
 
+/** Colour at position t (0..1) along evenly spaced gradient stops */
+function gradientAt(stops, t) {
+  const pos = THREE.MathUtils.clamp(t, 0, 1) * (stops.length - 1);
+  const i = Math.min(stops.length - 2, Math.floor(pos));
+  return new THREE.Color().copy(stops[i]).lerp(stops[i + 1], pos - i);
+}
+
+/**
+ * Scene theme for a theme-library entry. Core stops become the sphere gradient; ring stops
+ * run across the ring stack, with a slight brightness sweep along each ring.
+ */
+export function compileTheme(spec) {
+  const core = spec.core.map((hex) => new THREE.Color(hex));
+  const rings = spec.rings.map((hex) => new THREE.Color(hex));
+  return {
+    sphere: core,
+    rings: (i, count, j, pCount) => {
+      const c = gradientAt(rings, count > 1 ? i / (count - 1) : 0);
+      return c.offsetHSL(0, 0, ((j / Math.max(1, pCount)) - 0.5) * 0.08);
+    },
+    hdr: '',
+    star: spec.star,
+    light: spec.light,
+    glow: spec.glow,
+    fog: spec.fog,
+  };
+}
+
+/** Built-in or custom theme by id, in scene shape; null when unknown */
+export function resolveTheme(id) {
+  if (themes[id]) return themes[id];
+  const custom = getCustomTheme(id);
+  return custom ? compileTheme(custom) : null;
+}
+
+/**
+ * Editable description of any theme (the theme editor starts from it). Built-ins are
+ * sampled: their sphere colours become core stops, their ring function three ring stops.
+ */
+export function describeTheme(id) {
+  const custom = getCustomTheme(id);
+  if (custom) return custom;
+  const theme = themes[id];
+  if (!theme) return null;
+  const hex = (c) => `#${c.getHexString()}`;
+  return {
+    id: '',
+    name: `${id.charAt(0).toUpperCase()}${id.slice(1)} copy`,
+    core: theme.sphere.map(hex),
+    rings: [0, 4, 8].map((i) => hex(theme.rings(i, 9, 0, 1))),
+    star: theme.star || THEME_DEFAULTS.star,
+    light: theme.light || '',
+    glow: theme.glow || '',
+    fog: theme.fog || THEME_DEFAULTS.fog,
+  };
+}
+
+/**
+ * Palette for a hue on the circle-of-fifths colour wheel (key fifths / 12, C = red).
+ * Neighbouring keys get neighbouring colours; major keys are bright and saturated,
+ * minor keys darker and muted. Same shape as the entries in `themes` (minus hdr).
+ */
+function harmonicTheme(hue, minor) {
+  const sat = minor ? 0.62 : 0.85;
+  const light = minor ? 0.46 : 0.6;
+  const at = (offset, s = sat, l = light) => new THREE.Color().setHSL(THREE.MathUtils.euclideanModulo(hue + offset, 1), s, l);
+  return {
+    sphere: [at(0), at(1 / 12), at(-1 / 12), at(0.5, sat * 0.8, light + 0.1), at(2 / 12)],
+    rings: (i, count, j, pCount) => at((i / count) * 0.16 - 0.08 + (j / pCount) * 0.05, sat, light + 0.05),
+  };
+}
+
 /**
  * Point Material Shader
  * 
@@ -96,6 +184,17 @@ export const themes = {
 const pointMaterialShader = {
   vertexShader: `
     attribute float size; attribute vec3 randomDir; varying vec3 vColor; varying float vDistance; varying float vMouseEffect; uniform float time; uniform vec2 uMouse; uniform float uExplode; uniform float uReactiveScale;
+    uniform sampler2D uAudioFFT; uniform float uSpectrumDisplace; uniform float uAudioTexturesLevel; uniform float uHueShift;
+    // Rotates the hue (0..1 turns) while keeping saturation and lightness; the harmonic palette glides with it
+    vec3 shiftHue(vec3 c, float shift) {
+      vec4 K = vec4(0.0, -1.0 / 3.0, 2.0 / 3.0, -1.0);
+      vec4 p = mix(vec4(c.bg, K.wz), vec4(c.gb, K.xy), step(c.b, c.g));
+      vec4 q = mix(vec4(p.xyw, c.r), vec4(c.r, p.yzx), step(p.x, c.r));
+      float d = q.x - min(q.w, q.y);
+      vec3 hsv = vec3(abs(q.z + (q.w - q.y) / (6.0 * d + 1e-10)) + shift, d / (q.x + 1e-10), q.x);
+      vec3 rgb = clamp(abs(mod(hsv.x * 6.0 + vec3(0.0, 4.0, 2.0), 6.0) - 3.0) - 1.0, 0.0, 1.0);
+      return hsv.z * mix(vec3(1.0), rgb, hsv.y);
+    }
     vec3 mod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
     vec4 mod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
     vec4 permute(vec4 x) { return mod289(((x*34.0)+1.0)*x); }
@@ -113,7 +212,7 @@ const pointMaterialShader = {
       vec4 m = max(0.6 - vec4(dot(x0,x0), dot(x1,x1), dot(x2,x2), dot(x3,x3)), 0.0); m = m * m; return 42.0 * dot(m*m, vec4(dot(p0,x0), dot(p1,x1), dot(p2,x2), dot(p3,x3)));
     }
     void main() {
-      vColor = color;
+      vColor = uHueShift != 0.0 ? shiftHue(color, uHueShift) : color;
       // Explosion wobble on base sphere position
       float explodeAmount = uExplode * 35.0;
       float turbulence = snoise(position * 0.4 + randomDir * 2.0 + time * 0.8) * 10.0 * uExplode;
@@ -136,6 +235,14 @@ const pointMaterialShader = {
         snoise(noiseInput + vec3(20.0))
       );
       vec3 finalPos = morphed + displacement * noiseAmplitude;
+      // Spectrum displacement: the angle around Y picks an FFT bin (mirrored, lower half of the band);
+      // the effects profile fades it out
+      float spectrumDisplace = uSpectrumDisplace * uAudioTexturesLevel;
+      if (spectrumDisplace > 0.0) {
+        float spectrumBin = abs(atan(position.z, position.x)) / 3.14159265;
+        float spectrum = texture2D(uAudioFFT, vec2(spectrumBin * 0.5, 0.5)).r;
+        finalPos += normalize(position + vec3(1e-4)) * spectrum * spectrumDisplace * (1.0 - uExplode);
+      }
       float pulse = sin(time + length(position)) * 0.1 + 1.0;
       vec4 mvPosition = modelViewMatrix * vec4(finalPos, 1.0);
       vDistance = -mvPosition.z;
@@ -225,9 +332,10 @@ const sparkShader = {
  * that are updated every frame to animate the particles.
  * 
  * @param {THREE.Vector2} mouse - Current mouse position (normalized -1 to 1)
+ * @param {Object} [sharedUniforms] - Uniforms shared by all point materials (audio textures, spectrum displacement, harmonic hue shift)
  * @returns {THREE.ShaderMaterial} The configured shader material
  */
-function createPointShaderMaterial(mouse) {
+function createPointShaderMaterial(mouse, sharedUniforms = {}) {
   return new THREE.ShaderMaterial({
     uniforms: {
       time: { value: 0 },
@@ -235,6 +343,11 @@ function createPointShaderMaterial(mouse) {
       uExplode: { value: 0.0 },
       uReactiveScale: { value: 0.0 },
       uReactiveBright: { value: 0.0 },
+      uAudioFFT: { value: null },
+      uSpectrumDisplace: { value: 0.0 },
+      uAudioTexturesLevel: { value: 1.0 },
+      uHueShift: { value: 0.0 },
+      ...sharedUniforms,
     },
     vertexShader: pointMaterialShader.vertexShader,
     fragmentShader: pointMaterialShader.fragmentShader,
@@ -251,9 +364,10 @@ function createPointShaderMaterial(mouse) {
  * @param {number} radius - Sphere radius
  * @param {number} particleCount - Number of particles to create
  * @param {THREE.Vector2} mouse - Mouse position for shader uniforms
+ * @param {Object} [sharedUniforms] - See createPointShaderMaterial
  * @returns {THREE.Points} The particle system configured as a sphere
  */
-function createSpiralSphere(radius, particleCount, mouse) {
+function createSpiralSphere(radius, particleCount, mouse, sharedUniforms) {
   const geometry = new THREE.BufferGeometry();
   const positions = new Float32Array(particleCount * 3);
   const colors = new Float32Array(particleCount * 3);
@@ -272,7 +386,7 @@ function createSpiralSphere(radius, particleCount, mouse) {
   geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
   geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
   geometry.setAttribute('randomDir', new THREE.BufferAttribute(randomDirs, 3));
-  const material = createPointShaderMaterial(mouse);
+  const material = createPointShaderMaterial(mouse, sharedUniforms);
   material.uniforms.uExplode.value = 0;
   return new THREE.Points(geometry, material);
 }
@@ -289,9 +403,10 @@ function createSpiralSphere(radius, particleCount, mouse) {
  * @param {number} thickness - Thickness/variation of each ring
  * @param {number} particleCount - Particles per ring
  * @param {THREE.Vector2} mouse - Mouse position for shader uniforms
+ * @param {Object} [sharedUniforms] - See createPointShaderMaterial
  * @returns {THREE.Group} Group containing all ring particle systems
  */
-function createOrbitRings(radius, count, thickness, particleCount, mouse) {
+function createOrbitRings(radius, count, thickness, particleCount, mouse, sharedUniforms) {
   const group = new THREE.Group();
   for (let i = 0; i < count; i++) {
     const ringGeometry = new THREE.BufferGeometry();
@@ -310,7 +425,7 @@ function createOrbitRings(radius, count, thickness, particleCount, mouse) {
     ringGeometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
     ringGeometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
     ringGeometry.setAttribute('randomDir', new THREE.BufferAttribute(randomDirs, 3));
-    const ring = new THREE.Points(ringGeometry, createPointShaderMaterial(mouse));
+    const ring = new THREE.Points(ringGeometry, createPointShaderMaterial(mouse, sharedUniforms));
     ring.rotation.x = Math.random() * Math.PI; ring.rotation.y = Math.random() * Math.PI;
     group.add(ring);
   }
@@ -416,6 +531,15 @@ function createShockwave() {
 }
 
 export function initScene() {
+  // External clock / fixed size used by offline video export (see setTimeSource, setRenderSize)
+  let _timeSource = null;
+  let _timeSourceStartMs = 0;
+  let _timeBaseSec = 0;
+  let _fixedRenderSize = null;
+  let _savedPixelRatio = 0;
+  // Sub-rectangle of a larger virtual frame drawn by this window (multi-projector, see setViewOffset)
+  let _viewOffset = null;
+
   const state = {
     scene: new THREE.Scene(),
     camera: new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 50000),
@@ -437,13 +561,21 @@ export function initScene() {
     chromaticIntensity: 0,
     // Optional external provider for per-frame uniform deltas (e.g., performance pads)
     _perfDeltasProvider: null,
+    // Optional per-frame param modulator (ModMatrix): apply(features, nowMs) -> restore()
+    _paramModulator: null,
     currentHdrTexture: null,
     isExplosionActive: false,
     explosionStartTime: 0,
     explosionDuration: 2000,
     mainGroup: new THREE.Group(),
     shockwave: { mesh: null, material: null, active: false, startTime: 0, duration: 1.2, intensity: 1, progress: 0, opacity: 0 },
-    dispersion: { layer: null, zoom: 0, offsetX: 0, offsetY: 0, opacity: 0.3, twist: 0, twistDir: 1, stutterTimes: [], travel: 0, _flipBeatAccumulator: 0, _flipSetting: 0, _downbeatEnv: 0 },
+    dispersion: { layer: null, zoom: 0, offsetX: 0, offsetY: 0, opacity: 0.3, twist: 0, twistDir: 1, stutterTimes: [], travel: 0, _flipBeatAccumulator: 0, _flipSetting: 0, _downbeatEnv: 0, shaderError: null, shaderRevision: 0, shaderFormat: 'glsl', shaderToyFrame: 0, shaderToyMouse: new THREE.Vector4(), customProgram: null },
+    // Butterchurn for visualMode 'milkdrop' (milkdrop.js); failedPreset stops retrying a broken preset
+    milkdrop: { layer: null, barsSinceCycle: 0, failedPreset: '' },
+    // Plugin layers from layer-registry.js: id -> { def, pass, enabled, failed }
+    pluginLayers: new Map(),
+    // Spectrum / waveform / spectrogram textures for shaders (audio-textures.js)
+    audioTextures: new AudioTextures(),
     metrics: {
       coreScale: 1,
       outerScale: 1,
@@ -467,6 +599,7 @@ export function initScene() {
       chromaHue: 0,
       chromaEnergy: 0,
       chromaIndex: 0,
+      harmonicHue: 0,
       eyePupil: 0,
       eyeBlink: 0,
       eyeCatAspect: 0,
@@ -497,11 +630,15 @@ export function initScene() {
     _parallaxOffsetY: 0,
     _beatIndex: -1,
     _beatsPerBar: 4,
+    _transportBar: null,
     _lastBeatIntervalMs: 0,
     _lastBeatTimeMs: 0,
     _tintMix: Number.NaN,
+    // Harmonic palette: hue glides toward the key (+ chord offset); colours re-applied as it moves
+    _harmonic: { keyHue: null, keyFifths: 0, minor: false, keyName: '', chordOffset: 0, hue: null, appliedHue: null, appliedMinor: null, appliedKey: null, appliedEyeHue: 0 },
     params: {
       theme: 'nebula',
+      colorMode: 'theme', // 'theme' | 'harmonic' (palette follows the detected key)
       autoRotate: 0.0005,
       useHdrBackground: false,
       useLensflare: true,
@@ -552,12 +689,18 @@ export function initScene() {
         ringSpeedWeights: { bass: 0.6, mid: 0.9, treble: 0.3 },
         sphereNoiseWeights: { bass: 0.2, mid: 1.0, treble: 0.4 },
         ringNoiseWeights: { bass: 0.4, mid: 0.6, treble: 0.3 },
-        // Drop visuals
-        drop: { intensity: 1.0, bloomBoost: 0.6, shake: 0.5, ringBurst: 0.6 },
+        // Push sphere and ring particles outward by the FFT bin at their angle (0 = off)
+        spectrumDisplace: 0,
+        // Drop visuals; buildUpBars/buildUpGlow ramp toward a drop the song sections know is coming
+        drop: { intensity: 1.0, bloomBoost: 0.6, shake: 0.5, ringBurst: 0.6, buildUpBars: 8, buildUpGlow: 0.5 },
         // Chromatic aberration response
         chromatic: { base: 0.00025, treble: 0.0009, beat: 0.0012, drop: 0.0024, lerp: 0.14 },
+        // Harmonic palette: hue turn per circle-of-fifths step on chord changes, key confidence
+        // needed before the palette follows, glide time
+        harmonic: { chordShift: 0.5, minConfidence: 0.25, glideMs: 800 },
         // Shockwave pulse
-        shockwave: { enabled: true, beatIntensity: 0.55, dropIntensity: 1.2, durationMs: 1200 },
+        // channel: 1-based features.channels group whose onsets fire the pulse (0 = beats of the mix)
+        shockwave: { enabled: true, beatIntensity: 0.55, dropIntensity: 1.2, durationMs: 1200, channel: 0 },
         eye: {
           enabled: false,
           pupilBase: 0.22,
@@ -580,6 +723,8 @@ export function initScene() {
           corneaOpacity: 0.65,
           glintSize: 0.035,
         glintIntensity: 1.2,
+        // Iris rays from the FFT texture (0 = off)
+        irisSpectrum: 0,
         predatorMode: false,
       },
       },
@@ -588,7 +733,8 @@ export function initScene() {
       _lastBeatTime: -9999,
       // Overlay features
       enableDispersion: true,
-      dispersionShaderVariant: 'classic', // 'classic' | 'vortexDrill'
+      dispersionShaderVariant: 'classic', // 'classic' | 'vortexDrill' | custom shader id (shader-library.js)
+      dispersionShaderUniforms: {}, // custom shader id -> { uniformName: value }
       // Visual mode: 'classic' | 'overlay' | 'shader-only'
       visualMode: 'shader-only',
       // Effects profile: 'off' | 'medium' | 'high'
@@ -619,6 +765,11 @@ export function initScene() {
   };
 
   state.params.dispersion = withDispersionDefaults(state.params.dispersion || {});
+  state.params.milkdrop = withMilkdropDefaults(state.params.milkdrop);
+  // One uniform map for every point material, so a single write reaches all of them
+  state.pointUniforms = { ...state.audioTextures.uniforms, uSpectrumDisplace: { value: 0 }, uHueShift: { value: 0 } };
+  registerBundledLayers();
+  ensureLayerParams(state.params);
 
   state.scene.fog = new THREE.FogExp2(0x000000, state.params.fogDensity);
   state.camera.position.set(0, 2.5, 12);
@@ -628,6 +779,7 @@ export function initScene() {
   document.body.appendChild(state.renderer.domElement);
 
   state.controls = new CameraControls(state.camera, state.renderer.domElement);
+  trackShaderToyMouse(state.renderer.domElement);
   // camera-controls API updates: use smoothTime/draggingSmoothTime instead of deprecated *dampingFactor
   state.controls.smoothTime = 0.12; state.controls.minDistance = 10; state.controls.maxDistance = 50; state.controls.draggingSmoothTime = 0.15;
   state.controls.setLookAt(0, 5, 14, 0, 0, 0);
@@ -656,6 +808,7 @@ export function initScene() {
     if (state.dispersion?.layer) {
       try { state.dispersion.layer.pass.enabled = false; } catch(_) {}
     }
+    if (state.milkdrop.layer) state.milkdrop.layer.setEnabled(false);
     // Defaults
     state.renderPass.enabled = true;
     state.effectPass.enabled = true;
@@ -678,13 +831,132 @@ export function initScene() {
       state.effectPass.enabled = false;
       state.dispersion.layer.setEnabled(true);
       state.dispersion.layer.pass.renderToScreen = true;
+    } else if (mode === 'milkdrop') {
+      // Butterchurn in the overlay slot, over the 3D render or on its own
+      if (state.dispersion?.layer) state.dispersion.layer.setEnabled(false);
+      const layer = ensureMilkdrop();
+      if (layer && layer.status !== 'failed') {
+        const show3D = state.params.milkdrop?.show3D !== false;
+        state.renderPass.enabled = show3D;
+        state.effectPass.enabled = show3D;
+        layer.setEnabled(true);
+        layer.pass.clear = !show3D;
+        layer.pass.renderToScreen = true;
+      } else {
+        // No working Butterchurn: show the 3D scene as in classic rather than a black screen
+        if (layer) layer.setEnabled(false);
+        try { state.effectPass.renderToScreen = true; } catch(_) {}
+      }
+    }
+    wirePluginLayers();
+  }
+
+  // Wrapped source and parsed uniforms of a custom shader, kept until it is saved again
+  // (shaderRevision) so the per-frame sync doesn't re-read and re-parse it
+  function customDispersionProgram(id) {
+    const key = `${id}#${state.dispersion.shaderRevision}`;
+    const cached = state.dispersion.customProgram;
+    if (cached?.key === key) return cached;
+    const custom = getCustomShader(id);
+    if (!custom) return null;
+    const program = shaderProgramSource(custom);
+    state.dispersion.customProgram = { key, custom, program, uniforms: parseCustomUniforms(program.source) };
+    return state.dispersion.customProgram;
+  }
+
+  /**
+   * Puts the dispersion layer on params.dispersionShaderVariant and feeds custom uniforms.
+   * A custom shader that doesn't compile falls back to classic; its errors (with line
+   * numbers in the user's source) stay in state.dispersion.shaderError.
+   * @returns {{ok: boolean, errors: Object[]}|null} compile result when the shader changed
+   */
+  function syncDispersionShader() {
+    const layer = state.dispersion?.layer;
+    if (!layer) return null;
+    const id = state.params.dispersionShaderVariant || 'classic';
+    const cached = DISPERSION_VARIANTS.includes(id) ? null : customDispersionProgram(id);
+    const custom = cached?.custom || null;
+    let changed;
+    if (custom) {
+      const { key, program, uniforms } = cached;
+      changed = layer.setCustomShader(key, program.source, uniforms, { lineOffset: program.lineOffset });
+      layer.setCustomUniforms(state.params.dispersionShaderUniforms?.[custom.id] || {});
+    } else {
+      if (!DISPERSION_VARIANTS.includes(id)) {
+        console.warn(`Unknown dispersion shader "${id}"`);
+        state.params.dispersionShaderVariant = 'classic';
+      }
+      changed = layer.setVariant(state.params.dispersionShaderVariant);
     }
+    if (!changed) return null;
+    state.dispersion.shaderFormat = custom?.format || 'glsl';
+    state.dispersion.shaderToyFrame = 0;
+    const result = layer.checkShader(state.renderer);
+    if (result.ok) {
+      state.dispersion.shaderError = null;
+    } else {
+      console.warn(`Dispersion shader "${custom?.name || id}" failed to compile; using classic`);
+      state.dispersion.shaderError = { id, name: custom?.name || id, errors: result.errors, log: result.log };
+      state.params.dispersionShaderVariant = 'classic';
+      state.dispersion.shaderFormat = 'glsl';
+      layer.setVariant('classic');
+    }
+    return result;
+  }
+
+  // iTimeDelta / iFrame / iMouse / iChannel0 for an imported ShaderToy shader
+  function updateShaderToyInputs(features, dt) {
+    const d = state.dispersion;
+    if (d.shaderFormat !== 'shadertoy' || !d.layer) return;
+    d.layer.setShaderToyInputs({ timeDelta: dt, frame: d.shaderToyFrame++, mouse: d.shaderToyMouse, channel0: state.audioTextures.shaderToyChannel() });
+  }
+
+  // ShaderToy iMouse: drawing-buffer pixels from the bottom left; xy follow the pointer while
+  // a button is down, zw hold the click position and turn negative on release
+  function trackShaderToyMouse(canvas) {
+    const toPixels = (e) => {
+      const rect = canvas.getBoundingClientRect();
+      const sx = rect.width > 0 ? canvas.width / rect.width : 1;
+      const sy = rect.height > 0 ? canvas.height / rect.height : 1;
+      return [(e.clientX - rect.left) * sx, (rect.bottom - e.clientY) * sy];
+    };
+    const mouse = state.dispersion.shaderToyMouse;
+    let down = false;
+    canvas.addEventListener('pointerdown', (e) => {
+      const [x, y] = toPixels(e);
+      down = true;
+      mouse.set(x, y, x, y);
+    });
+    canvas.addEventListener('pointermove', (e) => {
+      if (!down) return;
+      const [x, y] = toPixels(e);
+      mouse.x = x;
+      mouse.y = y;
+    });
+    const release = () => {
+      if (!down) return;
+      down = false;
+      mouse.z = -Math.abs(mouse.z);
+      mouse.w = -Math.abs(mouse.w);
+    };
+    canvas.addEventListener('pointerup', release);
+    canvas.addEventListener('pointercancel', release);
+  }
+
+  /**
+   * Selects a built-in variant or custom shader id for the dispersion pass and compiles it.
+   * @returns {{ok: boolean, errors: Object[]}} errors carry line numbers in the shader source
+   */
+  function setDispersionShader(id) {
+    state.params.dispersionShaderVariant = id || 'classic';
+    state.dispersion.shaderError = null;
+    return syncDispersionShader() || { ok: true, errors: [] };
   }
 
   function ensureDispersion() {
     if (state.dispersion?.layer) return state.dispersion.layer;
     try {
-      state.dispersion.layer = createDispersionLayer(state.params.dispersionShaderVariant || 'classic');
+      state.dispersion.layer = createDispersionLayer(state.params.dispersionShaderVariant || 'classic', { sharedUniforms: state.audioTextures.uniforms });
       state.dispersion.layer.setSize(window.innerWidth, window.innerHeight);
       state.composer.addPass(state.dispersion.layer.pass);
     } catch (e) {
@@ -695,6 +967,173 @@ export function initScene() {
     return state.dispersion.layer;
   }
 
+  function ensureMilkdrop() {
+    if (state.milkdrop.layer) return state.milkdrop.layer;
+    try {
+      const layer = createMilkdropLayer();
+      // Straight after the effects, ahead of the dispersion overlay and plugin layers
+      state.composer.addPass(layer.pass, state.composer.passes.indexOf(state.effectPass) + 1);
+      state.milkdrop.layer = layer;
+      layer.start();
+    } catch (e) {
+      console.warn('Milkdrop layer unavailable:', e);
+      state.milkdrop.layer = null;
+    }
+    return state.milkdrop.layer;
+  }
+
+  /**
+   * Switches Butterchurn to a loaded preset (milkdrop-presets.js). Unknown names are kept in
+   * params, so the preset is picked up once its file is loaded.
+   * @param {string} name
+   * @param {number} [blendSec] - transition; defaults to params.milkdrop.blendSec
+   * @returns {boolean} true when the preset is now showing
+   */
+  function setMilkdropPreset(name, blendSec) {
+    const cfg = state.params.milkdrop;
+    cfg.preset = String(name || '');
+    const layer = state.milkdrop.layer;
+    const preset = getMilkdropPreset(cfg.preset);
+    if (!layer || !preset) return false;
+    state.milkdrop.barsSinceCycle = 0;
+    const ok = layer.loadPreset(cfg.preset, preset, blendSec ?? cfg.blendSec);
+    state.milkdrop.failedPreset = ok ? '' : cfg.preset;
+    return ok;
+  }
+
+  /**
+   * Steps through the loaded presets; `shuffle` picks any other one at random.
+   * @returns {boolean}
+   */
+  function nextMilkdropPreset({ step = 1, shuffle = false, blendSec } = {}) {
+    const names = getMilkdropPresetNames();
+    if (!names.length) return false;
+    const current = names.indexOf(state.params.milkdrop.preset);
+    let index;
+    if (shuffle && names.length > 1 && current >= 0) {
+      index = Math.floor(Math.random() * (names.length - 1));
+      if (index >= current) index += 1;
+    } else if (shuffle) {
+      index = Math.floor(Math.random() * names.length);
+    } else {
+      index = (Math.max(current, step > 0 ? -1 : 0) + step + names.length) % names.length;
+    }
+    return setMilkdropPreset(names[index], blendSec);
+  }
+
+  // Milkdrop mode per frame: auto-cycling, then Butterchurn renders its frame
+  function updateMilkdrop(features, dt) {
+    const layer = state.milkdrop.layer;
+    if (!layer || state.params.visualMode !== 'milkdrop') return;
+    const cfg = state.params.milkdrop;
+    const md = state.milkdrop;
+    // Show 3D toggled, or Butterchurn failed, since the mode was wired
+    if (state.renderPass.enabled !== (cfg.show3D !== false || layer.status === 'failed')) setupVisualMode('milkdrop');
+    if (layer.status === 'ready') {
+      if (state.metrics.downbeatPulse) md.barsSinceCycle += 1;
+      const cycle = cfg.cycle || 'off';
+      const onDrop = (cycle === 'drop' || cycle === 'dropOrBars') && !!features?.drop;
+      const onBars = (cycle === 'bars' || cycle === 'dropOrBars') && md.barsSinceCycle >= Math.max(1, cfg.cycleBars || 16);
+      if (onDrop || onBars) {
+        // Drops cut almost at once; bar changes take the full transition
+        nextMilkdropPreset({ shuffle: cfg.shuffle !== false, blendSec: onDrop ? Math.min(cfg.blendSec ?? 2.5, 0.3) : undefined });
+      } else if (!cfg.preset && getMilkdropPresetNames().length) {
+        nextMilkdropPreset({ shuffle: cfg.shuffle !== false, blendSec: 0 });
+      } else if (cfg.preset !== layer.presetName && cfg.preset !== md.failedPreset) {
+        setMilkdropPreset(cfg.preset);
+      }
+    }
+    const size = new THREE.Vector2();
+    try { state.renderer.getDrawingBufferSize(size); } catch(_) {}
+    layer.setSize(size.x, size.y);
+    layer.update(features, {
+      dt,
+      audioSource: state._audioSourceProvider?.() || null,
+      opacity: cfg.opacity ?? 0.85,
+      blend: cfg.blend,
+      resolution: cfg.resolution ?? 0.75,
+    });
+  }
+
+  function renderSize() {
+    return {
+      width: _fixedRenderSize ? _fixedRenderSize.width : window.innerWidth,
+      height: _fixedRenderSize ? _fixedRenderSize.height : window.innerHeight,
+    };
+  }
+
+  // Plugin layers are appended after the dispersion overlay in registry order. The last
+  // enabled one takes over renderToScreen from whatever setupVisualMode picked.
+  function wirePluginLayers() {
+    const active = Array.from(state.pluginLayers.values()).filter((entry) => entry.pass && entry.enabled);
+    state.pluginLayers.forEach((entry) => {
+      if (!entry.pass) return;
+      entry.pass.enabled = entry.enabled;
+      entry.pass.renderToScreen = false;
+    });
+    // With no 3D render underneath, the additive overlay must clear the buffer it draws into
+    // when it feeds a plugin layer instead of the screen
+    if (state.dispersion?.layer?.pass) state.dispersion.layer.pass.clear = active.length > 0 && !state.renderPass.enabled;
+    if (!active.length) return;
+    try { state.effectPass.renderToScreen = false; } catch(_) {}
+    if (state.dispersion?.layer?.pass) state.dispersion.layer.pass.renderToScreen = false;
+    if (state.milkdrop.layer) state.milkdrop.layer.pass.renderToScreen = false;
+    active[active.length - 1].pass.renderToScreen = true;
+  }
+
+  function createPluginLayer(def) {
+    const { width, height } = renderSize();
+    const entry = { def, pass: null, enabled: false, failed: false };
+    try {
+      const pass = def.create({ THREE, renderer: state.renderer, scene: state.scene, camera: state.camera, width, height });
+      if (!pass || typeof pass.render !== 'function') throw new Error('create() must return a postprocessing Pass');
+      entry.pass = pass;
+      state.composer.addPass(pass);
+      try { def.setSize?.(width, height); } catch(_) {}
+    } catch (e) {
+      console.warn(`Layer "${def.id}" unavailable:`, e);
+      entry.failed = true;
+    }
+    state.pluginLayers.set(def.id, entry);
+    return entry;
+  }
+
+  function removePluginLayer(id) {
+    const entry = state.pluginLayers.get(id);
+    if (!entry) return;
+    state.pluginLayers.delete(id);
+    if (entry.pass) {
+      try { state.composer.removePass(entry.pass); } catch(_) {}
+      try { entry.def.dispose?.(); } catch(_) {}
+    }
+    try { setupVisualMode(state.params.visualMode || 'overlay'); } catch(_) {}
+  }
+
+  function updatePluginLayers(features, frame) {
+    const layerParams = ensureLayerParams(state.params);
+    let rewire = false;
+    getRegisteredLayers().forEach((def) => {
+      const params = layerParams[def.id];
+      let entry = state.pluginLayers.get(def.id);
+      if (entry && entry.def !== def) { removePluginLayer(def.id); entry = null; }
+      if (!entry) {
+        // Don't build a layer's GPU resources until someone turns it on
+        if (!params.enabled) return;
+        entry = createPluginLayer(def);
+        rewire = true;
+      }
+      if (entry.failed) return;
+      if (entry.enabled !== params.enabled) { entry.enabled = params.enabled; rewire = true; }
+      if (!entry.enabled) return;
+      try { def.update?.(features, params, frame); } catch (e) { console.warn(`Layer "${def.id}" update failed:`, e); }
+    });
+    if (rewire) setupVisualMode(state.params.visualMode || 'overlay');
+  }
+
+  onLayerRegistryChange((event, id) => {
+    if (event !== 'registered') removePluginLayer(id);
+  });
+
   setupVisualMode(state.params.visualMode || 'overlay');
 
   /**
@@ -704,6 +1143,7 @@ export function initScene() {
   function setEffectsProfile(profile) {
     const p = String(profile || 'high');
     state.params.effectsProfile = p;
+    state.audioTextures.setProfile(p);
     if (p === 'off') {
       state.effectsBloomScale = 0.0;
       state.effectsChromaticScale = 0.0;
@@ -727,9 +1167,15 @@ export function initScene() {
     try {
       buildComposer();
       // Re-attach dispersion pass if it exists
+      if (state.milkdrop.layer) {
+        try { state.composer.addPass(state.milkdrop.layer.pass); } catch (_) {}
+      }
       if (state.dispersion?.layer?.pass) {
         try { state.composer.addPass(state.dispersion.layer.pass); } catch (_) {}
       }
+      state.pluginLayers.forEach((entry) => {
+        if (entry.pass) { try { state.composer.addPass(entry.pass); } catch (_) {} }
+      });
       setupVisualMode(state.params.visualMode || 'overlay');
     } catch (_) {}
   }
@@ -763,7 +1209,7 @@ export function initScene() {
     state.eye.blink = 1;
     state.eye.blinkElapsed = 0;
     state.eye.blinkDuration = durMs / 1000;
-    const now = performance.now();
+    const now = sceneNowMs();
     state.eye.lastBlinkAt = now;
     scheduleNextBlink(now);
   }
@@ -778,7 +1224,7 @@ export function initScene() {
       state.eye.cornea.visible = corneaEnabled;
     }
     if (enabled) {
-      scheduleNextBlink(performance.now());
+      scheduleNextBlink(sceneNowMs());
     } else {
       state.eye.blink = 0;
       state.eye.nextBlinkAt = 0;
@@ -824,13 +1270,13 @@ export function initScene() {
     return setEyePredatorMode(!state.eye.predatorMode);
   }
 
-  state.coreSphere = createSpiralSphere(5, sphereCount, state.mouse);
+  state.coreSphere = createSpiralSphere(5, sphereCount, state.mouse, state.pointUniforms);
   if (shouldEnableOuterShell()) {
     const outerCount = Math.max(1000, Math.floor(sphereCount * (state.params.outerShell.densityScale || 0.6)));
-    state.outerSphere = createSpiralSphere(state.params.outerShell.radius || 6.2, outerCount, state.mouse);
+    state.outerSphere = createSpiralSphere(state.params.outerShell.radius || 6.2, outerCount, state.mouse, state.pointUniforms);
     try { state.outerSphere.renderOrder = 1; } catch(_) {}
   }
-  state.orbitRings = createOrbitRings(7.5, 8, 0.6, ringCountPer, state.mouse);
+  state.orbitRings = createOrbitRings(7.5, 8, 0.6, ringCountPer, state.mouse, state.pointUniforms);
   state.starfield = createStarfield(starCount, 50000);
   state.sparks = state.params.enableSparks ? createSparks(Math.floor(8000 * state.params.particleDensity)) : null;
   const shockwaveLayer = createShockwave();
@@ -847,12 +1293,12 @@ export function initScene() {
     const eyeParams = state.params.map.eye;
     state.eye.predatorMode = !!eyeParams.predatorMode;
     try {
-      state.eye.mesh = createEyeLayer();
+      state.eye.mesh = createEyeLayer({ sharedUniforms: state.audioTextures.uniforms });
       state.eye.mesh.scale.setScalar(state.eye.baseScale);
       state.eye.mesh.visible = eyeParams.enabled !== false;
       state.eye.mesh.position.set(0, 0.12, 0);
       state.mainGroup.add(state.eye.mesh);
-      scheduleNextBlink(performance.now());
+      scheduleNextBlink(sceneNowMs());
     } catch (e) {
       console.error('Failed to create eye layer', e);
       state.eye.mesh = null;
@@ -916,7 +1362,12 @@ export function initScene() {
   }
   if (state.params.useLensflare) setupLensflare();
 
+  const colorScratch = new THREE.Color();
+  const white = new THREE.Color(0xffffff);
+
   function applyThemeColors(theme) {
+    state.pointUniforms.uHueShift.value = 0;
+    applyThemeExtras(theme);
     if (Array.isArray(theme?.sphere) && theme.sphere.length) {
       let sumX = 0;
       let sumY = 0;
@@ -945,7 +1396,7 @@ export function initScene() {
       const colorPos = (i / sphereColorsAttr.count) * (theme.sphere.length - 1);
       const c1 = theme.sphere[Math.floor(colorPos)];
       const c2 = theme.sphere[Math.min(Math.floor(colorPos) + 1, theme.sphere.length - 1)];
-      const newColor = new THREE.Color().copy(c1).lerp(c2, colorPos - Math.floor(colorPos));
+      const newColor = colorScratch.copy(c1).lerp(c2, colorPos - Math.floor(colorPos));
       sphereColorsAttr.setXYZ(i, newColor.r, newColor.g, newColor.b);
     }
     sphereColorsAttr.needsUpdate = true;
@@ -955,8 +1406,7 @@ export function initScene() {
         const colorPos = (i / outerAttr.count) * (theme.sphere.length - 1);
         const c1 = theme.sphere[Math.floor(colorPos)];
         const c2 = theme.sphere[Math.min(Math.floor(colorPos) + 1, theme.sphere.length - 1)];
-        const base = new THREE.Color().copy(c1).lerp(c2, colorPos - Math.floor(colorPos));
-        const halo = new THREE.Color().copy(base).lerp(new THREE.Color(0xffffff), 0.25);
+        const halo = colorScratch.copy(c1).lerp(c2, colorPos - Math.floor(colorPos)).lerp(white, 0.25);
         outerAttr.setXYZ(i, halo.r, halo.g, halo.b);
       }
       outerAttr.needsUpdate = true;
@@ -971,10 +1421,25 @@ export function initScene() {
     });
   }
 
+  // Star tint, fog and the light / glow overrides of a theme (defaults when it has none)
+  function applyThemeExtras(theme) {
+    const star = new THREE.Color(theme?.star || THEME_DEFAULTS.star);
+    const starAttr = state.starfield?.geometry?.attributes?.color;
+    if (starAttr) {
+      for (let i = 0; i < starAttr.count; i++) starAttr.setXYZ(i, star.r, star.g, star.b);
+      starAttr.needsUpdate = true;
+    }
+    const fog = new THREE.Color(theme?.fog || THEME_DEFAULTS.fog);
+    if (state.scene.fog) state.scene.fog.color.copy(fog);
+    if (!state.currentHdrTexture) state.scene.background = fog;
+    state.themeLight = theme?.light ? new THREE.Color(theme.light).getHSL({ h: 0, s: 0, l: 0 }) : null;
+    state.themeGlow = theme?.glow ? new THREE.Color(theme.glow) : null;
+  }
+
   async function applyHdr(theme) {
-    if (!state.params.useHdrBackground) {
+    if (!state.params.useHdrBackground || !theme?.hdr) {
       if (state.currentHdrTexture) { try { state.currentHdrTexture.dispose(); } catch(_){} }
-      state.scene.background = new THREE.Color(0x000000);
+      state.scene.background = new THREE.Color(theme?.fog || THEME_DEFAULTS.fog);
       state.scene.environment = null;
       state.currentHdrTexture = null;
       return;
@@ -1000,9 +1465,89 @@ export function initScene() {
     }
   }
 
+  // Harmonic colour mode: the palette follows features.key around the circle of fifths and
+  // turns toward each new chord's position (features.chordChange)
+  function updateHarmonicPalette(features, dt) {
+    if (state.params.colorMode !== 'harmonic') return;
+    const h = state._harmonic;
+    const cfg = state.params.map.harmonic || {};
+    const key = features?.key;
+    if (key && (key.confidence ?? 0) >= (cfg.minConfidence ?? 0.25)) {
+      if (key.fifths !== h.keyFifths || h.keyHue == null) h.chordOffset = 0;
+      h.keyHue = key.fifths / 12;
+      h.keyFifths = key.fifths;
+      h.minor = key.mode === 'minor';
+      h.keyName = key.name;
+    }
+    if (h.keyHue == null) return;
+    if (features?.chordChange && features.chord) {
+      // Signed steps round the circle of fifths from the key to the chord (-6..5)
+      const steps = ((features.chord.fifths - h.keyFifths + 18) % 12) - 6;
+      h.chordOffset = (steps / 12) * (cfg.chordShift ?? 0.5);
+    }
+    const target = h.keyHue + h.chordOffset;
+    const wrap = (d) => THREE.MathUtils.euclideanModulo(d + 0.5, 1) - 0.5; // shortest way round
+    if (h.hue == null) {
+      h.hue = THREE.MathUtils.euclideanModulo(target, 1);
+    } else {
+      const k = 1 - Math.exp((-dt * 1000) / Math.max(50, cfg.glideMs ?? 800));
+      h.hue = THREE.MathUtils.euclideanModulo(h.hue + wrap(target - h.hue) * k, 1);
+    }
+    state.metrics.harmonicHue = h.hue;
+    // Particle colours are rewritten once per key; the glide between keys and chords is a hue
+    // rotation in the point shader (uHueShift) relative to the hue they were written at
+    if (h.appliedHue == null || h.appliedKey !== h.keyFifths || h.appliedMinor !== h.minor) applyCurrentTheme();
+    const shift = wrap(h.hue - h.appliedHue);
+    state.pointUniforms.uHueShift.value = shift;
+    state.eye.baseHue = THREE.MathUtils.euclideanModulo(h.appliedEyeHue + shift, 1);
+  }
+
+  // What applyThemeColors() should show now: the selected theme, or its harmonic palette
+  function currentTheme() {
+    const theme = resolveTheme(state.params.theme) || themes.nebula;
+    const h = state._harmonic;
+    return state.params.colorMode === 'harmonic' && h.hue != null ? { ...theme, ...harmonicTheme(h.hue, h.minor) } : theme;
+  }
+
+  // Writes currentTheme() into the particles and, for a harmonic palette, remembers the hue
+  // it was written at so updateHarmonicPalette() can rotate from there
+  function applyCurrentTheme() {
+    applyThemeColors(currentTheme());
+    const h = state._harmonic;
+    if (state.params.colorMode !== 'harmonic' || h.hue == null) return;
+    h.appliedHue = h.hue;
+    h.appliedKey = h.keyFifths;
+    h.appliedMinor = h.minor;
+    h.appliedEyeHue = state.eye.baseHue ?? 0;
+  }
+
+  function setColorMode(mode) {
+    state.params.colorMode = mode === 'harmonic' ? 'harmonic' : 'theme';
+    state._harmonic.appliedHue = null;
+    if (state.params.colorMode === 'theme') applyCurrentTheme();
+  }
+
+  /**
+   * Shows an unsaved theme (theme editor draft) without selecting it; changeTheme() with
+   * the current id puts the selected one back.
+   * @returns {boolean} false when the draft isn't a valid theme
+   */
+  function previewTheme(spec) {
+    let theme;
+    try { theme = compileTheme(normalizeTheme(spec)); } catch (_) { return false; }
+    applyThemeColors(theme);
+    return true;
+  }
+
   function changeTheme(themeName) {
-    const theme = themes[themeName]; if (!theme) return;
-    state.params.theme = themeName; applyThemeColors(theme); applyHdr(theme);
+    const theme = resolveTheme(themeName);
+    if (!theme) {
+      console.warn(`Unknown theme "${themeName}"`);
+      return;
+    }
+    state.params.theme = themeName;
+    applyCurrentTheme();
+    applyHdr(theme);
     // Toggle active class for swatches if present
     document.querySelectorAll('.theme-swatch').forEach(sw => sw.classList.toggle('active', sw.getAttribute('data-theme') === themeName));
     // Ensure base visibility in case theme colors apply very darkly
@@ -1017,7 +1562,7 @@ export function initScene() {
   }
 
   function triggerExplosion() {
-    if (state.isExplosionActive) return; state.isExplosionActive = true; state.explosionStartTime = state.clock.getElapsedTime();
+    if (state.isExplosionActive) return; state.isExplosionActive = true; state.explosionStartTime = sceneElapsedSec();
     const btn = document.getElementById('explode-btn'); if (btn) btn.classList.add('active');
   }
 
@@ -1029,7 +1574,7 @@ export function initScene() {
     state.shockwave.intensity = Math.max(0.2, intensity);
     const durationMs = overrideDurationMs ?? cfg.durationMs ?? 1200;
     state.shockwave.duration = Math.max(0.25, durationMs / 1000);
-    state.shockwave.startTime = state.clock.getElapsedTime();
+    state.shockwave.startTime = sceneElapsedSec();
     state.shockwave.mesh.visible = true;
     state.metrics.shockwaveActive = 1;
     state.metrics.shockwaveIntensity = state.shockwave.intensity;
@@ -1064,10 +1609,10 @@ export function initScene() {
     const ringCountPer = Math.floor(4000 * state.params.particleDensity);
     const starCount = Math.floor(10000 * state.params.particleDensity);
 
-    state.coreSphere = createSpiralSphere(5, sphereCount, state.mouse);
+    state.coreSphere = createSpiralSphere(5, sphereCount, state.mouse, state.pointUniforms);
     if (shouldEnableOuterShell()) {
       const outerCount = Math.max(1000, Math.floor(sphereCount * (state.params.outerShell.densityScale || 0.6)));
-      state.outerSphere = createSpiralSphere(state.params.outerShell.radius || 6.2, outerCount, state.mouse);
+      state.outerSphere = createSpiralSphere(state.params.outerShell.radius || 6.2, outerCount, state.mouse, state.pointUniforms);
       try { state.outerSphere.renderOrder = 1; } catch(_) {}
     } else {
       state.outerSphere = null;
@@ -1081,13 +1626,13 @@ export function initScene() {
     if (state.webcamTexture) {
       buildMorphGridForSphere();
     }
-    state.orbitRings = createOrbitRings(7.5, 8, 0.6, ringCountPer, state.mouse);
+    state.orbitRings = createOrbitRings(7.5, 8, 0.6, ringCountPer, state.mouse, state.pointUniforms);
     state.starfield = createStarfield(starCount, 50000);
     state.sparks = state.params.enableSparks ? createSparks(Math.floor(8000 * state.params.particleDensity)) : null;
 
     state.mainGroup.add(state.coreSphere); if (state.outerSphere) state.mainGroup.add(state.outerSphere); state.mainGroup.add(state.orbitRings); state.scene.add(state.starfield); if (state.sparks) state.scene.add(state.sparks);
     // Reapply theme colors
-    applyThemeColors(themes[state.params.theme]);
+    applyCurrentTheme();
   }
 
   function setEnableSparks(enabled) {
@@ -1115,15 +1660,90 @@ export function initScene() {
   }
 
   function onResize() {
-    state.camera.aspect = window.innerWidth / window.innerHeight; state.camera.updateProjectionMatrix();
-    state.renderer.setSize(window.innerWidth, window.innerHeight); state.composer.setSize(window.innerWidth, window.innerHeight);
+    // A fixed render size (offline export) wins over the window until released
+    const { width, height } = renderSize();
+    state.camera.aspect = width / height;
+    if (_viewOffset) {
+      const v = _viewOffset;
+      state.camera.aspect = v.fullWidth / v.fullHeight;
+      state.camera.setViewOffset(v.fullWidth, v.fullHeight, v.x, v.y, v.width, v.height);
+    } else if (state.camera.view?.enabled) {
+      state.camera.clearViewOffset();
+    }
+    state.camera.updateProjectionMatrix();
+    state.renderer.setSize(width, height, !_fixedRenderSize); state.composer.setSize(width, height, !_fixedRenderSize);
     if (state.dispersion?.layer) {
-      try { state.dispersion.layer.setSize(window.innerWidth, window.innerHeight); } catch(_) {}
+      try { state.dispersion.layer.setSize(width, height); } catch(_) {}
     }
+    state.pluginLayers.forEach((entry) => {
+      if (entry.pass) { try { entry.def.setSize?.(width, height); } catch(_) {} }
+    });
     // Re-apply mode to keep renderToScreen wiring intact after pass list changes
     try { setupVisualMode(state.params.visualMode || 'overlay'); } catch(_) {}
   }
 
+  /**
+   * Renders only part of a larger virtual frame, e.g. one projector's slice of an
+   * edge-blended wall: { fullWidth, fullHeight, x, y, width, height } as in
+   * PerspectiveCamera.setViewOffset. Pass null to draw the whole frame again.
+   */
+  function setViewOffset(view) {
+    const valid = view && [view.fullWidth, view.fullHeight, view.width, view.height].every((n) => Number.isFinite(n) && n > 0);
+    _viewOffset = valid ? {
+      fullWidth: view.fullWidth,
+      fullHeight: view.fullHeight,
+      x: Number(view.x) || 0,
+      y: Number(view.y) || 0,
+      width: view.width,
+      height: view.height,
+    } : null;
+    onResize();
+  }
+
+  /**
+   * Locks the drawing buffer to an exact size (e.g. 1920x1080 for video export)
+   * regardless of window size; pass null to follow the window again.
+   * The pixel ratio is forced to 1 while locked so the canvas matches the request.
+   */
+  function setRenderSize(size) {
+    if (size && size.width > 0 && size.height > 0) {
+      if (!_fixedRenderSize) _savedPixelRatio = state.renderer.getPixelRatio();
+      _fixedRenderSize = { width: Math.round(size.width), height: Math.round(size.height) };
+      state.renderer.setPixelRatio(1);
+    } else {
+      if (!_fixedRenderSize) return;
+      _fixedRenderSize = null;
+      if (_savedPixelRatio) state.renderer.setPixelRatio(_savedPixelRatio);
+      _savedPixelRatio = 0;
+    }
+    onResize();
+  }
+
+  /**
+   * Drives animation time from an external clock instead of the wall clock.
+   * The offline exporter supplies the timestamp of the frame being rendered so
+   * explosions, blinks and decays advance exactly one frame per update().
+   * @param {(() => number)|null} fn - Returns the current time in milliseconds; null restores real time
+   */
+  function setTimeSource(fn) {
+    const next = typeof fn === 'function' ? fn : null;
+    // Carry elapsed time across the switch so in-flight animations don't jump
+    _timeBaseSec = sceneElapsedSec();
+    _timeSource = next;
+    _timeSourceStartMs = next ? next() : 0;
+    if (!next) _timeBaseSec -= state.clock.getElapsedTime();
+    _lastUpdateNow = sceneNowMs();
+  }
+
+  function sceneNowMs() {
+    return _timeSource ? _timeSource() : performance.now();
+  }
+
+  function sceneElapsedSec() {
+    if (_timeSource) return _timeBaseSec + (_timeSource() - _timeSourceStartMs) / 1000;
+    return state.clock.getElapsedTime() + _timeBaseSec;
+  }
+
   function onMouseMove(event) {
     state.mouse.x = (event.clientX / window.innerWidth) * 2 - 1; state.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
   }
@@ -1131,12 +1751,28 @@ export function initScene() {
   // maintain a local high-resolution delta for camera-controls
   let _lastUpdateNow = performance.now();
 
+  /**
+   * Advances and draws one frame. An attached param modulator (ModMatrix) writes its
+   * modulated values into state.params first; they're put back once the frame is drawn.
+   */
   function update(features) {
-    const t = state.clock.getElapsedTime();
+    let restore = null;
+    if (state._paramModulator) {
+      try { restore = state._paramModulator.apply(features, sceneNowMs()); } catch (e) { console.warn('Param modulation failed:', e); }
+    }
+    try {
+      return updateFrame(features);
+    } finally {
+      if (restore) restore();
+    }
+  }
+
+  function updateFrame(features) {
+    const t = sceneElapsedSec();
     // Fetch external performance deltas once per frame
     const perf = (typeof state._perfDeltasProvider === 'function') ? (state._perfDeltasProvider() || {}) : {};
-    const nowPerf = performance.now();
-    const dt = (nowPerf - _lastUpdateNow) / 1000;
+    const nowPerf = sceneNowMs();
+    const dt = Math.max(0, (nowPerf - _lastUpdateNow) / 1000);
     _lastUpdateNow = nowPerf;
     const nowMs = nowPerf;
     const rms = features?.rmsNorm ?? 0.0;
@@ -1144,6 +1780,8 @@ export function initScene() {
     const isDrop = !!(features && features.drop);
     const dispersionParams = withDispersionDefaults(state.params.dispersion || {});
     state.params.dispersion = dispersionParams;
+    state.audioTextures.update(features?.freqData || null, features?.timeData || null);
+    state.pointUniforms.uSpectrumDisplace.value = Math.max(0, state.params.map.spectrumDisplace ?? 0);
 
     // Explosion on beat
     if (isBeat) {
@@ -1176,11 +1814,32 @@ export function initScene() {
     } else if (typeof features?.bpm === 'number' && features.bpm > 0) {
       beatIntervalMs = 60000 / features.bpm;
     }
+    // A file with a beat grid counts bars on the transport clock, so a missed beat can't shift the bar line
+    const transport = features?.transport?.source === 'grid' && features.transport.playing ? features.transport : null;
+    if (transport) {
+      beatsPerBar = Math.max(1, transport.beatsPerBar || beatsPerBar);
+      if (transport.bpm > 0) beatIntervalMs = 60000 / transport.bpm;
+    }
+    // Live input: the downbeat estimator's bar position once it is confident (or set by hand)
+    const liveBar = !transport && features?.liveBar?.reliable ? features.liveBar : null;
+    if (liveBar) beatsPerBar = Math.max(1, liveBar.beatsPerBar || beatsPerBar);
     if (beatIntervalMs > 0) state._lastBeatIntervalMs = beatIntervalMs;
     if (beatsPerBar !== prevBeatsPerBar) state._beatIndex = -1;
     state._beatsPerBar = beatsPerBar;
     let downbeatPulse = 0;
-    if (isBeat) {
+    if (transport) {
+      // Bar changes also cover loop wraps and seeks onto a new bar
+      if (state._transportBar !== transport.bar && transport.beatInBar === 0) downbeatPulse = 1;
+      state._transportBar = transport.bar;
+      state._beatIndex = transport.beatInBar;
+      if (isBeat) state._lastBeatTimeMs = nowMs;
+    } else if (isBeat && liveBar) {
+      state._transportBar = null;
+      state._beatIndex = liveBar.beatInBar;
+      if (liveBar.downbeat) downbeatPulse = 1;
+      state._lastBeatTimeMs = nowMs;
+    } else if (isBeat) {
+      state._transportBar = null;
       if (state._beatIndex === null || state._beatIndex < 0 || state._beatIndex >= beatsPerBar) {
         state._beatIndex = 0;
         downbeatPulse = 1;
@@ -1190,6 +1849,7 @@ export function initScene() {
       }
       state._lastBeatTimeMs = nowMs;
     } else if (state._lastBeatIntervalMs > 0) {
+      state._transportBar = null;
       const sinceLast = nowMs - (state._lastBeatTimeMs || nowMs);
       if (sinceLast > state._lastBeatIntervalMs * 3) {
         state._beatIndex = -1;
@@ -1289,6 +1949,7 @@ export function initScene() {
     state.metrics.chromaIndex = dominantChromaIndex;
     state.metrics.chromaEnergy = dominantChromaEnergy;
     state.metrics.chromaHue = chromaHue;
+    updateHarmonicPalette(features, dt);
 
     if (state.eye.mesh) {
       const eyeCfg = state.params.map.eye || {};
@@ -1362,6 +2023,7 @@ export function initScene() {
           glintPos: state.eye.glint,
           glintSize: eyeCfg.glintSize ?? 0.035,
           glintIntensity: eyeCfg.glintIntensity ?? 1.2,
+          irisSpectrum: eyeCfg.irisSpectrum ?? 0,
           alpha,
         });
 
@@ -1452,7 +2114,15 @@ export function initScene() {
     state.metrics.parallaxOffsetX = state._parallaxOffsetX;
     state.metrics.parallaxOffsetY = state._parallaxOffsetY;
 
-    if (isBeat && shockCfg.enabled !== false && !isDrop) {
+    // A channel group (e.g. the kick mic) drives the pulse directly instead of the mix's beats
+    const shockChannel = shockCfg.channel > 0 ? features?.channels?.[shockCfg.channel - 1] : null;
+    if (shockChannel) {
+      if (shockChannel.onset && shockCfg.enabled !== false && !isDrop) {
+        const level = Math.max(shockChannel.bandEnv?.bass ?? 0, shockChannel.rmsNorm ?? 0);
+        const intensity = THREE.MathUtils.clamp((0.4 + level * 0.8) * (shockCfg.beatIntensity ?? 0.55), 0.25, 1.1);
+        triggerShockwave(intensity);
+      }
+    } else if (isBeat && shockCfg.enabled !== false && !isDrop) {
       if (bass > 0.28 || rms > 0.32) {
         const intensity = THREE.MathUtils.clamp((bass * 0.7 + rms * 0.5) * (shockCfg.beatIntensity ?? 0.55), 0.25, 1.1);
         triggerShockwave(intensity);
@@ -1515,6 +2185,12 @@ export function initScene() {
       state.params.bloomStrengthBase +
       rms * state.params.bloomReactiveGain +
       centroid * (state.params.map.colorBoostFromCentroid ?? 0.2);
+    // Build toward a known drop (file playback with song sections): glow swells, view narrows
+    const dropMap = state.params.map.drop || {};
+    const approach = dropApproach(features, dropMap.buildUpBars ?? 8);
+    const approachEase = approach * approach;
+    state.metrics.dropApproach = approach;
+    bloomReactive += approachEase * (dropMap.buildUpGlow ?? 0.5);
     bloomReactive = Math.max(0, bloomReactive) * (state.effectsBloomScale ?? 1);
     state.bloomEffect.intensity = bloomReactive;
     state.metrics.bloomIntensity = state.bloomEffect.intensity;
@@ -1559,15 +2235,19 @@ export function initScene() {
     // Lens flare subtle color boost with centroid/chroma + intensity from bass
     const chromaInfluence = Math.max(0, state.params.map.chromaLightInfluence ?? 0);
     const chromaMix = Math.min(1, chromaInfluence * dominantChromaEnergy);
-    const baseHue = THREE.MathUtils.euclideanModulo(0.6 + 0.4 * centroid, 1);
+    // A theme light colour replaces the centroid-driven hue; audio still moves brightness
+    const themeLight = state.themeLight;
+    const baseHue = themeLight ? themeLight.h : THREE.MathUtils.euclideanModulo(0.6 + 0.4 * centroid, 1);
     const hue = THREE.MathUtils.lerp(baseHue, chromaHue, chromaMix);
-    const centralColor = new THREE.Color().setHSL(hue, 0.65 + 0.15 * centroid, 0.55 + 0.25 * rms);
+    const centralColor = themeLight
+      ? new THREE.Color().setHSL(hue, themeLight.s, THREE.MathUtils.clamp(themeLight.l - 0.1 + 0.25 * rms, 0, 1))
+      : new THREE.Color().setHSL(hue, 0.65 + 0.15 * centroid, 0.55 + 0.25 * rms);
     state.metrics.lightHue = hue;
     state.metrics.lightMix = chromaMix;
     state.centralLight.color.lerp(centralColor, 0.05);
     state.centralLight.intensity = 1.8 + (bass * wBass) * state.params.map.lightIntensityFromBass + rms * 0.8;
     if (state.centralGlow?.material) {
-      state.centralGlow.material.color.copy(state.centralLight.color);
+      state.centralGlow.material.color.copy(state.themeGlow || state.centralLight.color);
       const glowOpacity = THREE.MathUtils.clamp(0.45 + rms * 0.6 + treble * 0.35, 0.2, 1.0);
       state.centralGlow.material.opacity = glowOpacity;
       const glowScale = 12 * (1 + bass * 0.9 + rms * 0.4);
@@ -1600,6 +2280,7 @@ export function initScene() {
         rms * 0.00025;
       if (isBeat) targetChromatic += (chromaCfg.beat ?? 0.001);
       if (isDrop) targetChromatic += (chromaCfg.drop ?? 0.002);
+      targetChromatic += approachEase * (chromaCfg.drop ?? 0.002) * 0.5;
       if (typeof perf.chromatic === 'number') targetChromatic += perf.chromatic;
       const lerpFactor = THREE.MathUtils.clamp(chromaCfg.lerp ?? 0.14, 0.02, 0.4);
       state.chromaticIntensity = THREE.MathUtils.lerp(state.chromaticIntensity || 0, targetChromatic, lerpFactor);
@@ -1619,7 +2300,7 @@ export function initScene() {
     const baseFov = 75;
     const pump = Math.max(0, (0.7 * bass + 0.3 * sub)) * (state.params.map.fovPumpFromBass || 0);
     const perfFov = (typeof perf.cameraFovDelta === 'number') ? perf.cameraFovDelta : 0;
-    state.camera.fov = baseFov + pump * 10.0 + perfFov;
+    state.camera.fov = baseFov + pump * 10.0 + perfFov - approachEase * 6 * (dropMap.buildUpGlow ?? 0.5);
     state.camera.far = 50000; state.camera.updateProjectionMatrix();
     state.metrics.cameraFov = state.camera.fov;
 
@@ -1684,11 +2365,12 @@ export function initScene() {
 
     // Dispersion overlay uniforms
     if (state.dispersion?.layer) {
-      const enable = state.params.enableDispersion !== false;
+      const enable = state.params.enableDispersion !== false && state.params.visualMode !== 'milkdrop';
       try { state.dispersion.layer.setEnabled(enable); } catch(_) {}
       if (enable) {
         // Ensure shader variant is applied if changed at runtime (no forced override here)
-        try { state.dispersion.layer.setVariant?.(state.params.dispersionShaderVariant || 'classic'); } catch(_) {}
+        try { syncDispersionShader(); } catch(_) {}
+        try { updateShaderToyInputs(features, dt); } catch(_) {}
         const d = dispersionParams;
         let twistFlippedThisFrame = false;
         const zoomGain = typeof d.zoomGain === 'number' ? d.zoomGain : 28.0;
@@ -1918,18 +2600,46 @@ export function initScene() {
       }
     }
 
+    try { updateMilkdrop(features, dt); } catch (e) { console.warn('Milkdrop update failed:', e); }
+
+    if (state.pluginLayers.size || getRegisteredLayers().length) {
+      const layerSize = new THREE.Vector2();
+      try { state.renderer.getDrawingBufferSize(layerSize); } catch(_) {}
+      updatePluginLayers(features, { time: t, dt, nowMs, width: layerSize.x, height: layerSize.y, audioTextures: state.audioTextures });
+    }
+
     try { state.controls.update(dt); } catch(_) {}
     try { state.camera.rotation.z = state._cameraRoll || 0; } catch(_) {}
     state.metrics.cameraRoll = state._cameraRoll || 0;
-    if (state.composer && state.composer.render) { state.composer.render(); } else { try { state.renderer.render(state.scene, state.camera); } catch(_) {} }
+    if (state.composer && state.composer.render) { state.composer.render(_timeSource ? dt : undefined); } else { try { state.renderer.render(state.scene, state.camera); } catch(_) {} }
     return state.metrics;
   }
 
   changeTheme('nebula');
+  // Edits to the active custom theme show at once; deleting it falls back to nebula
+  onThemeLibraryChange((event, id) => {
+    if (id !== state.params.theme) return;
+    changeTheme(event === 'delete' ? 'nebula' : id);
+  });
+
+  // Saving the active custom shader recompiles it; deleting it falls back to classic
+  onShaderLibraryChange((event, id) => {
+    if (id !== state.params.dispersionShaderVariant) return;
+    if (event === 'delete') setDispersionShader('classic');
+    else {
+      state.dispersion.shaderRevision += 1;
+      setDispersionShader(id);
+    }
+  });
 
   return {
     state,
     changeTheme,
+    previewTheme,
+    setDispersionShader,
+    setMilkdropPreset,
+    nextMilkdropPreset,
+    setColorMode,
     triggerExplosion,
     triggerShockwave,
     triggerEyeBlink,
@@ -1946,7 +2656,13 @@ export function initScene() {
     onResize,
     onMouseMove,
     update,
+    setRenderSize,
+    setViewOffset,
+    setTimeSource,
     setUniformDeltasProvider: (fn) => { state._perfDeltasProvider = typeof fn === 'function' ? fn : null; },
+    // AudioNode the milkdrop mode taps for its waveforms (the engine's analyser)
+    setAudioSourceProvider: (fn) => { state._audioSourceProvider = typeof fn === 'function' ? fn : null; },
+    setParamModulator: (modulator) => { state._paramModulator = modulator && typeof modulator.apply === 'function' ? modulator : null; },
     setVisualMode: (mode) => { try { setupVisualMode(mode); } catch(_) {} },
     getPixelRatio: () => state.renderer.getPixelRatio(),
   };
@@ -1,5 +1,5 @@
 // New glass settings UI (drawer + tabs) — no external UI lib
-// Exports: initSettingsUI({ sceneApi, audioEngine, onScreenshot, syncCoordinator })
+// Exports: initSettingsUI({ sceneApi, audioEngine, onScreenshot, onRenderVideo, syncCoordinator, midiController, featureTape, liveRecorder, cueList, modMatrix, playlist })
 
 import {
   DISPERSION_DEFAULTS,
@@ -22,9 +22,24 @@ import {
   getParamSchema,
 } from './dispersion-config.js';
 import { capturePresetSnapshot, applyPresetSnapshot } from './preset-io.js';
+import { getRegisteredLayers, ensureLayerParams, withLayerDefaults, clampLayerValue } from './layer-registry.js';
+import { MOD_SOURCES, MOD_CURVES, LFO_SHAPES, LFO_SYNC_LENGTHS, listModTargets } from './mod-matrix.js';
 import { showToast } from './toast.js';
-
-export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreenshot, openPresetLibrary, syncCoordinator }) {
+import { describeMidiSource } from './midi.js';
+import { LIVE_RECORD_RESOLUTIONS } from './live-recorder.js';
+import { CUE_TRIGGER_TYPES, CUE_VISUAL_MODES } from './cue-list.js';
+import { MAX_INPUT_CHANNELS, MAX_CHANNEL_GROUPS } from './channel-analyser.js';
+import { getBeatDetectors } from './beat-detectors.js';
+import { SECTION_LABELS } from './song-sections.js';
+import { themes, describeTheme } from './scene.js';
+import { DISPERSION_VARIANTS } from './dispersion.js';
+import { getCustomShaders, getCustomShader, saveCustomShader, deleteCustomShader, parseCustomUniforms, shaderProgramSource, SHADER_TEMPLATE } from './shader-library.js';
+import { isShaderToySource, SHADERTOY_TEMPLATE } from './shadertoy.js';
+import { withMilkdropDefaults } from './milkdrop.js';
+import { loadMilkdropFiles, getMilkdropPresetNames, removeMilkdropPreset, clearMilkdropPresets } from './milkdrop-presets.js';
+import { getCustomThemes, getCustomTheme, saveCustomTheme, deleteCustomTheme, exportThemes, importThemes, MIN_GRADIENT_STOPS, MAX_GRADIENT_STOPS } from './theme-library.js';
+
+export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreenshot, onRenderVideo, openPresetLibrary, syncCoordinator, midiController, featureTape, liveRecorder, cueList, modMatrix, playlist }) {
   const root = document.getElementById('settings-root');
   const drawer = document.getElementById('settings-drawer');
   const overlay = document.getElementById('settings-overlay');
@@ -66,12 +81,24 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
         #settings-content .session-summary { display: flex; align-items: center; gap: 10px; flex-wrap: wrap; }
         #settings-content .session-summary .fps-pill { padding: 2px 8px; border-radius: 12px; background: rgba(255,255,255,0.08); font-variant-numeric: tabular-nums; }
         #settings-content .session-summary .sync-pill { margin-right: 4px; }
+        #settings-content .sync-pill { padding: 2px 8px; border-radius: 12px; background: rgba(255,255,255,0.08); font-variant-numeric: tabular-nums; white-space: nowrap; }
+        #settings-content .sync-pill.connected { color: #7dffb0; }
+        #settings-content .sync-pill.pending { color: #ffd27d; }
+        #settings-content .sync-pill.disconnected { color: rgba(255,255,255,0.55); }
         /* Hotkey help overlay */
         #settings-hotkey-help { position: fixed; inset: 0; background: rgba(8,8,12,0.88); color: #fff; z-index: 10000; display: none; }
         #settings-hotkey-help .inner { max-width: 760px; margin: 10vh auto; padding: 16px 20px; background: rgba(20,20,28,0.9); border-radius: 10px; line-height: 1.6; font-family: system-ui, sans-serif; }
         #settings-hotkey-help h3 { margin: 0 0 8px 0; font-size: 16px; }
         #settings-hotkey-help ul { margin: 8px 0; padding-left: 18px; }
         #settings-hotkey-help .close { float: right; }
+        /* MIDI learn */
+        #settings-content.midi-learning [data-midi-target] { outline: 1px dashed rgba(0,255,255,0.45); outline-offset: 2px; cursor: crosshair; }
+        #settings-content [data-midi-target].midi-learn-target { outline: 2px solid #00ffff; outline-offset: 2px; }
+        #settings-content [data-midi-target].midi-bound { box-shadow: inset 3px 0 0 rgba(255,106,213,0.85); }
+        #settings-content .midi-binding-list .row { grid-template-columns: minmax(160px, 1fr) minmax(260px, 2fr); }
+        #settings-content .midi-binding-list input[type=number] { width: 56px; }
+        #settings-content .midi-hint,
+        #settings-content .session-hint { font-size: 11px; color: rgba(255,255,255,0.75); margin: 6px 0; }
       `;
       document.head.appendChild(style);
     } catch(_) {}
@@ -83,16 +110,23 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
     { id: 'audio', label: 'Audio' },
     { id: 'visuals', label: 'Visuals' },
     { id: 'shader', label: 'Shader' },
+    { id: 'milkdrop', label: 'Milkdrop' },
+    { id: 'layers', label: 'Layers' },
     { id: 'mapping', label: 'Mapping' },
+    { id: 'mod', label: 'Mod Matrix' },
     { id: 'tempo', label: 'Tempo' },
     { id: 'presets', label: 'Presets' },
     { id: 'session', label: 'Session' },
   ];
   let currentTab = 'quick';
+  let midiScope = 'quick'; // tab whose sliders are being built; prefixes MIDI target ids
   const SETTINGS_STORAGE_KEY = 'cosmic_saved_settings';
   const showProjectorControls = !!syncCoordinator && syncCoordinator.role === 'control';
   let syncStatusNode = null;
   let syncAutoCheckbox = null;
+  const projectorStatusNodes = new Map(); // projector id -> status pill in Session
+  let networkStatusNode = null;
+
   let reactiveBoostBaselines = null;
 
   const clamp01 = (v) => {
@@ -118,6 +152,56 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
     } catch (_) {}
   };
 
+  // Offline video export (Session tab); settings persist, run state lives only here
+  const VIDEO_EXPORT_STORAGE_KEY = 'cosmic_video_export';
+  const VIDEO_RESOLUTIONS = {
+    '720p': { width: 1280, height: 720 },
+    '1080p': { width: 1920, height: 1080 },
+    '1440p': { width: 2560, height: 1440 },
+    '2160p': { width: 3840, height: 2160 },
+    'square': { width: 1080, height: 1080 },
+    'vertical': { width: 1080, height: 1920 },
+  };
+  const videoExportSettings = { fps: 60, resolution: '1080p', bitrateMbps: 12, ...readJson(VIDEO_EXPORT_STORAGE_KEY, {}) };
+  const videoExportRun = { running: false, cancelled: false, label: '' };
+  let videoExportProgressNode = null;
+
+  // Live clip recording (Session tab)
+  const LIVE_RECORD_STORAGE_KEY = 'cosmic_live_record';
+  const liveRecordSettings = { resolution: 'native', fps: 60, bitrateMbps: 8, maxSeconds: 30, ...readJson(LIVE_RECORD_STORAGE_KEY, {}) };
+
+  // Crossfade used by the Presets tab's Load buttons
+  const PRESET_TRANSITION_STORAGE_KEY = 'cosmic_preset_transition';
+  const presetTransitionSettings = { transitionMs: 0, curve: 'easeInOut', quantizeToBar: false, ...readJson(PRESET_TRANSITION_STORAGE_KEY, {}) };
+  const presetLoadOptions = () => ({ ...presetTransitionSettings });
+
+  // Theme editor draft (Visuals tab); null while the editor is closed
+  let themeDraft = null;
+  // Custom fragment shader being edited (Shader tab); null while the editor is closed
+  let shaderDraft = null;
+
+  // Network sync (WebSocket relay to receivers on other machines)
+  const NETWORK_SYNC_STORAGE_KEY = 'cosmic_network_sync';
+  const networkSyncSettings = {
+    url: `ws://${(typeof location !== 'undefined' && location.hostname) || 'localhost'}:8091`,
+    room: 'default',
+    token: '',
+    autoConnect: false,
+    playoutDelayMs: 0,
+    ...readJson(NETWORK_SYNC_STORAGE_KEY, {}),
+  };
+  // A ?relay= URL param (handled in main.js) wins over the stored setup
+  if (syncCoordinator && !syncCoordinator.network) {
+    try {
+      syncCoordinator.setPlayoutDelay?.(networkSyncSettings.playoutDelayMs);
+      if (networkSyncSettings.autoConnect && networkSyncSettings.url) {
+        syncCoordinator.connectNetwork?.(networkSyncSettings.url, { room: networkSyncSettings.room, token: networkSyncSettings.token });
+      }
+    } catch (err) {
+      console.warn('Network sync auto-connect failed', err);
+    }
+  }
+
   const ensureDispersionParams = () => {
     if (!sceneApi.state.params) sceneApi.state.params = {};
     const merged = withDispersionDefaults(sceneApi.state.params.dispersion || {});
@@ -451,7 +535,10 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
   // Define named handler to prevent duplicate listeners
   const handleGlobalKeydown = (e) => {
     if (e.defaultPrevented) return;
-    if (e.key === 'Escape') close();
+    if (e.key === 'Escape') {
+      if (midiController && midiController.learnMode) { midiController.setLearnMode(false); return; }
+      close();
+    }
     if ((e.key === 's' || e.key === 'S') && !e.metaKey && !e.ctrlKey && !e.altKey) {
       if (root.style.display === 'block' && root.classList.contains('open')) close(); else open();
     }
@@ -471,6 +558,7 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
     const el = document.createElement(tag);
     for (const k of Object.keys(props)) {
       const v = props[k];
+      if (v === undefined || v === null) continue; // e.g. selected: undefined must not set the attribute
       if (k === 'class') el.className = v;
       else if (k === 'style' && typeof v === 'object') Object.assign(el.style, v);
       else if (k.startsWith('on') && typeof v === 'function') el.addEventListener(k.slice(2).toLowerCase(), v);
@@ -507,6 +595,8 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
       li('1–4: Load Snapshot; Shift+Click Snapshot button to Save; Alt+Click to Clear');
       li('Shift+R: Reset Active Section');
       li('Shift+S: Open Shader Quick');
+      if (cueList) li('G: Cue List GO (fire next cue); Shift+G: Step back one cue');
+      li('O: "This is the one" – mark the current beat as the downbeat (live input)');
       inner.appendChild(list);
       el.appendChild(inner);
       document.body.appendChild(el);
@@ -515,6 +605,7 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
   }
 
   function fieldRow(label, control) {
+    if (control && control._midi) registerSliderTarget(control._midi.param ? `param:${control._midi.param}` : `${midiScope}:${label}`, label, control);
     const row = h('div', { class: 'row' }, [
       h('div', { class: 'label' }, label),
       h('div', { class: 'control' }, control),
@@ -522,7 +613,19 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
     return row;
   }
 
-  function slider({ min, max, step, value, oninput, onchange, units, precision, resetValue, onreset, showStepper }) {
+  // Live value behind a slider's param path: 'audio.*' lives on the engine, the rest in sceneApi.state.params
+  function paramValue(path) {
+    const onEngine = path.startsWith('audio.');
+    const keys = (onEngine ? path.slice('audio.'.length) : path).split('.');
+    return keys.reduce((acc, key) => (acc == null ? undefined : acc[key]), onEngine ? audioEngine : sceneApi.state.params);
+  }
+
+  /**
+   * @param {Object} opts
+   * @param {string} [opts.param] - Stable path of the value this slider edits; keys its MIDI target
+   * @param {Function} [opts.read] - Current value when it does not live at `param`
+   */
+  function slider({ min, max, step, value, oninput, onchange, units, precision, resetValue, onreset, showStepper, param, read }) {
     const wrap = h('div', { class: 'slider-wrap' });
     const input = h('input', { type: 'range', min: String(min), max: String(max), step: String(step), value: String(value) });
     const formatNumber = (v) => {
@@ -572,6 +675,22 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
       wrap.appendChild(minus);
       wrap.appendChild(plus);
     }
+    // Hooks for MIDI: apply a value as if the user dragged the slider. get() reads the live
+    // value, so soft takeover still works after presets or other controls changed it
+    const current = read || (param ? () => paramValue(param) : null);
+    wrap._midi = {
+      min, max, step, param,
+      get: () => {
+        const v = current ? Number(current()) : NaN;
+        return Number.isFinite(v) ? v : parseFloat(input.value);
+      },
+      apply: (v) => {
+        input.value = String(v);
+        valueChip.textContent = formatNumber(v);
+        if (typeof oninput === 'function') oninput(v);
+      },
+      commit: (v) => { if (typeof onchange === 'function') onchange(v); },
+    };
     if (resetValue !== undefined) {
       const resetBtn = h('button', { class: 'reset-btn ghost', title: 'Reset to default' }, '↺');
       resetBtn.addEventListener('click', () => {
@@ -585,6 +704,25 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
     return wrap;
   }
 
+  // Make a slider() reachable from MIDI under a stable id (param path, else tab + row label)
+  function registerSliderTarget(id, label, wrap) {
+    if (!midiController || !wrap || !wrap._midi) return;
+    const hooks = wrap._midi;
+    const tabLabel = tabs.find((t) => t.id === midiScope)?.label || midiScope;
+    wrap.setAttribute('data-midi-target', id);
+    if (midiController.hasBinding(id)) wrap.classList.add('midi-bound');
+    midiController.registerTarget(id, {
+      type: 'range',
+      label: `${tabLabel} · ${label}`,
+      min: Number(hooks.min),
+      max: Number(hooks.max),
+      step: Number(hooks.step),
+      get: hooks.get,
+      set: hooks.apply,
+      commit: hooks.commit,
+    });
+  }
+
   function select(opts, value, onchange) {
     const s = h('select');
     for (const { label, value: val } of opts) s.appendChild(h('option', { value: String(val), selected: val === value ? 'true' : undefined }, label));
@@ -652,9 +790,320 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
     }
 
     container.appendChild(deviceRow);
+    if (audioEngine.transport?.hasFile()) container.appendChild(buildTransportSection());
+    if (audioEngine.transport?.hasFile() && audioEngine.sections) container.appendChild(buildSongSectionsSection());
+    if (playlist) container.appendChild(buildPlaylistSection());
+    if (audioEngine.channels) container.appendChild(buildChannelsSection());
+    if (featureTape) container.appendChild(buildFeatureTapeSection());
     return container;
   }
 
+  function buildTransportSection() {
+    const transport = audioEngine.transport;
+    const el = h('div', { class: 'section' }, [ h('div', { class: 'section-title' }, 'File Transport') ]);
+    const fmt = (sec) => `${Math.floor(sec / 60)}:${String(Math.floor(sec % 60)).padStart(2, '0')}`;
+    const describe = () => {
+      const pos = transport.getPosition();
+      const time = `${fmt(pos.timeSec || 0)} / ${fmt(pos.durationSec)}`;
+      if (pos.source === 'none') return `${pos.playing ? '▶' : '❚❚'} ${time} · no tempo yet`;
+      const next = pos.timeToNextDownbeatSec != null ? ` · next bar in ${pos.timeToNextDownbeatSec.toFixed(1)}s` : '';
+      return `${pos.playing ? '▶' : '❚❚'} Bar ${pos.bar + 1}.${pos.beatInBar + 1} · ${time}${next}${pos.source === 'bpm' ? ' (BPM estimate)' : ''}`;
+    };
+    const status = h('span', { class: 'value-chip' }, describe());
+    if (transport.playing) {
+      const timer = setInterval(() => {
+        if (!status.isConnected) { clearInterval(timer); return; }
+        status.textContent = describe();
+      }, 250);
+    }
+    const playBtn = button(transport.playing ? 'Pause' : 'Play', () => transport.toggle());
+    el.appendChild(fieldRow('Transport', h('div', { class: 'session-summary' }, [
+      playBtn,
+      button('−1 Bar', () => transport.seekBars(-1), { class: 'ghost' }),
+      button('+1 Bar', () => transport.seekBars(1), { class: 'ghost' }),
+      button('Restart', () => transport.seek(0), { class: 'ghost' }),
+    ])));
+    el.appendChild(fieldRow('Position', status));
+
+    const loop = transport.getLoopRegion();
+    const loopBars = (bars) => () => {
+      if (!transport.setLoopBars(transport.getPosition().bar, bars)) showToast('Loop region too short');
+    };
+    el.appendChild(fieldRow('Loop', h('div', { class: 'session-summary' }, [
+      button('1 Bar', loopBars(1), { class: 'ghost' }),
+      button('4 Bars', loopBars(4), { class: 'ghost' }),
+      button('8 Bars', loopBars(8), { class: 'ghost' }),
+      button('Clear', () => transport.clearLoopRegion(), { class: 'ghost' }),
+      h('span', { class: 'value-chip' }, loop ? `${fmt(loop.startSec)}–${fmt(loop.endSec)}` : 'Whole file'),
+    ])));
+    el.appendChild(h('div', { class: 'session-hint' },
+      'Bars and beats come from the file\'s beat grid, so the scene, pads and dispersion keep the bar line even when a beat is missed. Loops start at the current bar.'));
+    return el;
+  }
+
+  // Live downbeat estimate (downbeat-estimator.js) with the manual realign button
+  function buildLiveBarRow() {
+    const describe = () => {
+      if (audioEngine.transport?.getPosition().source === 'grid') return 'From the file beat grid';
+      const st = audioEngine.downbeatEstimator?.getStatus();
+      if (!st) return 'Waiting for beats';
+      const conf = st.manual ? 'set by hand' : `${Math.round(st.confidence * 100)}% sure`;
+      return `Beat ${st.beatInBar + 1}/${st.beatsPerBar} · ${conf}${st.reliable ? '' : ' (counting beats)'}`;
+    };
+    const chip = h('span', { class: 'value-chip' }, describe());
+    const timer = setInterval(() => {
+      if (!chip.isConnected) { clearInterval(timer); return; }
+      chip.textContent = describe();
+    }, 200);
+    return fieldRow('Live Downbeat', h('div', { class: 'session-summary' }, [
+      button('This Is the One (O)', () => audioEngine.markDownbeat(), { class: 'ghost' }),
+      chip,
+    ]));
+  }
+
+  // Trigger raster of every beat detector over the last seconds (Audio → Compare Detectors)
+  function buildBeatComparePlot() {
+    const rowH = 18;
+    const labelW = 130;
+    const rows = audioEngine.getBeatDiagnostics().rows;
+    const canvas = h('canvas', { width: '340', height: String(rows.length * rowH + 4), style: { width: '100%', display: 'block', background: 'rgba(0,0,0,0.35)', borderRadius: '4px' } });
+    const draw = () => {
+      const diag = audioEngine.getBeatDiagnostics();
+      const c = canvas.getContext('2d');
+      if (!c) return;
+      const w = canvas.width;
+      c.clearRect(0, 0, w, canvas.height);
+      c.font = '10px sans-serif';
+      c.textBaseline = 'middle';
+      const plotW = w - labelW - 4;
+      diag.rows.forEach((row, i) => {
+        const y = 2 + i * rowH;
+        const selected = row.id === diag.selected;
+        if (selected) {
+          c.fillStyle = 'rgba(255,255,255,0.08)';
+          c.fillRect(0, y, w, rowH);
+        }
+        const perMin = Math.round(row.times.length * 60000 / diag.windowMs);
+        c.fillStyle = selected ? '#fff' : 'rgba(255,255,255,0.7)';
+        c.fillText(`${row.label} · ${perMin}/min${row.bpm ? ` · ${row.bpm}` : ''}`.slice(0, 28), 4, y + rowH / 2);
+        c.fillStyle = selected ? '#ffd166' : '#6fd3ff';
+        row.times.forEach((t) => {
+          const x = labelW + plotW * (1 - (diag.nowMs - t) / diag.windowMs);
+          c.fillRect(Math.round(x), y + 3, 2, rowH - 6);
+        });
+      });
+    };
+    draw();
+    const timer = setInterval(() => {
+      if (!canvas.isConnected) { clearInterval(timer); return; }
+      draw();
+    }, 50);
+    return h('div', {}, [
+      canvas,
+      h('div', { class: 'session-hint' }, `Triggers per detector over the last ${Math.round(audioEngine.getBeatDiagnostics().windowMs / 1000)} s (newest on the right); the selected one drives the visuals. Compare mode runs every detector each frame, so switch it off for shows.`),
+    ]);
+  }
+
+  function buildPlaylistSection() {
+    const el = h('div', { class: 'section' }, [ h('div', { class: 'section-title' }, 'Playlist') ]);
+    const st = playlist.getStatus();
+    const fmt = (sec) => `${Math.floor(sec / 60)}:${String(Math.floor(sec % 60)).padStart(2, '0')}`;
+    const statusText = {
+      queued: 'queued',
+      decoding: 'decoding…',
+      analyzing: 'analysing…',
+      ready: 'ready',
+      error: 'failed',
+    };
+    const presetOpts = [{ label: 'No preset', value: '' }, ...(presetManager ? presetManager.list().map((p) => ({ label: p.name, value: p.id })) : [])];
+
+    const addBtn = button('Add Files', () => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = 'audio/*';
+      input.multiple = true;
+      input.onchange = () => {
+        const added = playlist.addFiles(input.files);
+        if (!added) showToast('No audio files selected');
+      };
+      input.click();
+    }, { class: 'ghost' });
+    el.appendChild(fieldRow('Queue', h('div', { class: 'session-summary' }, [
+      addBtn,
+      button('Previous', () => playlist.previous(), { class: 'ghost' }),
+      button('Next', () => playlist.next(), { class: 'ghost' }),
+      button('Clear', () => playlist.clear(), { class: 'ghost' }),
+    ])));
+
+    if (!st.items.length) {
+      el.appendChild(h('div', { class: 'session-hint' }, 'Drop several audio files on the window (or use Add Files) to queue them.'));
+    }
+    st.items.forEach((item, i) => {
+      const info = [
+        item.durationSec ? fmt(item.durationSec) : null,
+        item.bpm ? `${item.bpm} BPM` : null,
+        item.status === 'ready' ? null : statusText[item.status],
+      ].filter(Boolean).join(' · ');
+      const row = fieldRow(`${item.current ? '▶ ' : ''}${i + 1}. ${item.name}`, h('div', { class: 'session-summary' }, [
+        button(item.current ? 'Restart' : 'Play', () => playlist.playIndex(i, { crossfade: !item.current })),
+        button('↑', () => playlist.move(item.id, -1), { class: 'ghost', disabled: i === 0 ? 'true' : undefined }),
+        button('↓', () => playlist.move(item.id, 1), { class: 'ghost', disabled: i === st.items.length - 1 ? 'true' : undefined }),
+        button('✕', () => playlist.remove(item.id), { class: 'ghost' }),
+        select(presetOpts, item.presetId || '', (v) => playlist.setTrackPreset(item.id, v || null)),
+        info ? h('span', { class: 'value-chip', title: item.error || '' }, info) : null,
+      ]));
+      el.appendChild(row);
+    });
+
+    el.appendChild(fieldRow('Auto-advance', checkbox(st.autoAdvance, (v) => playlist.setAutoAdvance(v))));
+    el.appendChild(fieldRow('Repeat Playlist', checkbox(st.repeat, (v) => playlist.setRepeat(v))));
+    el.appendChild(fieldRow('Crossfade', slider({ min: 0, max: 30, step: 0.5, value: st.crossfadeSec, units: ' s', param: 'playlist.crossfadeSec', read: () => playlist.crossfadeSec, oninput: (v) => playlist.setCrossfadeSec(v) })));
+    el.appendChild(h('div', { class: 'session-hint' },
+      'The next track is decoded and beat-gridded while the current one plays. Crossfade 0 is a gapless cut. A track\'s preset loads when it starts, blended over the crossfade. Auto-advance waits while paused or looping.'));
+    return el;
+  }
+
+  function buildSongSectionsSection() {
+    const sections = audioEngine.sections;
+    const el = h('div', { class: 'section' }, [ h('div', { class: 'section-title' }, 'Song Sections') ]);
+    const list = sections.structure?.sections || [];
+    const capitalize = (label) => label.charAt(0).toUpperCase() + label.slice(1);
+    if (!list.length) {
+      el.appendChild(h('div', { class: 'session-hint' }, 'Sections appear once the beat-grid analysis of the file has finished.'));
+    } else {
+      el.appendChild(fieldRow('Layout', h('div', { class: 'session-summary' }, list.map((s) => button(
+        `${capitalize(s.label)} ${s.bars}`,
+        () => audioEngine.transport.seek(s.startSec),
+        { class: 'ghost', title: `Bar ${s.startBar + 1} · energy ${(s.energy * 100).toFixed(0)}%` },
+      )))));
+      const now = h('span', { class: 'value-chip' }, '—');
+      const timer = setInterval(() => {
+        if (!now.isConnected) { clearInterval(timer); return; }
+        const f = audioEngine.sections.latest;
+        if (!f?.section) { now.textContent = '—'; return; }
+        const next = f.section.next && f.nextSectionInBars != null ? ` · ${f.section.next} in ${Math.ceil(f.nextSectionInBars)} bars` : '';
+        now.textContent = `${capitalize(f.section.label)} ${(f.sectionProgress * 100).toFixed(0)}%${next}`;
+      }, 200);
+      el.appendChild(fieldRow('Now', now));
+    }
+    el.appendChild(fieldRow('Auto-switch Presets', checkbox(sections.autoPresets, (v) => { sections.setAutoPresets(v); render('source'); })));
+    if (sections.autoPresets) {
+      const presetOpts = [{ label: 'No change', value: '' }, ...(presetManager ? presetManager.list().map((p) => ({ label: p.name, value: p.id })) : [])];
+      SECTION_LABELS.forEach((label) => {
+        el.appendChild(fieldRow(`${capitalize(label)} Preset`, select(presetOpts, sections.presets[label] || '', (v) => sections.setSectionPreset(label, v || null))));
+      });
+    }
+    el.appendChild(h('div', { class: 'session-hint' },
+      'Sections come from the whole decoded track, so drops fire on the bar they start and the visuals build toward them. Click a section to jump to it. Exposed as features.section, sectionProgress and nextSectionInBars.'));
+    return el;
+  }
+
+  function buildChannelsSection() {
+    const channels = audioEngine.channels;
+    const el = h('div', { class: 'section' }, [ h('div', { class: 'section-title' }, 'Multi-channel') ]);
+    el.appendChild(fieldRow('Per-channel Analysis', checkbox(channels.enabled, (v) => {
+      channels.setEnabled(v);
+      if (v && audioEngine.activeStream && !audioEngine.isPlayingFile) showToast('Restart the mic to open all interface channels', 2600);
+      render('source');
+    })));
+    if (!channels.enabled) {
+      el.appendChild(h('div', { class: 'session-hint' },
+        'Analyse each input channel (or pair) of an audio interface separately, e.g. a kick mic on ch1 driving the shockwave. Exposed as features.channels and as Channel sources in the Mod Matrix.'));
+      return el;
+    }
+    const inputCount = channels.getInputChannelCount();
+    const channelOpts = Array.from({ length: MAX_INPUT_CHANNELS }, (_, c) => ({ label: `Ch ${c + 1}`, value: String(c) }));
+    const pairOpts = [{ label: '—', value: '' }, ...channelOpts];
+    channels.groups.forEach((group, i) => {
+      const nameInput = h('input', { type: 'text', value: group.name, style: { width: '90px' } });
+      nameInput.addEventListener('change', () => channels.updateGroup(i, { name: nameInput.value }));
+      const setChannels = (first, second) => channels.updateGroup(i, { channels: second === '' ? [Number(first)] : [Number(first), Number(second)] });
+      const first = String(group.channels[0]);
+      const second = group.channels[1] != null ? String(group.channels[1]) : '';
+      const level = h('span', { class: 'value-chip' }, '—');
+      const timer = setInterval(() => {
+        if (!level.isConnected) { clearInterval(timer); return; }
+        const ch = channels.latest?.[i];
+        level.textContent = ch ? `${(ch.rmsNorm * 100).toFixed(0)}%${ch.pulse > 0.5 ? ' ●' : ''}` : '—';
+      }, 100);
+      el.appendChild(fieldRow(`Group ${i + 1}`, h('div', { class: 'session-summary' }, [
+        nameInput,
+        select(channelOpts, first, (v) => setChannels(v, second)),
+        select(pairOpts, second, (v) => setChannels(first, v)),
+        level,
+        button('✕', () => { channels.removeGroup(i); render('source'); }, { class: 'ghost' }),
+      ])));
+      el.appendChild(fieldRow(`Group ${i + 1} Onset Threshold`, slider({ min: 0.5, max: 5, step: 0.1, value: group.onsetThreshold, param: `channels.groups.${i}.onsetThreshold`, read: () => channels.groups[i]?.onsetThreshold, oninput: (v) => channels.updateGroup(i, { onsetThreshold: v }) })));
+    });
+    if (channels.groups.length < MAX_CHANNEL_GROUPS) {
+      el.appendChild(fieldRow('Groups', button('Add Group', () => { channels.addGroup(); render('source'); }, { class: 'ghost' })));
+    }
+    el.appendChild(h('div', { class: 'session-hint' },
+      `${inputCount ? `Source has ${inputCount} channel${inputCount === 1 ? '' : 's'}. ` : ''}A group sums one channel or a pair. Route "Channel n" sources in the Mod Matrix, or pick a group as the shockwave trigger in Mapping.`));
+    return el;
+  }
+
+  function buildFeatureTapeSection() {
+    const el = h('div', { class: 'section' }, [ h('div', { class: 'section-title' }, 'Feature Tape') ]);
+    const fmt = (ms) => {
+      const sec = Math.max(0, ms / 1000);
+      return `${Math.floor(sec / 60)}:${String(Math.floor(sec % 60)).padStart(2, '0')}`;
+    };
+    const describe = () => {
+      const st = featureTape.getStatus();
+      if (st.recording) return `● REC ${fmt(st.durationMs)} · ${st.frames} frames`;
+      if (st.playing) return `▶ ${st.name} ${fmt(st.positionMs)} / ${fmt(st.durationMs)}`;
+      if (featureTape.tape) return `${st.name} · ${fmt(st.durationMs)}`;
+      return 'Empty';
+    };
+    const status = h('span', { class: 'value-chip' }, describe());
+    // Tick the status chip while something is running; stops once the tab is rebuilt
+    if (featureTape.recording || featureTape.playing) {
+      const timer = setInterval(() => {
+        if (!status.isConnected) { clearInterval(timer); return; }
+        status.textContent = describe();
+      }, 250);
+    }
+
+    const recBtn = featureTape.recording
+      ? button('Stop Recording', () => { featureTape.stopRecording(); })
+      : button('Record', () => { featureTape.startRecording(); showToast('Recording features'); }, { class: 'ghost' });
+    const saveBtn = button('Download', () => {
+      if (!featureTape.download()) showToast('Nothing recorded yet');
+    }, { class: 'ghost' });
+    saveBtn.disabled = !featureTape.tape || featureTape.recording;
+    el.appendChild(fieldRow('Record', h('div', { class: 'session-summary' }, [recBtn, saveBtn, status])));
+
+    const loadBtn = button('Load Tape', () => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = '.json,application/json';
+      input.onchange = async () => {
+        const f = input.files?.[0];
+        if (!f) return;
+        try {
+          await featureTape.loadFile(f);
+          showToast(`Tape loaded: ${f.name}`);
+        } catch (err) {
+          console.error(err);
+          showToast(`Tape load failed: ${err?.message || err}`, 2800);
+        }
+      };
+      input.click();
+    }, { class: 'ghost' });
+    const playBtn = featureTape.playing
+      ? button('Stop Tape', () => featureTape.stop())
+      : button('Play Tape', () => {
+        if (!featureTape.play()) showToast('Load or record a tape first');
+      }, { class: 'ghost' });
+    playBtn.disabled = !featureTape.tape && !featureTape.playing;
+    const loopWrap = h('label', {}, [checkbox(featureTape.loop, (v) => featureTape.setLoop(v)), ' Loop']);
+    el.appendChild(fieldRow('Replay', h('div', { class: 'session-summary' }, [loadBtn, playBtn, loopWrap])));
+    el.appendChild(h('div', { class: 'session-hint' },
+      'Records the analysed features (not audio) to a .json tape. A playing tape replaces live audio, so looks and mappings can be tuned without the track or a mic.'));
+    return el;
+  }
+
   function buildAudio() {
     const st = {
       gain: 1.0,
@@ -690,32 +1139,39 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
     let showAdv = false;
     try { showAdv = !!JSON.parse(localStorage.getItem(AUDIO_SHOW_ADV_KEY) || 'false'); } catch(_) { showAdv = false; }
     el.appendChild(fieldRow('Show Advanced', checkbox(showAdv, (v)=>{ try { localStorage.setItem(AUDIO_SHOW_ADV_KEY, JSON.stringify(!!v)); } catch(_) {} render('audio'); })));
-    el.appendChild(fieldRow('Gain', slider({ min: 0.1, max: 4.0, step: 0.1, value: st.gain, oninput: (v) => audioEngine.setGain(v) })));
-    el.appendChild(fieldRow('Beat Sensitivity', slider({ min: 0.0, max: 2.0, step: 0.05, value: st.sensitivity, oninput: (v) => audioEngine.setSensitivity(v) })));
-    el.appendChild(fieldRow('Smoothing', slider({ min: 0.0, max: 0.95, step: 0.05, value: st.smoothing, oninput: (v) => audioEngine.setSmoothing(v) })));
+    el.appendChild(fieldRow('Gain', slider({ min: 0.1, max: 4.0, step: 0.1, value: st.gain, param: 'audio.gain', read: () => audioEngine.gainNode?.gain.value, oninput: (v) => audioEngine.setGain(v) })));
+    el.appendChild(fieldRow('Beat Sensitivity', slider({ min: 0.0, max: 2.0, step: 0.05, value: st.sensitivity, param: 'audio.sensitivity', oninput: (v) => audioEngine.setSensitivity(v) })));
+    el.appendChild(fieldRow('Smoothing', slider({ min: 0.0, max: 0.95, step: 0.05, value: st.smoothing, param: 'audio.smoothing', oninput: (v) => audioEngine.setSmoothing(v) })));
     if (showAdv) {
       el.appendChild(fieldRow('FFT Size', select([
         512,1024,2048,4096,8192,16384,32768
       ].map(n => ({ label: String(n), value: n })), st.fftSize, (v) => audioEngine.setFFTSize(parseInt(v,10)) )));
-      el.appendChild(fieldRow('Sub Cutoff (Hz)', slider({ min: 40, max: 120, step: 5, value: st.subHz, oninput: (v) => audioEngine.setSubHz(v) })));
-      el.appendChild(fieldRow('Bass Cutoff (Hz)', slider({ min: 60, max: 400, step: 10, value: st.lowHz, oninput: (v) => audioEngine.setBandSplit(v, st.midHz=(st.midHz||2000)) })));
-      el.appendChild(fieldRow('Mid Cutoff (Hz)', slider({ min: 800, max: 5000, step: 50, value: st.midHz, oninput: (v) => audioEngine.setBandSplit(st.lowHz=(st.lowHz||200), v) })));
+      el.appendChild(fieldRow('Sub Cutoff (Hz)', slider({ min: 40, max: 120, step: 5, value: st.subHz, param: 'audio.bandSplit.sub', oninput: (v) => audioEngine.setSubHz(v) })));
+      el.appendChild(fieldRow('Bass Cutoff (Hz)', slider({ min: 60, max: 400, step: 10, value: st.lowHz, param: 'audio.bandSplit.low', oninput: (v) => audioEngine.setBandSplit(v, st.midHz=(st.midHz||2000)) })));
+      el.appendChild(fieldRow('Mid Cutoff (Hz)', slider({ min: 800, max: 5000, step: 50, value: st.midHz, param: 'audio.bandSplit.mid', oninput: (v) => audioEngine.setBandSplit(st.lowHz=(st.lowHz||200), v) })));
     }
-    el.appendChild(fieldRow('Beat Refractory (ms)', slider({ min: 100, max: 1500, step: 25, value: st.beatRefractory, oninput: (v) => audioEngine.setBeatRefractory(v) })));
-    el.appendChild(fieldRow('Beat Energy Floor', slider({ min: 0.0, max: 1.0, step: 0.02, value: st.beatEnergyFloor, oninput: (v) => audioEngine.setBeatEnergyFloor(v) })));
+    el.appendChild(fieldRow('Beat Refractory (ms)', slider({ min: 100, max: 1500, step: 25, value: st.beatRefractory, param: 'audio.beatRefractoryMs', oninput: (v) => audioEngine.setBeatRefractory(v) })));
+    el.appendChild(fieldRow('Beat Energy Floor', slider({ min: 0.0, max: 1.0, step: 0.02, value: st.beatEnergyFloor, param: 'audio.beatEnergyFloor', oninput: (v) => audioEngine.setBeatEnergyFloor(v) })));
+    const detectorDefs = getBeatDetectors();
+    const detectorDef = detectorDefs.find((d) => d.id === audioEngine.beatDetectorId);
+    el.appendChild(fieldRow('Beat Detector', select(detectorDefs.map((d) => ({ label: d.label, value: d.id })), audioEngine.beatDetectorId, (v) => { audioEngine.setBeatDetector(v); render('audio'); })));
+    if (detectorDef?.description) el.appendChild(h('div', { class: 'session-hint' }, detectorDef.description));
+    el.appendChild(fieldRow('Compare Detectors', checkbox(audioEngine.beatCompareEnabled, (v) => { audioEngine.setBeatCompareEnabled(v); render('audio'); })));
+    if (audioEngine.beatCompareEnabled) el.appendChild(buildBeatComparePlot());
+    el.appendChild(buildLiveBarRow());
     el.appendChild(fieldRow('Noise Gate', checkbox(st.noiseGateEnabled, (v)=> audioEngine.setNoiseGateEnabled(v) )));
     if (showAdv) {
-      el.appendChild(fieldRow('Noise Gate Threshold', slider({ min: 0.0, max: 1.0, step: 0.01, value: st.noiseGateThreshold, oninput: (v) => audioEngine.setNoiseGateThreshold(v) })));
+      el.appendChild(fieldRow('Noise Gate Threshold', slider({ min: 0.0, max: 1.0, step: 0.01, value: st.noiseGateThreshold, param: 'audio.noiseGateThreshold', oninput: (v) => audioEngine.setNoiseGateThreshold(v) })));
       el.appendChild(fieldRow('Calibrate Noise Gate (5s)', button('Calibrate', async ()=>{
         try {
           const thr = await audioEngine.calibrateNoiseGate(5000);
           showToast(`Calibrated: ${Number.isFinite(thr) ? thr.toFixed(2) : String(thr)}`);
         } catch(_) { showToast('Calibration failed'); }
       }, { class: 'ghost' })));
-      el.appendChild(fieldRow('Envelope Attack', slider({ min: 0.0, max: 1.0, step: 0.01, value: st.envAttack, oninput: (v) => audioEngine.setEnvAttack(v) })));
-      el.appendChild(fieldRow('Envelope Release', slider({ min: 0.0, max: 1.0, step: 0.01, value: st.envRelease, oninput: (v) => audioEngine.setEnvRelease(v) })));
+      el.appendChild(fieldRow('Envelope Attack', slider({ min: 0.0, max: 1.0, step: 0.01, value: st.envAttack, param: 'audio.envAttack', oninput: (v) => audioEngine.setEnvAttack(v) })));
+      el.appendChild(fieldRow('Envelope Release', slider({ min: 0.0, max: 1.0, step: 0.01, value: st.envRelease, param: 'audio.envRelease', oninput: (v) => audioEngine.setEnvRelease(v) })));
       el.appendChild(fieldRow('Band AGC (Auto Gain)', checkbox(st.agcEnabled, (v)=> audioEngine.setBandAgcEnabled(v) )));
-      el.appendChild(fieldRow('AGC Decay', slider({ min: 0.90, max: 0.9999, step: 0.0005, value: st.agcDecay, oninput: (v) => audioEngine.setBandAgcDecay(v) })));
+      el.appendChild(fieldRow('AGC Decay', slider({ min: 0.90, max: 0.9999, step: 0.0005, value: st.agcDecay, param: 'audio.bandAGCDecay', oninput: (v) => audioEngine.setBandAgcDecay(v) })));
     }
     el.appendChild(fieldRow('Low CPU Mode', checkbox(st.lowCpu, (v)=> audioEngine.setLowCpuMode(v) )));
 
@@ -723,14 +1179,14 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
     if (showAdv) {
       el.appendChild(h('div', { class: 'section-title' }, 'Drop Detection'));
       el.appendChild(fieldRow('Enable', checkbox(st.dropEnabled, (v)=> audioEngine.setDropEnabled(v) )));
-      el.appendChild(fieldRow('Flux Z Threshold', slider({ min: 0.2, max: 3.0, step: 0.05, value: st.dropFluxThresh, oninput: (v) => audioEngine.setDropFluxThresh(v) })));
-      el.appendChild(fieldRow('Bass Threshold', slider({ min: 0.1, max: 1.0, step: 0.02, value: st.dropBassThresh, oninput: (v) => audioEngine.setDropBassThresh(v) })));
-      el.appendChild(fieldRow('Centroid Slope Threshold', slider({ min: 0.005, max: 0.1, step: 0.002, value: st.dropCentroidSlopeThresh, oninput: (v) => audioEngine.setDropCentroidSlopeThresh(v) })));
-      el.appendChild(fieldRow('Min Build Beats', slider({ min: 1, max: 8, step: 1, value: st.dropMinBeats, oninput: (v) => audioEngine.setDropMinBeats(v) })));
-      el.appendChild(fieldRow('Cooldown (ms)', slider({ min: 500, max: 8000, step: 100, value: st.dropCooldownMs, oninput: (v) => audioEngine.setDropCooldownMs(v) })));
+      el.appendChild(fieldRow('Flux Z Threshold', slider({ min: 0.2, max: 3.0, step: 0.05, value: st.dropFluxThresh, param: 'audio.dropFluxThresh', oninput: (v) => audioEngine.setDropFluxThresh(v) })));
+      el.appendChild(fieldRow('Bass Threshold', slider({ min: 0.1, max: 1.0, step: 0.02, value: st.dropBassThresh, param: 'audio.dropBassThresh', oninput: (v) => audioEngine.setDropBassThresh(v) })));
+      el.appendChild(fieldRow('Centroid Slope Threshold', slider({ min: 0.005, max: 0.1, step: 0.002, value: st.dropCentroidSlopeThresh, param: 'audio.dropCentroidSlopeThresh', oninput: (v) => audioEngine.setDropCentroidSlopeThresh(v) })));
+      el.appendChild(fieldRow('Min Build Beats', slider({ min: 1, max: 8, step: 1, value: st.dropMinBeats, param: 'audio.dropMinBeats', oninput: (v) => audioEngine.setDropMinBeats(v) })));
+      el.appendChild(fieldRow('Cooldown (ms)', slider({ min: 500, max: 8000, step: 100, value: st.dropCooldownMs, param: 'audio.dropCooldownMs', oninput: (v) => audioEngine.setDropCooldownMs(v) })));
       el.appendChild(fieldRow('Gate Drops to Bars', checkbox(st.dropBarGateEnabled, (v)=> audioEngine.setDropBarGatingEnabled(v) )));
-      el.appendChild(fieldRow('Beats per Bar', slider({ min: 1, max: 8, step: 1, value: st.dropBeatsPerBar, oninput: (v) => audioEngine.setDropGateBeatsPerBar(v) })));
-      el.appendChild(fieldRow('Downbeat Tolerance (ms)', slider({ min: 20, max: 150, step: 5, value: st.dropDownbeatTolMs, oninput: (v) => audioEngine.setDropDownbeatToleranceMs(v) })));
+      el.appendChild(fieldRow('Beats per Bar', slider({ min: 1, max: 8, step: 1, value: st.dropBeatsPerBar, param: 'audio.dropGateBeatsPerBar', oninput: (v) => audioEngine.setDropGateBeatsPerBar(v) })));
+      el.appendChild(fieldRow('Downbeat Tolerance (ms)', slider({ min: 20, max: 150, step: 5, value: st.dropDownbeatTolMs, param: 'audio.dropDownbeatGateToleranceMs', oninput: (v) => audioEngine.setDropDownbeatToleranceMs(v) })));
       el.appendChild(fieldRow('Use Bass Flux for Build', checkbox(st.dropUseBassFlux, (v)=> audioEngine.setDropUseBassFlux(v) )));
       el.appendChild(fieldRow('Auto-Adapt Thresholds (25s)', checkbox(st.autoDropThresholds, (v)=> audioEngine.setAutoDropThresholdsEnabled(v) )));
     }
@@ -787,23 +1243,47 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
   function buildVisuals() {
     const el = h('div', { class: 'section' }, [ h('div', { class: 'section-title' }, 'Visuals') ]);
     // Theme
-    const themeOpts = ['nebula','sunset','forest','aurora'].map(t => ({ label: t, value: t }));
-    el.appendChild(fieldRow('Theme', select(themeOpts, sceneApi.state.params.theme, (v) => sceneApi.changeTheme(v))));
+    const themeOpts = [
+      ...Object.keys(themes).map(t => ({ label: t, value: t })),
+      ...getCustomThemes().map(t => ({ label: t.name, value: t.id })),
+    ];
+    el.appendChild(fieldRow('Theme', select(themeOpts, sceneApi.state.params.theme, (v) => { themeDraft = null; sceneApi.changeTheme(v); render('visuals'); })));
+    el.appendChild(buildThemeEditor());
+    el.appendChild(fieldRow('Color Mode', select([
+      { label: 'Theme', value: 'theme' },
+      { label: 'Harmonic palette (key)', value: 'harmonic' },
+    ], sceneApi.state.params.colorMode || 'theme', (v) => { sceneApi.setColorMode(v); render('visuals'); })));
+    if (sceneApi.state.params.colorMode === 'harmonic') {
+      const mh = sceneApi.state.params.map.harmonic || (sceneApi.state.params.map.harmonic = { chordShift: 0.5, minConfidence: 0.25, glideMs: 800 });
+      const keyChip = h('span', { class: 'value-chip' }, '—');
+      const timer = setInterval(() => {
+        if (!keyChip.isConnected) { clearInterval(timer); return; }
+        const st = audioEngine.keyDetector?.latest;
+        keyChip.textContent = st?.key
+          ? `${st.key.name} · ${(st.key.confidence * 100).toFixed(0)}%${st.chord ? ` · ${st.chord.name}` : ''}`
+          : 'Listening…';
+      }, 250);
+      el.appendChild(fieldRow('Detected Key', keyChip));
+      el.appendChild(fieldRow('Chord Shift', slider({ min: 0, max: 1, step: 0.05, value: mh.chordShift ?? 0.5, param: 'map.harmonic.chordShift', oninput: (v) => { mh.chordShift = v; } })));
+      el.appendChild(fieldRow('Key Confidence Needed', slider({ min: 0, max: 1, step: 0.05, value: mh.minConfidence ?? 0.25, param: 'map.harmonic.minConfidence', oninput: (v) => { mh.minConfidence = v; } })));
+      el.appendChild(fieldRow('Palette Glide', slider({ min: 100, max: 4000, step: 50, value: mh.glideMs ?? 800, units: 'ms', precision: 0, param: 'map.harmonic.glideMs', oninput: (v) => { mh.glideMs = v; } })));
+      el.appendChild(h('div', { class: 'session-hint' }, 'Colours sit on a circle-of-fifths wheel: related keys get related hues, minor keys are darker. Chord changes turn the palette toward the chord; the theme still picks the HDR background.'));
+    }
     el.appendChild(fieldRow('HDR Background', checkbox(sceneApi.state.params.useHdrBackground, (v)=>{ sceneApi.state.params.useHdrBackground = v; sceneApi.changeTheme(sceneApi.state.params.theme); })));
-    el.appendChild(fieldRow('Fog Density', slider({ min: 0.0, max: 0.02, step: 0.0005, value: sceneApi.state.params.fogDensity, oninput: (v)=>{ sceneApi.state.scene.fog.density = v; } })));
-    el.appendChild(fieldRow('Bloom Strength (Base)', slider({ min: 0.0, max: 3.0, step: 0.05, value: sceneApi.state.params.bloomStrengthBase, oninput: (v)=>{ sceneApi.state.params.bloomStrengthBase = v; } })));
-    el.appendChild(fieldRow('Bloom Strength (Reactive)', slider({ min: 0.0, max: 2.5, step: 0.05, value: sceneApi.state.params.bloomReactiveGain, oninput: (v)=>{ sceneApi.state.params.bloomReactiveGain = v; } })));
+    el.appendChild(fieldRow('Fog Density', slider({ min: 0.0, max: 0.02, step: 0.0005, value: sceneApi.state.params.fogDensity, param: 'fogDensity', read: () => sceneApi.state.scene.fog?.density, oninput: (v)=>{ sceneApi.state.scene.fog.density = v; } })));
+    el.appendChild(fieldRow('Bloom Strength (Base)', slider({ min: 0.0, max: 3.0, step: 0.05, value: sceneApi.state.params.bloomStrengthBase, param: 'bloomStrengthBase', oninput: (v)=>{ sceneApi.state.params.bloomStrengthBase = v; } })));
+    el.appendChild(fieldRow('Bloom Strength (Reactive)', slider({ min: 0.0, max: 2.5, step: 0.05, value: sceneApi.state.params.bloomReactiveGain, param: 'bloomReactiveGain', oninput: (v)=>{ sceneApi.state.params.bloomReactiveGain = v; } })));
     // Visual Reactive Boost scales several reactive mapping intensities and bloom reactive
     const boostVal = typeof sceneApi.state.params.reactiveBoost === 'number' ? sceneApi.state.params.reactiveBoost : 1.0;
-    el.appendChild(fieldRow('Reactive Boost', slider({ min: 0.5, max: 2.0, step: 0.05, value: boostVal, oninput: (v)=>{ applyReactiveBoost(v); } })));
-    el.appendChild(fieldRow('Pixel Ratio Cap', slider({ min: 0.5, max: 2.0, step: 0.1, value: sceneApi.state.params.pixelRatioCap, oninput: (v)=> sceneApi.setPixelRatioCap(v) })));
-    el.appendChild(fieldRow('Auto Rotate', slider({ min: 0.0, max: 0.01, step: 0.0001, value: sceneApi.state.params.autoRotate, oninput: (v)=>{ sceneApi.state.params.autoRotate = v; } })));
-    el.appendChild(fieldRow('Particle Density', slider({ min: 0.25, max: 1.5, step: 0.05, value: sceneApi.state.params.particleDensity, oninput: (v)=>{ sceneApi.state.params.particleDensity = v; sceneApi.rebuildParticles(); } })));
+    el.appendChild(fieldRow('Reactive Boost', slider({ min: 0.5, max: 2.0, step: 0.05, value: boostVal, param: 'reactiveBoost', oninput: (v)=>{ applyReactiveBoost(v); } })));
+    el.appendChild(fieldRow('Pixel Ratio Cap', slider({ min: 0.5, max: 2.0, step: 0.1, value: sceneApi.state.params.pixelRatioCap, param: 'pixelRatioCap', oninput: (v)=> sceneApi.setPixelRatioCap(v) })));
+    el.appendChild(fieldRow('Auto Rotate', slider({ min: 0.0, max: 0.01, step: 0.0001, value: sceneApi.state.params.autoRotate, param: 'autoRotate', oninput: (v)=>{ sceneApi.state.params.autoRotate = v; } })));
+    el.appendChild(fieldRow('Particle Density', slider({ min: 0.25, max: 1.5, step: 0.05, value: sceneApi.state.params.particleDensity, param: 'particleDensity', oninput: (v)=>{ sceneApi.state.params.particleDensity = v; sceneApi.rebuildParticles(); } })));
     el.appendChild(fieldRow('Sparks', checkbox(sceneApi.state.params.enableSparks, (v)=> sceneApi.setEnableSparks(v))));
     el.appendChild(fieldRow('Core Glow (Lens Flare)', checkbox(sceneApi.state.params.useLensflare, (v)=> sceneApi.setUseLensflare(v))));
     el.appendChild(fieldRow('Auto Resolution', checkbox(sceneApi.state.params.autoResolution, (v)=>{ sceneApi.state.params.autoResolution = v; } )));
-    el.appendChild(fieldRow('Target FPS', slider({ min: 30, max: 90, step: 1, value: sceneApi.state.params.targetFps, oninput: (v)=>{ sceneApi.state.params.targetFps = v; } })));
-    el.appendChild(fieldRow('Min Pixel Ratio', slider({ min: 0.4, max: 1.5, step: 0.05, value: sceneApi.state.params.minPixelRatio, oninput: (v)=>{ sceneApi.state.params.minPixelRatio = v; } })));
+    el.appendChild(fieldRow('Target FPS', slider({ min: 30, max: 90, step: 1, value: sceneApi.state.params.targetFps, param: 'targetFps', oninput: (v)=>{ sceneApi.state.params.targetFps = v; } })));
+    el.appendChild(fieldRow('Min Pixel Ratio', slider({ min: 0.4, max: 1.5, step: 0.05, value: sceneApi.state.params.minPixelRatio, param: 'minPixelRatio', oninput: (v)=>{ sceneApi.state.params.minPixelRatio = v; } })));
 
     // Effects profile
     const effectsOpts = [
@@ -821,6 +1301,7 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
       { label: 'Classic (3D only)', value: 'classic' },
       { label: '3D + Dispersion', value: 'overlay' },
       { label: 'Dispersion only', value: 'shader-only' },
+      { label: 'Milkdrop (Butterchurn)', value: 'milkdrop' },
     ];
     el.appendChild(fieldRow('Visual Mode', select(modeOpts, sceneApi.state.params.visualMode || 'overlay', (v)=>{ sceneApi.state.params.visualMode = v; if (typeof sceneApi.setVisualMode === 'function') sceneApi.setVisualMode(v); } )));
     // Actions
@@ -829,10 +1310,256 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
     return el;
   }
 
+  function downloadThemes(json, filename) {
+    try {
+      const blob = new Blob([json], { type: 'application/json' });
+      const a = document.createElement('a');
+      a.href = URL.createObjectURL(blob);
+      a.download = filename;
+      a.click();
+    } catch (err) {
+      console.error(err);
+      showToast('Export failed');
+    }
+  }
+
+  // Custom themes (theme-library.js): edits preview live on the scene until saved or cancelled
+  function buildThemeEditor() {
+    const el = h('div', { class: 'section' }, [ h('div', { class: 'section-title' }, 'Theme Editor') ]);
+    const reservedIds = Object.keys(themes);
+    const currentId = sceneApi.state.params.theme;
+
+    if (!themeDraft) {
+      const custom = getCustomTheme(currentId);
+      el.appendChild(h('div', { class: 'preset-io-actions' }, [
+        button(custom ? 'Edit' : 'Edit a Copy', () => {
+          themeDraft = describeTheme(currentId);
+          if (themeDraft) render('visuals');
+        }, { class: 'ghost' }),
+        button('Import', () => {
+          const input = document.createElement('input');
+          input.type = 'file';
+          input.accept = 'application/json';
+          input.onchange = async () => {
+            const file = input.files?.[0];
+            if (!file) return;
+            try {
+              const imported = importThemes(await file.text(), { reservedIds });
+              showToast(`Imported ${imported.length} theme${imported.length === 1 ? '' : 's'}`);
+              render('visuals');
+            } catch (err) {
+              console.error(err);
+              showToast(`Import failed: ${err.message}`);
+            }
+          };
+          input.click();
+        }, { class: 'ghost' }),
+        button('Export All', () => {
+          if (!getCustomThemes().length) { showToast('No custom themes yet'); return; }
+          downloadThemes(exportThemes(), 'cosmic-themes.json');
+        }, { class: 'ghost' }),
+      ]));
+      el.appendChild(h('div', { class: 'session-hint' }, 'Custom themes are saved in this browser and stored by id in presets. Export them to move brand palettes between machines.'));
+      return el;
+    }
+
+    const draft = themeDraft;
+    const preview = () => { sceneApi.previewTheme(draft); };
+    const colorInput = (value, onchange) => {
+      const input = h('input', { type: 'color', value });
+      input.addEventListener('input', () => { onchange(input.value); preview(); });
+      return input;
+    };
+    const stopsRow = (label, key) => {
+      const stops = draft[key];
+      const controls = stops.map((hex, i) => h('span', { style: { display: 'inline-flex', alignItems: 'center', marginRight: '4px' } }, [
+        colorInput(hex, (v) => { stops[i] = v; }),
+        stops.length > MIN_GRADIENT_STOPS
+          ? button('×', () => { stops.splice(i, 1); preview(); render('visuals'); }, { class: 'ghost', title: 'Remove stop' })
+          : null,
+      ]));
+      if (stops.length < MAX_GRADIENT_STOPS) {
+        controls.push(button('+', () => { stops.push(stops[stops.length - 1]); preview(); render('visuals'); }, { class: 'ghost', title: 'Add stop' }));
+      }
+      return fieldRow(label, h('div', {}, controls));
+    };
+    // light / glow: '' leaves them audio-driven (light) or following the light (glow)
+    const optionalColorRow = (label, key, autoLabel, fallback) => {
+      const fixed = !!draft[key];
+      const modeSel = select([
+        { label: autoLabel, value: 'auto' },
+        { label: 'Fixed', value: 'fixed' },
+      ], fixed ? 'fixed' : 'auto', (v) => {
+        draft[key] = v === 'fixed' ? fallback : '';
+        preview();
+        render('visuals');
+      });
+      return fieldRow(label, h('div', {}, [modeSel, fixed ? colorInput(draft[key], (v) => { draft[key] = v; }) : null]));
+    };
+
+    if (sceneApi.state.params.colorMode === 'harmonic') {
+      el.appendChild(h('div', { class: 'session-hint' }, 'Harmonic palette is on: it repaints the core and rings while music plays. Switch Color Mode to Theme to judge the gradients.'));
+    }
+    const nameInput = h('input', { type: 'text', value: draft.name, placeholder: 'Theme name' });
+    nameInput.addEventListener('input', () => { draft.name = nameInput.value; });
+    el.appendChild(fieldRow('Name', nameInput));
+    el.appendChild(stopsRow('Core Gradient', 'core'));
+    el.appendChild(stopsRow('Ring Gradient', 'rings'));
+    el.appendChild(fieldRow('Stars', colorInput(draft.star, (v) => { draft.star = v; })));
+    el.appendChild(optionalColorRow('Light', 'light', 'Audio-driven', draft.core[0]));
+    el.appendChild(optionalColorRow('Glow', 'glow', 'Follow light', draft.light || draft.core[0]));
+    el.appendChild(fieldRow('Fog / Background', colorInput(draft.fog, (v) => { draft.fog = v; })));
+
+    const save = (asNew) => {
+      try {
+        const saved = saveCustomTheme(asNew ? { ...draft, id: '' } : draft, { reservedIds });
+        themeDraft = null;
+        sceneApi.changeTheme(saved.id);
+        showToast(`Saved theme "${saved.name}"`);
+      } catch (err) {
+        console.error(err);
+        showToast(`Save failed: ${err.message}`);
+      }
+      render('visuals');
+    };
+    el.appendChild(h('div', { class: 'preset-io-actions' }, [
+      button('Save', () => save(false)),
+      draft.id ? button('Save as New', () => save(true), { class: 'ghost' }) : null,
+      button('Export', () => downloadThemes(exportThemes([draft]), `${draft.name.trim().replace(/[^a-z0-9]+/gi, '-').toLowerCase() || 'theme'}.json`), { class: 'ghost' }),
+      draft.id && getCustomTheme(draft.id) ? button('Delete', () => {
+        if (!confirm(`Delete theme "${draft.name}"?`)) return;
+        deleteCustomTheme(draft.id);
+        themeDraft = null;
+        render('visuals');
+      }, { class: 'ghost' }) : null,
+      button('Cancel', () => {
+        themeDraft = null;
+        sceneApi.changeTheme(sceneApi.state.params.theme);
+        render('visuals');
+      }, { class: 'ghost' }),
+    ]));
+    preview();
+    return el;
+  }
+
   function checkbox(value, onchange) {
     const c = h('input', { type: 'checkbox' }); c.checked = !!value; c.addEventListener('change', ()=> onchange(!!c.checked)); return c;
   }
 
+  // Butterchurn presets, auto-cycling and how the result blends over the 3D scene
+  function buildMilkdrop() {
+    const el = h('div', { class: 'section' }, [ h('div', { class: 'section-title' }, 'Milkdrop') ]);
+    const params = sceneApi.state.params;
+    params.milkdrop = withMilkdropDefaults(params.milkdrop);
+    const cfg = () => sceneApi.state.params.milkdrop;
+    const layer = sceneApi.state.milkdrop?.layer;
+    if (!layer) {
+      el.appendChild(h('div', { class: 'session-hint' }, 'Butterchurn has not started yet.'));
+    } else if (layer.status === 'failed') {
+      el.appendChild(h('div', { class: 'session-hint', style: { color: '#ff8a8a' } }, `Butterchurn is unavailable${layer.error ? `: ${layer.error}` : ''}, so the 3D scene shows instead. It loads from a CDN, so this mode needs a network connection the first time.`));
+    } else if (layer.status === 'loading') {
+      el.appendChild(h('div', { class: 'session-hint' }, 'Loading Butterchurn…'));
+      layer.start().then(() => { if (currentTab === 'milkdrop') render('milkdrop'); });
+    }
+
+    const names = getMilkdropPresetNames();
+    const loadFiles = () => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = '.milk,.json';
+      input.multiple = true;
+      input.onchange = async () => {
+        if (!input.files?.length) return;
+        if (Array.from(input.files).some((f) => /\.milk$/i.test(f.name))) showToast('Converting .milk presets…');
+        const { added, failed } = await loadMilkdropFiles(input.files);
+        if (failed.length) console.warn('Milkdrop presets not loaded', failed);
+        showToast(`${added.length} preset${added.length === 1 ? '' : 's'} loaded${failed.length ? `, ${failed.length} file${failed.length === 1 ? '' : 's'} failed` : ''}`);
+        render('milkdrop');
+      };
+      input.click();
+    };
+    el.appendChild(h('div', { class: 'preset-io-actions' }, [
+      button('Load Presets', loadFiles, { class: 'ghost' }),
+      names.length ? button('Clear All', () => { clearMilkdropPresets(); render('milkdrop'); }, { class: 'ghost' }) : null,
+    ]));
+    if (names.length) {
+      const current = cfg().preset;
+      el.appendChild(fieldRow(`Preset (${names.length})`, select(
+        [...(names.includes(current) ? [] : [{ label: current ? `${current} (not loaded)` : '—', value: current }]), ...names.map((n) => ({ label: n, value: n }))],
+        current,
+        (v) => { sceneApi.setMilkdropPreset(v); },
+      )));
+      el.appendChild(h('div', { class: 'preset-io-actions' }, [
+        button('Previous', () => { sceneApi.nextMilkdropPreset({ step: -1 }); render('milkdrop'); }, { class: 'ghost' }),
+        button('Next', () => { sceneApi.nextMilkdropPreset({ step: 1 }); render('milkdrop'); }, { class: 'ghost' }),
+        button('Random', () => { sceneApi.nextMilkdropPreset({ shuffle: true }); render('milkdrop'); }, { class: 'ghost' }),
+        names.includes(current) ? button('Remove', () => { removeMilkdropPreset(current); render('milkdrop'); }, { class: 'ghost' }) : null,
+      ]));
+    } else {
+      el.appendChild(h('div', { class: 'session-hint' }, 'No presets loaded. Load Butterchurn .json presets (single presets or packs) or Milkdrop .milk files.'));
+    }
+
+    el.appendChild(h('div', { class: 'section-title' }, 'Blend'));
+    el.appendChild(fieldRow('Blend Mode', select([
+      { label: 'Screen', value: 'screen' },
+      { label: 'Add', value: 'add' },
+      { label: 'Normal', value: 'normal' },
+    ], cfg().blend, (v) => { cfg().blend = v; })));
+    el.appendChild(fieldRow('Opacity', slider({ min: 0, max: 1, step: 0.01, value: cfg().opacity, resetValue: 0.85, param: 'milkdrop.opacity', oninput: (v) => { cfg().opacity = v; } })));
+    el.appendChild(fieldRow('Show 3D Scene', checkbox(cfg().show3D, (v) => { cfg().show3D = v; })));
+    el.appendChild(fieldRow('Resolution', slider({ min: 0.25, max: 1, step: 0.05, value: cfg().resolution, resetValue: 0.75, param: 'milkdrop.resolution', oninput: (v) => { cfg().resolution = v; } })));
+
+    el.appendChild(h('div', { class: 'section-title' }, 'Auto-Cycle'));
+    el.appendChild(fieldRow('Cycle On', select([
+      { label: 'Off', value: 'off' },
+      { label: 'Drops', value: 'drop' },
+      { label: 'Every N bars', value: 'bars' },
+      { label: 'Drops + every N bars', value: 'dropOrBars' },
+    ], cfg().cycle, (v) => { cfg().cycle = v; })));
+    el.appendChild(fieldRow('Bars', slider({ min: 1, max: 64, step: 1, value: cfg().cycleBars, precision: 0, resetValue: 16, param: 'milkdrop.cycleBars', oninput: (v) => { cfg().cycleBars = v; } })));
+    el.appendChild(fieldRow('Shuffle', checkbox(cfg().shuffle, (v) => { cfg().shuffle = v; })));
+    el.appendChild(fieldRow('Transition (s)', slider({ min: 0, max: 10, step: 0.1, value: cfg().blendSec, resetValue: 2.5, param: 'milkdrop.blendSec', oninput: (v) => { cfg().blendSec = v; } })));
+    el.appendChild(h('div', { class: 'session-hint' }, 'Drops cut to the next preset almost at once; bar changes use the transition. Presets stay loaded for this session only; scene presets remember the preset name and switch to it once it is loaded again.'));
+    return el;
+  }
+
+  // Controls for plugin layers (layer-registry.js) are generated from each layer's schema
+  function buildLayers() {
+    const el = h('div', { class: 'section' }, [ h('div', { class: 'section-title' }, 'Layers') ]);
+    const defs = getRegisteredLayers();
+    if (!defs.length) {
+      el.appendChild(h('div', { class: 'session-hint' }, 'No layers registered. Add a module to src/layers/ (see src/layer-registry.js).'));
+      return el;
+    }
+    const allParams = ensureLayerParams(sceneApi.state.params);
+    const layerControl = (item, params, path) => {
+      const set = (v) => { params[item.key] = clampLayerValue(item, v); };
+      if (item.type === 'boolean') return checkbox(params[item.key], set);
+      if (item.type === 'select') return select(item.options || [], params[item.key], set);
+      return slider({ min: item.min, max: item.max, step: item.step ?? 0.01, value: params[item.key], units: item.units, param: `${path}.${item.key}`, oninput: set });
+    };
+    defs.forEach((def) => {
+      const params = allParams[def.id];
+      el.appendChild(h('div', { class: 'shader-subheader' }, def.label));
+      el.appendChild(fieldRow('Enabled', checkbox(params.enabled, (v) => { params.enabled = v; })));
+      const known = new Set(def.sections.map((sec) => sec.id));
+      const groups = [
+        ...def.sections.map((sec) => ({ label: sec.label, items: def.schema.filter((item) => item.section === sec.id) })),
+        { label: '', items: def.schema.filter((item) => !known.has(item.section)) },
+      ];
+      groups.forEach(({ label, items }) => {
+        if (!items.length) return;
+        if (label) el.appendChild(h('div', { class: 'session-hint' }, label));
+        items.forEach((item) => el.appendChild(fieldRow(item.label || item.key, layerControl(item, params, `layers.${def.id}`))));
+      });
+      el.appendChild(fieldRow('Defaults', button('Reset', () => {
+        Object.assign(params, withLayerDefaults(def, { enabled: params.enabled }));
+        render('layers');
+      }, { class: 'ghost' })));
+    });
+    return el;
+  }
+
   function buildMapping() {
     const m = sceneApi.state.params.map;
     if (!m.shockwave) m.shockwave = { enabled: true, beatIntensity: 0.55, dropIntensity: 1.2, durationMs: 1200 };
@@ -868,83 +1595,179 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
     if (typeof m.chromaLightInfluence !== 'number') m.chromaLightInfluence = 0.22;
     if (typeof m.ringBrightFromChroma !== 'number') m.ringBrightFromChroma = 0.3;
     const el = h('div', { class: 'section' }, [ h('div', { class: 'section-title' }, 'Mapping') ]);
-    el.appendChild(fieldRow('Sphere Size from RMS', slider({ min: 0.0, max: 1.5, step: 0.05, value: m.sizeFromRms, oninput: (v)=>{ m.sizeFromRms = v; } })));
-    el.appendChild(fieldRow('Ring Scale from Bands', slider({ min: 0.0, max: 1.0, step: 0.05, value: m.ringScaleFromBands, oninput: (v)=>{ m.ringScaleFromBands = v; } })));
-    el.appendChild(fieldRow('Ring Speed from Bands', slider({ min: 0.0, max: 3.0, step: 0.1, value: m.ringSpeedFromBands, oninput: (v)=>{ m.ringSpeedFromBands = v; } })));
-    el.appendChild(fieldRow('Camera Shake from Beat', slider({ min: 0.0, max: 1.0, step: 0.05, value: m.cameraShakeFromBeat, oninput: (v)=>{ m.cameraShakeFromBeat = v; } })));
-    el.appendChild(fieldRow('Bloom Color from Centroid', slider({ min: 0.0, max: 1.0, step: 0.05, value: m.colorBoostFromCentroid, oninput: (v)=>{ m.colorBoostFromCentroid = v; } })));
-    el.appendChild(fieldRow('Core Brightness from RMS', slider({ min: 0.0, max: 3.0, step: 0.05, value: m.sphereBrightnessFromRms, oninput: (v)=>{ m.sphereBrightnessFromRms = v; } })));
-    el.appendChild(fieldRow('Core Noise from Mid', slider({ min: 0.0, max: 2.5, step: 0.05, value: m.sphereNoiseFromMid, oninput: (v)=>{ m.sphereNoiseFromMid = v; } })));
-    el.appendChild(fieldRow('Core Pulse from Bass', slider({ min: 0.0, max: 2.0, step: 0.05, value: m.spherePulseFromBass || 0.6, oninput: (v)=>{ m.spherePulseFromBass = v; } })));
-    el.appendChild(fieldRow('Core Sparkle from Treble', slider({ min: 0.0, max: 2.0, step: 0.05, value: m.sphereSparkleFromTreble || 0.5, oninput: (v)=>{ m.sphereSparkleFromTreble = v; } })));
-    el.appendChild(fieldRow('Rings Noise from Bands', slider({ min: 0.0, max: 1.5, step: 0.05, value: m.ringNoiseFromBands, oninput: (v)=>{ m.ringNoiseFromBands = v; } })));
-    el.appendChild(fieldRow('FOV Pump from Bass', slider({ min: 0.0, max: 2.0, step: 0.05, value: m.fovPumpFromBass || 0.6, oninput: (v)=>{ m.fovPumpFromBass = v; } })));
-    el.appendChild(fieldRow('Light Intensity from Bass', slider({ min: 0.0, max: 4.0, step: 0.1, value: m.lightIntensityFromBass, oninput: (v)=>{ m.lightIntensityFromBass = v; } })));
-    el.appendChild(fieldRow('Bass Weight', slider({ min: 0.0, max: 3.0, step: 0.05, value: m.bandWeightBass, oninput: (v)=>{ m.bandWeightBass = v; } })));
-    el.appendChild(fieldRow('Mid Weight', slider({ min: 0.0, max: 3.0, step: 0.05, value: m.bandWeightMid, oninput: (v)=>{ m.bandWeightMid = v; } })));
-    el.appendChild(fieldRow('Treble Weight', slider({ min: 0.0, max: 3.0, step: 0.05, value: m.bandWeightTreble, oninput: (v)=>{ m.bandWeightTreble = v; } })));
-    el.appendChild(fieldRow('Stars from Treble', slider({ min: 0.0, max: 3.0, step: 0.05, value: m.starTwinkleFromTreble, oninput: (v)=>{ m.starTwinkleFromTreble = v; } })));
-    el.appendChild(fieldRow('Ring Tilt from Bass', slider({ min: 0.0, max: 2.0, step: 0.05, value: m.ringTiltFromBass, oninput: (v)=>{ m.ringTiltFromBass = v; } })));
-    el.appendChild(fieldRow('Camera Roll from Centroid Δ', slider({ min: 0.0, max: 0.6, step: 0.01, value: m.cameraRollFromCentroid, oninput: (v)=>{ m.cameraRollFromCentroid = v; } })));
-    el.appendChild(fieldRow('Group Sway from Flux', slider({ min: 0.0, max: 0.6, step: 0.01, value: m.mainSwayFromFlux, oninput: (v)=>{ m.mainSwayFromFlux = v; } })));
-    el.appendChild(fieldRow('Light Hue from Chroma', slider({ min: 0.0, max: 1.0, step: 0.02, value: m.chromaLightInfluence, oninput: (v)=>{ m.chromaLightInfluence = v; } })));
-    el.appendChild(fieldRow('Ring Brightness from Chroma', slider({ min: 0.0, max: 1.5, step: 0.05, value: m.ringBrightFromChroma, oninput: (v)=>{ m.ringBrightFromChroma = v; } })));
+    el.appendChild(fieldRow('Sphere Size from RMS', slider({ min: 0.0, max: 1.5, step: 0.05, value: m.sizeFromRms, param: 'map.sizeFromRms', oninput: (v)=>{ m.sizeFromRms = v; } })));
+    el.appendChild(fieldRow('Ring Scale from Bands', slider({ min: 0.0, max: 1.0, step: 0.05, value: m.ringScaleFromBands, param: 'map.ringScaleFromBands', oninput: (v)=>{ m.ringScaleFromBands = v; } })));
+    el.appendChild(fieldRow('Ring Speed from Bands', slider({ min: 0.0, max: 3.0, step: 0.1, value: m.ringSpeedFromBands, param: 'map.ringSpeedFromBands', oninput: (v)=>{ m.ringSpeedFromBands = v; } })));
+    el.appendChild(fieldRow('Camera Shake from Beat', slider({ min: 0.0, max: 1.0, step: 0.05, value: m.cameraShakeFromBeat, param: 'map.cameraShakeFromBeat', oninput: (v)=>{ m.cameraShakeFromBeat = v; } })));
+    el.appendChild(fieldRow('Bloom Color from Centroid', slider({ min: 0.0, max: 1.0, step: 0.05, value: m.colorBoostFromCentroid, param: 'map.colorBoostFromCentroid', oninput: (v)=>{ m.colorBoostFromCentroid = v; } })));
+    el.appendChild(fieldRow('Core Brightness from RMS', slider({ min: 0.0, max: 3.0, step: 0.05, value: m.sphereBrightnessFromRms, param: 'map.sphereBrightnessFromRms', oninput: (v)=>{ m.sphereBrightnessFromRms = v; } })));
+    el.appendChild(fieldRow('Core Noise from Mid', slider({ min: 0.0, max: 2.5, step: 0.05, value: m.sphereNoiseFromMid, param: 'map.sphereNoiseFromMid', oninput: (v)=>{ m.sphereNoiseFromMid = v; } })));
+    el.appendChild(fieldRow('Core Pulse from Bass', slider({ min: 0.0, max: 2.0, step: 0.05, value: m.spherePulseFromBass || 0.6, param: 'map.spherePulseFromBass', oninput: (v)=>{ m.spherePulseFromBass = v; } })));
+    el.appendChild(fieldRow('Core Sparkle from Treble', slider({ min: 0.0, max: 2.0, step: 0.05, value: m.sphereSparkleFromTreble || 0.5, param: 'map.sphereSparkleFromTreble', oninput: (v)=>{ m.sphereSparkleFromTreble = v; } })));
+    el.appendChild(fieldRow('Rings Noise from Bands', slider({ min: 0.0, max: 1.5, step: 0.05, value: m.ringNoiseFromBands, param: 'map.ringNoiseFromBands', oninput: (v)=>{ m.ringNoiseFromBands = v; } })));
+    el.appendChild(fieldRow('FOV Pump from Bass', slider({ min: 0.0, max: 2.0, step: 0.05, value: m.fovPumpFromBass || 0.6, param: 'map.fovPumpFromBass', oninput: (v)=>{ m.fovPumpFromBass = v; } })));
+    el.appendChild(fieldRow('Light Intensity from Bass', slider({ min: 0.0, max: 4.0, step: 0.1, value: m.lightIntensityFromBass, param: 'map.lightIntensityFromBass', oninput: (v)=>{ m.lightIntensityFromBass = v; } })));
+    el.appendChild(fieldRow('Bass Weight', slider({ min: 0.0, max: 3.0, step: 0.05, value: m.bandWeightBass, param: 'map.bandWeightBass', oninput: (v)=>{ m.bandWeightBass = v; } })));
+    el.appendChild(fieldRow('Mid Weight', slider({ min: 0.0, max: 3.0, step: 0.05, value: m.bandWeightMid, param: 'map.bandWeightMid', oninput: (v)=>{ m.bandWeightMid = v; } })));
+    el.appendChild(fieldRow('Treble Weight', slider({ min: 0.0, max: 3.0, step: 0.05, value: m.bandWeightTreble, param: 'map.bandWeightTreble', oninput: (v)=>{ m.bandWeightTreble = v; } })));
+    el.appendChild(fieldRow('Stars from Treble', slider({ min: 0.0, max: 3.0, step: 0.05, value: m.starTwinkleFromTreble, param: 'map.starTwinkleFromTreble', oninput: (v)=>{ m.starTwinkleFromTreble = v; } })));
+    el.appendChild(fieldRow('Ring Tilt from Bass', slider({ min: 0.0, max: 2.0, step: 0.05, value: m.ringTiltFromBass, param: 'map.ringTiltFromBass', oninput: (v)=>{ m.ringTiltFromBass = v; } })));
+    el.appendChild(fieldRow('Camera Roll from Centroid Δ', slider({ min: 0.0, max: 0.6, step: 0.01, value: m.cameraRollFromCentroid, param: 'map.cameraRollFromCentroid', oninput: (v)=>{ m.cameraRollFromCentroid = v; } })));
+    el.appendChild(fieldRow('Group Sway from Flux', slider({ min: 0.0, max: 0.6, step: 0.01, value: m.mainSwayFromFlux, param: 'map.mainSwayFromFlux', oninput: (v)=>{ m.mainSwayFromFlux = v; } })));
+    el.appendChild(fieldRow('Light Hue from Chroma', slider({ min: 0.0, max: 1.0, step: 0.02, value: m.chromaLightInfluence, param: 'map.chromaLightInfluence', oninput: (v)=>{ m.chromaLightInfluence = v; } })));
+    el.appendChild(fieldRow('Ring Brightness from Chroma', slider({ min: 0.0, max: 1.5, step: 0.05, value: m.ringBrightFromChroma, param: 'map.ringBrightFromChroma', oninput: (v)=>{ m.ringBrightFromChroma = v; } })));
     const eye = m.eye;
     el.appendChild(h('div', { class: 'section-title' }, 'Eye'));
     el.appendChild(fieldRow('Enable Eye', checkbox(eye.enabled !== false, (v) => { eye.enabled = v; sceneApi.setEyeEnabled(v); } )));
-    el.appendChild(fieldRow('Pupil Base', slider({ min: 0.05, max: 0.6, step: 0.01, value: eye.pupilBase ?? 0.22, oninput: (v) => { eye.pupilBase = v; } })));
-    el.appendChild(fieldRow('Pupil Range', slider({ min: 0.0, max: 0.7, step: 0.01, value: eye.pupilRange ?? 0.45, oninput: (v) => { eye.pupilRange = v; } })));
-    el.appendChild(fieldRow('Pupil Attack (s)', slider({ min: 0.02, max: 1.0, step: 0.01, value: eye.pupilAttack ?? 0.18, oninput: (v) => { eye.pupilAttack = v; } })));
-    el.appendChild(fieldRow('Pupil Release (s)', slider({ min: 0.05, max: 1.5, step: 0.01, value: eye.pupilRelease ?? 0.35, oninput: (v) => { eye.pupilRelease = v; } })));
-    el.appendChild(fieldRow('Cat Aspect Max', slider({ min: 0.0, max: 1.0, step: 0.01, value: eye.catAspectMax ?? 0.65, oninput: (v) => { eye.catAspectMax = v; } })));
-    el.appendChild(fieldRow('Hue Mix from Chroma', slider({ min: 0.0, max: 1.0, step: 0.02, value: eye.hueMixFromChroma ?? 0.65, oninput: (v) => { eye.hueMixFromChroma = v; } })));
-    el.appendChild(fieldRow('Saturation from Centroid', slider({ min: 0.0, max: 1.0, step: 0.02, value: eye.saturationFromCentroid ?? 0.5, oninput: (v) => { eye.saturationFromCentroid = v; } })));
-    el.appendChild(fieldRow('Fiber Contrast', slider({ min: 0.2, max: 2.5, step: 0.05, value: eye.fiberContrast ?? 1.2, oninput: (v) => { eye.fiberContrast = v; } })));
-    el.appendChild(fieldRow('Fiber Noise Scale', slider({ min: 0.4, max: 5.0, step: 0.1, value: eye.fiberNoiseScale ?? 3.0, oninput: (v) => { eye.fiberNoiseScale = v; } })));
-    el.appendChild(fieldRow('Limbal Darkness', slider({ min: 0.0, max: 1.5, step: 0.05, value: eye.limbusDarkness ?? 0.55, oninput: (v) => { eye.limbusDarkness = v; } })));
+    el.appendChild(fieldRow('Pupil Base', slider({ min: 0.05, max: 0.6, step: 0.01, value: eye.pupilBase ?? 0.22, param: 'map.eye.pupilBase', oninput: (v) => { eye.pupilBase = v; } })));
+    el.appendChild(fieldRow('Pupil Range', slider({ min: 0.0, max: 0.7, step: 0.01, value: eye.pupilRange ?? 0.45, param: 'map.eye.pupilRange', oninput: (v) => { eye.pupilRange = v; } })));
+    el.appendChild(fieldRow('Pupil Attack (s)', slider({ min: 0.02, max: 1.0, step: 0.01, value: eye.pupilAttack ?? 0.18, param: 'map.eye.pupilAttack', oninput: (v) => { eye.pupilAttack = v; } })));
+    el.appendChild(fieldRow('Pupil Release (s)', slider({ min: 0.05, max: 1.5, step: 0.01, value: eye.pupilRelease ?? 0.35, param: 'map.eye.pupilRelease', oninput: (v) => { eye.pupilRelease = v; } })));
+    el.appendChild(fieldRow('Cat Aspect Max', slider({ min: 0.0, max: 1.0, step: 0.01, value: eye.catAspectMax ?? 0.65, param: 'map.eye.catAspectMax', oninput: (v) => { eye.catAspectMax = v; } })));
+    el.appendChild(fieldRow('Hue Mix from Chroma', slider({ min: 0.0, max: 1.0, step: 0.02, value: eye.hueMixFromChroma ?? 0.65, param: 'map.eye.hueMixFromChroma', oninput: (v) => { eye.hueMixFromChroma = v; } })));
+    el.appendChild(fieldRow('Saturation from Centroid', slider({ min: 0.0, max: 1.0, step: 0.02, value: eye.saturationFromCentroid ?? 0.5, param: 'map.eye.saturationFromCentroid', oninput: (v) => { eye.saturationFromCentroid = v; } })));
+    el.appendChild(fieldRow('Fiber Contrast', slider({ min: 0.2, max: 2.5, step: 0.05, value: eye.fiberContrast ?? 1.2, param: 'map.eye.fiberContrast', oninput: (v) => { eye.fiberContrast = v; } })));
+    el.appendChild(fieldRow('Fiber Noise Scale', slider({ min: 0.4, max: 5.0, step: 0.1, value: eye.fiberNoiseScale ?? 3.0, param: 'map.eye.fiberNoiseScale', oninput: (v) => { eye.fiberNoiseScale = v; } })));
+    el.appendChild(fieldRow('Limbal Darkness', slider({ min: 0.0, max: 1.5, step: 0.05, value: eye.limbusDarkness ?? 0.55, param: 'map.eye.limbusDarkness', oninput: (v) => { eye.limbusDarkness = v; } })));
+    el.appendChild(fieldRow('Iris Spectrum', slider({ min: 0.0, max: 1.5, step: 0.05, value: eye.irisSpectrum ?? 0, param: 'map.eye.irisSpectrum', oninput: (v) => { eye.irisSpectrum = v; } })));
     el.appendChild(fieldRow('Blink on Drop', checkbox(eye.blinkOnDrop !== false, (v) => { eye.blinkOnDrop = v; } )));
-    el.appendChild(fieldRow('Blink Duration (ms)', slider({ min: 60, max: 400, step: 5, value: eye.blinkDurationMs ?? 150, oninput: (v) => { eye.blinkDurationMs = v; } })));
-    el.appendChild(fieldRow('Random Blink Min (s)', slider({ min: 3, max: 30, step: 1, value: eye.randomBlinkMinSec ?? 12, oninput: (v) => { eye.randomBlinkMinSec = v; } })));
-    el.appendChild(fieldRow('Random Blink Max (s)', slider({ min: 5, max: 45, step: 1, value: eye.randomBlinkMaxSec ?? 28, oninput: (v) => { eye.randomBlinkMaxSec = v; } })));
+    el.appendChild(fieldRow('Blink Duration (ms)', slider({ min: 60, max: 400, step: 5, value: eye.blinkDurationMs ?? 150, param: 'map.eye.blinkDurationMs', oninput: (v) => { eye.blinkDurationMs = v; } })));
+    el.appendChild(fieldRow('Random Blink Min (s)', slider({ min: 3, max: 30, step: 1, value: eye.randomBlinkMinSec ?? 12, param: 'map.eye.randomBlinkMinSec', oninput: (v) => { eye.randomBlinkMinSec = v; } })));
+    el.appendChild(fieldRow('Random Blink Max (s)', slider({ min: 5, max: 45, step: 1, value: eye.randomBlinkMaxSec ?? 28, param: 'map.eye.randomBlinkMaxSec', oninput: (v) => { eye.randomBlinkMaxSec = v; } })));
     el.appendChild(fieldRow('Cornea Layer', checkbox(eye.corneaEnabled !== false, (v) => { eye.corneaEnabled = v; sceneApi.setEyeCorneaEnabled(v); } )));
-    el.appendChild(fieldRow('Cornea Fresnel', slider({ min: 0.2, max: 3.0, step: 0.05, value: eye.corneaFresnel ?? 1.25, oninput: (v) => { eye.corneaFresnel = v; } })));
-    el.appendChild(fieldRow('Cornea Tint Mix', slider({ min: 0.0, max: 1.0, step: 0.02, value: eye.corneaTintMix ?? 0.25, oninput: (v) => { eye.corneaTintMix = v; } })));
-    el.appendChild(fieldRow('Cornea Opacity', slider({ min: 0.1, max: 1.0, step: 0.02, value: eye.corneaOpacity ?? 0.65, oninput: (v) => { eye.corneaOpacity = v; } })));
-    el.appendChild(fieldRow('Glint Size', slider({ min: 0.01, max: 0.1, step: 0.002, value: eye.glintSize ?? 0.035, oninput: (v) => { eye.glintSize = v; } })));
-    el.appendChild(fieldRow('Glint Intensity', slider({ min: 0.0, max: 2.0, step: 0.05, value: eye.glintIntensity ?? 1.2, oninput: (v) => { eye.glintIntensity = v; } })));
+    el.appendChild(fieldRow('Cornea Fresnel', slider({ min: 0.2, max: 3.0, step: 0.05, value: eye.corneaFresnel ?? 1.25, param: 'map.eye.corneaFresnel', oninput: (v) => { eye.corneaFresnel = v; } })));
+    el.appendChild(fieldRow('Cornea Tint Mix', slider({ min: 0.0, max: 1.0, step: 0.02, value: eye.corneaTintMix ?? 0.25, param: 'map.eye.corneaTintMix', oninput: (v) => { eye.corneaTintMix = v; } })));
+    el.appendChild(fieldRow('Cornea Opacity', slider({ min: 0.1, max: 1.0, step: 0.02, value: eye.corneaOpacity ?? 0.65, param: 'map.eye.corneaOpacity', oninput: (v) => { eye.corneaOpacity = v; } })));
+    el.appendChild(fieldRow('Glint Size', slider({ min: 0.01, max: 0.1, step: 0.002, value: eye.glintSize ?? 0.035, param: 'map.eye.glintSize', oninput: (v) => { eye.glintSize = v; } })));
+    el.appendChild(fieldRow('Glint Intensity', slider({ min: 0.0, max: 2.0, step: 0.05, value: eye.glintIntensity ?? 1.2, param: 'map.eye.glintIntensity', oninput: (v) => { eye.glintIntensity = v; } })));
     el.appendChild(fieldRow('Predator Mode', checkbox(!!sceneApi.state.eye?.predatorMode, (v) => sceneApi.setEyePredatorMode(v) )));
     el.appendChild(fieldRow('Manual Blink', button('Blink', () => sceneApi.triggerEyeBlink())));
 
     el.appendChild(h('div', { class: 'section-title' }, 'Shockwave Pulse'));
     el.appendChild(fieldRow('Enable', checkbox(m.shockwave.enabled !== false, (v)=>{ m.shockwave.enabled = v; } )));
-    el.appendChild(fieldRow('Beat Strength', slider({ min: 0.0, max: 1.5, step: 0.05, value: m.shockwave.beatIntensity ?? 0.55, oninput: (v)=>{ m.shockwave.beatIntensity = v; } })));
-    el.appendChild(fieldRow('Drop Strength', slider({ min: 0.2, max: 3.0, step: 0.05, value: m.shockwave.dropIntensity ?? 1.2, oninput: (v)=>{ m.shockwave.dropIntensity = v; } })));
-    el.appendChild(fieldRow('Duration (ms)', slider({ min: 200, max: 2000, step: 20, value: m.shockwave.durationMs ?? 1200, oninput: (v)=>{ m.shockwave.durationMs = v; } })));
+    el.appendChild(fieldRow('Beat Strength', slider({ min: 0.0, max: 1.5, step: 0.05, value: m.shockwave.beatIntensity ?? 0.55, param: 'map.shockwave.beatIntensity', oninput: (v)=>{ m.shockwave.beatIntensity = v; } })));
+    el.appendChild(fieldRow('Drop Strength', slider({ min: 0.2, max: 3.0, step: 0.05, value: m.shockwave.dropIntensity ?? 1.2, param: 'map.shockwave.dropIntensity', oninput: (v)=>{ m.shockwave.dropIntensity = v; } })));
+    el.appendChild(fieldRow('Duration (ms)', slider({ min: 200, max: 2000, step: 20, value: m.shockwave.durationMs ?? 1200, param: 'map.shockwave.durationMs', oninput: (v)=>{ m.shockwave.durationMs = v; } })));
+    const shockSourceOpts = [{ label: 'Beats (mix)', value: 0 }, ...(audioEngine.channels?.groups || []).map((g, i) => ({ label: `Onsets: ${g.name}`, value: i + 1 }))];
+    el.appendChild(fieldRow('Trigger Source', select(shockSourceOpts, m.shockwave.channel || 0, (v) => { m.shockwave.channel = Number(v) || 0; })));
     el.appendChild(fieldRow('Preview Pulse', button('Trigger', ()=> sceneApi.triggerShockwave(Math.max(0.6, m.shockwave.dropIntensity ?? 1.0), m.shockwave.durationMs))));
+    el.appendChild(h('div', { class: 'section-title' }, 'Drop Build-Up'));
+    if (!m.drop) m.drop = {};
+    el.appendChild(fieldRow('Build-Up Bars', slider({ min: 0, max: 32, step: 1, value: m.drop.buildUpBars ?? 8, param: 'map.drop.buildUpBars', oninput: (v)=>{ m.drop.buildUpBars = v; } })));
+    el.appendChild(fieldRow('Build-Up Glow', slider({ min: 0.0, max: 2.0, step: 0.05, value: m.drop.buildUpGlow ?? 0.5, param: 'map.drop.buildUpGlow', oninput: (v)=>{ m.drop.buildUpGlow = v; } })));
+    el.appendChild(h('div', { class: 'session-hint' }, 'For files with song sections: bloom, chromatic offset and a narrowing view ramp up over the bars before a drop.'));
+    el.appendChild(h('div', { class: 'section-title' }, 'Spectrum'));
+    el.appendChild(fieldRow('Spectrum Displace', slider({ min: 0.0, max: 3.0, step: 0.05, value: m.spectrumDisplace ?? 0, param: 'map.spectrumDisplace', oninput: (v)=>{ m.spectrumDisplace = v; } })));
+    el.appendChild(h('div', { class: 'session-hint' }, 'Pushes sphere and ring particles outward by the FFT bin at their angle. The audio textures follow the Effects Profile: "off" stops the uploads.'));
     el.appendChild(h('div', { class: 'section-title' }, 'Chromatic Aberration'));
-    el.appendChild(fieldRow('Base Offset', slider({ min: 0.0, max: 0.0025, step: 0.00005, value: m.chromatic.base ?? 0.00025, oninput: (v)=>{ m.chromatic.base = v; } })));
-    el.appendChild(fieldRow('Treble Gain', slider({ min: 0.0, max: 0.0035, step: 0.00005, value: m.chromatic.treble ?? 0.0009, oninput: (v)=>{ m.chromatic.treble = v; } })));
-    el.appendChild(fieldRow('Beat Boost', slider({ min: 0.0, max: 0.004, step: 0.0001, value: m.chromatic.beat ?? 0.0012, oninput: (v)=>{ m.chromatic.beat = v; } })));
-    el.appendChild(fieldRow('Drop Boost', slider({ min: 0.0, max: 0.005, step: 0.0001, value: m.chromatic.drop ?? 0.0024, oninput: (v)=>{ m.chromatic.drop = v; } })));
-    el.appendChild(fieldRow('Lerp Smoothness', slider({ min: 0.02, max: 0.4, step: 0.01, value: m.chromatic.lerp ?? 0.14, oninput: (v)=>{ m.chromatic.lerp = v; } })));
+    el.appendChild(fieldRow('Base Offset', slider({ min: 0.0, max: 0.0025, step: 0.00005, value: m.chromatic.base ?? 0.00025, param: 'map.chromatic.base', oninput: (v)=>{ m.chromatic.base = v; } })));
+    el.appendChild(fieldRow('Treble Gain', slider({ min: 0.0, max: 0.0035, step: 0.00005, value: m.chromatic.treble ?? 0.0009, param: 'map.chromatic.treble', oninput: (v)=>{ m.chromatic.treble = v; } })));
+    el.appendChild(fieldRow('Beat Boost', slider({ min: 0.0, max: 0.004, step: 0.0001, value: m.chromatic.beat ?? 0.0012, param: 'map.chromatic.beat', oninput: (v)=>{ m.chromatic.beat = v; } })));
+    el.appendChild(fieldRow('Drop Boost', slider({ min: 0.0, max: 0.005, step: 0.0001, value: m.chromatic.drop ?? 0.0024, param: 'map.chromatic.drop', oninput: (v)=>{ m.chromatic.drop = v; } })));
+    el.appendChild(fieldRow('Lerp Smoothness', slider({ min: 0.02, max: 0.4, step: 0.01, value: m.chromatic.lerp ?? 0.14, param: 'map.chromatic.lerp', oninput: (v)=>{ m.chromatic.lerp = v; } })));
     // Advanced Mapping
     el.appendChild(h('div', { class: 'section-title' }, 'Advanced Mapping'));
     el.appendChild(fieldRow('Enable Advanced', checkbox(!!m.advancedMapping, (v)=>{ m.advancedMapping = v; } )));
-    const triplet = (label, obj) => h('div', { class: 'row' }, [ h('div', { class: 'label' }, label), h('div', { class: 'control' }, [
-      slider({ min: 0.0, max: 2.0, step: 0.05, value: obj.bass, oninput: (v)=>{ obj.bass = v; } }),
-      slider({ min: 0.0, max: 2.0, step: 0.05, value: obj.mid, oninput: (v)=>{ obj.mid = v; } }),
-      slider({ min: 0.0, max: 2.0, step: 0.05, value: obj.treble, oninput: (v)=>{ obj.treble = v; } }),
-    ]) ]);
+    const triplet = (label, key) => {
+      const obj = m[key];
+      const sliders = ['bass', 'mid', 'treble'].map((band) => {
+        const wrap = slider({ min: 0.0, max: 2.0, step: 0.05, value: obj[band], param: `map.${key}.${band}`, oninput: (v)=>{ obj[band] = v; } });
+        registerSliderTarget(`param:map.${key}.${band}`, `${label} ${band}`, wrap);
+        return wrap;
+      });
+      return h('div', { class: 'row' }, [ h('div', { class: 'label' }, label), h('div', { class: 'control' }, sliders) ]);
+    };
     if (m.advancedMapping) {
-      el.appendChild(triplet('Size Weights (Bass/Mid/Treble)', m.sizeWeights));
-      el.appendChild(triplet('Ring Scale Weights (B/M/T)', m.ringScaleWeights));
-      el.appendChild(triplet('Ring Speed Weights (B/M/T)', m.ringSpeedWeights));
-      el.appendChild(triplet('Core Noise Weights (B/M/T)', m.sphereNoiseWeights));
-      el.appendChild(triplet('Ring Noise Weights (B/M/T)', m.ringNoiseWeights));
+      el.appendChild(triplet('Size Weights (Bass/Mid/Treble)', 'sizeWeights'));
+      el.appendChild(triplet('Ring Scale Weights (B/M/T)', 'ringScaleWeights'));
+      el.appendChild(triplet('Ring Speed Weights (B/M/T)', 'ringSpeedWeights'));
+      el.appendChild(triplet('Core Noise Weights (B/M/T)', 'sphereNoiseWeights'));
+      el.appendChild(triplet('Ring Noise Weights (B/M/T)', 'ringNoiseWeights'));
     }
     return el;
   }
 
+  function buildModMatrix() {
+    const el = h('div', { class: 'section' }, [ h('div', { class: 'section-title' }, 'Mod Matrix') ]);
+    if (!modMatrix) {
+      el.appendChild(h('div', { class: 'session-hint' }, 'Modulation matrix unavailable.'));
+      return el;
+    }
+    el.appendChild(h('div', { class: 'session-hint' },
+      'Route any audio feature or LFO to any numeric param, on top of the Mapping tab. Each frame: value = base + amount × (curve(source) + offset), clamped to the range. Routes are saved with presets.'));
+    const params = sceneApi.state.params;
+    const targets = listModTargets(params);
+    const targetOpts = targets.map((t) => ({ label: `${t.group} · ${t.label}`, value: t.id }));
+    const sourceOpts = MOD_SOURCES.map((src) => ({ label: src.label, value: src.id }));
+    const curveOpts = Object.keys(MOD_CURVES).map((c) => ({ label: c, value: c }));
+    const rangeInput = (value, placeholder, onchange) => {
+      const input = h('input', { type: 'number', step: 'any', value: value == null ? '' : String(value), placeholder, title: 'Blank = target range' });
+      input.style.width = '80px';
+      input.addEventListener('change', () => onchange(input.value.trim() === '' ? null : Number(input.value)));
+      return input;
+    };
+
+    const routes = modMatrix.getRoutes();
+    if (!routes.length) el.appendChild(h('div', { class: 'session-hint' }, 'No routes yet.'));
+    routes.forEach((route, index) => {
+      const update = (patch, rerender = false) => {
+        modMatrix.updateRoute(route.id, patch);
+        if (rerender) render('mod');
+      };
+      const target = targets.find((t) => t.id === route.target);
+      const opts = target ? targetOpts : [{ label: route.target, value: route.target }, ...targetOpts];
+      // Amount is in target units, so size the slider to the target's range
+      const base = Number(route.target.split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), params)) || 0;
+      const span = target && Number.isFinite(target.max - target.min) ? target.max - target.min : Math.max(1, Math.abs(base) * 2);
+      const routeValue = (key) => () => modMatrix.getRoutes().find((r) => r.id === route.id)?.[key];
+      el.appendChild(h('div', { class: 'shader-subheader' }, `Route ${index + 1}`));
+      el.appendChild(fieldRow('Enabled', h('div', {}, [
+        checkbox(route.enabled, (v) => update({ enabled: v })),
+        button('Remove', () => { modMatrix.removeRoute(route.id); render('mod'); }, { class: 'ghost' }),
+      ])));
+      el.appendChild(fieldRow('Source', select(sourceOpts, route.source, (v) => update({ source: v }))));
+      el.appendChild(fieldRow('Target', select(opts, route.target, (v) => update({ target: v, min: null, max: null }, true))));
+      if (!modMatrix.isTargetAllowed(route.target)) {
+        el.appendChild(h('div', { class: 'session-hint' }, 'This param is locked by the preset guard rails. Enable its modulation in the preset library (L) to let this route drive it.'));
+      }
+      el.appendChild(fieldRow(`R${index + 1} Amount`, slider({ min: -span, max: span, step: span / 200, value: Math.max(-span, Math.min(span, route.amount)), precision: 4, param: `mod.routes.${route.id}.amount`, read: routeValue('amount'), oninput: (v) => update({ amount: v }) })));
+      el.appendChild(fieldRow('Curve', select(curveOpts, route.curve, (v) => update({ curve: v }))));
+      el.appendChild(fieldRow(`R${index + 1} Offset`, slider({ min: -1, max: 1, step: 0.01, value: route.offset, param: `mod.routes.${route.id}.offset`, read: routeValue('offset'), oninput: (v) => update({ offset: v }) })));
+      el.appendChild(fieldRow(`R${index + 1} Smoothing`, slider({ min: 0, max: 2000, step: 10, value: route.smoothingMs, units: ' ms', param: `mod.routes.${route.id}.smoothingMs`, read: routeValue('smoothingMs'), oninput: (v) => update({ smoothingMs: v }) })));
+      el.appendChild(fieldRow('Range', h('div', {}, [
+        rangeInput(route.min, target?.min != null ? String(target.min) : 'min', (v) => update({ min: v })),
+        ' to ',
+        rangeInput(route.max, target?.max != null ? String(target.max) : 'max', (v) => update({ max: v })),
+      ])));
+    });
+    el.appendChild(h('div', { class: 'preset-actions' }, [
+      button('Add Route', () => { modMatrix.addRoute({ source: 'band.bass', target: 'dispersion.zoomGain', amount: 0 }); render('mod'); }, { class: 'ghost' }),
+    ]));
+
+    el.appendChild(h('div', { class: 'shader-subheader' }, 'LFOs'));
+    const tempo = modMatrix.getTempoPosition();
+    el.appendChild(h('div', { class: 'session-hint' },
+      `Beat / bar LFOs lock to the file's beat grid, else the tap or auto tempo grid (now: ${tempo.source}, ${Math.round(tempo.bpm)} BPM, ${tempo.beatsPerBar} beats per bar).`));
+    const shapeOpts = Object.keys(LFO_SHAPES).map((shape) => ({ label: shape, value: shape }));
+    const syncOpts = [{ label: 'Hz', value: 'hz' }, { label: 'Beats', value: 'beats' }, { label: 'Bars', value: 'bars' }];
+    modMatrix.getLfos().forEach((lfo, i) => {
+      el.appendChild(fieldRow(`LFO ${i + 1}`, h('div', {}, [
+        select(shapeOpts, lfo.shape, (v) => modMatrix.updateLfo(i, { shape: v })),
+        select(syncOpts, lfo.sync, (v) => { modMatrix.updateLfo(i, { sync: v }); render('mod'); }),
+      ])));
+      if (lfo.sync === 'hz') {
+        el.appendChild(fieldRow(`LFO ${i + 1} Rate`, slider({ min: 0.01, max: 10, step: 0.01, value: lfo.rateHz, units: ' Hz', param: `mod.lfos.${i}.rateHz`, read: () => modMatrix.getLfos()[i]?.rateHz, oninput: (v) => modMatrix.updateLfo(i, { rateHz: v }) })));
+      } else {
+        const unit = lfo.sync === 'bars' ? 'bar' : 'beat';
+        const lengthOpts = LFO_SYNC_LENGTHS.map((n) => ({ label: `${n < 1 ? `1/${Math.round(1 / n)}` : n} ${unit}${n > 1 ? 's' : ''}`, value: String(n) }));
+        const lengthValue = LFO_SYNC_LENGTHS.includes(lfo.length) ? String(lfo.length) : '1';
+        el.appendChild(fieldRow(`LFO ${i + 1} Length`, select(lengthOpts, lengthValue, (v) => modMatrix.updateLfo(i, { length: Number(v) }))));
+      }
+      el.appendChild(fieldRow(`LFO ${i + 1} Phase`, slider({ min: 0, max: 1, step: 0.01, value: lfo.phase, precision: 2, param: `mod.lfos.${i}.phase`, read: () => modMatrix.getLfos()[i]?.phase, oninput: (v) => modMatrix.updateLfo(i, { phase: v }) })));
+    });
+    return el;
+  }
+
   function buildTempo() {
     const el = h('div', { class: 'section' }, [ h('div', { class: 'section-title' }, 'Tempo Assist') ]);
     el.appendChild(fieldRow('Enable', checkbox(audioEngine.tempoAssistEnabled, (v)=> audioEngine.setTempoAssistEnabled(v) )));
@@ -987,6 +1810,148 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
     return el;
   }
 
+  // Fragment shader choice, custom shader editor and the controls for its declared uniforms
+  function buildFragmentShaderSection() {
+    const el = h('div', { class: 'section' }, [ h('div', { class: 'section-title' }, 'Fragment Shader') ]);
+    const params = sceneApi.state.params;
+    const currentId = params.dispersionShaderVariant || 'classic';
+    const variantLabels = { classic: 'Classic', vortexDrill: 'Vortex Drill' };
+    const apply = (id) => {
+      const result = sceneApi.setDispersionShader(id);
+      if (!result.ok) showToast('Shader failed to compile – see errors');
+      render('shader');
+    };
+    el.appendChild(fieldRow('Shader', select([
+      ...DISPERSION_VARIANTS.map((v) => ({ label: variantLabels[v] || v, value: v })),
+      ...getCustomShaders().map((s) => ({ label: s.name, value: s.id })),
+    ], currentId, apply)));
+
+    // Compile errors from the last attempt, with line numbers in the shader source
+    const failure = sceneApi.state.dispersion?.shaderError;
+    if (failure) {
+      const list = h('div', { class: 'session-hint', style: { color: '#ff8a8a', fontFamily: 'monospace', whiteSpace: 'pre-wrap' } }, [
+        `"${failure.name}" failed to compile; showing Classic.\n`,
+        ...failure.errors.map((e) => `${e.line != null ? `Line ${e.line}: ` : ''}${e.message}\n`),
+      ]);
+      el.appendChild(list);
+    }
+
+    const custom = getCustomShader(currentId);
+    if (custom && !shaderDraft) {
+      const all = params.dispersionShaderUniforms || (params.dispersionShaderUniforms = {});
+      const values = all[custom.id] || (all[custom.id] = {});
+      parseCustomUniforms(shaderProgramSource(custom).source).forEach((u) => {
+        const value = values[u.name] ?? u.default;
+        if (u.type === 'bool') {
+          el.appendChild(fieldRow(u.label, checkbox(value, (v) => { values[u.name] = v; })));
+        } else if (u.type === 'vec3') {
+          const input = h('input', { type: 'color', value });
+          input.addEventListener('input', () => { values[u.name] = input.value; });
+          el.appendChild(fieldRow(u.label, input));
+        } else {
+          el.appendChild(fieldRow(u.label, slider({
+            min: u.min, max: u.max, step: u.step, value,
+            precision: u.type === 'int' ? 0 : undefined,
+            resetValue: u.default,
+            param: `dispersionShaderUniforms.${custom.id}.${u.name}`,
+            read: () => values[u.name] ?? u.default,
+            oninput: (v) => { values[u.name] = v; },
+          })));
+        }
+      });
+    }
+
+    if (!shaderDraft) {
+      el.appendChild(h('div', { class: 'preset-io-actions' }, [
+        button('New', () => { shaderDraft = { id: '', name: 'New Shader', format: 'glsl', source: SHADER_TEMPLATE }; render('shader'); }, { class: 'ghost' }),
+        button('Import ShaderToy', () => { shaderDraft = { id: '', name: 'ShaderToy Import', format: 'shadertoy', source: SHADERTOY_TEMPLATE }; render('shader'); }, { class: 'ghost' }),
+        custom ? button('Edit', () => { shaderDraft = { ...custom }; render('shader'); }, { class: 'ghost' }) : null,
+        button('Load File', () => {
+          const input = document.createElement('input');
+          input.type = 'file';
+          input.accept = '.frag,.glsl,.fs,.txt';
+          input.onchange = async () => {
+            const file = input.files?.[0];
+            if (!file) return;
+            try {
+              const source = await file.text();
+              shaderDraft = { id: '', name: file.name.replace(/\.[^.]+$/, ''), format: isShaderToySource(source) ? 'shadertoy' : 'glsl', source };
+              render('shader');
+            } catch (err) {
+              console.error(err);
+              showToast('Could not read shader file');
+            }
+          };
+          input.click();
+        }, { class: 'ghost' }),
+      ]));
+      return el;
+    }
+
+    const draft = shaderDraft;
+    const nameInput = h('input', { type: 'text', value: draft.name, placeholder: 'Shader name' });
+    nameInput.addEventListener('input', () => { draft.name = nameInput.value; });
+    el.appendChild(fieldRow('Name', nameInput));
+    const templates = { glsl: SHADER_TEMPLATE, shadertoy: SHADERTOY_TEMPLATE };
+    el.appendChild(fieldRow('Format', select([
+      { label: 'GLSL (dispersion uniforms)', value: 'glsl' },
+      { label: 'ShaderToy (mainImage)', value: 'shadertoy' },
+    ], draft.format || 'glsl', (v) => {
+      // An untouched template follows the format
+      if (draft.source === templates[draft.format || 'glsl']) draft.source = templates[v];
+      draft.format = v;
+      render('shader');
+    })));
+    const editor = h('textarea', { rows: '18', spellcheck: 'false', style: { width: '100%', fontFamily: 'monospace', fontSize: '12px', whiteSpace: 'pre', tabSize: '2' } });
+    editor.value = draft.source;
+    editor.addEventListener('input', () => { draft.source = editor.value; });
+    el.appendChild(editor);
+    // Errors for this shader link to their line in the editor
+    if (failure && failure.id === draft.id) {
+      const jump = h('div', { class: 'preset-io-actions' });
+      failure.errors.filter((e) => e.line != null).forEach((e) => {
+        jump.appendChild(button(`Line ${e.line}`, () => {
+          const lines = editor.value.split('\n');
+          const start = lines.slice(0, e.line - 1).reduce((n, l) => n + l.length + 1, 0);
+          editor.focus();
+          editor.setSelectionRange(start, start + (lines[e.line - 1] || '').length);
+        }, { class: 'ghost', title: e.message }));
+      });
+      el.appendChild(jump);
+    }
+
+    el.appendChild(h('div', { class: 'preset-io-actions' }, [
+      button('Compile & Apply', () => {
+        try {
+          const saved = saveCustomShader(draft, { reservedIds: DISPERSION_VARIANTS });
+          draft.id = saved.id;
+          const result = sceneApi.setDispersionShader(saved.id);
+          if (result.ok) {
+            shaderDraft = null;
+            showToast(`Shader "${saved.name}" applied`);
+          } else {
+            showToast(`Shader failed to compile (${result.errors.length} error${result.errors.length === 1 ? '' : 's'})`);
+          }
+        } catch (err) {
+          console.error(err);
+          showToast(err.message);
+        }
+        render('shader');
+      }),
+      draft.id && getCustomShader(draft.id) ? button('Delete', () => {
+        if (!confirm(`Delete shader "${draft.name}"?`)) return;
+        deleteCustomShader(draft.id);
+        shaderDraft = null;
+        render('shader');
+      }, { class: 'ghost' }) : null,
+      button('Close', () => { shaderDraft = null; render('shader'); }, { class: 'ghost' }),
+    ]));
+    el.appendChild(h('div', { class: 'session-hint' }, draft.format === 'shadertoy'
+      ? 'Paste the Image tab. iTime, iTimeDelta, iResolution, iMouse, iFrame and iChannel0 (512×2 audio: FFT row at y = 0.25, waveform at y = 0.75) are provided; other iChannels are not. Travel → iTime and Twist → Coords sliders bend the shader with the dispersion modulation.'
+      : 'Write against the dispersion uniforms (r, t, zoom, offset, uWarp, uTwist, uTravel, uTint…) and set gl_FragColor. Declare uniform sampler2D uAudioFFT, uAudioWave or uAudioSpectrogram for the raw spectrum, waveform and spectrum history. Other uniforms get controls; a trailing comment sets the range, e.g. // min=0 max=4 default=1 label="Spin".'));
+    return el;
+  }
+
   function buildShader() {
     ensureDispersionParams();
     const mode = sceneApi.state.params.visualMode || 'overlay';
@@ -1000,6 +1965,7 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
     if (mode === 'overlay') {
       root.appendChild(fieldRow('Enable Overlay', checkbox(!!sceneApi.state.params.enableDispersion, (v) => { sceneApi.state.params.enableDispersion = v; updatePinnedHudOverlay(); })));
     }
+    root.appendChild(buildFragmentShaderSection());
 
     let renderSnapshots = () => {};
     let renderPinned = () => {};
@@ -1175,6 +2141,10 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
       const params = ensureDispersionParams();
       const value = params[schema.key];
       const row = h('div', { class: 'row shader-control-row' + (compact ? ' compact' : '') });
+      if (midiController && schema.type !== 'select') {
+        row.setAttribute('data-midi-target', `dispersion:${schema.key}`);
+        if (midiController.hasBinding(`dispersion:${schema.key}`)) row.classList.add('midi-bound');
+      }
       const labelWrap = h('div', { class: 'label shader-label' });
       const labelText = h('span', { class: 'shader-label-text' }, schema.label);
       labelWrap.appendChild(labelText);
@@ -1656,6 +2626,7 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
     actions.appendChild(compareBtn);
 
     el.appendChild(actions);
+    el.appendChild(buildPresetTransitionSection());
 
     // Quick apply: Built-in Presets
     try {
@@ -1701,7 +2672,7 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
           h('div', { class: 'control' }, [
             button('Load', () => {
               try {
-                presetManager.load(entry.id);
+                presetManager.load(entry.id, presetLoadOptions());
                 showToast(`Loaded ${entry.name}`);
               } catch (err) {
                 console.error(err);
@@ -1725,7 +2696,7 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
           h('div', { class: 'control' }, [
             button('Load', () => {
               try {
-                presetManager.load(fav.id);
+                presetManager.load(fav.id, presetLoadOptions());
                 showToast(`Loaded ${fav.name}`);
               } catch (err) {
                 console.error(err);
@@ -1805,6 +2776,125 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
     const exports = h('div', { class: 'preset-io-actions' }, [exportBtn, importBtn]);
     el.appendChild(exports);
 
+    if (cueList) el.appendChild(buildCueListSection());
+    return el;
+  }
+
+  function buildCueListSection() {
+    const el = h('div', { class: 'section cue-list' }, [ h('div', { class: 'section-title' }, 'Cue List') ]);
+    const status = h('span', { class: 'value-chip' }, '');
+    const describeStatus = () => {
+      const st = cueList.getStatus();
+      if (!st.count) return 'No cues';
+      if (!st.armedCue) return 'End of list';
+      const trig = st.armedCue.trigger.type;
+      const when = trig === 'bars' ? `in ${st.beatsRemaining} beats` : (trig === 'drop' ? 'on next drop' : 'on GO');
+      return `${st.running ? '▶' : '■'} Next #${st.armedIndex + 1} ${when}`;
+    };
+    status.textContent = describeStatus();
+    if (cueList.running) {
+      const timer = setInterval(() => {
+        if (!status.isConnected) { clearInterval(timer); return; }
+        status.textContent = describeStatus();
+      }, 200);
+    }
+    const transport = h('div', { class: 'session-summary' }, [
+      cueList.running
+        ? button('Stop', () => cueList.stop())
+        : button('Start', () => { if (!cueList.start()) showToast('Add a cue first'); }, { class: 'ghost' }),
+      button('GO (G)', () => { if (!cueList.go()) showToast('No cue armed'); }),
+      button('Back', () => cueList.back(), { class: 'ghost', title: 'Shift+G' }),
+      button('Reset', () => cueList.reset(), { class: 'ghost' }),
+      status,
+    ]);
+    el.appendChild(fieldRow('Show', transport));
+
+    const presetOpts = () => {
+      const list = presetManager ? presetManager.list() : [];
+      return [{ label: '— preset —', value: '' }, ...list.map((p) => ({ label: p.name, value: p.id }))];
+    };
+    const shaderOpts = () => {
+      const { saved, builtIn, styles } = cueList.getShaderPresetNames();
+      return [
+        { label: '— shader preset —', value: '' },
+        ...saved.map((n) => ({ label: `Saved · ${n}`, value: n })),
+        ...builtIn.map((n) => ({ label: `Built-in · ${n}`, value: n })),
+        ...styles.map((n) => ({ label: `Style · ${n}`, value: n })),
+      ];
+    };
+    const valueControl = (cue) => {
+      const set = (value) => cueList.updateCue(cue.id, { action: { value } });
+      const { type, value, padAction } = cue.action;
+      if (type === 'preset') return select(presetOpts(), value, set);
+      if (type === 'shader') return select(shaderOpts(), value, set);
+      if (type === 'visualMode') return select(CUE_VISUAL_MODES.map((m) => ({ label: m, value: m })), value || 'overlay', set);
+      return h('span', {}, [
+        select([1, 2, 3, 4, 5].map((n) => ({ label: `Pad ${n}`, value: String(n) })), value || '1', set),
+        select([{ label: 'Engage', value: 'engage' }, { label: 'Release', value: 'release' }], padAction, (v) => cueList.updateCue(cue.id, { action: { padAction: v } })),
+      ]);
+    };
+    const numberInput = (value, title, onchange) => {
+      const input = h('input', { type: 'number', min: '0', max: '256', step: '1', value: String(value), title });
+      input.style.width = '52px';
+      input.addEventListener('change', () => onchange(parseInt(input.value, 10) || 0));
+      return input;
+    };
+
+    const list = h('div', { class: 'preset-list' });
+    cueList.cues.forEach((cue, i) => {
+      const marker = i === cueList.armedIndex ? '▶ ' : (i === cueList.lastFiredIndex ? '✓ ' : '');
+      const labelInput = h('input', { type: 'text', value: cue.label, placeholder: `Cue ${i + 1}` });
+      labelInput.style.width = '100%';
+      labelInput.addEventListener('change', () => cueList.updateCue(cue.id, { label: labelInput.value.trim() }));
+      const typeSelect = select([
+        { label: 'Preset', value: 'preset' },
+        { label: 'Shader', value: 'shader' },
+        { label: 'Visual Mode', value: 'visualMode' },
+        { label: 'Pad', value: 'pad' },
+      ], cue.action.type, (v) => cueList.updateCue(cue.id, { action: { type: v, value: v === 'pad' ? '1' : (v === 'visualMode' ? 'overlay' : '') } }));
+      const triggerSelect = select(CUE_TRIGGER_TYPES.map((t) => ({ label: t === 'bars' ? 'After bars' : (t === 'drop' ? 'On drop' : 'Manual (GO)'), value: t })),
+        cue.trigger.type, (v) => cueList.updateCue(cue.id, { trigger: { type: v } }));
+      const triggerControls = [triggerSelect];
+      if (cue.trigger.type === 'bars') {
+        triggerControls.push(
+          numberInput(cue.trigger.bars, 'Bars after the previous cue', (v) => cueList.updateCue(cue.id, { trigger: { bars: v } })), ' bars + ',
+          numberInput(cue.trigger.beats, 'Extra beats', (v) => cueList.updateCue(cue.id, { trigger: { beats: v } })), ' beats',
+        );
+      }
+      const row = h('div', { class: 'row' }, [
+        h('div', { class: 'label' }, [`${marker}${i + 1}. `, labelInput]),
+        h('div', { class: 'control' }, [
+          typeSelect,
+          valueControl(cue),
+          h('span', {}, triggerControls),
+          button('Fire', () => { if (!cueList.fireCue(cue.id)) showToast('Cue could not run'); }, { class: 'ghost', title: 'Preview without moving the show position' }),
+          button('Arm', () => cueList.arm(i), { class: 'ghost' }),
+          button('↑', () => cueList.moveCue(cue.id, -1), { class: 'ghost' }),
+          button('↓', () => cueList.moveCue(cue.id, 1), { class: 'ghost' }),
+          button('✕', () => cueList.removeCue(cue.id), { class: 'ghost', title: 'Remove cue' }),
+        ]),
+      ]);
+      list.appendChild(row);
+    });
+    el.appendChild(list);
+
+    const actions = h('div', { class: 'preset-actions' }, [
+      button('Add Cue', () => {
+        cueList.addCue({
+          action: { type: 'preset', value: presetManager?.activePresetId || '' },
+          trigger: { type: cueList.cues.length ? 'bars' : 'manual', bars: 16 },
+        });
+      }, { class: 'ghost' }),
+    ]);
+    if (cueList.cues.length) {
+      actions.appendChild(button('Clear Cues', () => {
+        if (!confirm('Remove all cues?')) return;
+        cueList.clear();
+      }, { class: 'ghost' }));
+    }
+    el.appendChild(actions);
+    el.appendChild(h('div', { class: 'session-hint' },
+      'Cues fire in order. Bar counts start when the previous cue fires and use the file\'s beat grid when available, otherwise live beats. G fires the next cue now; Shift+G steps back.'));
     return el;
   }
 
@@ -1813,6 +2903,7 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
     const fpsValue = h('span', { id: 'fps-label' }, '0');
     const fpsPill = h('span', { class: 'fps-pill' }, ['FPS ', fpsValue]);
     const summaryItems = [fpsPill, button('Screenshot', onScreenshot, { class: 'ghost' })];
+    if (liveRecorder?.supported) summaryItems.push(...buildLiveRecordControls());
     if (showProjectorControls) {
       const statusSpan = h('span', { class: 'sync-pill disconnected', id: 'sync-status-pill' }, 'No link');
       syncStatusNode = statusSpan;
@@ -1839,6 +2930,345 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
     }
     const summary = h('div', { class: 'session-summary' }, summaryItems);
     el.appendChild(fieldRow('Session', summary));
+    if (showProjectorControls) el.appendChild(buildProjectorSection());
+    if (typeof syncCoordinator?.connectNetwork === 'function') el.appendChild(buildNetworkSyncSection());
+    if (liveRecorder?.supported) el.appendChild(buildLiveRecordSection());
+    if (typeof onRenderVideo === 'function') el.appendChild(buildVideoExportSection());
+    if (midiController) el.appendChild(buildMidiSection());
+    return el;
+  }
+
+  function buildProjectorSection() {
+    const el = h('div', { class: 'section' }, [ h('div', { class: 'section-title' }, 'Projectors') ]);
+    const viewportOpts = [
+      { label: 'Full frame', value: 'full' },
+      { label: 'Left half', value: 'left' },
+      { label: 'Right half', value: 'right' },
+      { label: 'Custom viewport', value: 'custom' },
+    ];
+    const modeOpts = [
+      { label: 'Follow control', value: '' },
+      { label: 'Classic (3D only)', value: 'classic' },
+      { label: '3D + Dispersion', value: 'overlay' },
+      { label: 'Dispersion only', value: 'shader-only' },
+    ];
+    const numberInput = (value, title, onchange) => {
+      const input = h('input', { type: 'number', min: '0', step: '1', value: String(value), title });
+      input.style.width = '64px';
+      input.addEventListener('change', () => onchange(Math.max(0, parseInt(input.value, 10) || 0)));
+      return input;
+    };
+
+    projectorStatusNodes.clear();
+    const list = h('div', { class: 'preset-list' });
+    for (const config of syncCoordinator.getProjectors()) {
+      const update = (patch, rerender = false) => {
+        syncCoordinator.updateProjector(config.id, patch);
+        if (rerender) render('session');
+      };
+      const pill = h('span', { class: 'sync-pill disconnected' }, 'Offline');
+      projectorStatusNodes.set(config.id, pill);
+      const labelInput = h('input', { type: 'text', value: config.label, placeholder: config.id, title: `Projector id: ${config.id}` });
+      labelInput.style.width = '100%';
+      labelInput.addEventListener('change', () => update({ label: labelInput.value.trim() || config.id }));
+      list.appendChild(h('div', { class: 'row' }, [
+        h('div', { class: 'label' }, labelInput),
+        h('div', { class: 'control' }, [
+          pill,
+          select(viewportOpts, config.viewport, (v) => update({ viewport: v }, v === 'custom' || config.viewport === 'custom')),
+          select(modeOpts, config.visualMode, (v) => update({ visualMode: v })),
+          button('Open', () => {
+            if (!syncCoordinator.openProjectorWindow(config.id)) showToast('Pop-up blocked. Allow pop-ups and try again.');
+          }, { class: 'ghost' }),
+          button('Close', () => syncCoordinator.closeProjectorWindow(config.id), { class: 'ghost', title: 'Close the window if this tab opened it' }),
+          button('✕', () => {
+            if (!syncCoordinator.removeProjector(config.id)) { showToast('Keep at least one projector'); return; }
+            render('session');
+          }, { class: 'ghost', title: 'Remove projector' }),
+        ]),
+      ]));
+      if (config.viewport === 'custom') {
+        const c = config.custom;
+        const setCustom = (key) => (v) => update({ custom: { [key]: v } });
+        list.appendChild(h('div', { class: 'row' }, [
+          h('div', { class: 'label' }, 'Viewport (px)'),
+          h('div', { class: 'control' }, [
+            'Canvas ', numberInput(c.virtualWidth, 'Virtual canvas width', setCustom('virtualWidth')),
+            '×', numberInput(c.virtualHeight, 'Virtual canvas height', setCustom('virtualHeight')),
+            ' at ', numberInput(c.x, 'Left edge of this projector', setCustom('x')),
+            ',', numberInput(c.y, 'Top edge of this projector', setCustom('y')),
+            ' size ', numberInput(c.width, 'Slice width', setCustom('width')),
+            '×', numberInput(c.height, 'Slice height', setCustom('height')),
+            ' blend ', numberInput(config.blendLeft, 'Left overlap to feather (px)', (v) => update({ blendLeft: v })),
+            '/', numberInput(config.blendRight, 'Right overlap to feather (px)', (v) => update({ blendRight: v })),
+          ]),
+        ]));
+      }
+    }
+    el.appendChild(list);
+    el.appendChild(h('div', { class: 'preset-actions' }, [
+      button('Add Projector', () => { syncCoordinator.addProjector(); render('session'); }, { class: 'ghost' }),
+    ]));
+    el.appendChild(h('div', { class: 'session-hint' },
+      'Each projector window gets its own slice of the picture and can override the visual mode. For an edge-blended wall, give every projector the same canvas size, overlap neighbouring slices and set the blend to the overlap width. The Dispersion shader is drawn full-frame on every projector.'));
+    updateSyncStatus(syncCoordinator.getStatus());
+    return el;
+  }
+
+  function buildNetworkSyncSection() {
+    const el = h('div', { class: 'section' }, [ h('div', { class: 'section-title' }, 'Network Sync') ]);
+    const save = () => writeJson(NETWORK_SYNC_STORAGE_KEY, networkSyncSettings);
+    const textInput = (value, placeholder, onchange) => {
+      const input = h('input', { type: 'text', value, placeholder });
+      input.style.width = '100%';
+      input.addEventListener('change', () => onchange(input.value.trim()));
+      return input;
+    };
+    const online = !!syncCoordinator.network;
+    const urlInput = textInput(networkSyncSettings.url, 'ws://192.168.1.20:8091', (v) => { networkSyncSettings.url = v; save(); });
+    const roomInput = textInput(networkSyncSettings.room, 'default', (v) => { networkSyncSettings.room = v || 'default'; save(); });
+    const tokenInput = textInput(networkSyncSettings.token, 'relay SYNC_TOKEN, if set', (v) => { networkSyncSettings.token = v; save(); });
+    tokenInput.type = 'password';
+    urlInput.disabled = online;
+    roomInput.disabled = online;
+    tokenInput.disabled = online;
+    el.appendChild(fieldRow('Relay URL', urlInput));
+    el.appendChild(fieldRow('Room', roomInput));
+    el.appendChild(fieldRow('Token', tokenInput));
+
+    const chip = h('span', { class: 'sync-pill disconnected' }, 'Off');
+    networkStatusNode = chip;
+    const toggle = online
+      ? button('Disconnect', () => {
+        syncCoordinator.disconnectNetwork();
+        networkSyncSettings.autoConnect = false;
+        save();
+        render('session');
+      }, { class: 'ghost' })
+      : button('Connect', () => {
+        if (!networkSyncSettings.url) { showToast('Enter the relay URL first'); return; }
+        try {
+          syncCoordinator.connectNetwork(networkSyncSettings.url, { room: networkSyncSettings.room, token: networkSyncSettings.token });
+          networkSyncSettings.autoConnect = true;
+          save();
+        } catch (err) {
+          console.error(err);
+          showToast('Network sync unavailable');
+        }
+        render('session');
+      }, { class: 'ghost' });
+    el.appendChild(fieldRow('Relay', h('div', { class: 'session-summary' }, [chip, toggle])));
+    if (syncCoordinator.role === 'receiver') {
+      el.appendChild(fieldRow('Playout Delay', slider({
+        min: 0, max: 250, step: 5, value: syncCoordinator.playoutDelayMs, units: 'ms', precision: 0,
+        param: 'sync.playoutDelayMs', read: () => syncCoordinator.playoutDelayMs,
+        oninput: (v) => { syncCoordinator.setPlayoutDelay(v); networkSyncSettings.playoutDelayMs = v; },
+        onchange: save,
+      })));
+    }
+    el.appendChild(h('div', { class: 'session-hint' },
+      'Run "npm run relay" in tools/ on one machine, connect the control window to it, then open the app on the other machine with ?receiver=1&projector=<id>&relay=ws://<relay-ip>:8091 (add &token=<secret> when the relay has SYNC_TOKEN set; serve it on the LAN with "npm run dev -- --host"). On receivers, a playout delay slightly above the worst network latency keeps beats aligned across machines.'));
+    updateSyncStatus(syncCoordinator.getStatus());
+    return el;
+  }
+
+  function buildLiveRecordControls() {
+    const chip = h('span', { class: 'value-chip' }, liveRecorder.recording ? 'REC 0:00' : '');
+    if (liveRecorder.recording) {
+      const timer = setInterval(() => {
+        if (!chip.isConnected || !liveRecorder.recording) { clearInterval(timer); return; }
+        const sec = Math.floor(liveRecorder.elapsedSec);
+        const limit = liveRecordSettings.maxSeconds > 0 ? ` / ${liveRecordSettings.maxSeconds}s` : '';
+        chip.textContent = `● REC ${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, '0')}${limit}`;
+      }, 250);
+    }
+    const btn = liveRecorder.recording
+      ? button('Stop Record', () => { liveRecorder.stop(); })
+      : button('Start Record', () => {
+        const size = LIVE_RECORD_RESOLUTIONS[liveRecordSettings.resolution];
+        try {
+          liveRecorder.start({
+            resolution: size === undefined ? 'native' : liveRecordSettings.resolution,
+            fps: liveRecordSettings.fps,
+            videoBitrate: Math.round(liveRecordSettings.bitrateMbps * 1e6),
+            maxSeconds: liveRecordSettings.maxSeconds,
+          });
+        } catch (err) {
+          console.error(err);
+          showToast(`Recording failed: ${err?.message || err}`, 2800);
+        }
+      }, { class: 'ghost' });
+    return liveRecorder.recording ? [btn, chip] : [btn];
+  }
+
+  function buildPresetTransitionSection() {
+    const el = h('div', {}, [ h('div', { class: 'shader-subheader' }, 'Transition') ]);
+    const save = () => writeJson(PRESET_TRANSITION_STORAGE_KEY, presetTransitionSettings);
+    const curveOpts = [
+      { label: 'Ease In/Out', value: 'easeInOut' },
+      { label: 'Linear', value: 'linear' },
+      { label: 'Ease In', value: 'easeIn' },
+      { label: 'Ease Out', value: 'easeOut' },
+    ];
+    el.appendChild(fieldRow('Crossfade', slider({
+      min: 0, max: 8000, step: 100, value: presetTransitionSettings.transitionMs, units: 'ms', precision: 0,
+      param: 'presets.transitionMs', read: () => presetTransitionSettings.transitionMs,
+      oninput: (v) => { presetTransitionSettings.transitionMs = v; },
+      onchange: save,
+    })));
+    el.appendChild(fieldRow('Curve', select(curveOpts, presetTransitionSettings.curve, (v) => { presetTransitionSettings.curve = v; save(); })));
+    el.appendChild(fieldRow('Start on Next Bar', checkbox(presetTransitionSettings.quantizeToBar, (v) => { presetTransitionSettings.quantizeToBar = v; save(); })));
+    el.appendChild(h('div', { class: 'session-hint' },
+      'Numeric parameters fade over the crossfade; theme, visual mode and toggles switch halfway. Locked parameters stay put. 0 ms = hard cut.'));
+    return el;
+  }
+
+  function buildLiveRecordSection() {
+    const el = h('div', { class: 'section' }, [ h('div', { class: 'section-title' }, 'Live Recording') ]);
+    const save = () => writeJson(LIVE_RECORD_STORAGE_KEY, liveRecordSettings);
+    const resOpts = Object.entries(LIVE_RECORD_RESOLUTIONS).map(([id, r]) => ({ label: r ? `${id} (${r.width}×${r.height})` : 'Native (window)', value: id }));
+    const fpsOpts = [30, 60].map((fps) => ({ label: `${fps} fps`, value: String(fps) }));
+    const bitrateOpts = [4, 8, 12, 20].map((mbps) => ({ label: `${mbps} Mbps`, value: String(mbps) }));
+    const lengthOpts = [{ label: 'Until stopped', value: '0' }, ...[15, 30, 60, 120].map((sec) => ({ label: `${sec} s`, value: String(sec) }))];
+    const controls = [
+      ['Resolution', select(resOpts, liveRecordSettings.resolution, (v) => { liveRecordSettings.resolution = v; save(); })],
+      ['Frame Rate', select(fpsOpts, String(liveRecordSettings.fps), (v) => { liveRecordSettings.fps = parseInt(v, 10) || 60; save(); })],
+      ['Video Bitrate', select(bitrateOpts, String(liveRecordSettings.bitrateMbps), (v) => { liveRecordSettings.bitrateMbps = parseFloat(v) || 8; save(); })],
+      ['Clip Length', select(lengthOpts, String(liveRecordSettings.maxSeconds), (v) => { liveRecordSettings.maxSeconds = parseInt(v, 10) || 0; save(); })],
+    ];
+    controls.forEach(([label, node]) => {
+      node.disabled = liveRecorder.recording;
+      el.appendChild(fieldRow(label, node));
+    });
+    el.appendChild(h('div', { class: 'session-hint' },
+      'Start Record (next to Screenshot) captures the canvas and the analysed audio to .webm; the clip downloads when stopped or when the clip length is reached.'));
+    return el;
+  }
+
+  function buildVideoExportSection() {
+    const el = h('div', { class: 'section' }, [ h('div', { class: 'section-title' }, 'Video Export') ]);
+    const saveSettings = () => writeJson(VIDEO_EXPORT_STORAGE_KEY, videoExportSettings);
+    const fpsOpts = [24, 30, 60].map((fps) => ({ label: `${fps} fps`, value: String(fps) }));
+    const resOpts = Object.entries(VIDEO_RESOLUTIONS).map(([id, r]) => ({ label: `${id} (${r.width}×${r.height})`, value: id }));
+    const bitrateOpts = [6, 12, 20, 40].map((mbps) => ({ label: `${mbps} Mbps`, value: String(mbps) }));
+    const disabled = videoExportRun.running;
+    const fpsSelect = select(fpsOpts, String(videoExportSettings.fps), (v) => { videoExportSettings.fps = parseInt(v, 10) || 60; saveSettings(); });
+    const resSelect = select(resOpts, videoExportSettings.resolution, (v) => { videoExportSettings.resolution = v; saveSettings(); });
+    const bitrateSelect = select(bitrateOpts, String(videoExportSettings.bitrateMbps), (v) => { videoExportSettings.bitrateMbps = parseFloat(v) || 12; saveSettings(); });
+    [fpsSelect, resSelect, bitrateSelect].forEach((node) => { node.disabled = disabled; });
+    el.appendChild(fieldRow('Frame Rate', fpsSelect));
+    el.appendChild(fieldRow('Resolution', resSelect));
+    el.appendChild(fieldRow('Video Bitrate', bitrateSelect));
+
+    const progress = h('span', { class: 'value-chip' }, videoExportRun.label || (audioEngine._lastAudioBuffer ? 'Ready' : 'Load a file first'));
+    videoExportProgressNode = progress;
+    const action = videoExportRun.running
+      ? button('Cancel', () => { videoExportRun.cancelled = true; progress.textContent = 'Cancelling…'; }, { class: 'ghost' })
+      : button('Render Video', async () => {
+        const size = VIDEO_RESOLUTIONS[videoExportSettings.resolution] || VIDEO_RESOLUTIONS['1080p'];
+        videoExportRun.running = true;
+        videoExportRun.cancelled = false;
+        videoExportRun.label = 'Starting…';
+        render('session');
+        try {
+          await onRenderVideo({
+            fps: videoExportSettings.fps,
+            width: size.width,
+            height: size.height,
+            videoBitrate: Math.round(videoExportSettings.bitrateMbps * 1e6),
+          }, {
+            onProgress: (p, frame, total) => {
+              videoExportRun.label = `${Math.round(p * 100)}% · frame ${frame}/${total}`;
+              if (videoExportProgressNode) videoExportProgressNode.textContent = videoExportRun.label;
+            },
+            isCancelled: () => videoExportRun.cancelled,
+          });
+        } finally {
+          videoExportRun.running = false;
+          videoExportRun.label = '';
+          if (currentTab === 'session') render('session');
+        }
+      });
+    el.appendChild(fieldRow('Render', h('div', { class: 'session-summary' }, [action, progress])));
+    el.appendChild(h('div', { class: 'session-hint' },
+      'Renders the loaded file frame by frame with its audio to .webm. Slower than real time at high resolutions, but no frames are dropped; live audio and controls pause until it finishes.'));
+    return el;
+  }
+
+  function buildMidiSection() {
+    const el = h('div', { class: 'section' }, [ h('div', { class: 'section-title' }, 'MIDI') ]);
+    if (!midiController.supported) {
+      el.appendChild(h('div', { class: 'midi-hint' }, 'Web MIDI is not available in this browser (use Chrome or Edge).'));
+      return el;
+    }
+    el.appendChild(fieldRow('Enable MIDI', checkbox(midiController.enabled, async (v) => {
+      if (!v) { midiController.disable(); render('session'); return; }
+      try {
+        await midiController.enable();
+        showToast('MIDI enabled');
+      } catch (err) {
+        console.error(err);
+        showToast('MIDI access denied');
+      }
+      render('session');
+    })));
+    if (midiController.enabled) {
+      const inputs = midiController.getInputs();
+      const opts = [{ label: 'All inputs', value: '' }, ...inputs.map((i) => ({ label: i.name, value: i.id }))];
+      el.appendChild(fieldRow('Input', select(opts, midiController.inputId || '', (v) => midiController.setInput(v))));
+    }
+    const learnBtn = button(midiController.learnMode ? 'Stop Learn' : 'Learn', () => {
+      midiController.setLearnMode(!midiController.learnMode);
+      render('session');
+    }, { class: midiController.learnMode ? '' : 'ghost' });
+    el.appendChild(fieldRow('MIDI Learn', learnBtn));
+    el.appendChild(h('div', { class: 'midi-hint' },
+      'Learn: click any slider, shader control or pad below, then move a knob or hit a pad. Esc cancels.'));
+    const pads = h('div', { class: 'session-summary' });
+    for (let i = 1; i <= 5; i += 1) {
+      const id = `pad:${i}`;
+      const padBtn = button(`Pad ${i}`, () => {}, { class: 'ghost' + (midiController.hasBinding(id) ? ' midi-bound' : ''), 'data-midi-target': id, title: 'Hold to test (performance mode must be on)' });
+      let held = false;
+      const releasePad = () => { if (!held) return; held = false; midiController.getTarget(id)?.release?.(); };
+      padBtn.addEventListener('pointerdown', () => { held = true; midiController.getTarget(id)?.engage?.(); });
+      padBtn.addEventListener('pointerup', releasePad);
+      padBtn.addEventListener('pointerleave', releasePad);
+      pads.appendChild(padBtn);
+    }
+    el.appendChild(fieldRow('Pads', pads));
+
+    el.appendChild(h('div', { class: 'shader-subheader' }, 'Bindings'));
+    const list = h('div', { class: 'midi-binding-list' });
+    if (!midiController.bindings.length) {
+      list.appendChild(h('div', { class: 'midi-hint' }, 'No bindings yet.'));
+    }
+    midiController.bindings.forEach((binding) => {
+      const target = midiController.getTarget(binding.target);
+      const label = target?.label || binding.target;
+      const controls = [h('span', { class: 'value-chip' }, describeMidiSource(binding))];
+      if (binding.kind === 'cc' && (!target || target.type === 'range')) {
+        const pct = (v) => Math.round(v * 100);
+        const minInput = h('input', { type: 'number', min: '0', max: '100', step: '1', value: String(pct(binding.min)), title: 'Range start (% of slider)' });
+        const maxInput = h('input', { type: 'number', min: '0', max: '100', step: '1', value: String(pct(binding.max)), title: 'Range end (% of slider)' });
+        minInput.addEventListener('change', () => midiController.updateBinding(binding.target, { min: (parseFloat(minInput.value) || 0) / 100 }));
+        maxInput.addEventListener('change', () => midiController.updateBinding(binding.target, { max: (parseFloat(maxInput.value) || 0) / 100 }));
+        const invertWrap = h('label', {}, [checkbox(binding.invert, (v) => midiController.updateBinding(binding.target, { invert: v })), ' Invert']);
+        const takeoverWrap = h('label', { title: 'Soft takeover: ignore the knob until it reaches the current value' }, [checkbox(binding.takeover, (v) => midiController.updateBinding(binding.target, { takeover: v })), ' Pick-up']);
+        controls.push(minInput, maxInput, invertWrap, takeoverWrap);
+      }
+      controls.push(button('Remove', () => { midiController.removeBinding(binding.target); }, { class: 'ghost' }));
+      list.appendChild(h('div', { class: 'row' }, [
+        h('div', { class: 'label' }, label),
+        h('div', { class: 'control' }, controls),
+      ]));
+    });
+    el.appendChild(list);
+    if (midiController.bindings.length) {
+      el.appendChild(button('Clear All Bindings', () => {
+        if (!confirm('Remove all MIDI bindings?')) return;
+        midiController.clearBindings();
+      }, { class: 'ghost' }));
+    }
     return el;
   }
 
@@ -1919,19 +3349,20 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
   function buildQuick() {
     const el = h('div', { class: 'section' }, [ h('div', { class: 'section-title' }, 'Quick') ]);
     // Audio essentials
-    el.appendChild(fieldRow('Gain', slider({ min: 0.1, max: 4.0, step: 0.1, value: (audioEngine.gain || 1.0), oninput: (v) => audioEngine.setGain(v) })));
-    el.appendChild(fieldRow('Beat Sensitivity', slider({ min: 0.0, max: 2.0, step: 0.05, value: (audioEngine.sensitivity || 1.0), oninput: (v) => audioEngine.setSensitivity(v) })));
-    el.appendChild(fieldRow('Smoothing', slider({ min: 0.0, max: 0.95, step: 0.05, value: (audioEngine.smoothing || 0.6), oninput: (v) => audioEngine.setSmoothing(v) })));
+    el.appendChild(fieldRow('Gain', slider({ min: 0.1, max: 4.0, step: 0.1, value: (audioEngine.gain || 1.0), param: 'audio.gain', read: () => audioEngine.gainNode?.gain.value, oninput: (v) => audioEngine.setGain(v) })));
+    el.appendChild(fieldRow('Beat Sensitivity', slider({ min: 0.0, max: 2.0, step: 0.05, value: (audioEngine.sensitivity || 1.0), param: 'audio.sensitivity', oninput: (v) => audioEngine.setSensitivity(v) })));
+    el.appendChild(fieldRow('Smoothing', slider({ min: 0.0, max: 0.95, step: 0.05, value: (audioEngine.smoothing || 0.6), param: 'audio.smoothing', oninput: (v) => audioEngine.setSmoothing(v) })));
 
     // Visual essentials
     const modeOpts = [
       { label: 'Classic (3D only)', value: 'classic' },
       { label: '3D + Dispersion', value: 'overlay' },
       { label: 'Dispersion only', value: 'shader-only' },
+      { label: 'Milkdrop (Butterchurn)', value: 'milkdrop' },
     ];
     el.appendChild(fieldRow('Visual Mode', select(modeOpts, sceneApi.state.params.visualMode || 'overlay', (v)=>{ sceneApi.state.params.visualMode = v; if (typeof sceneApi.setVisualMode === 'function') sceneApi.setVisualMode(v); render(currentTab); })));
-    el.appendChild(fieldRow('Bloom Strength (Base)', slider({ min: 0.0, max: 3.0, step: 0.05, value: sceneApi.state.params.bloomStrengthBase, oninput: (v)=>{ sceneApi.state.params.bloomStrengthBase = v; } })));
-    el.appendChild(fieldRow('Bloom Strength (Reactive)', slider({ min: 0.0, max: 2.5, step: 0.05, value: sceneApi.state.params.bloomReactiveGain, oninput: (v)=>{ sceneApi.state.params.bloomReactiveGain = v; } })));
+    el.appendChild(fieldRow('Bloom Strength (Base)', slider({ min: 0.0, max: 3.0, step: 0.05, value: sceneApi.state.params.bloomStrengthBase, param: 'bloomStrengthBase', oninput: (v)=>{ sceneApi.state.params.bloomStrengthBase = v; } })));
+    el.appendChild(fieldRow('Bloom Strength (Reactive)', slider({ min: 0.0, max: 2.5, step: 0.05, value: sceneApi.state.params.bloomReactiveGain, param: 'bloomReactiveGain', oninput: (v)=>{ sceneApi.state.params.bloomReactiveGain = v; } })));
 
     // One-tap styles (limited)
     el.appendChild(h('div', { class: 'shader-subheader' }, 'One-Tap Styles'));
@@ -1985,7 +3416,10 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
     audio: buildAudio,
     visuals: buildVisuals,
     shader: buildShader,
+    milkdrop: buildMilkdrop,
+    layers: buildLayers,
     mapping: buildMapping,
+    mod: buildModMatrix,
     tempo: buildTempo,
     presets: buildPresets,
     session: buildSession,
@@ -1997,7 +3431,8 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
     const visibleTabs = tabs.filter((t) => {
       if (t.id === 'visuals') return mode !== 'shader-only';
       if (t.id === 'mapping') return mode !== 'shader-only';
-      if (t.id === 'shader') return mode !== 'classic';
+      if (t.id === 'shader') return mode !== 'classic' && mode !== 'milkdrop';
+      if (t.id === 'milkdrop') return mode === 'milkdrop';
       return true;
     });
     if (!visibleTabs.some(t => t.id === tabId)) tabId = visibleTabs[0]?.id || 'quick';
@@ -2007,6 +3442,7 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
       tabsEl.appendChild(b);
     }
     content.replaceChildren();
+    midiScope = tabId;
     const builder = builders[tabId];
     Promise.resolve(builder()).then((node) => { content.appendChild(node); });
   }
@@ -2086,11 +3522,99 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
   } catch(_) {}
 
   render('quick');
+  if (midiController) initMidiLearn();
+  if (liveRecorder) {
+    liveRecorder.on('state', () => { if (currentTab === 'session') render('session'); });
+    liveRecorder.on('saved', ({ detail }) => {
+      showToast(detail.size ? `Clip saved (${(detail.size / 1048576).toFixed(1)} MB)` : 'Recording was empty');
+    });
+  }
+  if (cueList) {
+    cueList.on('state', () => { if (currentTab === 'presets') render('presets'); });
+    cueList.on('fired', ({ detail }) => {
+      const name = detail.cue.label || `Cue ${detail.index + 1}`;
+      showToast(detail.ok ? `GO ${name}` : `${name} failed`);
+    });
+    cueList.on('warning', ({ detail }) => showToast(detail.message, 2600));
+  }
+  if (audioEngine.transport) {
+    audioEngine.transport.on('*', () => { if (currentTab === 'source') render('source'); });
+  }
+  if (playlist) {
+    playlist.on('change', () => { if (currentTab === 'source') render('source'); });
+  }
+  audioEngine.sections?.on('structure', () => { if (currentTab === 'source') render('source'); });
+  if (featureTape) {
+    featureTape.on('state', () => { if (currentTab === 'source') render('source'); });
+    featureTape.on('limit', () => showToast('Feature recording stopped at the length limit', 2800));
+    featureTape.on('ended', () => showToast('Feature tape finished'));
+  }
 
   // Remove before adding to prevent duplicates if initSettingsUI is called multiple times
   window.removeEventListener('keydown', handleShaderHotkeys, true);
   window.addEventListener('keydown', handleShaderHotkeys, true);
 
+  // MIDI: shader params are always reachable; slider targets register as their tabs build
+  function initMidiLearn() {
+    DISPERSION_PARAM_SCHEMA.forEach((schema) => {
+      if (schema.type !== 'range' && schema.type !== 'boolean') return;
+      midiController.registerTarget(`dispersion:${schema.key}`, {
+        type: schema.type === 'boolean' ? 'toggle' : 'range',
+        label: `Shader · ${schema.label}`,
+        min: schema.min,
+        max: schema.max,
+        step: schema.step,
+        get: () => ensureDispersionParams()[schema.key],
+        set: (v) => setParamValue(schema.key, v, { showHud: false, refresh: false }),
+        commit: (v) => showShaderHud(schema.label, formatValue(schema, v)),
+      });
+    });
+
+    // Build slider tabs off-screen once so saved bindings work before the tab is opened
+    const pending = midiController.bindings.some((b) => !midiController.getTarget(b.target));
+    if (pending) {
+      ['audio', 'visuals', 'mapping', 'tempo'].forEach((tabId) => {
+        midiScope = tabId;
+        try { builders[tabId](); } catch (_) {}
+      });
+      midiScope = currentTab;
+    }
+
+    const syncLearnClasses = () => {
+      content.classList.toggle('midi-learning', !!midiController.learnMode);
+      content.querySelectorAll('[data-midi-target]').forEach((node) => {
+        const id = node.getAttribute('data-midi-target');
+        node.classList.toggle('midi-learn-target', id === midiController.learnTarget);
+        node.classList.toggle('midi-bound', midiController.hasBinding(id));
+      });
+    };
+
+    // In learn mode a click picks a target instead of changing it
+    const pickTarget = (event) => {
+      if (!midiController.learnMode) return;
+      const node = event.target && event.target.closest && event.target.closest('[data-midi-target]');
+      if (!node) return;
+      event.preventDefault();
+      event.stopPropagation();
+      if (event.type === 'pointerdown') midiController.selectLearnTarget(node.getAttribute('data-midi-target'));
+    };
+    content.addEventListener('pointerdown', pickTarget, true);
+    content.addEventListener('mousedown', pickTarget, true);
+    content.addEventListener('click', pickTarget, true);
+
+    midiController.on('learn', syncLearnClasses);
+    midiController.on('learned', ({ detail }) => {
+      showToast(`MIDI: ${detail.label} ← ${describeMidiSource(detail.binding)}`);
+      if (currentTab === 'session') render('session'); else syncLearnClasses();
+    });
+    midiController.on('bindings', () => {
+      if (currentTab === 'session' && !midiController.learnMode) render('session'); else syncLearnClasses();
+    });
+    midiController.on('devices', () => {
+      if (currentTab === 'session') render('session');
+    });
+  }
+
   // external labels update (FPS etc.)
   function updateFpsLabel(v) {
     const n = document.getElementById('fps-label'); if (n) n.textContent = String(Math.round(v));
@@ -2166,6 +3690,23 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
     if (lc && typeof aubioConf === 'number') lc.textContent = (aubioConf || 0).toFixed(2);
   }
   function updateSyncStatus(status = {}) {
+    if (networkStatusNode && networkStatusNode.isConnected) {
+      const net = status.network;
+      let label = 'Off';
+      let tone = 'disconnected';
+      if (net?.connected) {
+        tone = 'connected';
+        label = net.synced
+          ? `Connected · clock ${net.offsetMs >= 0 ? '+' : ''}${net.offsetMs.toFixed(1)} ms · rtt ${net.rttMs.toFixed(1)} ms`
+          : 'Connected · syncing clock';
+        if (typeof status.remoteLatencyMs === 'number') label += ` · latency ${Math.round(status.remoteLatencyMs)} ms`;
+      } else if (net) {
+        tone = 'pending';
+        label = net.lastError ? `${net.retrying ? 'Reconnecting' : 'Stopped'} (${net.lastError})` : 'Connecting…';
+      }
+      networkStatusNode.className = `sync-pill ${tone}`;
+      networkStatusNode.textContent = label;
+    }
     if (!showProjectorControls) return;
     const node = (syncStatusNode && typeof document !== 'undefined' && document.body.contains(syncStatusNode))
       ? syncStatusNode
@@ -2178,7 +3719,10 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
       let tone = connected ? 'connected' : 'disconnected';
       const lastFeatures = typeof status.lastFeaturesAt === 'number' ? status.lastFeaturesAt : 0;
       const lastHeartbeat = typeof status.lastHeartbeatAt === 'number' ? status.lastHeartbeatAt : 0;
-      if (connected) {
+      const receivers = status.receivers || [];
+      if (connected && receivers.length > 1) {
+        label = `Connected ${receivers.filter((r) => r.connected).length}/${receivers.length}`;
+      } else if (connected) {
         if (lastFeatures > 0) {
           const ageMs = Math.max(0, now - lastFeatures);
           if (ageMs > 1800) {
@@ -2201,6 +3745,21 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
     if (syncAutoCheckbox) {
       syncAutoCheckbox.checked = auto;
     }
+    for (const receiver of status.receivers || []) {
+      const pill = projectorStatusNodes.get(receiver.id);
+      if (!pill || !pill.isConnected) continue;
+      let label = receiver.windowOpen ? 'Opening…' : 'Offline';
+      let tone = 'disconnected';
+      if (receiver.connected) {
+        tone = 'connected';
+        label = receiver.width ? `Live ${receiver.width}×${receiver.height}` : 'Live';
+      } else if (receiver.lastSeenAt > 0) {
+        tone = 'pending';
+        label = `Lost (${Math.max(0, Math.round((now - receiver.lastSeenAt) / 1000))}s)`;
+      }
+      pill.className = `sync-pill ${tone}`;
+      pill.textContent = label;
+    }
   }
 
   return { open, close, updateFpsLabel, updateBpmLabel, updateTapAndDrift, updateDriftDetails, updateSyncStatus, updateBeatIndicator };
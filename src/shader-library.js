@@ -0,0 +1,223 @@
+/**
+ * Shader Library
+ *
+ * User fragment shaders for the dispersion pass, next to the built-in variants in
+ * dispersion.js (classic, vortexDrill). A custom shader is plain JSON:
+ *
+ *   { id: 'custom-shader-rings-x2k1', name: 'Rings', format: 'glsl', source: '...GLSL...' }
+ *
+ * The source is a fragment shader written against the dispersion uniforms (r, t, zoom,
+ * offset, uOpacity, uWarp, uTint, uTintMix, uBrightness, uContrast, uTwist, uTwistFalloff,
+ * uTravel) and writes gl_FragColor. Any other uniform it declares is a custom uniform and
+ * gets a control in the Shader tab; a trailing comment sets its range:
+ *
+ *   uniform float uRings;   // min=1 max=24 step=1 default=8 label="Ring Count"
+ *   uniform int uLayers;    // min=1 max=6 default=3
+ *   uniform bool uMirror;   // default=true
+ *   uniform vec3 uGlow;     // default=#ff8800
+ *
+ * float / int get sliders (0..1 when no range is given), bool a checkbox, vec3 a colour
+ * picker. Other types are left to their GLSL default. The audio textures (uAudioFFT, uAudioWave,
+ * uAudioSpectrogram, see audio-textures.js) are bound too and need only be declared.
+ *
+ * format 'shadertoy' holds ShaderToy image code (mainImage) instead; shaderProgramSource()
+ * wraps it with the ShaderToy inputs (see shadertoy.js).
+ *
+ * Shaders persist in localStorage (cosmic_custom_shaders).
+ */
+
+import { DISPERSION_UNIFORM_NAMES } from './dispersion.js';
+import { isShaderToySource, wrapShaderToy } from './shadertoy.js';
+
+export const SHADER_FORMATS = ['glsl', 'shadertoy'];
+
+const STORAGE_KEY = 'cosmic_custom_shaders';
+const MAX_SOURCE_LENGTH = 64 * 1024;
+const UNIFORM_RE = /^[ \t]*uniform\s+(?:(?:lowp|mediump|highp)\s+)?(float|int|bool|vec3)\s+([A-Za-z_]\w*)\s*;[ \t]*(?:\/\/(.*))?$/gm;
+const OPTION_RE = /(\w+)\s*=\s*("[^"]*"|[^\s,]+)/g;
+
+const shaders = new Map();
+const listeners = new Set();
+let loaded = false;
+
+function notify(event, id) {
+  listeners.forEach((fn) => {
+    try { fn(event, id); } catch (err) { console.error('[Shaders] listener error', err); }
+  });
+}
+
+function parseOptions(comment) {
+  const options = {};
+  if (!comment) return options;
+  let m;
+  OPTION_RE.lastIndex = 0;
+  while ((m = OPTION_RE.exec(comment))) {
+    options[m[1].toLowerCase()] = m[2].startsWith('"') ? m[2].slice(1, -1) : m[2];
+  }
+  return options;
+}
+
+function numberOr(value, fallback) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * Custom uniforms declared in a fragment shader, with their control ranges.
+ * @param {string} source
+ * @returns {Array<{name: string, type: string, label: string, min?: number, max?: number, step?: number, default: number|boolean|string}>}
+ */
+export function parseCustomUniforms(source) {
+  const uniforms = [];
+  const seen = new Set();
+  // Block comments can't hide declarations from the compiler's point of view, but they
+  // shouldn't produce controls either
+  const text = String(source || '').replace(/\/\*[\s\S]*?\*\//g, '');
+  let m;
+  UNIFORM_RE.lastIndex = 0;
+  while ((m = UNIFORM_RE.exec(text))) {
+    const [, type, name, comment] = m;
+    if (DISPERSION_UNIFORM_NAMES.includes(name) || seen.has(name)) continue;
+    seen.add(name);
+    const o = parseOptions(comment);
+    const label = o.label || name.replace(/^u(?=[A-Z])/, '');
+    if (type === 'bool') {
+      uniforms.push({ name, type, label, default: o.default === 'true' || o.default === '1' });
+    } else if (type === 'vec3') {
+      const hex = /^#?[0-9a-f]{6}$/i.test(o.default || '') ? `#${o.default.replace('#', '').toLowerCase()}` : '#ffffff';
+      uniforms.push({ name, type, label, default: hex });
+    } else {
+      const int = type === 'int';
+      let min = numberOr(o.min, 0);
+      let max = numberOr(o.max, int ? 10 : 1);
+      if (max < min) [min, max] = [max, min];
+      const step = numberOr(o.step, int ? 1 : (max - min) / 100 || 0.01);
+      const value = Math.min(max, Math.max(min, numberOr(o.default, min)));
+      uniforms.push({ name, type, label, min, max, step: int ? Math.max(1, Math.round(step)) : step, default: int ? Math.round(value) : value });
+    }
+  }
+  return uniforms;
+}
+
+function slugify(name) {
+  return String(name || 'shader').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 24) || 'shader';
+}
+
+/**
+ * Validates a shader entry; throws when the source is missing. Without a format,
+ * ShaderToy code is recognised by its mainImage().
+ * @returns {{id: string, name: string, format: string, source: string}}
+ */
+export function normalizeShader(raw) {
+  if (!raw || typeof raw !== 'object') throw new Error('Shader must be an object');
+  const source = typeof raw.source === 'string' ? raw.source : '';
+  if (!source.trim()) throw new Error('Shader source is empty');
+  if (source.length > MAX_SOURCE_LENGTH) throw new Error('Shader source is too long');
+  const format = SHADER_FORMATS.includes(raw.format) ? raw.format : (isShaderToySource(source) ? 'shadertoy' : 'glsl');
+  if (format === 'shadertoy' && !/\bvoid\s+mainImage\s*\(/.test(source)) throw new Error('ShaderToy code has no mainImage()');
+  if (format === 'glsl' && !/\bvoid\s+main\s*\(/.test(source)) throw new Error('Shader has no main()');
+  return {
+    id: typeof raw.id === 'string' ? raw.id.trim().slice(0, 64) : '',
+    name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim().slice(0, 40) : 'Custom Shader',
+    format,
+    source,
+  };
+}
+
+/**
+ * The fragment shader the dispersion layer compiles for an entry, and how many generated
+ * lines precede the user's code.
+ * @returns {{source: string, lineOffset: number}}
+ */
+export function shaderProgramSource(shader) {
+  return shader.format === 'shadertoy' ? wrapShaderToy(shader.source) : { source: shader.source, lineOffset: 0 };
+}
+
+function load() {
+  if (loaded) return;
+  loaded = true;
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    (Array.isArray(raw) ? raw : []).forEach((entry) => {
+      try {
+        const shader = normalizeShader(entry);
+        if (shader.id) shaders.set(shader.id, shader);
+      } catch (_) {}
+    });
+  } catch (_) {}
+}
+
+function persist() {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(Array.from(shaders.values()))); } catch (_) {}
+}
+
+export function getCustomShaders() {
+  load();
+  return Array.from(shaders.values()).map((s) => ({ ...s }));
+}
+
+export function getCustomShader(id) {
+  load();
+  const s = shaders.get(id);
+  return s ? { ...s } : null;
+}
+
+/**
+ * Saves a shader, creating an id for new ones. Built-in variant names can't be taken.
+ * @param {Object} raw
+ * @param {{reservedIds?: string[]}} [options]
+ * @returns {{id: string, name: string, source: string}}
+ */
+export function saveCustomShader(raw, { reservedIds = [] } = {}) {
+  load();
+  const shader = normalizeShader(raw);
+  if (!shader.id || reservedIds.includes(shader.id)) {
+    shader.id = `custom-shader-${slugify(shader.name)}-${Math.random().toString(36).slice(2, 6)}`;
+  }
+  shaders.set(shader.id, shader);
+  persist();
+  notify('save', shader.id);
+  return getCustomShader(shader.id);
+}
+
+export function deleteCustomShader(id) {
+  load();
+  if (!shaders.delete(id)) return false;
+  persist();
+  notify('delete', id);
+  return true;
+}
+
+export function onShaderLibraryChange(listener) {
+  if (typeof listener !== 'function') return () => {};
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/** Starting point for a new shader in the editor */
+export const SHADER_TEMPLATE = `// Dispersion uniforms are fed every frame; declare the ones you use.
+uniform vec2 r;            // resolution (px)
+uniform float t;           // time (s)
+uniform float zoom;        // audio-driven zoom
+uniform vec2 offset;       // parallax offset (px)
+uniform float uOpacity;
+uniform float uWarp;       // bass / beat warp
+uniform vec3 uTint;
+uniform float uTintMix;
+uniform float uBrightness;
+uniform float uTwist;      // swirl (radians)
+
+// Custom uniforms get controls in the Shader tab
+uniform float uRings;      // min=1 max=24 step=1 default=8 label="Ring Count"
+uniform vec3 uGlow;        // default=#66ccff label="Glow"
+
+void main() {
+  vec2 p = (gl_FragCoord.xy - 0.5 * r - offset) / r.y;
+  float d = length(p) * (1.0 + zoom * 0.02);
+  float a = atan(p.y, p.x) + uTwist * (1.0 - d);
+  float rings = 0.5 + 0.5 * sin(d * uRings * 6.2831 - t * 2.0 + sin(a * 3.0) * uWarp);
+  vec3 col = uGlow * pow(rings, 3.0) * (1.0 - smoothstep(0.2, 0.9, d));
+  col = mix(col, uTint, clamp(uTintMix, 0.0, 1.0)) * max(0.0, uBrightness);
+  gl_FragColor = vec4(col, uOpacity);
+}
+`;
@@ -0,0 +1,88 @@
+/**
+ * ShaderToy Import
+ *
+ * Runs ShaderToy image shaders (`void mainImage(out vec4 fragColor, in vec2 fragCoord)`) as
+ * dispersion shaders. wrapShaderToy() puts the ShaderToy inputs in front of the pasted code
+ * and a main() after it:
+ *
+ *   iResolution  vec3   drawing buffer size (px), z = 1
+ *   iTime        float  dispersion time, plus uTimeBend × travel (audio-driven)
+ *   iTimeDelta   float  seconds since the last frame
+ *   iFrame       int    frames rendered with the shader
+ *   iMouse       vec4   xy = pointer while pressed, zw = click position (negative when up)
+ *   iChannel0    2D     512×2 audio texture in ShaderToy's layout: row 0 (y ≈ 0.25) is the
+ *                      FFT, row 1 (y ≈ 0.75) the waveform, both 0..1 in the red channel
+ *                      (filled by audio-textures.js, so the effects profile applies)
+ *
+ * The wrapper also declares two custom uniforms, so every imported shader gets sliders for
+ * them: uTimeBend (travel speeds iTime up) and uTwistBend (the dispersion twist swirls
+ * fragCoord around the centre). Output goes through the layer's brightness and opacity.
+ * Only i* and u* names are declared, so pasted code is free to use r, t, uv… itself.
+ */
+
+export const SHADERTOY_AUDIO_WIDTH = 512;
+
+// Fraction of the analyser's spectrum in the FFT row. ShaderToy's 512 bins come from a
+// 2048-point FFT, so they cover the lower half of the band (0..~11 kHz at 44.1 kHz).
+export const SHADERTOY_FFT_SPAN = 0.5;
+
+const HEADER = `uniform vec3 iResolution;
+uniform float iTime;
+uniform float uOpacity;
+uniform float uBrightness;
+uniform float uTwist;
+uniform float uTwistFalloff;
+uniform float iTimeDelta;
+uniform int iFrame;
+uniform vec4 iMouse;
+uniform sampler2D iChannel0;
+uniform float uTimeBend;  // min=0 max=2 step=0.01 default=0 label="Travel → iTime"
+uniform float uTwistBend; // min=0 max=1 step=0.01 default=0 label="Twist → Coords"
+`;
+
+const FOOTER = `
+void main() {
+  vec2 fc = gl_FragCoord.xy;
+  if (uTwistBend > 0.0) {
+    vec2 c = 0.5 * iResolution.xy;
+    vec2 d = fc - c;
+    float k = pow(clamp(length(d) / (0.5 * length(iResolution.xy)), 0.0, 1.0), max(0.0, uTwistFalloff));
+    float a = uTwist * uTwistBend * k;
+    fc = c + mat2(cos(a), sin(a), -sin(a), cos(a)) * d;
+  }
+  vec4 fragColor = vec4(0.0, 0.0, 0.0, 1.0);
+  mainImage(fragColor, fc);
+  gl_FragColor = vec4(max(fragColor.rgb, 0.0) * max(0.0, uBrightness), uOpacity);
+}
+`;
+
+const HEADER_LINES = (HEADER.match(/\n/g) || []).length;
+
+/** True for ShaderToy image code (has mainImage and no main of its own) */
+export function isShaderToySource(source) {
+  const text = String(source || '');
+  return /\bvoid\s+mainImage\s*\(/.test(text) && !/\bvoid\s+main\s*\(/.test(text);
+}
+
+/**
+ * Full fragment shader for ShaderToy code.
+ * @param {string} source - ShaderToy image tab code
+ * @returns {{source: string, lineOffset: number}} lineOffset = wrapper lines before the user's line 1
+ */
+export function wrapShaderToy(source) {
+  return { source: `${HEADER}${source}\n${FOOTER}`, lineOffset: HEADER_LINES };
+}
+
+/** Starting point for a pasted or new ShaderToy shader */
+export const SHADERTOY_TEMPLATE = `// Paste ShaderToy image code here. iTime, iResolution, iMouse, iFrame and
+// iChannel0 (audio: FFT at y = 0.25, waveform at y = 0.75) are provided.
+void mainImage(out vec4 fragColor, in vec2 fragCoord) {
+  vec2 uv = fragCoord / iResolution.xy;
+  float fft = texture(iChannel0, vec2(uv.x, 0.25)).x;
+  float wave = texture(iChannel0, vec2(uv.x, 0.75)).x;
+  vec3 col = 0.5 + 0.5 * cos(iTime + uv.xyx + vec3(0.0, 2.0, 4.0));
+  col *= smoothstep(0.0, 0.02, fft - uv.y);
+  col += 1.0 - smoothstep(0.0, 0.01, abs(wave - uv.y));
+  fragColor = vec4(col, 1.0);
+}
+`;
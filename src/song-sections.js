@@ -0,0 +1,196 @@
+/**
+ * Song Sections
+ *
+ * Song structure for file playback. The Essentia worker segments the whole decoded track
+ * into bar-aligned sections (intro / build / drop / breakdown / outro) with per-bar energy
+ * curves; this follows the transport through them and publishes, every frame:
+ *
+ *   features.section            { index, label, startSec, endSec, bars, energy, next } or null
+ *   features.sectionProgress    0..1 through the current section
+ *   features.nextSectionInBars  bars until the next section starts (null in the last one)
+ *
+ * Because the drop is known before it plays, AudioEngine fires features.drop on the bar
+ * line where a drop section starts instead of waiting for the live detector, and the scene
+ * builds toward it over the last bars of the section before.
+ *
+ * Each label can name a preset that loads when a section with that label starts
+ * (cosmic_section_presets). Entering the first section of a track doesn't switch, so a
+ * playlist track preset keeps the intro. Only playing on into the next section counts as
+ * entering it: after a seek, loop wrap or skip the position resyncs without switching
+ * presets or firing a drop.
+ */
+
+import { positionIn } from './file-transport.js';
+
+export const SECTION_LABELS = ['intro', 'build', 'drop', 'breakdown', 'outro'];
+
+const STORAGE_KEY = 'cosmic_section_presets';
+// A larger step between frames than this is a seek rather than playback
+const SEEK_JUMP_SEC = 1;
+
+function loadSettings() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    if (raw && typeof raw === 'object') {
+      const presets = {};
+      for (const label of SECTION_LABELS) {
+        if (typeof raw.presets?.[label] === 'string' && raw.presets[label]) presets[label] = raw.presets[label];
+      }
+      return { autoPresets: !!raw.autoPresets, presets };
+    }
+  } catch (_) {}
+  return { autoPresets: false, presets: {} };
+}
+
+/**
+ * Validates the worker's structure result.
+ * @returns {{sections: Object[], bars: Object|null}|null}
+ */
+export function normalizeStructure(raw) {
+  if (!raw || !Array.isArray(raw.sections)) return null;
+  const sections = raw.sections
+    .filter((s) => SECTION_LABELS.includes(s?.label) && Number.isFinite(s.startSec) && Number.isFinite(s.endSec) && s.endSec > s.startSec)
+    .map((s, index) => ({
+      index,
+      label: s.label,
+      startSec: s.startSec,
+      endSec: s.endSec,
+      startBar: Number.isFinite(s.startBar) ? s.startBar : 0,
+      bars: Number.isFinite(s.bars) ? s.bars : 0,
+      energy: Number.isFinite(s.energy) ? s.energy : 0,
+    }));
+  if (!sections.length) return null;
+  const bars = raw.bars && Array.isArray(raw.bars.times) ? raw.bars : null;
+  return { sections, bars };
+}
+
+/**
+ * 0 → 1 over the last `bars` bars before a drop section starts; 0 when no drop is next.
+ * @param {Object} features
+ * @param {number} [bars=8]
+ */
+export function dropApproach(features, bars = 8) {
+  if (features?.section?.next !== 'drop' || features.nextSectionInBars == null || !(bars > 0)) return 0;
+  return Math.min(1, Math.max(0, 1 - features.nextSectionInBars / bars));
+}
+
+export class SongSections {
+  /** @param {import('./audio.js').AudioEngine} engine */
+  constructor(engine) {
+    this.engine = engine;
+    const saved = loadSettings();
+    this.autoPresets = saved.autoPresets;
+    this.presets = saved.presets;
+    this.structure = null;
+    this._index = -1;
+    this._lastTimeSec = NaN;
+    this._listeners = new Set();
+    this.latest = null; // last update() result, for the settings panel
+  }
+
+  on(event, handler) {
+    if (typeof handler !== 'function') return () => {};
+    const wrapped = { event, handler };
+    this._listeners.add(wrapped);
+    return () => this._listeners.delete(wrapped);
+  }
+
+  /** Called by AudioEngine with each analysis result; null clears (new track, live input) */
+  setStructure(raw) {
+    this.structure = normalizeStructure(raw);
+    this._index = -1;
+    this._lastTimeSec = NaN;
+    this.latest = null;
+    this._notify('structure', { structure: this.structure });
+  }
+
+  // Only drops with a section before them are entered, so only those fire
+  hasDrops() {
+    return !!this.structure?.sections.some((s, i) => i > 0 && s.label === 'drop');
+  }
+
+  setAutoPresets(enabled) {
+    this.autoPresets = !!enabled;
+    this._save();
+  }
+
+  /**
+   * @param {string} label - One of SECTION_LABELS
+   * @param {string|null} presetId - null removes the association
+   */
+  setSectionPreset(label, presetId) {
+    if (!SECTION_LABELS.includes(label)) return;
+    if (presetId) this.presets[label] = presetId;
+    else delete this.presets[label];
+    this._save();
+  }
+
+  /** Preset to load for a section, or null when auto-switching is off or nothing is set */
+  presetFor(label) {
+    return this.autoPresets ? this.presets[label] || null : null;
+  }
+
+  /**
+   * Per frame, with the transport position (features.transport).
+   * @returns {{section: Object, sectionProgress: number, nextSectionInBars: number|null, entered: boolean}|null}
+   */
+  update(position) {
+    const sections = this.structure?.sections;
+    if (!sections || !position || !Number.isFinite(position.timeSec)) {
+      this.latest = null;
+      return null;
+    }
+    const t = position.timeSec;
+    let index = this._index >= 0 && this._index < sections.length ? this._index : 0;
+    while (index > 0 && t < sections[index].startSec) index -= 1;
+    while (index < sections.length - 1 && t >= sections[index].endSec) index += 1;
+    const current = sections[index];
+    const next = sections[index + 1] || null;
+
+    // Only playing on from the section before counts; the first one of a track isn't a
+    // change, and seeks or loop wraps resync quietly
+    let entered = false;
+    if (index !== this._index) {
+      const previous = this._index >= 0 ? sections[this._index] : null;
+      const step = t - this._lastTimeSec;
+      entered = !!previous && index === this._index + 1 && step >= 0 && step < SEEK_JUMP_SEC;
+      this._index = index;
+      if (entered || !previous) this._notify('section', { section: current, previous, initial: !previous });
+    }
+    this._lastTimeSec = t;
+    this.latest = {
+      section: { ...current, next: next ? next.label : null },
+      sectionProgress: Math.min(1, Math.max(0, (t - current.startSec) / Math.max(1e-3, current.endSec - current.startSec))),
+      nextSectionInBars: next ? Math.max(0, this._barsUntil(next.startSec, position)) : null,
+      entered,
+    };
+    return this.latest;
+  }
+
+  // -----------------
+  // Internals
+  // -----------------
+
+  _barsUntil(targetSec, position) {
+    const downbeats = this.engine.beatGrid?.downbeats;
+    if (position.source === 'grid' && Array.isArray(downbeats) && downbeats.length >= 2) {
+      return positionIn(downbeats, targetSec) - position.barPosition;
+    }
+    const barSec = position.bpm > 0 ? (60 / position.bpm) * Math.max(1, position.beatsPerBar || 4) : 0;
+    return barSec > 0 ? (targetSec - position.timeSec) / barSec : 0;
+  }
+
+  _notify(event, detail) {
+    for (const listener of this._listeners) {
+      if (listener.event === event || listener.event === '*') {
+        try { listener.handler({ event, detail }); } catch (err) { console.error('Song sections listener error', err); }
+      }
+    }
+  }
+
+  _save() {
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify({ autoPresets: this.autoPresets, presets: this.presets })); } catch (_) {}
+  }
+}
+
+export default SongSections;
@@ -0,0 +1,207 @@
+/**
+ * Network Sync Transport
+ *
+ * Carries SyncCoordinator messages over a WebSocket to tools/sync-relay.js, so receiver
+ * windows on other machines on the LAN can follow the control laptop. The relay simply
+ * forwards every message to the other clients in the same room; targeting by role and
+ * projector id still happens in SyncCoordinator.
+ *
+ * - Reconnects with backoff (0.5 s doubling to 8 s) until disconnect() is called
+ * - Estimates the offset between this machine's clock and the relay's with NTP-style
+ *   ping/pong, keeping the lowest-round-trip sample of the last few. now() returns relay
+ *   time, which every connected machine shares, so message timestamps are comparable
+ */
+
+const PING_INTERVAL_MS = 2000;
+const PING_BURST = 5; // quick pings right after connecting so the offset settles fast
+const PING_BURST_INTERVAL_MS = 150;
+const CLOCK_SAMPLES = 8;
+const RECONNECT_MIN_MS = 500;
+const RECONNECT_MAX_MS = 8000;
+
+const localNow = () => (typeof performance !== 'undefined' && performance.timeOrigin
+  ? performance.timeOrigin + performance.now()
+  : Date.now());
+
+export function buildRelayUrl(url, room = 'default', token = '') {
+  const target = new URL(url, typeof location !== 'undefined' ? location.href : undefined);
+  if (room) target.searchParams.set('room', room);
+  if (token) target.searchParams.set('token', token);
+  return target.toString();
+}
+
+export class NetworkSyncTransport {
+  /**
+   * @param {Object} opts
+   * @param {string} opts.url - Relay URL, e.g. ws://192.168.1.20:8091
+   * @param {string} [opts.room='default'] - Only clients in the same room see each other
+   * @param {string} [opts.token] - The relay's SYNC_TOKEN, when it requires one
+   * @param {(message: Object) => void} opts.onMessage
+   * @param {(status: Object) => void} [opts.onStatus]
+   */
+  constructor({ url, room = 'default', token = '', onMessage, onStatus } = {}) {
+    this.url = url;
+    this.room = room || 'default';
+    this.token = token || '';
+    this.onMessage = onMessage;
+    this.onStatus = onStatus;
+    this.ws = null;
+    this.connected = false;
+    this.offsetMs = 0;
+    this.rttMs = 0;
+    this.synced = false;
+    this.lastError = '';
+    this._samples = [];
+    this._closed = true;
+    this._retryMs = RECONNECT_MIN_MS;
+    this._retryTimer = null;
+    this._pingTimer = null;
+    this._burstTimers = [];
+  }
+
+  connect() {
+    if (typeof WebSocket === 'undefined') throw new Error('WebSocket is not available');
+    this._closed = false;
+    this._open();
+  }
+
+  disconnect() {
+    this._closed = true;
+    this._clearTimers();
+    if (this.ws) {
+      try { this.ws.close(); } catch (_) {}
+    }
+    this.ws = null;
+    this._setConnected(false);
+  }
+
+  /** Relay time in ms (local clock until the first pong arrives) */
+  now() {
+    return localNow() + this.offsetMs;
+  }
+
+  send(message) {
+    if (!this.connected || !this.ws) return false;
+    try {
+      this.ws.send(JSON.stringify(message));
+      return true;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  getStatus() {
+    return {
+      url: this.url,
+      room: this.room,
+      connected: this.connected,
+      synced: this.synced,
+      offsetMs: this.offsetMs,
+      rttMs: this.rttMs,
+      lastError: this.lastError,
+      retrying: !this._closed,
+    };
+  }
+
+  _open() {
+    let ws;
+    try {
+      ws = new WebSocket(buildRelayUrl(this.url, this.room, this.token));
+    } catch (err) {
+      this.lastError = err?.message || String(err);
+      this._scheduleReconnect();
+      return;
+    }
+    this.ws = ws;
+    ws.onopen = () => {
+      this._retryMs = RECONNECT_MIN_MS;
+      this.lastError = '';
+      this._samples = [];
+      this.synced = false;
+      this._setConnected(true);
+      this._startPinging();
+    };
+    ws.onmessage = (event) => {
+      let msg;
+      try { msg = JSON.parse(event.data); } catch (_) { return; }
+      if (!msg || typeof msg !== 'object') return;
+      if (msg.type === 'clockPong') {
+        this._handlePong(msg);
+        return;
+      }
+      try { this.onMessage?.(msg); } catch (err) { console.error('[NetworkSync] message handler error', err); }
+    };
+    ws.onerror = () => { this.lastError = 'Relay unreachable'; };
+    ws.onclose = (event) => {
+      if (this.ws === ws) this.ws = null;
+      this._clearTimers();
+      // Policy violation: the relay turned the token down, and retrying won't change that
+      if (event?.code === 1008) {
+        this._closed = true;
+        this.lastError = 'Relay rejected the token';
+      }
+      this._setConnected(false);
+      if (!this._closed) this._scheduleReconnect();
+    };
+  }
+
+  _scheduleReconnect() {
+    if (this._closed || this._retryTimer) return;
+    this._retryTimer = setTimeout(() => {
+      this._retryTimer = null;
+      if (!this._closed) this._open();
+    }, this._retryMs);
+    this._retryMs = Math.min(RECONNECT_MAX_MS, this._retryMs * 2);
+  }
+
+  _startPinging() {
+    for (let i = 0; i < PING_BURST; i += 1) {
+      this._burstTimers.push(setTimeout(() => this._ping(), i * PING_BURST_INTERVAL_MS));
+    }
+    this._pingTimer = setInterval(() => this._ping(), PING_INTERVAL_MS);
+  }
+
+  _ping() {
+    this.send({ type: 'clockPing', t0: localNow() });
+  }
+
+  _handlePong(msg) {
+    const t1 = localNow();
+    const t0 = Number(msg.t0);
+    const serverAt = Number(msg.serverAt);
+    if (!Number.isFinite(t0) || !Number.isFinite(serverAt)) return;
+    const rtt = t1 - t0;
+    if (rtt < 0) return;
+    this._samples.push({ rtt, offset: serverAt - (t0 + t1) / 2 });
+    if (this._samples.length > CLOCK_SAMPLES) this._samples.shift();
+    // The fastest round trip has the least queueing delay, so its midpoint is the most trustworthy
+    const best = this._samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+    const firstSync = !this.synced;
+    this.offsetMs = best.offset;
+    this.rttMs = best.rtt;
+    this.synced = true;
+    if (firstSync) this._emitStatus();
+  }
+
+  _setConnected(state) {
+    if (this.connected === state) return;
+    this.connected = state;
+    if (!state) this.synced = false;
+    this._emitStatus();
+  }
+
+  _emitStatus() {
+    try { this.onStatus?.(this.getStatus()); } catch (_) {}
+  }
+
+  _clearTimers() {
+    if (this._pingTimer) clearInterval(this._pingTimer);
+    this._pingTimer = null;
+    this._burstTimers.forEach((t) => clearTimeout(t));
+    this._burstTimers = [];
+    if (this._retryTimer) clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+  }
+}
+
+export default NetworkSyncTransport;
@@ -1,5 +1,21 @@
 // SyncCoordinator orchestrates control↔projector state sharing with BroadcastChannel,
-// postMessage, and localStorage heartbeat fallbacks.
+// postMessage, and localStorage heartbeat fallbacks. One control window can drive any
+// number of receivers; each receiver has a projector id (?projector=<id>) and gets its
+// own viewport / visual-mode config from the control's projector layout. An optional
+// WebSocket relay (tools/sync-relay.js) carries the same messages to other machines.
+
+import {
+  DEFAULT_PROJECTOR_ID,
+  applyEdgeBlendOverlay,
+  createProjectorConfig,
+  loadProjectorLayout,
+  normalizeProjectorConfig,
+  resolveProjectorIdFromUrl,
+  resolveProjectorViewport,
+  saveProjectorLayout,
+} from './projector-layout.js';
+import { NetworkSyncTransport } from './sync-network.js';
+import { normalizeModMatrix } from './mod-matrix.js';
 
 const CHANNEL_NAME = 'reactive-sync-v1';
 const STORAGE_KEY = 'reactive_sync_bridge_v1';
@@ -7,6 +23,10 @@ const FEATURE_INTERVAL_MS = 33;
 const PARAM_PUSH_INTERVAL_MS = 450;
 const HEARTBEAT_INTERVAL_MS = 5000;
 const HEARTBEAT_TIMEOUT_MS = HEARTBEAT_INTERVAL_MS * 2 + 800;
+// One-shot feature flags; latched between feature sends and released once on receivers
+const EVENT_KEYS = ['beat', 'drop', 'aubioOnset', 'chordChange'];
+const FEATURE_QUEUE_LIMIT = 64;
+const SEEN_MESSAGE_LIMIT = 512;
 
 function generateId() {
   return Math.random().toString(36).slice(2) + Date.now().toString(36);
@@ -53,9 +73,13 @@ function sanitizeFeatures(features) {
     fluxStd: features.fluxStd,
     beat: !!features.beat,
     drop: !!features.drop,
+    aubioOnset: !!features.aubioOnset,
     isBuilding: !!features.isBuilding,
     buildLevel: features.buildLevel,
-    lastDropMs: features.lastDropMs,
+    // performance.now() differs per window, so drops travel as "ms before this frame"
+    lastDropAgoMs: Number.isFinite(features.lastDropMs) && features.lastDropMs > 0 && typeof performance !== 'undefined'
+      ? Math.max(0, performance.now() - features.lastDropMs)
+      : null,
     bpm: features.bpm,
     bpmConfidence: features.bpmConfidence,
     bpmSource: features.bpmSource,
@@ -71,6 +95,17 @@ function sanitizeFeatures(features) {
     beatGrid: features.beatGrid
       ? { bpm: features.beatGrid.bpm, confidence: features.beatGrid.confidence }
       : undefined,
+    transport: features.transport ? { ...features.transport } : undefined,
+    liveBar: features.liveBar ? { ...features.liveBar } : undefined,
+    key: features.key ? { ...features.key } : undefined,
+    chord: features.chord ? { ...features.chord } : undefined,
+    chordChange: !!features.chordChange,
+    section: features.section ? { ...features.section } : undefined,
+    sectionProgress: features.sectionProgress,
+    nextSectionInBars: features.nextSectionInBars,
+    channels: Array.isArray(features.channels)
+      ? features.channels.map((ch) => ({ ...ch, bands: { ...ch.bands }, bandEnv: { ...ch.bandEnv } }))
+      : undefined,
   };
 }
 
@@ -88,11 +123,14 @@ function collectSceneSnapshot(sceneApi) {
     performanceMode: p.performanceMode,
     pixelRatioCap: p.pixelRatioCap,
     particleDensity: p.particleDensity,
+    visualMode: p.visualMode,
     enableSparks: p.enableSparks,
     outerShell: p.outerShell,
     autoResolution: p.autoResolution,
     targetFps: p.targetFps,
     minPixelRatio: p.minPixelRatio,
+    layers: p.layers,
+    modMatrix: p.modMatrix,
     map: p.map,
     explosion: p.explosion,
     explosionDuration: sceneApi.state.explosionDuration,
@@ -100,11 +138,17 @@ function collectSceneSnapshot(sceneApi) {
   return deepClone(snapshot);
 }
 
-function applySceneSnapshot(sceneApi, snapshot) {
+function applySceneSnapshot(sceneApi, snapshot, { visualModeOverride = '' } = {}) {
   if (!sceneApi?.state?.params || !snapshot) return;
   const params = sceneApi.state.params;
   let shouldRebuildParticles = false;
 
+  const visualMode = visualModeOverride || snapshot.visualMode;
+  if (typeof visualMode === 'string' && visualMode !== params.visualMode) {
+    params.visualMode = visualMode;
+    sceneApi.setVisualMode?.(visualMode);
+  }
+
   if (snapshot.theme && snapshot.theme !== params.theme) {
     sceneApi.changeTheme(snapshot.theme);
   }
@@ -171,6 +215,15 @@ function applySceneSnapshot(sceneApi, snapshot) {
     deepMerge(params.map, snapshot.map);
   }
 
+  if (snapshot.layers && typeof snapshot.layers === 'object') {
+    if (!params.layers || typeof params.layers !== 'object') params.layers = {};
+    deepMerge(params.layers, snapshot.layers);
+  }
+
+  if (snapshot.modMatrix && typeof snapshot.modMatrix === 'object') {
+    params.modMatrix = normalizeModMatrix(snapshot.modMatrix);
+  }
+
   if (snapshot.explosion && typeof snapshot.explosion === 'object') {
     if (!params.explosion || typeof params.explosion !== 'object') params.explosion = {};
     deepMerge(params.explosion, snapshot.explosion);
@@ -207,7 +260,7 @@ export class SyncCoordinator {
     if (typeof onStatusChange === 'function') this._statusListeners.add(onStatusChange);
 
     this.channel = null;
-    this.projectorWindow = null;
+    this.projectorWindows = new Map(); // control: projector id -> window opened from here
     this.controlWindow = null;
     this.remoteId = null;
     this.remoteRole = null;
@@ -223,9 +276,26 @@ export class SyncCoordinator {
     this._remoteFeatures = null;
     this._remoteFeaturesPerfAt = 0;
     this._remoteFeaturesWallAt = 0;
+    this._remoteProducedAt = 0;
+    this._featureQueue = [];
+    this._pendingEvents = {};
+    this._remoteLatencyMs = null;
+
+    // Network transport (WebSocket relay) and cross-transport de-duplication
+    this.network = null;
+    this.playoutDelayMs = 0;
+    this._seq = 0;
+    this._seen = new Set();
+    this._seenOrder = [];
 
     this._lastAppliedParams = null;
 
+    // Control: projector layout + live receiver table; receiver: own id and config
+    this.projectors = this.role === 'control' ? loadProjectorLayout() : [];
+    this.receivers = new Map(); // projector id -> { senderId, connected, lastSeenAt, width, height }
+    this.projectorId = this.role === 'receiver' ? resolveProjectorIdFromUrl() : null;
+    this.projectorConfig = null;
+
     this._initTransports();
     setTimeout(() => this._sendHello(), 60);
   }
@@ -256,14 +326,26 @@ export class SyncCoordinator {
     }
     if (this.role === 'receiver' && typeof window !== 'undefined') {
       if (window.opener && !window.opener.closed) this.controlWindow = window.opener;
+      // Half-frame viewports are sized from the window, so follow resizes
+      window.addEventListener('resize', () => this._applyProjectorConfig());
     }
   }
 
+  _receiverPayload() {
+    if (this.role !== 'receiver') return {};
+    const payload = { projectorId: this.projectorId };
+    if (typeof window !== 'undefined') {
+      payload.width = window.innerWidth;
+      payload.height = window.innerHeight;
+    }
+    return payload;
+  }
+
   _sendHello() {
-    const payload = { role: this.role };
+    const payload = { role: this.role, ...this._receiverPayload() };
     this._sendMessage('hello', payload, { target: this.role === 'receiver' ? 'control' : 'receiver', useStorage: true });
     if (this.role === 'receiver') {
-      this._sendMessage('requestSnapshot', {}, { target: 'control', useStorage: true });
+      this._sendMessage('requestSnapshot', this._receiverPayload(), { target: 'control', useStorage: true });
     }
   }
 
@@ -271,52 +353,77 @@ export class SyncCoordinator {
     if (!raw || typeof raw !== 'object') return;
     if (raw.senderId === this.id) return;
     if (raw.target && raw.target !== 'any' && raw.target !== this.role) return;
-
-    if (via === 'postMessage') {
-      if (this.role === 'control' && sourceWindow) this.projectorWindow = sourceWindow;
-      if (this.role === 'receiver' && sourceWindow) this.controlWindow = sourceWindow;
+    // A same-machine peer on the relay gets every message twice (local + WebSocket)
+    if (typeof raw.seq === 'number') {
+      const key = `${raw.senderId}:${raw.seq}`;
+      if (this._seen.has(key)) return;
+      this._seen.add(key);
+      this._seenOrder.push(key);
+      if (this._seenOrder.length > SEEN_MESSAGE_LIMIT) this._seen.delete(this._seenOrder.shift());
     }
 
     const type = raw.type;
     const payload = raw.payload || {};
+    const projectorId = this.role === 'control' ? String(payload.projectorId || DEFAULT_PROJECTOR_ID) : null;
+
+    if (via === 'postMessage') {
+      if (this.role === 'control' && sourceWindow) this.projectorWindows.set(projectorId, sourceWindow);
+      if (this.role === 'receiver' && sourceWindow) this.controlWindow = sourceWindow;
+    }
 
     if (type === 'hello') {
       this.remoteId = raw.senderId;
       this.remoteRole = payload.role || null;
       this._lastHeartbeatSeen = Date.now();
-      this._setConnected(true);
       if (this.role === 'control') {
+        this._touchReceiver(projectorId, raw.senderId, payload);
         this._sendMessage('hello', { role: this.role }, { target: 'receiver', useStorage: true });
         this.pushNow();
+      } else {
+        this._setConnected(true);
+        // A control window that (re)started after us doesn't know our projector id yet
+        if (!this.projectorConfig) this._sendMessage('requestSnapshot', this._receiverPayload(), { target: 'control' });
       }
       return;
     }
 
     if (type === 'heartbeat') {
       this._lastHeartbeatSeen = Date.now();
-      this._setConnected(true);
+      if (this.role === 'control') this._touchReceiver(projectorId, raw.senderId, payload);
+      else this._setConnected(true);
       return;
     }
 
     if (type === 'requestSnapshot') {
-      if (this.role === 'control') this.pushNow();
+      if (this.role === 'control') {
+        this._sendProjectorConfig(projectorId);
+        this.pushNow();
+      }
+      return;
+    }
+
+    if (type === 'projectorConfig') {
+      if (this.role === 'receiver' && payload.projectorId === this.projectorId) {
+        this.projectorConfig = normalizeProjectorConfig(payload.config);
+        this._applyProjectorConfig();
+        if (this._lastAppliedParams) {
+          applySceneSnapshot(this.sceneApi, this._lastAppliedParams, { visualModeOverride: this.projectorConfig.visualMode });
+        }
+        this._emitStatus();
+      }
       return;
     }
 
     if (type === 'paramsSnapshot') {
       if (this.role === 'receiver') {
-        applySceneSnapshot(this.sceneApi, payload.params);
+        applySceneSnapshot(this.sceneApi, payload.params, { visualModeOverride: this.projectorConfig?.visualMode });
         this._lastAppliedParams = payload.params;
       }
       return;
     }
 
     if (type === 'features') {
-      if (this.role === 'receiver') {
-        this._remoteFeatures = payload.features || null;
-        this._remoteFeaturesPerfAt = typeof performance !== 'undefined' ? performance.now() : 0;
-        this._remoteFeaturesWallAt = Date.now();
-      }
+      if (this.role === 'receiver' && payload.features) this._queueRemoteFeatures(payload.features, raw, via);
       return;
     }
 
@@ -375,6 +482,58 @@ export class SyncCoordinator {
     }
   }
 
+  _queueRemoteFeatures(features, raw, via) {
+    const clock = this.clockNow();
+    // sentAt is only comparable with our clock if both sides use the same one: both
+    // synced to the relay, or neither synced and on the same machine
+    const comparable = raw.clockSynced ? !!this.network?.synced : (!this.network?.synced && via !== 'websocket');
+    const producedAt = comparable && typeof raw.sentAt === 'number' ? Math.min(raw.sentAt, clock) : clock;
+    if (comparable) this._remoteLatencyMs = clock - producedAt;
+    let dueAt = producedAt + this.playoutDelayMs;
+    if (dueAt - clock > 1000) dueAt = clock;
+    this._featureQueue.push({ features, producedAt, dueAt });
+    if (this._featureQueue.length > FEATURE_QUEUE_LIMIT) this._featureQueue.shift();
+    this._remoteFeaturesPerfAt = typeof performance !== 'undefined' ? performance.now() : 0;
+    this._remoteFeaturesWallAt = Date.now();
+  }
+
+  _touchReceiver(projectorId, senderId, payload = {}) {
+    const prev = this.receivers.get(projectorId);
+    const entry = {
+      senderId,
+      connected: true,
+      lastSeenAt: Date.now(),
+      width: payload.width || prev?.width || 0,
+      height: payload.height || prev?.height || 0,
+    };
+    this.receivers.set(projectorId, entry);
+    const isNew = !prev || !prev.connected || prev.senderId !== senderId;
+    if (!this.projectors.some((p) => p.id === projectorId)) {
+      // A receiver opened by hand with an id the layout doesn't know yet
+      this.projectors.push(normalizeProjectorConfig({ id: projectorId }));
+      saveProjectorLayout(this.projectors);
+    }
+    if (isNew) this._sendProjectorConfig(projectorId);
+    if (isNew || !this.connected) {
+      this.connected = true;
+      this._emitStatus();
+    }
+  }
+
+  _sendProjectorConfig(projectorId) {
+    if (this.role !== 'control') return;
+    const config = this.projectors.find((p) => p.id === projectorId);
+    if (!config) return;
+    this._sendMessage('projectorConfig', { projectorId, config }, { target: 'receiver' });
+  }
+
+  _applyProjectorConfig() {
+    if (this.role !== 'receiver' || !this.projectorConfig || typeof window === 'undefined') return;
+    const viewport = resolveProjectorViewport(this.projectorConfig, window.innerWidth, window.innerHeight);
+    try { this.sceneApi?.setViewOffset?.(viewport); } catch (_) {}
+    applyEdgeBlendOverlay(this.projectorConfig);
+  }
+
   _setConnected(state) {
     if (this.connected === state) return;
     this.connected = state;
@@ -395,15 +554,20 @@ export class SyncCoordinator {
       payload,
       target,
       senderId: this.id,
-      sentAt: Date.now(),
+      seq: ++this._seq,
+      sentAt: this.clockNow(),
+      clockSynced: !!this.network?.synced,
     };
 
     if (this.channel) {
       try { this.channel.postMessage(message); } catch (_) {}
     }
+    if (this.network) this.network.send(message);
 
     const directTargets = [];
-    if (this.projectorWindow && !this.projectorWindow.closed) directTargets.push(this.projectorWindow);
+    for (const win of this.projectorWindows.values()) {
+      if (win && !win.closed) directTargets.push(win);
+    }
     if (this.controlWindow && !this.controlWindow.closed) directTargets.push(this.controlWindow);
     if (typeof window !== 'undefined' && window.opener && this.role === 'control') {
       if (!directTargets.includes(window.opener) && !window.opener.closed) directTargets.push(window.opener);
@@ -449,9 +613,13 @@ export class SyncCoordinator {
     if (!features) return;
     if (!this.autoSync) return;
     if (this.connected === false) return;
+    // Frames are sent at ~30 Hz; keep one-shot events from the frames in between
+    for (const key of EVENT_KEYS) if (features[key]) this._pendingEvents[key] = true;
     if (now - this._lastFeaturesSentAt < FEATURE_INTERVAL_MS) return;
     this._lastFeaturesSentAt = now;
     const safe = sanitizeFeatures(features);
+    for (const key of EVENT_KEYS) safe[key] = !!this._pendingEvents[key];
+    this._pendingEvents = {};
     this._sendMessage('features', { features: safe }, { target: 'receiver' });
   }
 
@@ -472,25 +640,105 @@ export class SyncCoordinator {
 
   tick(now) {
     const wallNow = Date.now();
-    if (this.connected && this._lastHeartbeatSeen && wallNow - this._lastHeartbeatSeen > HEARTBEAT_TIMEOUT_MS) {
+    if (this.role === 'control') {
+      let changed = false;
+      for (const entry of this.receivers.values()) {
+        if (entry.connected && wallNow - entry.lastSeenAt > HEARTBEAT_TIMEOUT_MS) {
+          entry.connected = false;
+          changed = true;
+        }
+      }
+      if (changed) {
+        this.connected = [...this.receivers.values()].some((entry) => entry.connected);
+        this._emitStatus();
+      }
+    } else if (this.connected && this._lastHeartbeatSeen && wallNow - this._lastHeartbeatSeen > HEARTBEAT_TIMEOUT_MS) {
       this._setConnected(false);
     }
 
     if (now - this._lastHeartbeatSent > HEARTBEAT_INTERVAL_MS) {
       this._lastHeartbeatSent = now;
       const target = this.role === 'control' ? 'receiver' : 'control';
-      this._sendMessage('heartbeat', {}, { target });
+      this._sendMessage('heartbeat', this._receiverPayload(), { target });
     }
   }
 
+  /**
+   * Receiver: the control's features for this frame. Frames are released on the shared
+   * clock after the playout delay; one-shot events (beat, drop, onset) from every frame
+   * released since the last call are reported exactly once.
+   */
   getRemoteFeatures(now) {
+    const clock = this.clockNow();
+    const events = {};
+    while (this._featureQueue.length && this._featureQueue[0].dueAt <= clock) {
+      const frame = this._featureQueue.shift();
+      for (const key of EVENT_KEYS) if (frame.features[key]) events[key] = true;
+      this._remoteFeatures = frame.features;
+      this._remoteProducedAt = frame.producedAt;
+    }
     if (!this._remoteFeatures) return null;
     if (typeof now === 'number' && this._remoteFeaturesPerfAt > 0) {
       if (now - this._remoteFeaturesPerfAt > 1200) return null;
     } else if (this._remoteFeaturesWallAt && Date.now() - this._remoteFeaturesWallAt > 1500) {
       return null;
     }
-    return this._remoteFeatures;
+    const features = { ...this._remoteFeatures };
+    for (const key of EVENT_KEYS) features[key] = !!events[key];
+    const perfNow = typeof now === 'number' ? now : (typeof performance !== 'undefined' ? performance.now() : 0);
+    features.lastDropMs = typeof features.lastDropAgoMs === 'number'
+      ? perfNow - (clock - this._remoteProducedAt) - features.lastDropAgoMs
+      : -99999;
+    return features;
+  }
+
+  // Network sync (WebSocket relay)
+
+  /** Shared clock in ms: relay time while connected to one, the local clock otherwise */
+  clockNow() {
+    return this.network ? this.network.now() : Date.now();
+  }
+
+  /**
+   * Connects to a tools/sync-relay.js instance; messages then go out over the relay as
+   * well as the local transports.
+   * @param {string} url - e.g. ws://192.168.1.20:8091
+   * @param {Object} [opts]
+   * @param {string} [opts.room='default']
+   * @param {string} [opts.token] - Relay SYNC_TOKEN
+   */
+  connectNetwork(url, { room = 'default', token = '' } = {}) {
+    this.disconnectNetwork();
+    if (!url) return;
+    let wasConnected = false;
+    this.network = new NetworkSyncTransport({
+      url,
+      room,
+      token,
+      onMessage: (msg) => this._handleMessage(msg, 'websocket'),
+      onStatus: (status) => {
+        if (status.connected && !wasConnected) this._sendHello();
+        wasConnected = status.connected;
+        this._emitStatus();
+      },
+    });
+    this.network.connect();
+    this._emitStatus();
+  }
+
+  disconnectNetwork() {
+    if (!this.network) return;
+    this.network.disconnect();
+    this.network = null;
+    this._emitStatus();
+  }
+
+  /**
+   * Receiver: holds incoming feature frames until sentAt + ms on the shared clock, so
+   * receivers with different network latency still hit beats at the same moment.
+   */
+  setPlayoutDelay(ms) {
+    this.playoutDelayMs = Math.max(0, Math.min(1000, Number(ms) || 0));
   }
 
   getStatus() {
@@ -500,22 +748,90 @@ export class SyncCoordinator {
       remoteRole: this.remoteRole,
       lastHeartbeatAt: this._lastHeartbeatSeen,
       lastFeaturesAt: this._remoteFeaturesWallAt,
+      projectorId: this.projectorId,
+      network: this.network ? this.network.getStatus() : null,
+      playoutDelayMs: this.playoutDelayMs,
+      remoteLatencyMs: this._remoteLatencyMs,
+      receivers: this.projectors.map((config) => {
+        const entry = this.receivers.get(config.id);
+        const win = this.projectorWindows.get(config.id);
+        return {
+          id: config.id,
+          label: config.label,
+          viewport: config.viewport,
+          visualMode: config.visualMode,
+          connected: !!entry?.connected,
+          lastSeenAt: entry?.lastSeenAt || 0,
+          width: entry?.width || 0,
+          height: entry?.height || 0,
+          windowOpen: !!win && !win.closed,
+        };
+      }),
     };
   }
 
-  openProjectorWindow() {
+  // Projector layout (control only)
+
+  getProjectors() {
+    return this.projectors.map((p) => normalizeProjectorConfig(p));
+  }
+
+  addProjector() {
+    if (this.role !== 'control') return null;
+    const config = createProjectorConfig(this.projectors);
+    this.projectors.push(config);
+    saveProjectorLayout(this.projectors);
+    this._emitStatus();
+    return config;
+  }
+
+  updateProjector(id, patch = {}) {
+    const index = this.projectors.findIndex((p) => p.id === id);
+    if (index < 0) return null;
+    const prev = this.projectors[index];
+    const next = normalizeProjectorConfig({ ...prev, ...patch, custom: { ...prev.custom, ...(patch.custom || {}) }, id });
+    this.projectors[index] = next;
+    saveProjectorLayout(this.projectors);
+    this._sendProjectorConfig(id);
+    this._emitStatus();
+    return next;
+  }
+
+  removeProjector(id) {
+    if (this.projectors.length <= 1) return false;
+    const before = this.projectors.length;
+    this.projectors = this.projectors.filter((p) => p.id !== id);
+    if (this.projectors.length === before) return false;
+    this.closeProjectorWindow(id);
+    this.receivers.delete(id);
+    saveProjectorLayout(this.projectors);
+    this._emitStatus();
+    return true;
+  }
+
+  openProjectorWindow(id = this.projectors[0]?.id || DEFAULT_PROJECTOR_ID) {
     if (this.role !== 'control' || typeof window === 'undefined') return null;
     const url = new URL(window.location.href);
     url.searchParams.delete('control');
     url.searchParams.set('present', '1');
     url.searchParams.set('receiver', '1');
     url.searchParams.set('from', 'control');
-    const win = window.open(url.toString(), 'reactive-projector', 'popup=1,width=1600,height=900,noopener=yes');
-    if (win) this.projectorWindow = win;
+    url.searchParams.set('projector', id);
+    // Keep the opener link: the handle is how we reach and close the window directly
+    const win = window.open(url.toString(), `reactive-projector-${id}`, 'popup=1,width=1600,height=900');
+    if (win) this.projectorWindows.set(id, win);
     setTimeout(() => this._sendHello(), 120);
     return win;
   }
 
+  closeProjectorWindow(id) {
+    const win = this.projectorWindows.get(id);
+    if (win && !win.closed) {
+      try { win.close(); } catch (_) {}
+    }
+    this.projectorWindows.delete(id);
+  }
+
   sendCommand(name) {
     if (!name) return;
     const target = this.role === 'control' ? 'receiver' : 'control';
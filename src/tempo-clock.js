@@ -0,0 +1,99 @@
+/**
+ * Tempo Clock
+ *
+ * A continuous musical position (beats and bars as floats) for tempo-synced modulation.
+ * Sources, best first:
+ *
+ * - grid   A file is playing and has an Essentia beat grid: the FileTransport position
+ * - tap    Tap tempo (tapTempoIntervalMs), phase-locked to the AudioEngine's quantize
+ *          anchor (_lastQuantizeMs), which tap, quantize and detected beats all move
+ * - tempo  Tempo assist / auto BPM (tempoIntervalMs) on the same anchor
+ * - free   No tempo known: runs at the last BPM seen in the features (receivers), else 120
+ *
+ * In tap/tempo mode the bar line follows the scene's bar phase (metrics.beatIndex), the
+ * same downbeat the cue list counts from.
+ */
+
+const FALLBACK_BPM = 120;
+
+export class TempoClock {
+  /**
+   * @param {Object} deps
+   * @param {Object} [deps.audioEngine]
+   * @param {Object} [deps.sceneApi] - For beatsPerBar / beatIndex in live mode
+   */
+  constructor({ audioEngine = null, sceneApi = null } = {}) {
+    this.audioEngine = audioEngine;
+    this.sceneApi = sceneApi;
+    this.position = { beats: 0, bars: 0, bpm: FALLBACK_BPM, beatsPerBar: 4, source: 'free' };
+    this._anchorMs = null;
+    this._anchorBeats = 0;
+    this._barOffsetBeats = 0;
+    this._freeStartMs = null;
+    this._freeStartBeats = 0;
+  }
+
+  /**
+   * @param {number} nowMs - performance.now() domain (or the offline export clock)
+   * @param {Object|null} [features]
+   * @returns {{beats:number, bars:number, bpm:number, beatsPerBar:number, source:string}}
+   */
+  update(nowMs, features = null) {
+    const beatsPerBar = Math.max(1, Math.round(this.sceneApi?.state?.metrics?.beatsPerBar || this.audioEngine?.dropGateBeatsPerBar || 4));
+    const pos = this._fromFileGrid(features) || this._fromAnchor(nowMs, beatsPerBar) || this._free(nowMs, beatsPerBar, features);
+    this.position = pos;
+    return pos;
+  }
+
+  _fromFileGrid(features) {
+    const ae = this.audioEngine;
+    // Receiver windows have no file of their own but get the control's transport in the features
+    const pos = ae?.isPlayingFile && ae.transport ? ae.transport.getPosition() : features?.transport;
+    if (pos?.source !== 'grid') return null;
+    this._anchorMs = null;
+    this._freeStartMs = null;
+    return { beats: pos.beatPosition, bars: pos.barPosition, bpm: pos.bpm, beatsPerBar: pos.beatsPerBar, source: 'grid' };
+  }
+
+  _fromAnchor(nowMs, beatsPerBar) {
+    const ae = this.audioEngine;
+    if (!ae) return null;
+    let intervalMs = 0;
+    let source = '';
+    if (ae.tapTempoIntervalMs > 0) { intervalMs = ae.tapTempoIntervalMs; source = 'tap'; }
+    else if (ae.tempoIntervalMs > 0) { intervalMs = ae.tempoIntervalMs; source = 'tempo'; }
+    const anchor = ae._lastQuantizeMs;
+    if (!(intervalMs > 0) || !(anchor > 0)) return null;
+
+    if (this._anchorMs == null) {
+      this._anchorBeats = Math.ceil(this.position.beats);
+    } else if (anchor > this._anchorMs) {
+      // Quantize ticks move the anchor by whole beats; detected beats and taps re-anchor
+      // off-grid, which rounds to the nearest beat so the phase locks without skipping
+      this._anchorBeats += Math.max(1, Math.round((anchor - this._anchorMs) / intervalMs));
+      // Beats only move forward; the bar line is re-aligned by shifting the bar offset instead
+      const beatIndex = this.sceneApi?.state?.metrics?.beatIndex;
+      if (Number.isInteger(beatIndex) && beatIndex >= 0) {
+        this._barOffsetBeats = this._anchorBeats - beatIndex;
+      }
+    }
+    this._anchorMs = anchor;
+    this._freeStartMs = null;
+    const beats = this._anchorBeats + Math.max(0, nowMs - anchor) / intervalMs;
+    return { beats, bars: (beats - this._barOffsetBeats) / beatsPerBar, bpm: 60000 / intervalMs, beatsPerBar, source };
+  }
+
+  _free(nowMs, beatsPerBar, features) {
+    const remoteBpm = Number(features?.bpm) || Number(features?.beatGrid?.bpm) || 0;
+    const bpm = remoteBpm > 30 && remoteBpm < 300 ? remoteBpm : (this.position.source === 'free' ? this.position.bpm : FALLBACK_BPM);
+    if (this._freeStartMs == null || bpm !== this.position.bpm) {
+      this._freeStartMs = nowMs;
+      this._freeStartBeats = this.position.beats;
+    }
+    this._anchorMs = null;
+    const beats = this._freeStartBeats + ((nowMs - this._freeStartMs) / 60000) * bpm;
+    return { beats, bars: beats / beatsPerBar, bpm, beatsPerBar, source: 'free' };
+  }
+}
+
+export default TempoClock;
@@ -0,0 +1,189 @@
+/**
+ * Theme Library
+ *
+ * User-defined colour themes next to the built-in ones in scene.js (nebula, sunset, forest,
+ * aurora). A custom theme is plain JSON:
+ *
+ *   {
+ *     id: 'custom-acme-k3f9',            // stable key; presets store it as visuals.theme
+ *     name: 'ACME Brand',
+ *     core: ['#00aaff', '#ff0066', ...],  // core sphere gradient stops (2..8)
+ *     rings: ['#ffffff', '#00aaff', ...], // ring gradient stops across the ring stack (2..8)
+ *     star: '#d9d9d9',                    // starfield tint
+ *     light: '#66ccff',                   // central light base colour; '' = audio-driven hue
+ *     glow: '',                           // core glow sprite; '' = follows the light
+ *     fog: '#000000',                     // fog, and the background while HDR is off
+ *   }
+ *
+ * Themes persist in localStorage (cosmic_custom_themes). Export / import use
+ *   { format: 'cosmic-themes', version: 1, themes: [...] }
+ * and import also takes a bare theme or an array of them.
+ */
+
+const STORAGE_KEY = 'cosmic_custom_themes';
+const EXPORT_FORMAT = 'cosmic-themes';
+const EXPORT_VERSION = 1;
+export const MIN_GRADIENT_STOPS = 2;
+export const MAX_GRADIENT_STOPS = 8;
+export const THEME_DEFAULTS = {
+  star: '#d9d9d9',
+  light: '',
+  glow: '',
+  fog: '#000000',
+};
+
+const HEX_RE = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+const themes = new Map();
+const listeners = new Set();
+let loaded = false;
+
+function notify(event, id) {
+  listeners.forEach((fn) => {
+    try { fn(event, id); } catch (err) { console.error('[Themes] listener error', err); }
+  });
+}
+
+/** '#abc' / 'AABBCC' → '#aabbcc'; null for anything else */
+export function normalizeHex(value) {
+  const m = HEX_RE.exec(String(value ?? '').trim());
+  if (!m) return null;
+  const hex = m[1].length === 3 ? m[1].split('').map((c) => c + c).join('') : m[1];
+  return `#${hex.toLowerCase()}`;
+}
+
+function normalizeStops(raw, fallback) {
+  const stops = (Array.isArray(raw) ? raw : []).map(normalizeHex).filter(Boolean).slice(0, MAX_GRADIENT_STOPS);
+  if (stops.length >= MIN_GRADIENT_STOPS) return stops;
+  if (stops.length === 1) return [stops[0], stops[0]];
+  return fallback.slice();
+}
+
+function slugify(name) {
+  return String(name || 'theme').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 24) || 'theme';
+}
+
+function generateId(name) {
+  return `custom-${slugify(name)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Validates a theme; throws when it has nothing usable.
+ * @param {Object} raw
+ * @returns {Object} theme with every field filled in (id may be '' for an unsaved draft)
+ */
+export function normalizeTheme(raw) {
+  if (!raw || typeof raw !== 'object') throw new Error('Theme must be an object');
+  const core = normalizeStops(raw.core, []);
+  if (!core.length) throw new Error('Theme needs at least two core colors');
+  const optional = (key) => (raw[key] === '' || raw[key] == null ? '' : normalizeHex(raw[key]) || THEME_DEFAULTS[key]);
+  return {
+    id: typeof raw.id === 'string' ? raw.id.trim().slice(0, 64) : '',
+    name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim().slice(0, 40) : 'Custom Theme',
+    core,
+    rings: normalizeStops(raw.rings, core),
+    star: normalizeHex(raw.star) || THEME_DEFAULTS.star,
+    light: optional('light'),
+    glow: optional('glow'),
+    fog: normalizeHex(raw.fog) || THEME_DEFAULTS.fog,
+  };
+}
+
+function load() {
+  if (loaded) return;
+  loaded = true;
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    (Array.isArray(raw) ? raw : []).forEach((entry) => {
+      try {
+        const theme = normalizeTheme(entry);
+        if (theme.id) themes.set(theme.id, theme);
+      } catch (_) {}
+    });
+  } catch (_) {}
+}
+
+function persist() {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(Array.from(themes.values()))); } catch (_) {}
+}
+
+export function getCustomThemes() {
+  load();
+  return Array.from(themes.values()).map((t) => ({ ...t, core: t.core.slice(), rings: t.rings.slice() }));
+}
+
+export function getCustomTheme(id) {
+  load();
+  const t = themes.get(id);
+  return t ? { ...t, core: t.core.slice(), rings: t.rings.slice() } : null;
+}
+
+/**
+ * Saves a theme, creating an id for new ones. Ids of built-in themes can't be taken.
+ * @param {Object} raw
+ * @param {{reservedIds?: string[]}} [options]
+ * @returns {Object} the stored theme
+ */
+export function saveCustomTheme(raw, { reservedIds = [] } = {}) {
+  load();
+  const theme = normalizeTheme(raw);
+  if (!theme.id || reservedIds.includes(theme.id)) theme.id = generateId(theme.name);
+  themes.set(theme.id, theme);
+  persist();
+  notify('save', theme.id);
+  return getCustomTheme(theme.id);
+}
+
+export function deleteCustomTheme(id) {
+  load();
+  if (!themes.delete(id)) return false;
+  persist();
+  notify('delete', id);
+  return true;
+}
+
+/** JSON text for some (default: all) custom themes, or for a draft passed as an object */
+export function exportThemes(selection = null) {
+  load();
+  const list = Array.isArray(selection)
+    ? selection.map((entry) => (typeof entry === 'string' ? themes.get(entry) : normalizeTheme(entry))).filter(Boolean)
+    : Array.from(themes.values());
+  return JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, themes: list }, null, 2);
+}
+
+/**
+ * Imports themes from exported JSON (or a bare theme / array). Existing ids are replaced.
+ * Throws without importing anything when any entry is invalid.
+ * @param {string|Object} input
+ * @param {{reservedIds?: string[]}} [options]
+ * @returns {Object[]} the imported themes
+ */
+export function importThemes(input, { reservedIds = [] } = {}) {
+  load();
+  const data = typeof input === 'string' ? JSON.parse(input) : input;
+  let list;
+  if (Array.isArray(data)) list = data;
+  else if (data && Array.isArray(data.themes)) {
+    if (data.format && data.format !== EXPORT_FORMAT) throw new Error(`Not a theme file (${data.format})`);
+    list = data.themes;
+  } else list = [data];
+  // Validate every entry before touching the library, so a bad entry imports nothing
+  const incoming = new Map();
+  list.forEach((entry) => {
+    const theme = normalizeTheme(entry);
+    if (!theme.id || reservedIds.includes(theme.id)) theme.id = generateId(theme.name);
+    incoming.set(theme.id, theme);
+  });
+  if (!incoming.size) throw new Error('No themes in file');
+  incoming.forEach((theme, id) => themes.set(id, theme));
+  persist();
+  const imported = Array.from(incoming.keys());
+  imported.forEach((id) => notify('save', id));
+  return imported.map(getCustomTheme);
+}
+
+export function onThemeLibraryChange(listener) {
+  if (typeof listener !== 'function') return () => {};
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,470 @@
+/**
+ * Timeline Panel
+ *
+ * Collapsible strip along the bottom of the screen while a file is loaded. It shows the
+ * waveform (Wavesurfer, lazy-loaded; drawn by hand if the CDN is unreachable) with the
+ * Essentia beat grid on top: thin ticks for beats, tall lines for downbeats, red flags for
+ * detected drops, the loop region and user cue markers. Seeing where the engine puts the
+ * downbeats is the quickest way to check bar-gated drops.
+ *
+ * - Click: seek (snaps to the nearest beat; hold Shift for the exact spot)
+ * - Drag: set the loop region (beat-snapped the same way)
+ * - Alt+click or "+ Cue": drop a cue marker; click a marker to jump to it, right-click removes it
+ *
+ * Markers are stored per file (name + duration) in localStorage, for the 50 files opened
+ * most recently.
+ */
+
+import { loadWavesurfer } from './lazy.js';
+
+const COLLAPSED_KEY = 'cosmic_timeline_collapsed';
+const MARKERS_KEY = 'cosmic_timeline_markers';
+const MARKERS_USED_KEY = 'cosmic_timeline_markers_used'; // file key -> last opened or edited (ms)
+const MAX_MARKER_FILES = 50;
+const WAVE_HEIGHT = 64;
+const PEAK_BUCKETS = 1600;
+const DRAG_THRESHOLD_PX = 4;
+const MARKER_HIT_PX = 6;
+
+function readJson(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (_) {
+    return fallback;
+  }
+}
+
+function writeJson(key, value) {
+  try { localStorage.setItem(key, JSON.stringify(value)); } catch (_) {}
+}
+
+function fmtTime(sec) {
+  const s = Math.max(0, sec || 0);
+  return `${Math.floor(s / 60)}:${String(Math.floor(s % 60)).padStart(2, '0')}`;
+}
+
+// Peak amplitude per bucket across channels (what Wavesurfer draws)
+function computePeaks(buffer, buckets = PEAK_BUCKETS) {
+  const peaks = new Float32Array(buckets);
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i));
+  const size = Math.max(1, Math.floor(buffer.length / buckets));
+  for (let b = 0; b < buckets; b++) {
+    const start = b * size;
+    const end = Math.min(buffer.length, start + size);
+    let max = 0;
+    for (const data of channels) {
+      // Stride through long buckets; the envelope shape survives and it keeps load time flat
+      for (let i = start; i < end; i += 4) {
+        const v = Math.abs(data[i]);
+        if (v > max) max = v;
+      }
+    }
+    peaks[b] = max;
+  }
+  return peaks;
+}
+
+export class TimelinePanel {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.audioEngine - Provides the file transport and beatGrid
+   */
+  constructor({ audioEngine } = {}) {
+    this.audioEngine = audioEngine;
+    this.transport = audioEngine?.transport || null;
+    this.collapsed = !!readJson(COLLAPSED_KEY, false);
+    this.drops = []; // file seconds
+    this.markers = [];
+    this._fileKey = '';
+    this._peaks = null;
+    this._wave = null;
+    this._waveFailed = false;
+    this._staticKey = '';
+    this._lastDropMs = null;
+    this._drag = null;
+    this._listeners = new Set();
+    this._installDom();
+    this.transport?.on('load', () => this._onLoad());
+    this.transport?.on('unload', () => this._onUnload());
+    this.transport?.on('loop', () => { this._staticKey = ''; });
+    if (this.transport?.hasFile()) this._onLoad();
+  }
+
+  on(event, handler) {
+    if (typeof handler !== 'function') return () => {};
+    const wrapped = { event, handler };
+    this._listeners.add(wrapped);
+    return () => this._listeners.delete(wrapped);
+  }
+
+  // -----------------
+  // Markers
+  // -----------------
+
+  getMarkers() {
+    return this.markers.map((m) => ({ ...m }));
+  }
+
+  addMarker(timeSec, label = '') {
+    if (!this.transport?.hasFile()) return null;
+    const marker = {
+      id: `cue-${Math.random().toString(36).slice(2, 8)}`,
+      timeSec: Math.max(0, Math.min(this.transport.getDuration(), Number(timeSec) || 0)),
+      label: label || `Cue ${this.markers.length + 1}`,
+    };
+    this.markers.push(marker);
+    this.markers.sort((a, b) => a.timeSec - b.timeSec);
+    this._saveMarkers();
+    this._notify('markers', { markers: this.getMarkers() });
+    return marker;
+  }
+
+  removeMarker(id) {
+    const before = this.markers.length;
+    this.markers = this.markers.filter((m) => m.id !== id);
+    if (this.markers.length === before) return false;
+    this._saveMarkers();
+    this._notify('markers', { markers: this.getMarkers() });
+    return true;
+  }
+
+  setCollapsed(collapsed) {
+    this.collapsed = !!collapsed;
+    writeJson(COLLAPSED_KEY, this.collapsed);
+    this.root.classList.toggle('collapsed', this.collapsed);
+    this._toggleBtn.textContent = this.collapsed ? '▸' : '▾';
+    this._staticKey = '';
+    if (!this.collapsed) this._ensureWave();
+  }
+
+  // -----------------
+  // Per-frame
+  // -----------------
+
+  /** Call once per animation frame with the live features */
+  update(features) {
+    if (!this.transport?.hasFile()) return;
+    this._trackDrops(features);
+    const pos = this.transport.getPosition();
+    const bpm = pos.bpm || features?.bpm || 0;
+    const barText = pos.source === 'none' ? '' : ` · Bar ${pos.bar + 1}.${pos.beatInBar + 1}`;
+    this._info.textContent = `${pos.playing ? '▶' : '❚❚'} ${fmtTime(pos.timeSec)} / ${fmtTime(pos.durationSec)}${barText}`
+      + ` · ${bpm ? `${Math.round(bpm * 10) / 10} BPM` : 'BPM …'}${this.drops.length ? ` · ${this.drops.length} drop${this.drops.length > 1 ? 's' : ''}` : ''}`;
+    if (this.collapsed) return;
+    this._drawStatic();
+    const duration = pos.durationSec || 1;
+    this._playhead.style.left = `${((pos.timeSec || 0) / duration) * 100}%`;
+  }
+
+  _trackDrops(features) {
+    const dropMs = features?.lastDropMs;
+    if (!features || features.fromTape || !Number.isFinite(dropMs) || dropMs <= 0 || dropMs === this._lastDropMs) return;
+    const first = this._lastDropMs == null;
+    this._lastDropMs = dropMs;
+    if (first && !features.drop) return; // a drop from before this file
+    const t = this.transport.getTime();
+    if (t == null) return;
+    // lastDropMs is a performance.now() stamp; step back from the playhead by its age
+    const at = Math.max(0, t - Math.max(0, performance.now() - dropMs) / 1000);
+    if (!this.drops.some((d) => Math.abs(d - at) < 1)) this.drops.push(at);
+    this._staticKey = '';
+  }
+
+  // -----------------
+  // Internals
+  // -----------------
+
+  _onLoad() {
+    const name = this.transport.fileName || 'file';
+    this._fileKey = `${name}|${this.transport.getDuration().toFixed(1)}`;
+    this.markers = (readJson(MARKERS_KEY, {})[this._fileKey] || []).filter((m) => Number.isFinite(m?.timeSec));
+    if (this.markers.length) {
+      const used = readJson(MARKERS_USED_KEY, {});
+      used[this._fileKey] = Date.now();
+      writeJson(MARKERS_USED_KEY, used);
+    }
+    this.drops = [];
+    this._lastDropMs = null;
+    this._peaks = null;
+    this._staticKey = '';
+    this._destroyWave();
+    this._waveFailed = false;
+    this._name.textContent = name;
+    this.root.style.display = '';
+    if (!this.collapsed) this._ensureWave();
+  }
+
+  _onUnload() {
+    this.root.style.display = 'none';
+    this._destroyWave();
+  }
+
+  _getPeaks() {
+    const buffer = this.transport?.buffer;
+    if (!buffer) return null;
+    if (!this._peaks) {
+      try { this._peaks = computePeaks(buffer); } catch (_) { this._peaks = new Float32Array(0); }
+    }
+    return this._peaks;
+  }
+
+  async _ensureWave() {
+    if (this._wave || this._waveFailed || !this.transport?.hasFile()) return;
+    const peaks = this._getPeaks();
+    const fileKey = this._fileKey;
+    this._wave = 'loading';
+    try {
+      const WaveSurfer = await loadWavesurfer();
+      if (fileKey !== this._fileKey || this._wave !== 'loading') return;
+      this._wave = WaveSurfer.create({
+        container: this._waveEl,
+        height: WAVE_HEIGHT,
+        waveColor: 'rgba(170, 220, 255, 0.55)',
+        progressColor: 'rgba(170, 220, 255, 0.55)',
+        cursorWidth: 0,
+        interact: false,
+        normalize: true,
+        barWidth: 2,
+        barGap: 1,
+        peaks: [peaks],
+        duration: this.transport.getDuration(),
+      });
+    } catch (err) {
+      console.warn('[Timeline] Wavesurfer unavailable, drawing the waveform directly', err?.message || err);
+      if (fileKey !== this._fileKey) return;
+      this._wave = null;
+      this._waveFailed = true;
+    }
+    this._staticKey = '';
+  }
+
+  _destroyWave() {
+    const wave = this._wave;
+    this._wave = null;
+    if (wave && wave !== 'loading') {
+      try { wave.destroy(); } catch (_) {}
+    }
+    this._waveEl.innerHTML = '';
+  }
+
+  // Beats, downbeats, drops, loop and markers; redrawn only when one of them changes
+  _drawStatic() {
+    const canvas = this._canvas;
+    const width = Math.max(1, Math.round(canvas.clientWidth * (window.devicePixelRatio || 1)));
+    const height = Math.max(1, Math.round(canvas.clientHeight * (window.devicePixelRatio || 1)));
+    const grid = this.audioEngine?.beatGrid || {};
+    const loop = this.transport.getLoopRegion();
+    const key = [width, height, grid.updatedAt, grid.beatTimes?.length, this.drops.length, this.markers.length,
+      loop ? `${loop.startSec}-${loop.endSec}` : '', this._waveFailed, this._drag ? `${this._drag.x0}-${this._drag.x1}` : ''].join('|');
+    if (key === this._staticKey) return;
+    this._staticKey = key;
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    const duration = this.transport.getDuration() || 1;
+    const xOf = (t) => (t / duration) * width;
+    ctx.clearRect(0, 0, width, height);
+
+    if (this._waveFailed) {
+      const peaks = this._getPeaks() || [];
+      const max = peaks.reduce((m, v) => Math.max(m, v), 1e-6);
+      ctx.fillStyle = 'rgba(170, 220, 255, 0.45)';
+      for (let x = 0; x < width; x += 2) {
+        const v = peaks[Math.floor((x / width) * peaks.length)] / max || 0;
+        const h = v * height * 0.9;
+        ctx.fillRect(x, (height - h) / 2, 1, Math.max(1, h));
+      }
+    }
+
+    if (loop) {
+      ctx.fillStyle = 'rgba(0, 255, 255, 0.12)';
+      ctx.fillRect(xOf(loop.startSec), 0, xOf(loop.endSec) - xOf(loop.startSec), height);
+    }
+    if (this._drag?.active) {
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.12)';
+      const a = Math.min(this._drag.x0, this._drag.x1) * (window.devicePixelRatio || 1);
+      const b = Math.max(this._drag.x0, this._drag.x1) * (window.devicePixelRatio || 1);
+      ctx.fillRect(a, 0, b - a, height);
+    }
+
+    const beats = Array.isArray(grid.beatTimes) ? grid.beatTimes : [];
+    const pxPerBeat = beats.length > 1 ? width / beats.length : 0;
+    if (pxPerBeat >= 3) {
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.22)';
+      beats.forEach((t) => ctx.fillRect(Math.round(xOf(t)), height * 0.7, 1, height * 0.3));
+    }
+    const downbeats = Array.isArray(grid.downbeats) ? grid.downbeats : [];
+    ctx.fillStyle = 'rgba(255, 210, 90, 0.7)';
+    downbeats.forEach((t) => ctx.fillRect(Math.round(xOf(t)), 0, 1, height));
+
+    ctx.fillStyle = 'rgba(255, 80, 90, 0.95)';
+    this.drops.forEach((t) => {
+      const x = Math.round(xOf(t));
+      ctx.fillRect(x - 1, 0, 2, height);
+      ctx.beginPath();
+      ctx.moveTo(x + 1, 0); ctx.lineTo(x + 9, 4); ctx.lineTo(x + 1, 8);
+      ctx.fill();
+    });
+
+    ctx.fillStyle = 'rgba(120, 255, 160, 0.95)';
+    ctx.font = `${Math.round(10 * (window.devicePixelRatio || 1))}px Inter, system-ui, sans-serif`;
+    this.markers.forEach((m) => {
+      const x = Math.round(xOf(m.timeSec));
+      ctx.fillRect(x - 1, 0, 2, height);
+      ctx.fillText(m.label, x + 4, height - 4);
+    });
+  }
+
+  _timeAt(clientX) {
+    const rect = this._canvas.getBoundingClientRect();
+    const frac = Math.min(1, Math.max(0, (clientX - rect.left) / Math.max(1, rect.width)));
+    return frac * this.transport.getDuration();
+  }
+
+  _snap(t, exact) {
+    const beats = this.audioEngine?.beatGrid?.beatTimes;
+    if (exact || !Array.isArray(beats) || !beats.length) return t;
+    let best = beats[0];
+    for (const b of beats) {
+      if (Math.abs(b - t) < Math.abs(best - t)) best = b;
+      if (b > t) break;
+    }
+    return best;
+  }
+
+  _markerAt(clientX) {
+    const rect = this._canvas.getBoundingClientRect();
+    const duration = this.transport.getDuration() || 1;
+    return this.markers.find((m) => Math.abs(rect.left + (m.timeSec / duration) * rect.width - clientX) <= MARKER_HIT_PX) || null;
+  }
+
+  _onPointerDown(ev) {
+    if (ev.button !== 0 || !this.transport?.hasFile()) return;
+    const rect = this._canvas.getBoundingClientRect();
+    this._drag = { x0: ev.clientX - rect.left, x1: ev.clientX - rect.left, clientX0: ev.clientX, active: false };
+    try { this._canvas.setPointerCapture(ev.pointerId); } catch (_) {}
+  }
+
+  _onPointerMove(ev) {
+    if (!this._drag) return;
+    const rect = this._canvas.getBoundingClientRect();
+    this._drag.x1 = ev.clientX - rect.left;
+    if (Math.abs(ev.clientX - this._drag.clientX0) > DRAG_THRESHOLD_PX) this._drag.active = true;
+  }
+
+  _onPointerUp(ev) {
+    const drag = this._drag;
+    this._drag = null;
+    this._staticKey = '';
+    if (!drag) return;
+    if (drag.active) {
+      const a = this._snap(this._timeAt(Math.min(drag.clientX0, ev.clientX)), ev.shiftKey);
+      const b = this._snap(this._timeAt(Math.max(drag.clientX0, ev.clientX)), ev.shiftKey);
+      if (this.transport.setLoopRegion(a, b)) this._notify('loop', { startSec: a, endSec: b });
+      return;
+    }
+    if (ev.altKey) {
+      this.addMarker(this._snap(this._timeAt(ev.clientX), ev.shiftKey));
+      return;
+    }
+    const marker = this._markerAt(ev.clientX);
+    this.transport.seek(marker ? marker.timeSec : this._snap(this._timeAt(ev.clientX), ev.shiftKey));
+  }
+
+  _saveMarkers() {
+    const all = readJson(MARKERS_KEY, {});
+    if (this.markers.length) all[this._fileKey] = this.markers;
+    else delete all[this._fileKey];
+    // Over the limit, forget the files opened longest ago; never the one that is open
+    const used = readJson(MARKERS_USED_KEY, {});
+    const stale = Object.keys(all)
+      .filter((k) => k !== this._fileKey)
+      .sort((a, b) => (used[a] || 0) - (used[b] || 0));
+    stale.slice(0, Math.max(0, Object.keys(all).length - MAX_MARKER_FILES)).forEach((k) => { delete all[k]; });
+    if (this.markers.length) used[this._fileKey] = Date.now();
+    Object.keys(used).forEach((k) => { if (!all[k]) delete used[k]; });
+    writeJson(MARKERS_KEY, all);
+    writeJson(MARKERS_USED_KEY, used);
+    this._staticKey = '';
+  }
+
+  _installDom() {
+    if (!document.getElementById('timeline-panel-styles')) {
+      const style = document.createElement('style');
+      style.id = 'timeline-panel-styles';
+      style.textContent = `
+        #timeline-panel { position: fixed; left: 50%; transform: translateX(-50%); bottom: 16px; width: min(1100px, calc(100% - 360px)); min-width: 320px; z-index: 40; color: #fff; font: 600 11px Inter, system-ui, sans-serif; border-radius: 12px; border: 1px solid var(--glass-border, rgba(255,255,255,0.2)); background: rgba(10, 12, 20, 0.55); backdrop-filter: blur(10px); -webkit-backdrop-filter: blur(10px); overflow: hidden; }
+        #timeline-panel .tl-head { display: flex; align-items: center; gap: 8px; padding: 5px 8px; }
+        #timeline-panel .tl-head button { background: transparent; color: #fff; border: 1px solid rgba(255,255,255,0.2); border-radius: 8px; padding: 2px 8px; font: inherit; cursor: pointer; }
+        #timeline-panel .tl-name { max-width: 220px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; opacity: 0.9; }
+        #timeline-panel .tl-info { flex: 1; opacity: 0.75; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; font-variant-numeric: tabular-nums; }
+        #timeline-panel .tl-body { position: relative; height: ${WAVE_HEIGHT}px; margin: 0 8px 8px; }
+        #timeline-panel .tl-wave, #timeline-panel canvas { position: absolute; inset: 0; width: 100%; height: 100%; }
+        #timeline-panel canvas { cursor: crosshair; touch-action: none; }
+        #timeline-panel .tl-playhead { position: absolute; top: 0; bottom: 0; width: 2px; margin-left: -1px; background: #00ffff; box-shadow: 0 0 8px rgba(0,255,255,0.8); pointer-events: none; }
+        #timeline-panel.collapsed .tl-body { display: none; }
+      `;
+      document.head.appendChild(style);
+    }
+    this._toggleBtn = document.createElement('button');
+    this._toggleBtn.textContent = this.collapsed ? '▸' : '▾';
+    this._toggleBtn.title = 'Show / hide the timeline';
+    this._toggleBtn.addEventListener('click', () => this.setCollapsed(!this.collapsed));
+    this._name = document.createElement('span');
+    this._name.className = 'tl-name';
+    this._info = document.createElement('span');
+    this._info.className = 'tl-info';
+    const cueBtn = document.createElement('button');
+    cueBtn.textContent = '+ Cue';
+    cueBtn.title = 'Drop a cue marker at the playhead (or Alt+click the timeline)';
+    cueBtn.addEventListener('click', () => this.addMarker(this.transport?.getTime() ?? 0));
+    const loopBtn = document.createElement('button');
+    loopBtn.textContent = 'Clear Loop';
+    loopBtn.addEventListener('click', () => this.transport?.clearLoopRegion());
+    const playBtn = document.createElement('button');
+    playBtn.textContent = '⏯';
+    playBtn.title = 'Play / pause';
+    playBtn.addEventListener('click', () => this.transport?.toggle());
+
+    const head = document.createElement('div');
+    head.className = 'tl-head';
+    head.append(this._toggleBtn, playBtn, this._name, this._info, cueBtn, loopBtn);
+
+    this._waveEl = document.createElement('div');
+    this._waveEl.className = 'tl-wave';
+    this._canvas = document.createElement('canvas');
+    this._canvas.addEventListener('pointerdown', (ev) => this._onPointerDown(ev));
+    this._canvas.addEventListener('pointermove', (ev) => this._onPointerMove(ev));
+    this._canvas.addEventListener('pointerup', (ev) => this._onPointerUp(ev));
+    this._canvas.addEventListener('pointercancel', () => { this._drag = null; this._staticKey = ''; });
+    this._canvas.addEventListener('contextmenu', (ev) => {
+      const marker = this._markerAt(ev.clientX);
+      if (!marker) return;
+      ev.preventDefault();
+      this.removeMarker(marker.id);
+    });
+    this._playhead = document.createElement('div');
+    this._playhead.className = 'tl-playhead';
+    const body = document.createElement('div');
+    body.className = 'tl-body';
+    body.append(this._waveEl, this._canvas, this._playhead);
+
+    this.root = document.createElement('div');
+    this.root.id = 'timeline-panel';
+    this.root.classList.toggle('collapsed', this.collapsed);
+    this.root.style.display = 'none';
+    this.root.append(head, body);
+    document.body.appendChild(this.root);
+  }
+
+  _notify(event, detail) {
+    for (const listener of this._listeners) {
+      if (listener.event === event || listener.event === '*') {
+        try { listener.handler({ event, detail }); } catch (err) { console.error('TimelinePanel listener error', err); }
+      }
+    }
+  }
+}
+
+export default TimelinePanel;
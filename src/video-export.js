@@ -0,0 +1,221 @@
+/**
+ * Offline Video Export
+ *
+ * Renders the loaded audio file to a WebM music video, frame by frame, instead of
+ * screen-recording in real time. Each frame:
+ * 1. positions the offline analyser at the frame's timestamp (frame / fps)
+ * 2. runs AudioEngine.update() and sceneApi.update(features) on that clock
+ * 3. grabs the canvas into a VideoFrame and hands it to a WebCodecs VideoEncoder
+ *
+ * Rendering runs as fast as the machine allows (slower than real time is fine), so
+ * weaker laptops produce the same frames as fast ones. The original audio is encoded
+ * to Opus and muxed alongside the video by WebMWriter.
+ *
+ * Requires WebCodecs (Chrome/Edge 94+).
+ */
+
+import { WebMWriter } from './webm-writer.js';
+
+const VIDEO_CODECS = ['vp09.00.10.08', 'vp8'];
+const AUDIO_SAMPLE_RATE = 48000; // Opus only runs at 48 kHz
+const AUDIO_CHUNK_FRAMES = 4800; // 100 ms per AudioData
+const MAX_ENCODE_QUEUE = 4;
+const KEYFRAME_INTERVAL_SEC = 2;
+
+/** True when this browser can run the offline exporter */
+export function isVideoExportSupported() {
+  return typeof window !== 'undefined'
+    && typeof window.VideoEncoder === 'function'
+    && typeof window.VideoFrame === 'function';
+}
+
+async function pickVideoConfig({ width, height, fps, bitrate }) {
+  for (const codec of VIDEO_CODECS) {
+    const config = { codec, width, height, bitrate, framerate: fps, latencyMode: 'quality' };
+    try {
+      const { supported } = await VideoEncoder.isConfigSupported(config);
+      if (supported) return config;
+    } catch (_) {}
+  }
+  return null;
+}
+
+async function pickAudioConfig({ numberOfChannels, bitrate }) {
+  if (typeof window.AudioEncoder !== 'function' || typeof window.AudioData !== 'function') return null;
+  const config = { codec: 'opus', sampleRate: AUDIO_SAMPLE_RATE, numberOfChannels, bitrate };
+  try {
+    const { supported } = await AudioEncoder.isConfigSupported(config);
+    return supported ? config : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// Opus needs 48 kHz; let an OfflineAudioContext do the resampling
+async function resampleForOpus(buffer, numberOfChannels) {
+  if (buffer.sampleRate === AUDIO_SAMPLE_RATE && buffer.numberOfChannels === numberOfChannels) return buffer;
+  const length = Math.ceil(buffer.duration * AUDIO_SAMPLE_RATE);
+  const Ctx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  const ctx = new Ctx(numberOfChannels, length, AUDIO_SAMPLE_RATE);
+  const src = ctx.createBufferSource();
+  src.buffer = buffer;
+  src.connect(ctx.destination);
+  src.start(0);
+  return ctx.startRendering();
+}
+
+// Yield via MessageChannel: unlike setTimeout it isn't throttled when the tab is in the background
+const nextTick = () => new Promise((resolve) => {
+  const channel = new MessageChannel();
+  channel.port1.onmessage = () => resolve();
+  channel.port2.postMessage(null);
+});
+
+async function drainQueue(encoder) {
+  while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE) await nextTick();
+}
+
+async function encodeAudio(buffer, config, writer, isCancelled) {
+  let error = null;
+  const encoder = new AudioEncoder({
+    output: (chunk, meta) => writer.addAudioChunk(chunk, meta),
+    error: (err) => { error = err; },
+  });
+  encoder.configure(config);
+  try {
+    const pcm = await resampleForOpus(buffer, config.numberOfChannels);
+    const channels = [];
+    for (let c = 0; c < config.numberOfChannels; c += 1) channels.push(pcm.getChannelData(c));
+    for (let start = 0; start < pcm.length; start += AUDIO_CHUNK_FRAMES) {
+      if (error) throw error;
+      if (isCancelled?.()) return false;
+      const frames = Math.min(AUDIO_CHUNK_FRAMES, pcm.length - start);
+      const planar = new Float32Array(frames * channels.length);
+      channels.forEach((data, c) => planar.set(data.subarray(start, start + frames), c * frames));
+      const data = new AudioData({
+        format: 'f32-planar',
+        sampleRate: AUDIO_SAMPLE_RATE,
+        numberOfFrames: frames,
+        numberOfChannels: channels.length,
+        timestamp: Math.round((start / AUDIO_SAMPLE_RATE) * 1e6),
+        data: planar,
+      });
+      encoder.encode(data);
+      data.close();
+      await drainQueue(encoder);
+    }
+    await encoder.flush();
+    if (error) throw error;
+    return true;
+  } finally {
+    try { encoder.close(); } catch (_) {}
+  }
+}
+
+/**
+ * Renders the audio file currently loaded in the engine to a WebM video.
+ *
+ * @param {Object} opts
+ * @param {AudioEngine} opts.audio - Engine with a file loaded via loadFile()
+ * @param {Object} opts.sceneApi - Scene API from initScene()
+ * @param {Object} [opts.performancePads] - Advanced with the render clock so pads stay in step
+ * @param {number} [opts.fps=60]
+ * @param {number} [opts.width=1920]
+ * @param {number} [opts.height=1080]
+ * @param {number} [opts.videoBitrate=12000000]
+ * @param {number} [opts.audioBitrate=192000]
+ * @param {(progress: number, frame: number, totalFrames: number) => void} [opts.onProgress]
+ * @param {() => boolean} [opts.isCancelled] - Polled between frames; return true to abort
+ * @returns {Promise<Blob|null>} The WebM file, or null if cancelled
+ */
+export async function renderFileToVideo({
+  audio,
+  sceneApi,
+  performancePads = null,
+  fps = 60,
+  width = 1920,
+  height = 1080,
+  videoBitrate = 12000000,
+  audioBitrate = 192000,
+  onProgress,
+  isCancelled,
+} = {}) {
+  const buffer = audio?._lastAudioBuffer;
+  if (!buffer) throw new Error('Load an audio file first');
+  if (!isVideoExportSupported()) throw new Error('WebCodecs is not available in this browser');
+
+  // Encoders want even dimensions
+  const w = Math.max(2, Math.round(width / 2) * 2);
+  const h = Math.max(2, Math.round(height / 2) * 2);
+  const videoConfig = await pickVideoConfig({ width: w, height: h, fps, bitrate: videoBitrate });
+  if (!videoConfig) throw new Error('No VP9/VP8 encoder available for this resolution');
+  const audioConfig = await pickAudioConfig({
+    numberOfChannels: Math.min(2, buffer.numberOfChannels || 1),
+    bitrate: audioBitrate,
+  });
+  if (!audioConfig) console.warn('[VideoExport] Opus encoder unavailable; exporting without audio');
+
+  const writer = new WebMWriter({
+    video: { codec: videoConfig.codec, width: w, height: h, frameRate: fps },
+    audio: audioConfig,
+  });
+
+  if (audioConfig) {
+    const finished = await encodeAudio(buffer, audioConfig, writer, isCancelled);
+    if (!finished) return null;
+  }
+
+  let encodeError = null;
+  const videoEncoder = new VideoEncoder({
+    output: (chunk) => writer.addVideoChunk(chunk),
+    error: (err) => { encodeError = err; },
+  });
+  videoEncoder.configure(videoConfig);
+
+  const canvas = sceneApi.state.renderer.domElement;
+  const totalFrames = Math.max(1, Math.ceil(buffer.duration * fps));
+  const keyInterval = Math.max(1, Math.round(fps * KEYFRAME_INTERVAL_SEC));
+  const frameDurationUs = Math.round(1e6 / fps);
+  const baseMs = performance.now();
+  let frameTimeMs = 0;
+  let cancelled = false;
+
+  await audio.beginOfflineAnalysis(buffer);
+  sceneApi.setRenderSize({ width: w, height: h });
+  sceneApi.setTimeSource(() => baseMs + frameTimeMs);
+  try {
+    for (let i = 0; i < totalFrames; i += 1) {
+      if (encodeError) throw encodeError;
+      if (isCancelled?.()) { cancelled = true; break; }
+      frameTimeMs = (i * 1000) / fps;
+      audio.setOfflineTime(frameTimeMs / 1000);
+      const features = audio.update();
+      try { performancePads?.update(1 / fps, baseMs + frameTimeMs, features); } catch (_) {}
+      sceneApi.update(features);
+
+      // Capture right after rendering, before the browser clears the drawing buffer
+      const frame = new VideoFrame(canvas, { timestamp: Math.round(frameTimeMs * 1000), duration: frameDurationUs });
+      videoEncoder.encode(frame, { keyFrame: i % keyInterval === 0 });
+      frame.close();
+
+      await drainQueue(videoEncoder);
+      if (i % 5 === 0) {
+        try { onProgress?.(i / totalFrames, i, totalFrames); } catch (_) {}
+        await nextTick(); // let the UI paint progress and handle Cancel
+      }
+    }
+    if (!cancelled) {
+      await videoEncoder.flush();
+      if (encodeError) throw encodeError;
+    }
+  } finally {
+    try { videoEncoder.close(); } catch (_) {}
+    sceneApi.setTimeSource(null);
+    sceneApi.setRenderSize(null);
+    audio.endOfflineAnalysis();
+  }
+
+  if (cancelled) return null;
+  try { onProgress?.(1, totalFrames, totalFrames); } catch (_) {}
+  return writer.finalize();
+}
@@ -0,0 +1,305 @@
+/**
+ * WebM Writer
+ *
+ * Minimal EBML/Matroska muxer for the offline video exporter. Takes the encoded
+ * chunks WebCodecs produces (VP9/VP8 video, Opus audio) and lays them out as a
+ * seekable WebM file: header, track info, clusters of SimpleBlocks and cues.
+ *
+ * Everything is kept in memory and assembled once in finalize(); the frame data
+ * itself is never copied twice, so a few minutes of 1080p fits comfortably.
+ */
+
+const IDS = {
+  EBML: 0x1A45DFA3,
+  EBMLVersion: 0x4286,
+  EBMLReadVersion: 0x42F7,
+  EBMLMaxIDLength: 0x42F2,
+  EBMLMaxSizeLength: 0x42F3,
+  DocType: 0x4282,
+  DocTypeVersion: 0x4287,
+  DocTypeReadVersion: 0x4285,
+  Segment: 0x18538067,
+  Info: 0x1549A966,
+  TimecodeScale: 0x2AD7B1,
+  Duration: 0x4489,
+  MuxingApp: 0x4D80,
+  WritingApp: 0x5741,
+  Tracks: 0x1654AE6B,
+  TrackEntry: 0xAE,
+  TrackNumber: 0xD7,
+  TrackUID: 0x73C5,
+  TrackType: 0x83,
+  CodecID: 0x86,
+  CodecPrivate: 0x63A2,
+  CodecDelay: 0x56AA,
+  SeekPreRoll: 0x56BB,
+  DefaultDuration: 0x23E383,
+  Video: 0xE0,
+  PixelWidth: 0xB0,
+  PixelHeight: 0xBA,
+  Audio: 0xE1,
+  SamplingFrequency: 0xB5,
+  Channels: 0x9F,
+  Cluster: 0x1F43B675,
+  Timecode: 0xE7,
+  SimpleBlock: 0xA3,
+  Cues: 0x1C53BB6B,
+  CuePoint: 0xBB,
+  CueTime: 0xB3,
+  CueTrackPositions: 0xB7,
+  CueTrack: 0xF7,
+  CueClusterPosition: 0xF1,
+};
+
+const VIDEO_TRACK = 1;
+const AUDIO_TRACK = 2;
+const MAX_CLUSTER_MS = 5000; // block timecodes are int16 relative to the cluster
+const OPUS_SEEK_PRE_ROLL_NS = 80000000;
+const textEncoder = new TextEncoder();
+
+/** Maps a WebCodecs codec string to its Matroska CodecID */
+export function webmCodecId(codec) {
+  const c = String(codec || '').toLowerCase();
+  if (c.startsWith('vp09') || c === 'vp9') return 'V_VP9';
+  if (c === 'vp8') return 'V_VP8';
+  if (c.startsWith('av01')) return 'V_AV1';
+  if (c === 'opus') return 'A_OPUS';
+  return null;
+}
+
+export class WebMWriter {
+  /**
+   * @param {Object} opts
+   * @param {{ codec: string, width: number, height: number, frameRate?: number }} opts.video
+   * @param {{ codec: string, sampleRate: number, numberOfChannels: number }} [opts.audio]
+   */
+  constructor({ video, audio = null }) {
+    this.video = video;
+    this.audio = audio;
+    this._chunks = []; // { track, timeMs, key, data }
+    this._audioDescription = null;
+    this._durationMs = 0;
+  }
+
+  /**
+   * @param {EncodedVideoChunk} chunk
+   */
+  addVideoChunk(chunk) {
+    this._push(VIDEO_TRACK, chunk);
+  }
+
+  /**
+   * @param {EncodedAudioChunk} chunk
+   * @param {Object} [meta] - EncodedAudioChunkMetadata; its decoderConfig.description becomes CodecPrivate
+   */
+  addAudioChunk(chunk, meta) {
+    if (!this.audio) return;
+    const desc = meta?.decoderConfig?.description;
+    if (desc && !this._audioDescription) this._audioDescription = toBytes(desc);
+    this._push(AUDIO_TRACK, chunk);
+  }
+
+  _push(track, chunk) {
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+    const timeMs = Math.max(0, Math.round(chunk.timestamp / 1000));
+    const endMs = (chunk.timestamp + (chunk.duration || 0)) / 1000;
+    if (endMs > this._durationMs) this._durationMs = endMs;
+    this._chunks.push({ track, timeMs, key: chunk.type === 'key', data });
+  }
+
+  /**
+   * Assembles the file.
+   * @returns {Blob} video/webm
+   */
+  finalize() {
+    const info = element(IDS.Info, [
+      uintElement(IDS.TimecodeScale, 1000000),
+      stringElement(IDS.MuxingApp, 'cosmic-anomaly'),
+      stringElement(IDS.WritingApp, 'cosmic-anomaly'),
+      floatElement(IDS.Duration, this._durationMs),
+    ]);
+    const tracks = element(IDS.Tracks, this._trackEntries());
+
+    // Stable order: by time, video before audio on ties so clusters open on a keyframe
+    const chunks = this._chunks.slice().sort((a, b) => (a.timeMs - b.timeMs) || (a.track - b.track));
+    const clusters = [];
+    const cues = [];
+    let offset = byteLength(info) + byteLength(tracks); // cluster positions are relative to the segment body
+    let current = null;
+    const closeCluster = () => {
+      if (!current) return;
+      const cluster = element(IDS.Cluster, current.blocks);
+      clusters.push(cluster);
+      offset += byteLength(cluster);
+      current = null;
+    };
+    for (const chunk of chunks) {
+      const isVideoKey = chunk.track === VIDEO_TRACK && chunk.key;
+      const needsNew = !current
+        || (isVideoKey && current.blocks.length > 1)
+        || chunk.timeMs - current.timeMs >= MAX_CLUSTER_MS;
+      if (needsNew) {
+        closeCluster();
+        current = { timeMs: chunk.timeMs, blocks: [uintElement(IDS.Timecode, chunk.timeMs)] };
+        if (isVideoKey || !this.video) cues.push({ timeMs: chunk.timeMs, track: chunk.track, position: offset });
+      }
+      current.blocks.push(simpleBlock(chunk, chunk.timeMs - current.timeMs));
+    }
+    closeCluster();
+
+    const cueElement = element(IDS.Cues, cues.map((cue) => element(IDS.CuePoint, [
+      uintElement(IDS.CueTime, cue.timeMs),
+      element(IDS.CueTrackPositions, [
+        uintElement(IDS.CueTrack, cue.track),
+        uintElement(IDS.CueClusterPosition, cue.position),
+      ]),
+    ])));
+
+    const header = element(IDS.EBML, [
+      uintElement(IDS.EBMLVersion, 1),
+      uintElement(IDS.EBMLReadVersion, 1),
+      uintElement(IDS.EBMLMaxIDLength, 4),
+      uintElement(IDS.EBMLMaxSizeLength, 8),
+      stringElement(IDS.DocType, 'webm'),
+      uintElement(IDS.DocTypeVersion, 4),
+      uintElement(IDS.DocTypeReadVersion, 2),
+    ]);
+    const segment = element(IDS.Segment, [info, tracks, ...clusters, cues.length ? cueElement : []]);
+    return new Blob(flatten([header, segment]), { type: 'video/webm' });
+  }
+
+  _trackEntries() {
+    const entries = [];
+    if (this.video) {
+      const v = this.video;
+      const fields = [
+        uintElement(IDS.TrackNumber, VIDEO_TRACK),
+        uintElement(IDS.TrackUID, VIDEO_TRACK),
+        uintElement(IDS.TrackType, 1),
+        stringElement(IDS.CodecID, webmCodecId(v.codec) || 'V_VP9'),
+      ];
+      if (v.frameRate > 0) fields.push(uintElement(IDS.DefaultDuration, Math.round(1e9 / v.frameRate)));
+      fields.push(element(IDS.Video, [
+        uintElement(IDS.PixelWidth, v.width),
+        uintElement(IDS.PixelHeight, v.height),
+      ]));
+      entries.push(element(IDS.TrackEntry, fields));
+    }
+    if (this.audio) {
+      const a = this.audio;
+      const codecPrivate = this._audioDescription || opusHead(a.numberOfChannels, a.sampleRate);
+      const preSkip = codecPrivate.length >= 12 ? codecPrivate[10] | (codecPrivate[11] << 8) : 0;
+      entries.push(element(IDS.TrackEntry, [
+        uintElement(IDS.TrackNumber, AUDIO_TRACK),
+        uintElement(IDS.TrackUID, AUDIO_TRACK),
+        uintElement(IDS.TrackType, 2),
+        stringElement(IDS.CodecID, webmCodecId(a.codec) || 'A_OPUS'),
+        element(IDS.CodecPrivate, [codecPrivate]),
+        uintElement(IDS.CodecDelay, Math.round((preSkip / 48000) * 1e9)),
+        uintElement(IDS.SeekPreRoll, OPUS_SEEK_PRE_ROLL_NS),
+        element(IDS.Audio, [
+          floatElement(IDS.SamplingFrequency, a.sampleRate),
+          uintElement(IDS.Channels, a.numberOfChannels),
+        ]),
+      ]));
+    }
+    return entries;
+  }
+}
+
+// Identification header for Opus in Matroska (RFC 7845 §5.1), used when the encoder gives none
+function opusHead(channels, sampleRate) {
+  const out = new Uint8Array(19);
+  out.set(textEncoder.encode('OpusHead'), 0);
+  out[8] = 1; // version
+  out[9] = channels;
+  const view = new DataView(out.buffer);
+  view.setUint16(10, 312, true); // libopus default pre-skip at 48 kHz
+  view.setUint32(12, sampleRate, true);
+  view.setInt16(16, 0, true); // output gain
+  out[18] = 0; // mapping family: mono/stereo
+  return out;
+}
+
+function simpleBlock(chunk, relativeMs) {
+  const head = new Uint8Array(4);
+  head[0] = 0x80 | chunk.track; // track number as a 1-byte vint
+  head[1] = (relativeMs >> 8) & 0xff;
+  head[2] = relativeMs & 0xff;
+  head[3] = chunk.key ? 0x80 : 0;
+  return element(IDS.SimpleBlock, [head, chunk.data]);
+}
+
+// Elements are kept as nested arrays of Uint8Array and only flattened at the end
+
+function element(id, children) {
+  const size = byteLength(children);
+  return [idBytes(id), sizeBytes(size), children];
+}
+
+function uintElement(id, value) {
+  let v = Math.max(0, Math.floor(value));
+  const bytes = [];
+  do {
+    bytes.unshift(v % 256);
+    v = Math.floor(v / 256);
+  } while (v > 0);
+  return element(id, [Uint8Array.from(bytes)]);
+}
+
+function floatElement(id, value) {
+  const out = new Uint8Array(8);
+  new DataView(out.buffer).setFloat64(0, value);
+  return element(id, [out]);
+}
+
+function stringElement(id, value) {
+  return element(id, [textEncoder.encode(value)]);
+}
+
+function idBytes(id) {
+  const bytes = [];
+  let v = id;
+  while (v > 0) {
+    bytes.unshift(v & 0xff);
+    v = Math.floor(v / 256);
+  }
+  return Uint8Array.from(bytes);
+}
+
+// EBML variable-length size: the position of the first set bit gives the length
+function sizeBytes(size) {
+  let len = 1;
+  while (len < 8 && size >= 2 ** (7 * len) - 1) len += 1;
+  const out = new Uint8Array(len);
+  let v = size;
+  for (let i = len - 1; i >= 0; i -= 1) {
+    out[i] = v % 256;
+    v = Math.floor(v / 256);
+  }
+  out[0] |= 1 << (8 - len);
+  return out;
+}
+
+function byteLength(node) {
+  if (node instanceof Uint8Array) return node.length;
+  let total = 0;
+  for (const child of node) total += byteLength(child);
+  return total;
+}
+
+function flatten(node, out = []) {
+  if (node instanceof Uint8Array) {
+    out.push(node);
+    return out;
+  }
+  for (const child of node) flatten(child, out);
+  return out;
+}
+
+function toBytes(source) {
+  if (source instanceof Uint8Array) return source.slice();
+  if (ArrayBuffer.isView(source)) return new Uint8Array(source.buffer, source.byteOffset, source.byteLength).slice();
+  return new Uint8Array(source).slice();
+}
@@ -27,6 +27,8 @@ module.exports = {
         WS_PORT: process.env.WS_PORT || '8090', // WebSocket listening port
         OSC_HOST: process.env.OSC_HOST || '127.0.0.1', // OSC destination address (default: localhost)
         OSC_PORT: process.env.OSC_PORT || '9000', // OSC destination port
+        OSC_IN_HOST: process.env.OSC_IN_HOST || '127.0.0.1', // OSC control listening address (0.0.0.0 for other machines)
+        OSC_IN_PORT: process.env.OSC_IN_PORT || '9001', // OSC control listening port (0 disables)
         BRIDGE_HEARTBEAT_MS: process.env.BRIDGE_HEARTBEAT_MS || '5000', // How often to print status (5 seconds)
       },
       
@@ -51,6 +53,24 @@ module.exports = {
       // Format for timestamps in log files
       log_date_format: 'YYYY-MM-DD HH:mm:ss',
     },
+    {
+      // Relays sync messages to receiver windows on other machines (multi-machine shows)
+      name: 'reactive-sync-relay',
+      script: './sync-relay.js',
+      env: {
+        SYNC_HOST: process.env.SYNC_HOST || '0.0.0.0', // Listen on every interface so LAN receivers can connect
+        SYNC_PORT: process.env.SYNC_PORT || '8091', // Relay WebSocket port
+        SYNC_TOKEN: process.env.SYNC_TOKEN || '', // Shared secret clients must send; empty lets anyone on the LAN in
+        SYNC_HEARTBEAT_MS: process.env.SYNC_HEARTBEAT_MS || '5000', // How often to print status
+      },
+      watch: false,
+      autorestart: true,
+      max_restarts: 10,
+      restart_delay: 2000,
+      out_file: './logs/relay.out.log',
+      error_file: './logs/relay.err.log',
+      log_date_format: 'YYYY-MM-DD HH:mm:ss',
+    },
   ],
 };
 
@@ -1,16 +1,24 @@
 #!/usr/bin/env node
 /*
-  WebSocket → OSC bridge for TouchDesigner.
+  WebSocket ⇄ OSC bridge for TouchDesigner.
 
   - Receives feature frames from the browser via WebSocket (JSON)
   - Emits OSC messages to a configurable host/port
+  - Listens for OSC control messages (/reactive/param/..., /reactive/preset/...,
+    /reactive/pad/...) and forwards them to every connected browser
 
   Defaults:
     WS listen: 127.0.0.1:8090
     OSC out:   127.0.0.1:9000
+    OSC in:    127.0.0.1:9001
 
   You can override via env vars:
-    WS_HOST, WS_PORT, OSC_HOST, OSC_PORT
+    WS_HOST, WS_PORT, OSC_HOST, OSC_PORT, OSC_IN_HOST, OSC_IN_PORT
+    (set OSC_IN_PORT=0 to disable the control listener)
+
+  The control listener has no authentication: whoever can reach it can change params,
+  presets and pads. Set OSC_IN_HOST=0.0.0.0 only to accept control from other machines
+  on a network you trust.
 */
 
 // Load environment variables from .env if present (tools directory)
@@ -22,8 +30,14 @@ const WS_HOST = process.env.WS_HOST || '127.0.0.1';
 const WS_PORT = parseInt(process.env.WS_PORT || '8090', 10);
 const OSC_HOST = process.env.OSC_HOST || '127.0.0.1';
 const OSC_PORT = parseInt(process.env.OSC_PORT || '9000', 10);
+const OSC_IN_HOST = process.env.OSC_IN_HOST || '127.0.0.1';
+const OSC_IN_PORT = parseInt(process.env.OSC_IN_PORT || '9001', 10);
 const HEARTBEAT_MS = parseInt(process.env.BRIDGE_HEARTBEAT_MS || '5000', 10);
 
+// Only these address prefixes are forwarded to the browser as control messages
+const CONTROL_PREFIXES = ['/reactive/param/', '/reactive/preset/', '/reactive/pad/', '/reactive/perf'];
+let controlMessagesIn = 0;
+
 const udpPort = new osc.UDPPort({ localAddress: '0.0.0.0', localPort: 0, remoteAddress: OSC_HOST, remotePort: OSC_PORT });
 udpPort.on('ready', () => {
   console.log(`[OSC] → ${OSC_HOST}:${OSC_PORT}`);
@@ -31,11 +45,30 @@ udpPort.on('ready', () => {
 udpPort.on('error', (e) => console.error('[OSC] error', e));
 udpPort.open();
 
+// Inbound control port (TouchDesigner → browser)
+if (OSC_IN_PORT > 0) {
+  const controlPort = new osc.UDPPort({ localAddress: OSC_IN_HOST, localPort: OSC_IN_PORT });
+  controlPort.on('ready', () => {
+    console.log(`[OSC] ← listening on ${OSC_IN_HOST}:${OSC_IN_PORT}`);
+  });
+  controlPort.on('message', (oscMsg) => {
+    const address = oscMsg && oscMsg.address;
+    if (typeof address !== 'string') return;
+    if (!CONTROL_PREFIXES.some((prefix) => address.startsWith(prefix))) return;
+    const args = Array.isArray(oscMsg.args) ? oscMsg.args.map(fromOscArg) : [];
+    controlMessagesIn += 1;
+    broadcast({ type: 'control', address, args });
+  });
+  controlPort.on('error', (e) => console.error('[OSC] control error', e));
+  controlPort.open();
+}
+
 const wss = new WebSocket.Server({ host: WS_HOST, port: WS_PORT });
 const clients = new Set();
 wss.on('listening', () => {
   console.log(`[WS] listening on ws://${WS_HOST}:${WS_PORT}`);
-  console.log(`[CFG] OSC → ${OSC_HOST}:${OSC_PORT} | Heartbeat ${HEARTBEAT_MS}ms`);
+  const inCfg = OSC_IN_PORT > 0 ? `${OSC_IN_HOST}:${OSC_IN_PORT}` : 'off';
+  console.log(`[CFG] OSC → ${OSC_HOST}:${OSC_PORT} | OSC ← ${inCfg} | Heartbeat ${HEARTBEAT_MS}ms`);
 });
 wss.on('connection', (ws, req) => {
   const ip = req.socket.remoteAddress;
@@ -120,6 +153,22 @@ function send(address, ...args) {
   }
 }
 
+function broadcast(msg) {
+  let data;
+  try { data = JSON.stringify(msg); } catch (_) { return; }
+  for (const client of clients) {
+    if (client.readyState !== client.OPEN) continue;
+    try { client.send(data); } catch (_) {}
+  }
+}
+
+function fromOscArg(arg) {
+  // osc.js hands back plain values unless metadata is enabled; unwrap either form
+  const v = (arg && typeof arg === 'object' && 'value' in arg) ? arg.value : arg;
+  if (typeof v === 'number' || typeof v === 'string' || typeof v === 'boolean') return v;
+  return v == null ? null : String(v);
+}
+
 function toOscArg(v) {
   if (typeof v === 'number' && isFinite(v)) return { type: 'f', value: v };
   if (typeof v === 'boolean') return { type: 'i', value: v ? 1 : 0 };
@@ -130,7 +179,7 @@ function toOscArg(v) {
 setInterval(() => {
   try {
     const connectedClients = Array.from(clients).filter(c => c.readyState === c.OPEN).length;
-    console.log(`[HEARTBEAT] WS clients=${connectedClients}`);
+    console.log(`[HEARTBEAT] WS clients=${connectedClients} controlIn=${controlMessagesIn}`);
   } catch (_) {}
 }, HEARTBEAT_MS);
 
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/*
+  WebSocket sync relay for multi-machine shows.
+
+  - Browsers connect with ws://<host>:<port>/?room=<name>&token=<secret> (the page's
+    Network Sync setting or the ?relay= URL param)
+  - With SYNC_TOKEN set, connections without that token are closed straight away
+  - Every JSON message a client sends is forwarded unchanged to the other clients in
+    the same room; the control and receiver windows do their own role/projector filtering
+  - Answers { type: 'clockPing', t0 } with { type: 'clockPong', t0, serverAt } so each
+    client can estimate its offset to this machine's clock (never forwarded)
+  - Peers whose socket is backed up are skipped rather than queued, so a slow receiver
+    drops frames instead of falling further behind
+
+  Defaults:
+    WS listen: 0.0.0.0:8091 (all interfaces — receivers are on other machines)
+
+  You can override via env vars:
+    SYNC_HOST, SYNC_PORT, SYNC_TOKEN, SYNC_HEARTBEAT_MS
+
+  Without SYNC_TOKEN any client that can reach the port joins a room and can drive the
+  show (presets, pads, projector configs). Set it whenever the LAN isn't yours alone.
+*/
+
+// Load environment variables from .env if present (tools directory)
+try { require('dotenv').config(); } catch (_) {}
+const crypto = require('crypto');
+const WebSocket = require('ws');
+
+const SYNC_HOST = process.env.SYNC_HOST || '0.0.0.0';
+const SYNC_PORT = parseInt(process.env.SYNC_PORT || '8091', 10);
+const SYNC_TOKEN = process.env.SYNC_TOKEN || '';
+const HEARTBEAT_MS = parseInt(process.env.SYNC_HEARTBEAT_MS || '5000', 10);
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+const rooms = new Map(); // room name -> Set of sockets
+let forwarded = 0;
+let dropped = 0;
+
+function tokenMatches(token) {
+  if (!SYNC_TOKEN) return true;
+  const a = Buffer.from(String(token || ''));
+  const b = Buffer.from(SYNC_TOKEN);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+const wss = new WebSocket.Server({ host: SYNC_HOST, port: SYNC_PORT });
+wss.on('listening', () => {
+  console.log(`[SYNC] relay listening on ws://${SYNC_HOST}:${SYNC_PORT}${SYNC_TOKEN ? ' (token required)' : ''}`);
+  if (!SYNC_TOKEN) console.warn('[SYNC] no SYNC_TOKEN set: any client on the network can control the show');
+});
+wss.on('connection', (ws, req) => {
+  const ip = req.socket.remoteAddress;
+  let room = 'default';
+  let token = '';
+  try {
+    const query = new URL(req.url || '/', 'http://relay').searchParams;
+    room = query.get('room') || 'default';
+    token = query.get('token') || '';
+  } catch (_) {}
+  if (!tokenMatches(token)) {
+    console.warn(`[SYNC] rejected client from ${ip}: wrong or missing token`);
+    ws.close(1008, 'Invalid token');
+    return;
+  }
+  if (!rooms.has(room)) rooms.set(room, new Set());
+  const peers = rooms.get(room);
+  peers.add(ws);
+  console.log(`[SYNC] client connected from ${ip} (room "${room}", ${peers.size} in room)`);
+
+  ws.on('message', (data, isBinary) => {
+    if (isBinary) return;
+    const text = data.toString();
+    let msg;
+    try {
+      msg = JSON.parse(text);
+    } catch (_) {
+      return;
+    }
+    if (!msg || typeof msg !== 'object') return;
+    if (msg.type === 'clockPing') {
+      try { ws.send(JSON.stringify({ type: 'clockPong', t0: msg.t0, serverAt: Date.now() })); } catch (_) {}
+      return;
+    }
+    for (const peer of peers) {
+      if (peer === ws || peer.readyState !== peer.OPEN) continue;
+      if (peer.bufferedAmount > MAX_BUFFERED_BYTES) { dropped += 1; continue; }
+      try { peer.send(text); forwarded += 1; } catch (_) {}
+    }
+  });
+  ws.on('close', () => {
+    peers.delete(ws);
+    if (!peers.size) rooms.delete(room);
+    console.log(`[SYNC] client disconnected from ${ip} (room "${room}")`);
+  });
+  ws.on('error', (e) => console.error('[SYNC] socket error', e.message));
+});
+wss.on('error', (e) => console.error('[SYNC] server error', e));
+
+// Periodic heartbeat / health summary
+setInterval(() => {
+  try {
+    const summary = Array.from(rooms.entries()).map(([name, set]) => `${name}=${set.size}`).join(' ') || 'none';
+    console.log(`[HEARTBEAT] rooms ${summary} forwarded=${forwarded} dropped=${dropped}`);
+  } catch (_) {}
+}, HEARTBEAT_MS);